@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * auris-cue launcher - Runs electron/cli.js
+ *
+ * xlsx, csv, tsv and json are written right here under Node. PDF export prints
+ * through a hidden browser window, so when a PDF is asked for the CLI is
+ * started in Electron's main process instead; on a Linux server without a
+ * display that goes through xvfb-run when it's installed. Arguments, output
+ * and the exit code pass straight through.
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const path = require('path');
+
+const EXIT_FAILED = 3;
+const cliPath = path.join(__dirname, '..', 'electron', 'cli.js');
+const args = process.argv.slice(2);
+
+function fail(message) {
+  process.stderr.write(`auris-cue: ${message}\n`);
+  process.exit(EXIT_FAILED);
+}
+
+// Only looks at -f/--format; cli.js does the real argument checking
+function wantsPdf(argv) {
+  return argv.some((arg, i) => (arg === '-f' || arg === '--format') &&
+    String(argv[i + 1] || '').toLowerCase().split(',').map(format => format.trim()).includes('pdf'));
+}
+
+function electronBinary() {
+  let electronPath;
+  try {
+    electronPath = require('electron');
+  } catch (e) {
+    fail('PDF export needs Electron, which is not installed (npm install electron). Other formats work without it.');
+  }
+  if (typeof electronPath !== 'string') fail('could not find the Electron binary');
+  return electronPath;
+}
+
+function hasCommand(name) {
+  return spawnSync('which', [name], { stdio: 'ignore' }).status === 0;
+}
+
+// Electron needs a display to open even a hidden window
+function electronCommand() {
+  const command = [electronBinary(), cliPath, ...args];
+  if (process.platform !== 'linux' || process.env.DISPLAY || process.env.WAYLAND_DISPLAY) return command;
+  if (hasCommand('xvfb-run')) return ['xvfb-run', '-a', ...command];
+  fail('PDF export needs a display. Set DISPLAY, install xvfb (xvfb-run is used automatically), or leave pdf out of --format.');
+}
+
+if (!wantsPdf(args)) {
+  require(cliPath).run(args).then(code => process.stdout.write('', () => process.exit(code)));
+} else {
+  const [command, ...commandArgs] = electronCommand();
+  const env = { ...process.env };
+  delete env.ELECTRON_RUN_AS_NODE;
+
+  const child = spawn(command, commandArgs, { stdio: 'inherit', env, windowsHide: true });
+  child.on('error', (err) => fail(`could not start Electron: ${err.message}`));
+  child.on('close', (code, signal) => process.exit(code ?? (signal ? EXIT_FAILED : 0)));
+}
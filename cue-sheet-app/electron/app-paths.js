@@ -0,0 +1,58 @@
+/**
+ * App Paths - Where the app keeps its data, inside Electron or under plain Node
+ *
+ * In the app this is Electron's userData folder. The command line runs under
+ * plain Node, where require('electron') is only the path to the Electron
+ * binary (or missing from a production install), so it names the folder with
+ * setUserDataDir(). The notebook sets nothing and gets null.
+ */
+
+const os = require('os');
+const path = require('path');
+
+let userDataDir = null;
+
+/**
+ * Electron's app object, or null outside Electron's main process
+ */
+function getElectronApp() {
+  try {
+    const electron = require('electron');
+    return typeof electron === 'object' && electron.app ? electron.app : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getUserDataDir() {
+  if (userDataDir) return userDataDir;
+  const app = getElectronApp();
+  return app?.getPath ? app.getPath('userData') : null;
+}
+
+function setUserDataDir(dir) {
+  userDataDir = dir;
+  getElectronApp()?.setPath('userData', dir);
+}
+
+// The OS folder Electron's app.getPath('appData') points at
+function getAppDataDir() {
+  const app = getElectronApp();
+  if (app?.getPath) return app.getPath('appData');
+  if (process.platform === 'win32') return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support');
+  return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+}
+
+// Packaged builds read .env and other resources from the app bundle
+function isPackaged() {
+  return !!getElectronApp()?.isPackaged;
+}
+
+module.exports = {
+  getElectronApp,
+  getUserDataDir,
+  setUserDataDir,
+  getAppDataDir,
+  isPackaged
+};
@@ -7,8 +7,7 @@
  * - Claude Opus: Complex reasoning and analysis
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-const sourcesManager = require('./sources-manager');
+const llm = require('./llm-service');
 
 // Voyage engine for fast lookups
 let voyageEngine = null;
@@ -18,10 +17,6 @@ try {
   console.log('[AurisChat] Voyage engine not available');
 }
 
-// Will be initialized with API key
-let anthropic = null;
-let lastApiKey = null;
-
 /**
  * Classify request type to determine routing
  * Returns 'voyage' for fast lookup tasks, 'opus' for complex reasoning
@@ -315,45 +310,11 @@ async function processWithVoyage(message, context = {}) {
   }
 }
 
-/**
- * Get API key from sources config (same as opus-engine)
- */
-function getApiKey() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.config?.apiKey || null;
-}
-
-/**
- * Initialize or reinitialize the Anthropic client
- */
-function initializeClient() {
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    console.log('[AurisChat] No API key found in sources config');
-    return false;
-  }
-  
-  // Only reinitialize if key changed
-  if (apiKey === lastApiKey && anthropic) {
-    return true;
-  }
-  
-  try {
-    anthropic = new Anthropic({ apiKey });
-    lastApiKey = apiKey;
-    console.log('[AurisChat] Client initialized');
-    return true;
-  } catch (err) {
-    console.error('[AurisChat] Failed to initialize:', err.message);
-    return false;
-  }
-}
-
 /**
  * Check if Auris Chat is available
  */
 function isAvailable() {
-  return initializeClient();
+  return llm.isAvailable('chat');
 }
 
 /**
@@ -937,10 +898,9 @@ async function processMessage(userMessage, conversationHistory = [], context = {
       { role: 'user', content: userMessage }
     ];
     
-    // Make initial API call
-    let response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514', // Using Sonnet for speed, can switch to Opus
-      max_tokens: 4096,
+    // Make initial API call (the chat task runs on Sonnet by default, for speed)
+    let response = await llm.complete({
+      task: 'chat',
       system: buildSystemPrompt(context),
       tools: TOOLS,
       messages
@@ -950,7 +910,7 @@ async function processMessage(userMessage, conversationHistory = [], context = {
     const assistantMessages = [];
     
     // Process tool use loop
-    while (response.stop_reason === 'tool_use') {
+    while (response.stopReason === 'tool_use') {
       const toolUseBlocks = response.content.filter(block => block.type === 'tool_use');
       
       // Execute all tool calls
@@ -974,9 +934,8 @@ async function processMessage(userMessage, conversationHistory = [], context = {
       messages.push({ role: 'assistant', content: response.content });
       messages.push({ role: 'user', content: results });
       
-      response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
+      response = await llm.complete({
+        task: 'chat',
         system: buildSystemPrompt(context),
         tools: TOOLS,
         messages
@@ -1045,6 +1004,5 @@ Please process this request and update the tracks accordingly.`;
 module.exports = {
   isAvailable,
   processMessage,
-  processHighlightAnnotation,
-  initializeClient
+  processHighlightAnnotation
 };
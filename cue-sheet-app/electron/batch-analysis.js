@@ -7,25 +7,13 @@
  * - Suggestions for bulk updates
  */
 
-const sourcesManager = require('./sources-manager');
-
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-opus-4-20250514';
-
-/**
- * Get API key
- */
-function getApiKey() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.config?.apiKey || null;
-}
+const llm = require('./llm-service');
 
 /**
  * Check if Opus is enabled
  */
 function isOpusEnabled() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.enabled && sources.opus?.config?.apiKey;
+  return llm.isAvailable();
 }
 
 /**
@@ -267,9 +255,7 @@ function generateSuggestions(patterns, inconsistencies) {
  * Analyze with Opus for deeper insights
  */
 async function analyzeWithOpus(cues, patterns) {
-  const apiKey = getApiKey();
-  
-  if (!apiKey || !isOpusEnabled()) {
+  if (!isOpusEnabled()) {
     return { patterns, suggestions: generateSuggestions(patterns, []) };
   }
   
@@ -320,33 +306,12 @@ Return JSON:
 }`;
 
   try {
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        max_tokens: 500,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
+    const analysis = await llm.completeJson({
+      task: 'batchAnalysis',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: { type: 'object', properties: { confirmedPatterns: 'array', questionablePatterns: 'array', additionalSuggestions: 'array' } }
     });
-
-    if (!response.ok) {
-      return { patterns, suggestions: generateSuggestions(patterns, []) };
-    }
-
-    const data = await response.json();
-    let responseText = data.content[0].text.trim();
-    
-    if (responseText.startsWith('```')) {
-      responseText = responseText.replace(/```json?\n?/g, '').replace(/```/g, '');
-    }
-    
-    const analysis = JSON.parse(responseText);
     
     // Combine quick patterns with Opus insights
     const suggestions = generateSuggestions(patterns, []);
@@ -1,40 +1,384 @@
 /**
- * Smart Lookup Service - Minimal Implementation
- * 
- * The automated batch lookup has been disabled in favor of manual lookup.
- * This module provides stubs to prevent errors from existing IPC calls.
+ * Batch Lookup - Queued lookup of every cue with missing data
+ *
+ * Each cue runs through the enabled sources (learned database first, then
+ * BMG, iTunes and BMI/ASCAP). Every source has its own queue with a
+ * concurrency cap and a minimum gap between requests, so a long cue sheet
+ * does not hammer any one site. The run can be paused, resumed and
+ * cancelled; progress is streamed through onProgress.
+ *
+ * Results keep every value each source found as a per-field candidate, so
+ * the review screen can accept them selectively with applyResults().
  */
 
-const { LOOKUP_SITES, detectSiteFromMetadata } = require('./lookup-sites');
+const { detectSiteFromMetadata } = require('./lookup-sites');
+const { searchBMGTrack, looksLikeBMGTrack } = require('./bmg-lookup');
+const { findBestMatch, isLikelyOniTunes } = require('./itunes-lookup');
+const { searchBMI, searchASCAP, formatPRODataForCue } = require('./pro-lookup');
+const { cloudTrackDatabase } = require('./track-database-cloud');
+const { syncSplitsWithStrings } = require('./splits');
 
-// State management
-let isRunning = false;
-let results = [];
+let trackDatabase;
+try {
+  trackDatabase = require('./track-database').trackDatabase;
+} catch (e) {
+  console.log('[BatchLookup] Local track database not available:', e.message);
+  trackDatabase = null;
+}
+
+// Fields a lookup can fill
+const LOOKUP_FIELDS = ['composer', 'publisher', 'artist', 'source', 'trackNumber', 'masterContact', 'label'];
+
+// Fields that make a cue "missing data"
+const REQUIRED_FIELDS = ['composer', 'publisher'];
+
+// Per-source queue limits: concurrent requests and minimum ms between request starts
+const SOURCE_LIMITS = {
+  learned_db: { concurrency: 4, minInterval: 0 },
+  bmg: { concurrency: 2, minInterval: 1000 },
+  itunes: { concurrency: 1, minInterval: 3000 }, // iTunes allows ~20 requests a minute
+  bmi: { concurrency: 1, minInterval: 2000 },
+  ascap: { concurrency: 1, minInterval: 2000 }
+};
+
+const SOURCE_LABELS = {
+  learned_db: 'Learned Database',
+  bmg: 'BMG Production Music',
+  itunes: 'iTunes',
+  bmi: 'BMI',
+  ascap: 'ASCAP'
+};
+
+// A learned-database hit at or above this confidence skips the web sources for that cue
+const CONFIDENT_MATCH = 0.9;
+
+function hasValue(value) {
+  const text = String(value ?? '').trim();
+  return text !== '' && text !== '-' && text.toUpperCase() !== 'N/A' && text !== 'Unknown';
+}
+
+function missingFields(cue) {
+  return LOOKUP_FIELDS.filter(field => !hasValue(cue[field]));
+}
+
+function cleanSearchName(cue) {
+  const name = (cue.trackName || cue.originalName || '')
+    .replace(/^(BYND-|mx\s*)/i, '')
+    .replace(/\s*\(.*\)\s*$/i, '')
+    .replace(/\s*-\s*(Stem|FX|Mix|Bass|Drums|Full).*$/i, '')
+    .replace(/STEM.*$/i, '')
+    .trim();
+  return name.length >= 3 ? name : (cue.trackName || cue.originalName || '');
+}
+
+// ============================================
+// Source adapters
+// Each returns { field: { value, confidence, writers?, publishers? } } or null
+// ============================================
+
+function fromTrackRecord(record, confidence) {
+  const found = {};
+  for (const field of ['composer', 'publisher', 'artist', 'source', 'masterContact']) {
+    if (hasValue(record[field])) found[field] = { value: record[field], confidence };
+  }
+  if (hasValue(record.library)) found.label = { value: record.library, confidence };
+  return found;
+}
+
+const SOURCE_ADAPTERS = {
+  learned_db: {
+    appliesTo: () => true,
+    lookup: async (cue) => {
+      if (cloudTrackDatabase.isAvailable()) {
+        const match = await cloudTrackDatabase.findTrackWithStrategies(cue.trackName, cue.catalogCode, cue.artist);
+        if (match?.composer) return fromTrackRecord(match, match.matchConfidence);
+      }
+      if (!trackDatabase) return null;
+      const match = trackDatabase.findTrackWithStrategies(cue.trackName, cue.catalogCode, cue.artist);
+      if (match?.composer) return fromTrackRecord(match, match.matchConfidence);
+      if (cue.catalogCode) {
+        const prediction = trackDatabase.predict(cue.catalogCode, cue.artist);
+        if (prediction?.composer && prediction.composerConfidence >= 0.7) {
+          const found = { composer: { value: prediction.composer, confidence: prediction.composerConfidence } };
+          if (prediction.publisher) found.publisher = { value: prediction.publisher, confidence: prediction.publisherConfidence };
+          return found;
+        }
+      }
+      return null;
+    }
+  },
+
+  bmg: {
+    appliesTo: (cue) => looksLikeBMGTrack(cue.originalName || cue.trackName || ''),
+    lookup: async (cue) => {
+      const result = await searchBMGTrack(cue.trackName || cue.originalName);
+      if (!result.success || !result.data) return null;
+      const data = result.data;
+      const found = {};
+      for (const field of ['composer', 'publisher', 'artist', 'source', 'trackNumber', 'masterContact']) {
+        if (!hasValue(data[field])) continue;
+        found[field] = { value: data[field], confidence: data[`${field}Confidence`] ?? 0.8 };
+      }
+      return found;
+    }
+  },
+
+  itunes: {
+    appliesTo: (cue) => isLikelyOniTunes(cue.trackName, cue.artist),
+    lookup: async (cue) => {
+      const match = await findBestMatch(cue.trackName, cue.artist);
+      if (!match) return null;
+      const confidence = Math.min(1, (match.score || 50) / 100);
+      const found = {};
+      if (hasValue(match.artistName)) found.artist = { value: match.artistName, confidence };
+      if (hasValue(match.albumName)) found.source = { value: match.albumName, confidence };
+      if (match.trackNumber) found.trackNumber = { value: String(match.trackNumber), confidence };
+      return found;
+    }
+  },
+
+  bmi: {
+    appliesTo: () => true,
+    lookup: async (cue) => proLookup(await searchBMI(cleanSearchName(cue)), 'bmi')
+  },
+
+  ascap: {
+    appliesTo: () => true,
+    lookup: async (cue) => proLookup(await searchASCAP(cleanSearchName(cue)), 'ascap')
+  }
+};
+
+// PRO results carry the structured splits alongside the composer/publisher text
+function proLookup(result, pro) {
+  if (!result) return null;
+  const formatted = formatPRODataForCue({ [pro]: result, hasData: true });
+  const found = {};
+  if (formatted.composer) found.composer = { value: formatted.composer, confidence: 0.85, writers: formatted.writers };
+  if (formatted.publisher) found.publisher = { value: formatted.publisher, confidence: 0.85, publishers: formatted.publishers };
+  return found;
+}
+
+// ============================================
+// Rate-limited queues
+// ============================================
 
 /**
- * Start batch lookup - disabled, returns immediately
+ * Queue that runs at most `concurrency` tasks at once and starts them at
+ * least `minInterval` ms apart. Tasks wait while the run is paused.
  */
-async function startBatchLookup(tracks, onProgress) {
-  console.log('[BatchLookup] Automated batch lookup is disabled. Use manual Smart Lookup instead.');
+function createLimiter({ concurrency, minInterval }, waitIfPaused) {
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  const next = () => {
+    if (timer || active >= concurrency || queue.length === 0) return;
+    const wait = lastStart + minInterval - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => { timer = null; next(); }, wait);
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    lastStart = Date.now();
+    waitIfPaused()
+      .then(() => {
+        // A task held by a pause counts from when it really starts
+        lastStart = Date.now();
+        return task();
+      })
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+    next();
+  };
+
+  return {
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get pending() {
+      return queue.length + active;
+    },
+    clear() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      queue.splice(0).forEach(({ reject }) => reject(new Error('cancelled')));
+    }
+  };
+}
+
+// ============================================
+// Run state
+// ============================================
+
+let run = null;
+let results = [];
+
+function emptyProgress() {
+  return { isRunning: false, isPaused: false, current: 0, total: 0, found: 0, sources: {} };
+}
+
+function snapshotProgress() {
+  if (!run) return emptyProgress();
+  const sources = {};
+  for (const [id, limiter] of Object.entries(run.limiters)) {
+    sources[id] = { label: SOURCE_LABELS[id], pending: limiter.pending, done: run.sourceCounts[id] || 0 };
+  }
   return {
-    success: false,
-    error: 'Automated batch lookup is disabled. Use the manual Smart Lookup feature in the browser panel.',
-    results: []
+    isRunning: run.isRunning,
+    isPaused: run.isPaused,
+    isCancelled: run.isCancelled,
+    current: run.completed,
+    total: run.total,
+    found: results.filter(result => result.candidates.length > 0).length,
+    sources
+  };
+}
+
+function waitIfPaused() {
+  if (!run?.isPaused) return Promise.resolve();
+  return new Promise(resolve => run.resumeWaiters.push(resolve));
+}
+
+let candidateCounter = 0;
+
+function addCandidates(result, sourceId, found, fields) {
+  for (const [field, candidate] of Object.entries(found || {})) {
+    if (!fields.includes(field) || !hasValue(candidate.value)) continue;
+    // The same value from another source raises that candidate instead of repeating it
+    const existing = result.candidates.find(c => c.field === field && c.value.toLowerCase() === String(candidate.value).toLowerCase());
+    if (existing) {
+      existing.sources.push(sourceId);
+      existing.confidence = Math.max(existing.confidence, candidate.confidence ?? 0);
+      continue;
+    }
+    result.candidates.push({
+      id: `cand-${++candidateCounter}`,
+      field,
+      value: String(candidate.value),
+      source: sourceId,
+      sources: [sourceId],
+      confidence: Math.round((candidate.confidence ?? 0.5) * 100) / 100,
+      ...(candidate.writers ? { writers: candidate.writers } : {}),
+      ...(candidate.publishers ? { publishers: candidate.publishers } : {})
+    });
+  }
+  result.candidates.sort((a, b) => LOOKUP_FIELDS.indexOf(a.field) - LOOKUP_FIELDS.indexOf(b.field) || b.confidence - a.confidence);
+}
+
+async function lookupCue(cue, sourceIds, options) {
+  const fields = missingFields(cue);
+  const result = { cueId: cue.id, trackName: cue.trackName, status: 'pending', candidates: [], errors: [] };
+  results.push(result);
+
+  const runSource = async (sourceId) => {
+    try {
+      // Requests held by a pause are dropped if the run is cancelled meanwhile
+      const found = await run.limiters[sourceId].schedule(() => (run.isCancelled ? null : SOURCE_ADAPTERS[sourceId].lookup(cue)));
+      if (!run.isCancelled) addCandidates(result, sourceId, found, fields);
+    } catch (error) {
+      if (!run.isCancelled) result.errors.push({ source: sourceId, message: error.message });
+    } finally {
+      run.sourceCounts[sourceId] = (run.sourceCounts[sourceId] || 0) + 1;
+    }
+  };
+
+  const applicable = sourceIds.filter(id => SOURCE_ADAPTERS[id].appliesTo(cue) && options.canUseSource(id, cue));
+
+  if (applicable.includes('learned_db')) {
+    await runSource('learned_db');
+  }
+  const coveredByDatabase = REQUIRED_FIELDS.every(field =>
+    !fields.includes(field) || result.candidates.some(c => c.field === field && c.confidence >= CONFIDENT_MATCH)
+  );
+  if (!coveredByDatabase && !run.isCancelled) {
+    await Promise.all(applicable.filter(id => id !== 'learned_db').map(runSource));
+  }
+
+  result.status = run.isCancelled ? 'cancelled' : result.candidates.length > 0 ? 'found' : result.errors.length > 0 ? 'error' : 'not_found';
+  run.completed++;
+  options.onProgress?.({ ...snapshotProgress(), trackName: cue.trackName, result });
+}
+
+/**
+ * Look up every cue with missing data
+ * @param {Array} cues - Cues to look up (complete cues are skipped)
+ * @param {Object} options
+ * @param {Object} options.sources - Source config from sources-manager (enabled flags)
+ * @param {Function} options.canUseSource - (sourceId, cue) => boolean, e.g. no iTunes for production music
+ * @param {Function} options.onProgress - Called with a progress snapshot after each cue
+ * @returns {Promise<Object>} { success, results, cancelled }
+ */
+async function startBatchLookup(cues, options = {}) {
+  if (run?.isRunning) {
+    return { success: false, error: 'A batch lookup is already running' };
+  }
+
+  const sources = options.sources || {};
+  const sourceIds = Object.keys(SOURCE_ADAPTERS).filter(id => id === 'learned_db' || sources[id]?.enabled);
+  const queue = (cues || []).filter(cue => !cue.hidden && REQUIRED_FIELDS.some(field => !hasValue(cue[field])));
+
+  results = [];
+  run = {
+    isRunning: true,
+    isPaused: false,
+    isCancelled: false,
+    total: queue.length,
+    completed: 0,
+    sourceCounts: {},
+    resumeWaiters: [],
+    limiters: {}
   };
+  for (const id of sourceIds) {
+    run.limiters[id] = createLimiter({ ...SOURCE_LIMITS[id], ...options.limits?.[id] }, waitIfPaused);
+  }
+
+  console.log(`[BatchLookup] Looking up ${queue.length} cues with ${sourceIds.join(', ')}`);
+  const lookupOptions = { canUseSource: () => true, ...options };
+  lookupOptions.onProgress?.(snapshotProgress());
+
+  await Promise.all(queue.map(cue => lookupCue(cue, sourceIds, lookupOptions)));
+
+  run.isRunning = false;
+  lookupOptions.onProgress?.(snapshotProgress());
+  return { success: true, results, cancelled: run.isCancelled };
+}
+
+function pauseBatchLookup() {
+  if (!run?.isRunning) return false;
+  run.isPaused = true;
+  return true;
+}
+
+function resumeBatchLookup() {
+  if (!run?.isRunning) return false;
+  run.isPaused = false;
+  run.resumeWaiters.splice(0).forEach(resolve => resolve());
+  return true;
 }
 
 /**
- * Cancel batch lookup
+ * Cancel batch lookup - queued requests are dropped, requests in flight finish
  */
 function cancelBatchLookup() {
-  isRunning = false;
+  if (!run?.isRunning) return;
+  run.isCancelled = true;
+  Object.values(run.limiters).forEach(limiter => limiter.clear());
+  resumeBatchLookup();
 }
 
 /**
  * Get progress
  */
 function getProgress() {
-  return { isRunning: false, current: 0, total: 0 };
+  return snapshotProgress();
 }
 
 /**
@@ -45,10 +389,37 @@ function getResults() {
 }
 
 /**
- * Apply results to cues
+ * Apply accepted candidates to cues
+ * One candidate per field is applied (the most confident if several are selected)
+ * @param {Array} selectedCandidateIds - Candidate ids from getResults()
+ * @param {Array} cues - Current cues
+ * @returns {Array} Updated cues
  */
-function applyResults(selectedResultIds, cues) {
-  return cues;
+function applyResults(selectedCandidateIds, cues) {
+  const selected = new Set(selectedCandidateIds);
+  const byCue = new Map(results.map(result => [result.cueId, result]));
+
+  return cues.map(cue => {
+    const result = byCue.get(cue.id);
+    if (!result) return cue;
+    const accepted = result.candidates.filter(candidate => selected.has(candidate.id));
+    if (accepted.length === 0) return cue;
+
+    let updated = { ...cue };
+    for (const field of LOOKUP_FIELDS) {
+      const best = accepted.filter(c => c.field === field).sort((a, b) => b.confidence - a.confidence)[0];
+      if (!best) continue;
+      updated[field] = best.value;
+      updated[`${field}Source`] = best.source;
+      updated[`${field}Confidence`] = best.confidence;
+      if (best.writers) updated.writers = best.writers;
+      if (best.publishers) updated.publishers = best.publishers;
+      // A composer/publisher without a structured list re-parses the cue's old one from the text
+      if (!best.writers && !best.publishers) updated = syncSplitsWithStrings(updated, { [field]: best.value });
+    }
+    updated.status = REQUIRED_FIELDS.every(field => hasValue(updated[field])) ? 'complete' : 'pending';
+    return updated;
+  });
 }
 
 /**
@@ -56,7 +427,7 @@ function applyResults(selectedResultIds, cues) {
  */
 function getTracksWithMissingData(cues) {
   if (!cues || !Array.isArray(cues)) return [];
-  
+
   return cues.filter(cue => {
     const hasComposer = cue.composer && cue.composer.trim().length > 0;
     const hasPublisher = cue.publisher && cue.publisher.trim().length > 0;
@@ -76,9 +447,15 @@ function getTracksWithMissingData(cues) {
 
 module.exports = {
   startBatchLookup,
+  pauseBatchLookup,
+  resumeBatchLookup,
   cancelBatchLookup,
   getProgress,
   getResults,
   applyResults,
-  getTracksWithMissingData
+  getTracksWithMissingData,
+  createLimiter,
+  SOURCE_LIMITS,
+  SOURCE_LABELS,
+  LOOKUP_FIELDS
 };
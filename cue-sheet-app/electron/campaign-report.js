@@ -0,0 +1,214 @@
+/**
+ * Campaign Roll-up - One workbook for every cue sheet in a project folder
+ *
+ * A campaign is a folder in the project tree (spots, cutdowns, nested
+ * folders of versions). The roll-up opens with a summary tab listing every
+ * track used across the campaign: which spots used it, total time and the
+ * rights holders. One tab per cue sheet follows, in that sheet's own export
+ * template layout. Music clearance licenses a whole campaign from it.
+ *
+ * Tracks are matched across spots by name (case and spacing ignored).
+ * Hidden cues are left out, as they are from exports.
+ */
+
+const ExcelJS = require('exceljs');
+const projectStore = require('./project-store');
+const exportTemplates = require('./export-templates');
+const totals = require('./totals');
+
+// Summary tab columns: rights holders are every distinct value seen across the campaign
+const SUMMARY_COLUMNS = [
+  { key: 'trackName', header: 'Track Name', width: 32 },
+  { key: 'artist', header: 'Artist', width: 20 },
+  { key: 'library', header: 'Library/Label', width: 24 },
+  { key: 'composer', header: 'Composer', width: 36 },
+  { key: 'publisher', header: 'Publisher', width: 40 },
+  { key: 'masterContact', header: 'Master/Contact', width: 24 },
+  { key: 'use', header: 'Use', width: 8 },
+  { key: 'spots', header: 'Spots', width: 40 },
+  { key: 'spotCount', header: 'Spot Count', width: 10 },
+  { key: 'useCount', header: 'Cues', width: 8 },
+  { key: 'totalTime', header: 'Total Time', width: 12 }
+];
+
+const SUMMARY_HEADER_ROW = 6;
+
+// Cue sheets under a folder in tree order, with their path below the campaign folder
+function collectCueSheets(folder, trail = []) {
+  const sheets = [];
+  for (const child of folder.children || []) {
+    if (child.type === 'folder') {
+      sheets.push(...collectCueSheets(child, [...trail, child.name]));
+    } else if (child.type === 'cuesheet') {
+      sheets.push({ cueSheet: child, spotName: [...trail, child.name].join(' / ') });
+    }
+  }
+  return sheets;
+}
+
+function trackKey(cue) {
+  return String(cue.trackName || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Distinct non-empty values in first-seen order (case-insensitive)
+function addDistinct(list, value) {
+  const text = String(value ?? '').trim();
+  if (!text || text === '-') return;
+  if (!list.some(existing => existing.toLowerCase() === text.toLowerCase())) list.push(text);
+}
+
+/**
+ * Every track used across the campaign's cue sheets
+ * @returns {Array} [{ trackName, artist[], library[], composer[], publisher[], masterContact[], use[], spots: [{ name, seconds, count }], useCount, seconds }]
+ */
+function rollUpTracks(sheets) {
+  const tracks = new Map();
+
+  for (const { cueSheet, spotName } of sheets) {
+    for (const cue of (cueSheet.cues || []).filter(c => !c.hidden)) {
+      const key = trackKey(cue);
+      if (!key) continue;
+
+      if (!tracks.has(key)) {
+        tracks.set(key, {
+          trackName: String(cue.trackName).trim(),
+          artist: [], library: [], composer: [], publisher: [], masterContact: [], use: [],
+          spots: [],
+          useCount: 0,
+          seconds: 0
+        });
+      }
+      const track = tracks.get(key);
+      const seconds = totals.cueSeconds(cue);
+      track.useCount++;
+      track.seconds += seconds;
+      addDistinct(track.artist, cue.artist);
+      addDistinct(track.library, cue.library || cue.label);
+      addDistinct(track.composer, cue.composer);
+      addDistinct(track.publisher, cue.publisher);
+      addDistinct(track.masterContact, cue.masterContact);
+      addDistinct(track.use, cue.use && String(cue.use).toUpperCase());
+
+      let spot = track.spots.find(entry => entry.name === spotName);
+      if (!spot) {
+        spot = { name: spotName, seconds: 0, count: 0 };
+        track.spots.push(spot);
+      }
+      spot.seconds += seconds;
+      spot.count++;
+    }
+  }
+
+  return [...tracks.values()].sort((a, b) => b.spots.length - a.spots.length || a.trackName.localeCompare(b.trackName));
+}
+
+/**
+ * Gather a campaign folder's cue sheets and tracks
+ * @returns {Object} { folder, sheets, tracks, musicSeconds }
+ */
+function buildCampaignRollup(folderId) {
+  const folder = projectStore.findItemById(projectStore.getAllProjects(), folderId);
+  if (!folder || folder.type !== 'folder') {
+    throw new Error('Folder not found');
+  }
+  const sheets = collectCueSheets(folder);
+  if (sheets.length === 0) {
+    throw new Error(`"${folder.name}" has no cue sheets`);
+  }
+  const tracks = rollUpTracks(sheets);
+  return {
+    folder,
+    sheets,
+    tracks,
+    musicSeconds: tracks.reduce((sum, track) => sum + track.seconds, 0)
+  };
+}
+
+// Excel tab names: 31 characters, no []:*?/\, unique within the workbook
+function tabName(name, taken) {
+  const base = String(name || 'Cue Sheet').replace(/[[\]:*?/\\]/g, '-').trim().slice(0, 31) || 'Cue Sheet';
+  let candidate = base;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function writeSummarySheet(sheet, rollup) {
+  const { folder, sheets, tracks, musicSeconds } = rollup;
+  sheet.columns = SUMMARY_COLUMNS.map(column => ({ width: column.width }));
+
+  sheet.getCell('A1').value = 'CAMPAIGN MUSIC ROLL-UP';
+  sheet.getCell('A1').font = { bold: true, size: 14 };
+  [
+    ['Campaign:', folder.name],
+    ['Cue sheets:', sheets.length],
+    ['Tracks:', `${tracks.length} unique, ${totals.formatTotal(musicSeconds)} total music`]
+  ].forEach(([label, value], index) => {
+    const labelCell = sheet.getCell(index + 2, 1);
+    labelCell.value = label;
+    labelCell.font = { bold: true };
+    sheet.getCell(index + 2, 2).value = value;
+  });
+
+  SUMMARY_COLUMNS.forEach((column, i) => {
+    const cell = sheet.getCell(SUMMARY_HEADER_ROW, i + 1);
+    cell.value = column.header;
+    cell.font = { bold: true };
+    cell.border = { bottom: { style: 'thin' } };
+  });
+
+  tracks.forEach((track, index) => {
+    const values = {
+      trackName: track.trackName,
+      artist: track.artist.join('\n'),
+      library: track.library.join('\n'),
+      composer: track.composer.join('\n'),
+      publisher: track.publisher.join('\n'),
+      masterContact: track.masterContact.join('\n'),
+      use: track.use.join(', '),
+      spots: track.spots.map(spot => `${spot.name} (${totals.formatTotal(spot.seconds)})`).join('\n'),
+      spotCount: track.spots.length,
+      useCount: track.useCount,
+      totalTime: totals.formatTotal(track.seconds)
+    };
+    SUMMARY_COLUMNS.forEach((column, i) => {
+      const cell = sheet.getCell(SUMMARY_HEADER_ROW + 1 + index, i + 1);
+      cell.value = values[column.key];
+      cell.alignment = { wrapText: true, vertical: 'top' };
+      cell.border = { bottom: { style: 'hair', color: { argb: 'FFE0E0E0' } } };
+    });
+  });
+
+  sheet.views = [{ state: 'frozen', ySplit: SUMMARY_HEADER_ROW }];
+}
+
+/**
+ * Write the roll-up workbook for a campaign folder
+ * @returns {Object} { sheetCount, trackCount, folderName }
+ */
+async function writeCampaignWorkbook(filePath, folderId) {
+  const rollup = buildCampaignRollup(folderId);
+  const workbook = new ExcelJS.Workbook();
+  const taken = new Set();
+
+  writeSummarySheet(workbook.addWorksheet(tabName('Campaign Summary', taken)), rollup);
+
+  for (const { cueSheet } of rollup.sheets) {
+    const projectInfo = cueSheet.projectInfo || {};
+    const template = exportTemplates.getTemplate(projectInfo.exportTemplateId);
+    const cues = (cueSheet.cues || []).filter(cue => !cue.hidden);
+    const layout = exportTemplates.buildLayout(template, cues, { ...projectInfo, spotTitle: projectInfo.spotTitle || cueSheet.name });
+    exportTemplates.fillLayoutSheet(workbook.addWorksheet(tabName(cueSheet.name, taken)), layout);
+  }
+
+  await workbook.xlsx.writeFile(filePath);
+  return { sheetCount: rollup.sheets.length, trackCount: rollup.tracks.length, folderName: rollup.folder.name };
+}
+
+module.exports = {
+  buildCampaignRollup,
+  writeCampaignWorkbook
+};
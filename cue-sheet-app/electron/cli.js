@@ -0,0 +1,353 @@
+/**
+ * auris-cue - Generate cue sheets from the command line
+ *
+ * Runs the full import pipeline on one or more projects (or folders of
+ * .prproj files), fills what it can from the local track database and the
+ * learned patterns, and writes the cue sheet with the app's own exporters.
+ * It runs under plain Node for xlsx, csv, tsv and json; bin/auris-cue.js
+ * starts it in Electron's main process (without a window) only when a PDF is
+ * asked for, since PDFs print through a hidden browser window.
+ *
+ * Exit codes: 0 every cue has the required fields, 1 some cues are missing
+ * required fields (the sheets are still written), 2 bad arguments, 3 a
+ * project could not be read or a sheet could not be written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getElectronApp, setUserDataDir, getAppDataDir } = require('./app-paths');
+const { ROUNDING_RULES } = require('./timeline');
+
+const EXIT_OK = 0;
+const EXIT_INCOMPLETE = 1;
+const EXIT_USAGE = 2;
+const EXIT_FAILED = 3;
+
+const FORMATS = ['xlsx', 'pdf', 'csv', 'tsv', 'json'];
+const DEFAULT_REQUIRED = ['composer', 'publisher'];
+
+const USAGE = `Usage: auris-cue [options] <project.prproj | folder>...
+
+Generates a cue sheet for each project. Folders are searched for .prproj files.
+
+Options:
+  -o, --out <dir>          Output folder (default: next to each project)
+  -f, --format <list>      Comma-separated formats: ${FORMATS.join(', ')} (default: xlsx)
+  -t, --template <id>      Export template id (default: the standard layout)
+      --project <name>     Project field for the header block and file name
+      --type <type>        Type field (e.g. TV, Trailer, Digital)
+      --sequence <name>    Only this sequence (name or id)
+      --all-sequences      One cue sheet per sequence
+      --rounding <rule>    Cue length rounding: frame-12, half-second, any-frame, truncate
+      --require <fields>   Fields every cue must have (default: ${DEFAULT_REQUIRED.join(',')})
+      --offline            Local track database only; skip the cloud database and patterns
+      --data-dir <dir>     App data folder (track database, templates, filename grammars)
+  -r, --recursive          Search folders recursively
+      --json               Print a JSON report instead of text
+      --summary            Print each pipeline step's summary
+  -q, --quiet              Hide warnings too (errors still go to stderr)
+  -v, --verbose            Show the pipeline's own log output
+  -h, --help               Show this help
+
+Exit codes: 0 complete, 1 required fields missing, 2 bad arguments, 3 read/write failure`;
+
+function parseArgs(argv) {
+  const options = {
+    inputs: [],
+    formats: ['xlsx'],
+    required: DEFAULT_REQUIRED,
+    recursive: false,
+    offline: false,
+    allSequences: false,
+    json: false,
+    summary: false,
+    quiet: false,
+    verbose: false
+  };
+
+  const valueOf = (flag, index) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('-')) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return value;
+  };
+  const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-o': case '--out': options.out = valueOf(arg, i++); break;
+      case '-f': case '--format': options.formats = list(valueOf(arg, i++).toLowerCase()); break;
+      case '-t': case '--template': options.templateId = valueOf(arg, i++); break;
+      case '--project': options.project = valueOf(arg, i++); break;
+      case '--type': options.type = valueOf(arg, i++); break;
+      case '--sequence': options.sequence = valueOf(arg, i++); break;
+      case '--all-sequences': options.allSequences = true; break;
+      case '--rounding': options.rounding = valueOf(arg, i++); break;
+      case '--require': options.required = list(valueOf(arg, i++)); break;
+      case '--offline': options.offline = true; break;
+      case '--data-dir': options.dataDir = valueOf(arg, i++); break;
+      case '-r': case '--recursive': options.recursive = true; break;
+      case '--json': options.json = true; break;
+      case '--summary': options.summary = true; break;
+      case '-q': case '--quiet': options.quiet = true; break;
+      case '-v': case '--verbose': options.verbose = true; break;
+      case '-h': case '--help': options.help = true; break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+        options.inputs.push(arg);
+    }
+  }
+
+  const unknown = options.formats.filter(format => !FORMATS.includes(format));
+  if (unknown.length) throw new Error(`Unknown format ${unknown.join(', ')} (use ${FORMATS.join(', ')})`);
+  if (options.sequence && options.allSequences) throw new Error('Use either --sequence or --all-sequences');
+  if (options.rounding && !ROUNDING_RULES[options.rounding]) {
+    throw new Error(`Unknown rounding ${options.rounding} (use ${Object.keys(ROUNDING_RULES).join(', ')})`);
+  }
+  if (options.formats.includes('pdf') && !getElectronApp()) throw new Error('PDF export runs in Electron; start it with bin/auris-cue.js');
+  if (options.quiet && options.verbose) throw new Error('Use either --quiet or --verbose');
+  if (!options.help && options.inputs.length === 0) throw new Error('No project given');
+  return options;
+}
+
+// The app's userData folder: packaged builds use the product name, dev runs the package name
+function defaultDataDir() {
+  const pkg = require('../package.json');
+  const appData = getAppDataDir();
+  const candidates = [pkg.build?.productName, pkg.name].filter(Boolean).map(name => path.join(appData, name));
+  return candidates.find(dir => fs.existsSync(dir)) || candidates[0];
+}
+
+// Projects named on the command line; folders contribute their .prproj files
+function collectProjects(inputs, recursive) {
+  const projects = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        // Premiere's auto-saves are old copies of the same project
+        if (recursive && !/auto-save/i.test(entry.name)) walk(fullPath);
+      } else if (entry.name.toLowerCase().endsWith('.prproj')) {
+        projects.push(fullPath);
+      }
+    }
+  };
+
+  for (const input of inputs) {
+    const resolved = path.resolve(input);
+    if (!fs.existsSync(resolved)) throw new Error(`Not found: ${input}`);
+    if (fs.statSync(resolved).isDirectory()) walk(resolved);
+    else projects.push(resolved);
+  }
+  return [...new Set(projects)].sort();
+}
+
+function missingFields(cues, required) {
+  const missing = [];
+  cues.forEach((cue, index) => {
+    const fields = required.filter(field => !String(cue[field] ?? '').trim());
+    if (fields.length) missing.push({ number: index + 1, trackName: cue.trackName || '', fields });
+  });
+  return missing;
+}
+
+function safeName(value) {
+  return String(value || '').replace(/[^a-zA-Z0-9]/g, '');
+}
+
+// Project_SpotTitle_Type, like the app's exports; never overwrite a sheet written in this run
+function outputPath(dir, parts, format, written) {
+  const base = parts.map(safeName).filter(Boolean).join('_') || 'CueSheet';
+  let filePath = path.join(dir, `${base}.${format}`);
+  for (let n = 2; written.has(filePath); n++) {
+    filePath = path.join(dir, `${base}-${n}.${format}`);
+  }
+  written.add(filePath);
+  return filePath;
+}
+
+// Sequences to generate for one project: all, one, or the whole project
+async function resolveSequences(pipeline, projectPath, options) {
+  if (!options.sequence && !options.allSequences) return [null];
+  const listing = await pipeline.listSequences(projectPath);
+  if (options.allSequences) {
+    const withAudio = listing.result.filter(seq => seq.placementCount > 0);
+    return withAudio.length ? withAudio : [null];
+  }
+  const wanted = options.sequence.toLowerCase();
+  const sequence = listing.result.find(seq => String(seq.id) === options.sequence || seq.name.toLowerCase() === wanted);
+  if (!sequence) throw new Error(`No sequence "${options.sequence}" (has: ${listing.result.map(seq => seq.name).join(', ')})`);
+  return [sequence];
+}
+
+async function generate(options, out) {
+  const pipeline = require('./import-pipeline');
+  const { writeExportFile } = require('./cue-sheet-export');
+  const { formatTotal } = require('./totals');
+
+  if (!options.offline) {
+    try {
+      const { patternEngine } = require('./pattern-engine');
+      await patternEngine.initialize();
+    } catch (e) {
+      // Patterns are optional; the pipeline reports the step as skipped
+    }
+  }
+
+  const projects = collectProjects(options.inputs, options.recursive);
+  if (projects.length === 0) throw Object.assign(new Error('No .prproj files found'), { exitCode: EXIT_USAGE });
+
+  const report = { sheets: [], failures: [] };
+  const written = new Set();
+
+  for (const projectPath of projects) {
+    let sequences;
+    try {
+      sequences = await resolveSequences(pipeline, projectPath, options);
+    } catch (err) {
+      report.failures.push({ project: projectPath, error: err.message });
+      out.error(`✗ ${path.basename(projectPath)}: ${err.message}`);
+      continue;
+    }
+
+    for (const sequence of sequences) {
+      const label = sequence ? `${path.basename(projectPath)} › ${sequence.name}` : path.basename(projectPath);
+      try {
+        const result = await pipeline.runFullPipeline(projectPath, {
+          fps: 23.976,
+          rounding: options.rounding,
+          sequenceId: sequence?.id,
+          offline: options.offline
+        });
+        if (options.summary) out.log(pipeline.summarize(result));
+
+        const cues = pipeline.toCueSheetCues(result.result);
+        const projectInfo = {
+          project: options.project || '',
+          projectName: sequence ? sequence.name : result.projectName,
+          spotTitle: result.spotTitle || '',
+          type: options.type || '',
+          programLength: result.programSeconds ? formatTotal(result.programSeconds) : '',
+          filePath: projectPath,
+          exportTemplateId: options.templateId,
+          durationRounding: options.rounding,
+          ...(sequence && { sequenceId: sequence.id, sequenceName: sequence.name })
+        };
+
+        const dir = options.out ? path.resolve(options.out) : path.dirname(projectPath);
+        fs.mkdirSync(dir, { recursive: true });
+        const nameParts = [projectInfo.project, projectInfo.spotTitle || path.parse(projectPath).name, sequences.length > 1 ? sequence.name : '', projectInfo.type];
+        const files = [];
+        for (const format of options.formats) {
+          const filePath = outputPath(dir, nameParts, format, written);
+          await writeExportFile(filePath, cues, projectInfo, format);
+          files.push(filePath);
+        }
+
+        const missing = missingFields(cues, options.required);
+        report.sheets.push({
+          project: projectPath,
+          sequence: sequence?.name || null,
+          spotTitle: projectInfo.spotTitle,
+          cueCount: cues.length,
+          complete: cues.filter(cue => cue.status === 'complete').length,
+          files,
+          missing
+        });
+
+        out.log(`${missing.length ? '!' : '✓'} ${label}: ${cues.length} cues → ${files.map(file => path.basename(file)).join(', ')}`);
+        for (const cue of missing) {
+          out.log(`    ${String(cue.number).padStart(3)} ${cue.trackName || '(untitled)'} — missing ${cue.fields.join(', ')}`);
+        }
+      } catch (err) {
+        report.failures.push({ project: projectPath, sequence: sequence?.name || null, error: err.message });
+        out.error(`✗ ${label}: ${err.message}`);
+      }
+    }
+  }
+
+  return report;
+}
+
+// Without the SQLite module the track database falls back to a JSON store;
+// say so when the app's own database is sitting right there
+function warnIfDatabaseUnreadable(dataDir, options) {
+  if (options.quiet || !fs.existsSync(path.join(dataDir, 'track-cache.db'))) return;
+  if (!require('./track-database').sqliteAvailable) {
+    process.stderr.write('auris-cue: warning: better-sqlite3 is not built for this Node version, so the track database ' +
+      "can't be read and lookups only use the JSON fallback (npm rebuild better-sqlite3).\n");
+  }
+}
+
+function exitCodeFor(report) {
+  if (report.failures.length) return EXIT_FAILED;
+  if (report.sheets.some(sheet => sheet.missing.length)) return EXIT_INCOMPLETE;
+  return EXIT_OK;
+}
+
+async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`auris-cue: ${err.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  // Keep stdout for the results: the pipeline's progress logging is dropped,
+  // its warnings go to stderr unless --quiet
+  if (!options.verbose) {
+    console.log = console.info = console.debug = () => {};
+    console.warn = options.quiet ? () => {} : (...args) => process.stderr.write(`${args.join(' ')}\n`);
+  }
+  const out = {
+    log: (line) => { if (!options.json) process.stdout.write(`${line}\n`); },
+    error: (line) => { if (!options.json) process.stderr.write(`${line}\n`); }
+  };
+
+  const dataDir = path.resolve(options.dataDir || defaultDataDir());
+  setUserDataDir(dataDir);
+  warnIfDatabaseUnreadable(dataDir, options);
+
+  try {
+    const report = await generate(options, out);
+    const exitCode = exitCodeFor(report);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ ...report, exitCode }, null, 2)}\n`);
+    } else {
+      const incomplete = report.sheets.filter(sheet => sheet.missing.length).length;
+      out.log(`\n${report.sheets.length} cue sheet${report.sheets.length === 1 ? '' : 's'} written` +
+        (incomplete ? `, ${incomplete} missing ${options.required.join('/')}` : '') +
+        (report.failures.length ? `, ${report.failures.length} failed` : ''));
+    }
+    return exitCode;
+  } catch (err) {
+    process.stderr.write(`auris-cue: ${err.message}\n`);
+    return err.exitCode || EXIT_FAILED;
+  }
+}
+
+module.exports = { run, parseArgs, FORMATS };
+
+if (require.main === module) {
+  const app = getElectronApp();
+  if (app) {
+    // Electron quits when the last window closes; the PDF printer opens and closes one per sheet
+    app.on('window-all-closed', () => {});
+    app.dock?.hide();
+
+    app.whenReady()
+      .then(() => run(process.argv.slice(2)))
+      .then(code => app.exit(code));
+  } else {
+    // Exit once stdout has drained, even if a cloud client left a timer running
+    run(process.argv.slice(2)).then(code => process.stdout.write('', () => process.exit(code)));
+  }
+}
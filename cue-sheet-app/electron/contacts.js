@@ -1,153 +1,478 @@
 /**
- * Contact Database for Music Libraries
- * Built-in contacts and custom contact import functionality
+ * Contact Directory for Music Libraries
+ *
+ * One entry per library: its aliases and catalog prefixes (used to match a
+ * cue to the library), any number of contacts with a role (licensing, cue
+ * sheets, admin), email, phone and territory, and the "Master/Contact" block
+ * written on exports.
+ *
+ * Entries come from three layers, merged by id: the built-ins below, the
+ * team's shared directory (Supabase library_contacts, cached in userData for
+ * offline use) and local edits not yet synced. Saving an entry keeps it
+ * locally until the next sync pushes it to the team; the newest edit wins.
  */
 
-// Built-in contacts for common music libraries
-const BUILT_IN_CONTACTS = {
-  'BMG Production Music': {
-    name: 'BMG Production Music',
-    email: 'jourdan.stracuzzi-house@bmg.com',
-    formatted: 'BMG Production Music\nContact:\njourdan.stracuzzi-house@bmg.com'
-  },
-  'APM Music': {
-    name: 'APM Music',
-    email: 'licensing@apmmusic.com',
-    formatted: 'APM Music\nContact:\nlicensing@apmmusic.com'
-  },
-  'Extreme Music': {
-    name: 'Extreme Music',
-    email: 'licensing@extrememusic.com',
-    formatted: 'Extreme Music\nContact:\nlicensing@extrememusic.com'
-  },
-  'Universal Production Music': {
-    name: 'Universal Production Music',
-    email: 'info@universalproductionmusic.com',
-    formatted: 'Universal Production Music\nContact:\ninfo@universalproductionmusic.com'
-  },
-  'Musicbed': {
-    name: 'Musicbed',
-    email: 'licensing@musicbed.com',
-    formatted: 'Musicbed\nContact:\nlicensing@musicbed.com'
-  },
-  'Artlist': {
-    name: 'Artlist',
-    email: 'support@artlist.io',
-    formatted: 'Artlist\nContact:\nsupport@artlist.io'
-  },
-  'Epidemic Sound': {
-    name: 'Epidemic Sound',
-    email: 'licensing@epidemicsound.com',
-    formatted: 'Epidemic Sound\nContact:\nlicensing@epidemicsound.com'
-  },
-  'AudioJungle': {
-    name: 'AudioJungle',
-    email: 'support@audiojungle.net',
-    formatted: 'AudioJungle\nContact:\nsupport@audiojungle.net'
-  }
+const fs = require('fs');
+const path = require('path');
+const { getUserDataDir } = require('./app-paths');
+const { readGrid } = require('./cue-sheet-import');
+
+const USER_FILE = 'contacts.json';
+const CLOUD_CACHE_FILE = 'contacts-cloud.json';
+
+const CONTACT_ROLES = {
+  licensing: 'Licensing',
+  cuesheets: 'Cue Sheets',
+  admin: 'Admin'
 };
 
-// User's custom contacts (loaded from file)
-let customContacts = {};
+function builtIn(id, name, email, { aliases = [], catalogPrefixes = [] } = {}) {
+  return {
+    id,
+    name,
+    aliases,
+    catalogPrefixes,
+    masterContact: '',
+    notes: '',
+    contacts: [{ role: 'licensing', name: '', email, phone: '', territory: '' }]
+  };
+}
 
-// Combined contacts
-function getAllContacts() {
-  return { ...BUILT_IN_CONTACTS, ...customContacts };
-}
-
-// Find contact by library name or publisher
-function findContact(libraryName) {
-  if (!libraryName) return null;
-  
-  const contacts = getAllContacts();
-  const normalizedSearch = libraryName.toLowerCase().trim();
-  
-  // Direct match
-  for (const [key, contact] of Object.entries(contacts)) {
-    if (key.toLowerCase() === normalizedSearch) {
-      return contact;
-    }
+// Built-in libraries (always available, works offline)
+const BUILT_IN_LIBRARIES = [
+  builtIn('bmg-production-music', 'BMG Production Music', 'jourdan.stracuzzi-house@bmg.com', { aliases: ['BMG', 'BMGPM'], catalogPrefixes: ['BMGPM', 'IATS'] }),
+  builtIn('apm-music', 'APM Music', 'licensing@apmmusic.com', { aliases: ['APM'] }),
+  builtIn('extreme-music', 'Extreme Music', 'licensing@extrememusic.com', { catalogPrefixes: ['XCD'] }),
+  builtIn('universal-production-music', 'Universal Production Music', 'info@universalproductionmusic.com', { aliases: ['UPM'] }),
+  builtIn('musicbed', 'Musicbed', 'licensing@musicbed.com'),
+  builtIn('artlist', 'Artlist', 'support@artlist.io'),
+  builtIn('epidemic-sound', 'Epidemic Sound', 'licensing@epidemicsound.com', { aliases: ['Epidemic'] }),
+  builtIn('audiojungle', 'AudioJungle', 'support@audiojungle.net', { aliases: ['Envato'] })
+];
+
+// CSV columns, one row per contact (library fields repeat on each row)
+const CSV_COLUMNS = [
+  { key: 'library', header: 'Library' },
+  { key: 'aliases', header: 'Aliases' },
+  { key: 'catalogPrefixes', header: 'Catalog Prefixes' },
+  { key: 'masterContact', header: 'Master/Contact' },
+  { key: 'notes', header: 'Notes' },
+  { key: 'role', header: 'Role' },
+  { key: 'contactName', header: 'Contact Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'territory', header: 'Territory' }
+];
+
+// Heading aliases accepted on import (older sheets had "Library Name, Contact Email")
+const CSV_HEADER_ALIASES = {
+  library: ['library', 'library name', 'name', 'label'],
+  aliases: ['aliases', 'alias', 'also known as'],
+  catalogPrefixes: ['catalog prefixes', 'catalog prefix', 'prefixes'],
+  masterContact: ['master contact', 'master', 'contact block'],
+  notes: ['notes'],
+  role: ['role'],
+  contactName: ['contact name', 'contact'],
+  email: ['email', 'contact email', 'e mail'],
+  phone: ['phone', 'telephone', 'tel'],
+  territory: ['territory', 'region']
+};
+
+let directory = null; // [entry] merged from all layers
+
+function getUserFilePath() {
+  const dir = getUserDataDir();
+  return dir ? path.join(dir, USER_FILE) : null;
+}
+
+function getCloudCachePath() {
+  const dir = getUserDataDir();
+  return dir ? path.join(dir, CLOUD_CACHE_FILE) : null;
+}
+
+function readDirectoryFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { libraries: [], deleted: [] };
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return {
+      libraries: Array.isArray(data.libraries) ? data.libraries : [],
+      deleted: Array.isArray(data.deleted) ? data.deleted : []
+    };
+  } catch (err) {
+    console.warn(`[Contacts] Could not read ${filePath}:`, err.message);
+    return { libraries: [], deleted: [] };
   }
-  
-  // Partial match
-  for (const [key, contact] of Object.entries(contacts)) {
-    if (key.toLowerCase().includes(normalizedSearch) || 
-        normalizedSearch.includes(key.toLowerCase())) {
-      return contact;
+}
+
+function writeUserFile(data) {
+  const filePath = getUserFilePath();
+  if (!filePath) throw new Error('Contacts can only be saved from the app');
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, ...data }, null, 2));
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value || '').split(/[;,\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Entry with every field present and trimmed; throws when it can't be saved
+function normalizeLibrary(entry) {
+  const name = String(entry?.name || '').trim();
+  if (!name) throw new Error('Library name is required');
+  const contacts = (entry.contacts || [])
+    .map(contact => ({
+      role: CONTACT_ROLES[contact.role] ? contact.role : 'licensing',
+      name: String(contact.name || '').trim(),
+      email: String(contact.email || '').trim(),
+      phone: String(contact.phone || '').trim(),
+      territory: String(contact.territory || '').trim()
+    }))
+    .filter(contact => contact.name || contact.email || contact.phone);
+  return {
+    id: entry.id || slugify(name),
+    name,
+    aliases: toList(entry.aliases),
+    catalogPrefixes: toList(entry.catalogPrefixes).map(prefix => prefix.toUpperCase()),
+    masterContact: String(entry.masterContact || '').trim(),
+    notes: String(entry.notes || '').trim(),
+    contacts,
+    updatedAt: entry.updatedAt || null
+  };
+}
+
+// Built-in, then cloud, then local edits; same id replaces, local deletions hide
+function loadDirectory() {
+  if (directory) return directory;
+  const cloud = readDirectoryFile(getCloudCachePath());
+  const user = readDirectoryFile(getUserFilePath());
+  const merged = [];
+  for (const { origin, libraries } of [
+    { origin: 'builtIn', libraries: BUILT_IN_LIBRARIES },
+    { origin: 'cloud', libraries: cloud.libraries },
+    { origin: 'user', libraries: user.libraries }
+  ]) {
+    for (const library of libraries) {
+      // A shared entry deleted locally is hidden until the deletion syncs
+      if (origin === 'cloud' && user.deleted.includes(library.id)) continue;
+      let entry;
+      try {
+        entry = { ...normalizeLibrary(library), origin };
+      } catch (err) {
+        console.warn(`[Contacts] Skipping ${origin} entry:`, err.message);
+        continue;
+      }
+      const index = merged.findIndex(existing => existing.id === entry.id);
+      if (index >= 0) merged[index] = { ...entry, overrides: merged[index].origin };
+      else merged.push(entry);
     }
   }
-  
-  // Check if it contains "BMG" anywhere
-  if (normalizedSearch.includes('bmg')) {
-    return BUILT_IN_CONTACTS['BMG Production Music'];
+  directory = merged.sort((a, b) => a.name.localeCompare(b.name));
+  return directory;
+}
+
+// Forget the loaded directory so the next lookup reads the files again
+function reloadDirectory() {
+  directory = null;
+  return loadDirectory();
+}
+
+// ============================================
+// Lookup
+// ============================================
+
+// First contact with the role, else the first contact with an email
+function contactForRole(library, role = 'licensing') {
+  const contacts = library?.contacts || [];
+  return contacts.find(contact => contact.role === role && contact.email) ||
+    contacts.find(contact => contact.email) ||
+    contacts[0] ||
+    null;
+}
+
+// The Master/Contact block written on exports
+function formatMasterContact(library) {
+  if (library.masterContact) return library.masterContact;
+  const email = contactForRole(library)?.email;
+  return email ? `${library.name}\nContact:\n${email}` : library.name;
+}
+
+// Directory entry with the licensing email and Master/Contact block filled in
+function asContact(library) {
+  return {
+    ...library,
+    email: contactForRole(library)?.email || '',
+    formatted: formatMasterContact(library)
+  };
+}
+
+/**
+ * Find a library by name, alias or catalog code
+ * @param {string} libraryName - Library, label, publisher or source text
+ * @param {Object} options - { catalogCode } matched against catalog prefixes
+ * @returns {Object|null} Directory entry plus { email, formatted }
+ */
+function findContact(libraryName, options = {}) {
+  const libraries = loadDirectory();
+  const search = String(libraryName || '').toLowerCase().trim();
+  const names = (library) => [library.name, ...library.aliases].map(name => name.toLowerCase());
+
+  if (search) {
+    const exact = libraries.find(library => names(library).includes(search));
+    if (exact) return asContact(exact);
+  }
+
+  const catalogCode = String(options.catalogCode || '').toUpperCase().trim();
+  if (catalogCode) {
+    const byPrefix = libraries.find(library => library.catalogPrefixes.some(prefix => catalogCode.startsWith(prefix)));
+    if (byPrefix) return asContact(byPrefix);
   }
-  
+
+  // Partial match on names and aliases of three or more characters
+  if (search.length >= 3) {
+    const partial = libraries.find(library => names(library).some(name =>
+      name.length >= 3 && (search.includes(name) || name.includes(search))
+    ));
+    if (partial) return asContact(partial);
+  }
+
   return null;
 }
 
-// Import contacts from Excel/CSV file
+// Every library keyed by name, as { name, email, formatted, ... }
+function getAllContacts() {
+  return Object.fromEntries(loadDirectory().map(library => [library.name, asContact(library)]));
+}
+
+// Get list of all contact names
+function getContactNames() {
+  return loadDirectory().map(library => library.name);
+}
+
+// ============================================
+// Editing
+// ============================================
+
+/**
+ * Every library in the directory
+ * @returns {Array} entries with origin ('builtIn' | 'cloud' | 'user'), overrides and pending (not yet synced)
+ */
+function listLibraries() {
+  return loadDirectory().map(library => ({ ...library, pending: library.origin === 'user' }));
+}
+
+// Save an edit locally; it reaches the team on the next sync
+function saveLibrary(entry) {
+  const { origin, overrides, pending, email, formatted, ...clean } = entry || {};
+  const library = { ...normalizeLibrary(clean), updatedAt: new Date().toISOString() };
+  const data = readDirectoryFile(getUserFilePath());
+  const index = data.libraries.findIndex(existing => existing.id === library.id);
+  if (index >= 0) data.libraries[index] = library;
+  else data.libraries.push(library);
+  writeUserFile({ ...data, deleted: data.deleted.filter(id => id !== library.id) });
+  reloadDirectory();
+  return library;
+}
+
+/**
+ * Delete a library. An unsynced edit is dropped (the shared entry comes back);
+ * a shared entry is deleted for the team on the next sync. Built-ins stay.
+ */
+function deleteLibrary(id) {
+  const data = readDirectoryFile(getUserFilePath());
+  const libraries = data.libraries.filter(library => library.id !== id);
+  if (libraries.length !== data.libraries.length) {
+    writeUserFile({ ...data, libraries });
+  } else if (readDirectoryFile(getCloudCachePath()).libraries.some(library => library.id === id)) {
+    writeUserFile({ ...data, deleted: [...new Set([...data.deleted, id])] });
+  } else {
+    throw new Error('Built-in libraries can be edited but not deleted');
+  }
+  reloadDirectory();
+}
+
+function hasPendingChanges() {
+  const data = readDirectoryFile(getUserFilePath());
+  return data.libraries.length > 0 || data.deleted.length > 0;
+}
+
+// ============================================
+// Cloud sync
+// ============================================
+
+/**
+ * Push local edits and deletions to Supabase, then cache the shared directory
+ * @param {Object} client - Supabase client
+ * @returns {Promise<Object>} { pushed, skipped, deleted, pulled } - skipped edits were older than the team's
+ */
+async function syncContacts(client) {
+  if (!client) throw new Error('Cloud sync is not configured');
+  const data = readDirectoryFile(getUserFilePath());
+
+  // A teammate's later edit wins over an older local one
+  const { data: current, error: fetchError } = await client.from('library_contacts').select('id, updated_at');
+  if (fetchError) throw new Error(fetchError.message);
+  const cloudUpdated = new Map((current || []).map(row => [row.id, row.updated_at]));
+  const outgoing = data.libraries.filter(library =>
+    !cloudUpdated.get(library.id) || !library.updatedAt || new Date(library.updatedAt) >= new Date(cloudUpdated.get(library.id))
+  );
+
+  if (outgoing.length > 0) {
+    const rows = outgoing.map(library => ({
+      id: library.id,
+      name: library.name,
+      entry: library,
+      updated_at: library.updatedAt || new Date().toISOString()
+    }));
+    const { error } = await client.from('library_contacts').upsert(rows, { onConflict: 'id' });
+    if (error) throw new Error(error.message);
+  }
+  if (data.deleted.length > 0) {
+    const { error } = await client.from('library_contacts').delete().in('id', data.deleted);
+    if (error) throw new Error(error.message);
+  }
+
+  const { data: rows, error } = await client.from('library_contacts').select('id, entry, updated_at');
+  if (error) throw new Error(error.message);
+
+  const cachePath = getCloudCachePath();
+  if (cachePath) {
+    const libraries = (rows || [])
+      .filter(row => row.entry)
+      .map(row => ({ ...row.entry, id: row.id, updatedAt: row.updated_at }));
+    fs.writeFileSync(cachePath, JSON.stringify({ version: 1, libraries }, null, 2));
+  }
+  // Everything local is now in the shared directory
+  if (getUserFilePath()) writeUserFile({ libraries: [], deleted: [] });
+  reloadDirectory();
+
+  return { pushed: outgoing.length, skipped: data.libraries.length - outgoing.length, deleted: data.deleted.length, pulled: (rows || []).length };
+}
+
+// ============================================
+// CSV import/export
+// ============================================
+
+function csvValue(value) {
+  const text = String(value ?? '').replace(/\r\n?/g, '\n');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The whole directory as CSV, one row per contact
+function exportContactsCsv() {
+  const rows = [CSV_COLUMNS.map(column => column.header)];
+  for (const library of loadDirectory()) {
+    const contacts = library.contacts.length > 0 ? library.contacts : [{}];
+    for (const contact of contacts) {
+      const values = {
+        library: library.name,
+        aliases: library.aliases.join('; '),
+        catalogPrefixes: library.catalogPrefixes.join('; '),
+        masterContact: library.masterContact,
+        notes: library.notes,
+        role: contact.role || '',
+        contactName: contact.name || '',
+        email: contact.email || '',
+        phone: contact.phone || '',
+        territory: contact.territory || ''
+      };
+      rows.push(CSV_COLUMNS.map(column => values[column.key]));
+    }
+  }
+  return `\uFEFF${rows.map(cells => cells.map(csvValue).join(',')).join('\r\n')}\r\n`;
+}
+
+// Role from a cell: a role key, its label, or close enough ("Cue sheet", "Licensing Manager")
+function parseRole(text) {
+  const normalized = String(text || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!normalized) return 'licensing';
+  if (normalized.includes('cue')) return 'cuesheets';
+  if (normalized.includes('admin')) return 'admin';
+  return 'licensing';
+}
+
+/**
+ * Import contacts from CSV/XLSX: the CSV_COLUMNS layout, or the older
+ * two-column "Library Name, Contact Email" sheet. Rows for the same library
+ * merge into one entry, and into an existing entry with that name.
+ */
 async function importContactsFromFile(filePath) {
-  const ExcelJS = require('exceljs');
-  const workbook = new ExcelJS.Workbook();
-  
-  const ext = filePath.toLowerCase().split('.').pop();
-  
   try {
-    if (ext === 'xlsx' || ext === 'xls') {
-      await workbook.xlsx.readFile(filePath);
-    } else if (ext === 'csv') {
-      await workbook.csv.readFile(filePath);
-    } else {
-      throw new Error('Unsupported file format. Use .xlsx, .xls, or .csv');
+    const grid = (await readGrid(filePath)).filter(row => row.some(cell => cell));
+    if (grid.length < 2) throw new Error('No contacts found in the file');
+
+    const headers = grid[0].map(cell => String(cell).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim());
+    const columnFor = {};
+    for (const [key, aliases] of Object.entries(CSV_HEADER_ALIASES)) {
+      const index = headers.findIndex(header => aliases.includes(header));
+      if (index >= 0) columnFor[key] = index;
     }
-    
-    const sheet = workbook.worksheets[0];
-    const imported = {};
-    
-    // Expect columns: Library Name, Contact Email (at minimum)
-    sheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return; // Skip header
-      
-      const name = row.getCell(1).value?.toString().trim();
-      const email = row.getCell(2).value?.toString().trim();
-      
-      if (name && email) {
-        imported[name] = {
+    if (columnFor.library === undefined) columnFor.library = 0;
+    if (columnFor.email === undefined && columnFor.contactName === undefined) columnFor.email = 1;
+
+    const existing = loadDirectory();
+    const imported = new Map();
+    for (const row of grid.slice(1)) {
+      const cell = (key) => (columnFor[key] === undefined ? '' : String(row[columnFor[key]] || '').trim());
+      const name = cell('library');
+      if (!name) continue;
+
+      const key = name.toLowerCase();
+      if (!imported.has(key)) {
+        const current = existing.find(library => library.name.toLowerCase() === key);
+        imported.set(key, {
+          id: current?.id,
           name,
-          email,
-          formatted: `${name}\nContact:\n${email}`
-        };
+          aliases: cell('aliases') || current?.aliases || [],
+          catalogPrefixes: cell('catalogPrefixes') || current?.catalogPrefixes || [],
+          masterContact: cell('masterContact') || current?.masterContact || '',
+          notes: cell('notes') || current?.notes || '',
+          contacts: []
+        });
       }
+      imported.get(key).contacts.push({
+        role: parseRole(cell('role')),
+        name: cell('contactName'),
+        email: cell('email'),
+        phone: cell('phone'),
+        territory: cell('territory')
+      });
+    }
+
+    // Rows that match the directory already (a re-imported export) are left alone
+    const sameAs = (library, current) => {
+      const { updatedAt: a, ...incoming } = normalizeLibrary({ ...library, id: current.id });
+      const { updatedAt: b, ...known } = normalizeLibrary(current);
+      return JSON.stringify(incoming) === JSON.stringify(known);
+    };
+    const changed = [...imported.values()].filter(library => {
+      const current = library.id && existing.find(entry => entry.id === library.id);
+      return !current || !sameAs(library, current);
     });
-    
-    customContacts = { ...customContacts, ...imported };
-    return { success: true, count: Object.keys(imported).length };
+    changed.forEach(saveLibrary);
+    return { success: true, count: changed.length };
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 
-// Export custom contacts for saving
-function getCustomContacts() {
-  return customContacts;
-}
-
-// Set custom contacts (for loading from saved state)
-function setCustomContacts(contacts) {
-  customContacts = contacts || {};
-}
-
-// Get list of all contact names
-function getContactNames() {
-  return Object.keys(getAllContacts());
-}
-
 module.exports = {
-  BUILT_IN_CONTACTS,
+  BUILT_IN_LIBRARIES,
+  CONTACT_ROLES,
   getAllContacts,
   findContact,
-  importContactsFromFile,
-  getCustomContacts,
-  setCustomContacts,
-  getContactNames
+  contactForRole,
+  formatMasterContact,
+  getContactNames,
+  listLibraries,
+  saveLibrary,
+  deleteLibrary,
+  hasPendingChanges,
+  syncContacts,
+  reloadDirectory,
+  exportContactsCsv,
+  importContactsFromFile
 };
@@ -0,0 +1,102 @@
+/**
+ * Cue Sheet Export - Write a cue sheet to disk in any export format
+ *
+ * XLSX, PDF, CSV/TSV are rendered from the cue sheet's export template
+ * (export-templates.js); JSON is the raw cues and project info. Shared by the
+ * app's export/share handlers and the auris-cue command line.
+ */
+
+const fs = require('fs');
+const exportTemplates = require('./export-templates');
+
+const EXPORT_FILE_FORMATS = ['xlsx', 'pdf', 'csv', 'tsv', 'json'];
+
+// Write a cue sheet in any export format
+async function writeExportFile(filePath, cues, projectInfo, format) {
+  if (format === 'xlsx') {
+    await exportToExcel(filePath, cues, projectInfo);
+  } else if (format === 'pdf') {
+    await exportToPDF(filePath, cues, projectInfo);
+  } else if (format === 'csv' || format === 'tsv') {
+    exportToDelimited(filePath, cues, projectInfo, format);
+  } else if (format === 'json') {
+    fs.writeFileSync(filePath, JSON.stringify({ projectInfo, cues }, null, 2), 'utf-8');
+  } else {
+    throw new Error(`Unknown export format "${format}" (use ${EXPORT_FILE_FORMATS.join(', ')})`);
+  }
+}
+
+// Export cues as CSV/TSV with the same columns as the Excel output
+// projectInfo.delimitedExport holds the BOM/delimiter/quoting choices
+function exportToDelimited(filePath, cues, projectInfo, format = 'csv') {
+  const template = exportTemplates.getTemplate(projectInfo.exportTemplateId);
+  const layout = exportTemplates.buildLayout(template, cues, projectInfo);
+  const options = { ...(projectInfo.delimitedExport || {}) };
+  if (format === 'tsv') options.delimiter = '\t';
+  fs.writeFileSync(filePath, exportTemplates.renderDelimited(layout, options), 'utf-8');
+}
+
+// Export cues to Excel using the cue sheet's export template
+async function exportToExcel(filePath, cues, projectInfo) {
+  const template = exportTemplates.getTemplate(projectInfo.exportTemplateId);
+  const layout = exportTemplates.buildLayout(template, cues, projectInfo);
+  await exportTemplates.writeXlsx(filePath, template, layout);
+}
+
+// Export cue sheet to PDF
+async function exportToPDF(filePath, cues, projectInfo) {
+  await printHtmlToPDF(filePath, generateCueSheetHTML(cues, projectInfo));
+}
+
+// Render HTML in a hidden window and print it to a landscape Letter PDF
+async function printHtmlToPDF(filePath, htmlContent) {
+  const { BrowserWindow } = require('electron');
+  const pdfWindow = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true
+    }
+  });
+
+  // Close the window even when loading or printing fails
+  try {
+    // Load the HTML content
+    await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(htmlContent)}`);
+
+    // Wait for content to render
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    // Generate PDF
+    const pdfData = await pdfWindow.webContents.printToPDF({
+      pageSize: 'Letter',
+      landscape: true,
+      printBackground: true,
+      margins: {
+        top: 0.4,
+        bottom: 0.4,
+        left: 0.4,
+        right: 0.4
+      }
+    });
+
+    // Write to file
+    fs.writeFileSync(filePath, pdfData);
+  } finally {
+    pdfWindow.close();
+  }
+}
+
+// Generate HTML for PDF export (same template layout as the XLSX)
+function generateCueSheetHTML(cues, projectInfo) {
+  const template = exportTemplates.getTemplate(projectInfo.exportTemplateId);
+  return exportTemplates.renderHtml(exportTemplates.buildLayout(template, cues, projectInfo));
+}
+
+module.exports = {
+  writeExportFile,
+  printHtmlToPDF,
+  generateCueSheetHTML
+};
@@ -0,0 +1,340 @@
+/**
+ * Cue Sheet Import - Read delivered or vendor cue sheets back into cues
+ *
+ * Reads XLSX and CSV/TSV cue sheets (our own export layout or anyone else's):
+ * finds the column heading row, maps headings to cue fields, reads the
+ * Project / Spot Title / Type / Date block above it and turns the rows below
+ * into cues. The detected mapping is returned for the user to confirm or
+ * correct before the cues are built.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseDelimited } = require('./timeline-importers');
+const { formatDate, CUE_FIELDS } = require('./export-templates');
+const { TOTALS_HEADING } = require('./totals');
+
+const CUE_SHEET_EXTENSIONS = ['xlsx', 'csv', 'tsv', 'txt'];
+
+// How far down the sheet to look for the column headings
+const HEADER_SEARCH_ROWS = 40;
+
+// Column heading aliases per cue field (lowercased, punctuation stripped)
+// A heading also matches when it starts with an alias ("Cue Length (min:sec;frames)")
+const COLUMN_ALIASES = {
+  trackName: ['track name', 'track title', 'title', 'cue title', 'cue name', 'song title', 'composition title', 'work title', 'title of music', 'music title'],
+  duration: ['cue length', 'duration', 'length', 'timing', 'time', 'dur'],
+  tcIn: ['tc in', 'timecode in', 'start tc', 'in'],
+  tcOut: ['tc out', 'timecode out', 'end tc', 'out'],
+  artist: ['artist', 'performer', 'artist performer'],
+  source: ['source', 'album', 'album title', 'cd', 'cd title'],
+  trackNumber: ['track', 'track number', 'track no', 'trk'],
+  composer: ['composer', 'composers', 'composer s', 'writer', 'writers', 'writer s', 'composers writers', 'composer writer'],
+  publisher: ['publisher', 'publishers', 'publisher s', 'publishing'],
+  label: ['master record label music library', 'master', 'label', 'record label', 'library', 'music library', 'master owner', 'label library'],
+  masterContact: ['contact', 'master contact', 'email'],
+  use: ['use', 'usage', 'use type', 'type of use', 'how used'],
+  catalogCode: ['catalog', 'catalog code', 'catalog number', 'catalogue number', 'cat', 'cat no'],
+  isrc: ['isrc'],
+  notes: ['notes', 'comments']
+};
+
+// Fields offered in the mapping step, in column order
+const IMPORT_FIELDS = Object.keys(COLUMN_ALIASES).map(field => ({
+  field,
+  label: field === 'catalogCode' ? 'Catalog Code' : CUE_FIELDS[field] || field
+}));
+
+// Labels of the project block above the headings
+const PROJECT_LABELS = {
+  'project': 'project',
+  'project title': 'project',
+  'show': 'project',
+  'series': 'project',
+  'program': 'project',
+  'production': 'project',
+  'spot title': 'spotTitle',
+  'spot': 'spotTitle',
+  'episode title': 'spotTitle',
+  'type': 'type',
+  'format': 'type',
+  'date prepared': 'datePrepared',
+  'date': 'datePrepared'
+};
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Cell value as display text (rich text, formulas, hyperlinks and dates included)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    // Time-only cells (cue lengths typed as 0:10) come back as 30 Dec 1899
+    if (value.getUTCFullYear() < 1901) {
+      const seconds = value.getUTCHours() * 3600 + value.getUTCMinutes() * 60 + value.getUTCSeconds();
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    return formatDate(value);
+  }
+  if (typeof value !== 'object') return String(value).trim();
+  if (value.richText) return value.richText.map(part => part.text).join('').trim();
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+}
+
+/**
+ * Read the first sheet of a cue sheet file as rows of strings
+ */
+async function readGrid(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  if (!CUE_SHEET_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported cue sheet format: .${ext} (use .xlsx or .csv)`);
+  }
+
+  if (ext !== 'xlsx') {
+    const text = fs.readFileSync(filePath, 'utf8');
+    // Keep blank rows so row numbers match what the user sees in a spreadsheet
+    return parseDelimited(text, ext === 'tsv' ? '\t' : null, { keepEmptyRows: true });
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new Error('Workbook has no sheets');
+
+  const grid = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      cells.push(cellText(row.getCell(col).value));
+    }
+    grid.push(cells);
+  });
+  return grid;
+}
+
+// Cue field for a column heading, or null
+function fieldForHeader(header) {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return null;
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    if (aliases.includes(normalized)) return field;
+  }
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    if (aliases.some(alias => alias.length > 3 && normalized.startsWith(`${alias} `))) return field;
+  }
+  return null;
+}
+
+// Column index -> field for a heading row (first column wins for each field)
+function mapHeaderRow(cells) {
+  const mapping = {};
+  const used = new Set();
+  cells.forEach((cell, index) => {
+    const field = fieldForHeader(cell);
+    if (field && !used.has(field)) {
+      mapping[index] = field;
+      used.add(field);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Find the column heading row: the row within the first rows of the sheet
+ * that maps the most fields, as long as it has a track name column
+ * @returns {Object|null} { index, mapping }
+ */
+function detectHeaderRow(grid) {
+  let best = null;
+  grid.slice(0, HEADER_SEARCH_ROWS).forEach((cells, index) => {
+    const mapping = mapHeaderRow(cells);
+    const fields = Object.values(mapping);
+    if (!fields.includes('trackName') || fields.length < 2) return;
+    if (!best || fields.length > Object.keys(best.mapping).length) {
+      best = { index, mapping };
+    }
+  });
+  return best;
+}
+
+/**
+ * Read "Project:" / "Spot Title:" / "Type:" / "DATE PREPARED:" values from the
+ * rows above the headings (the value is the next non-empty cell to the right)
+ */
+function readProjectInfo(grid, headerRowIndex) {
+  const info = {};
+  for (const cells of grid.slice(0, Math.max(0, headerRowIndex))) {
+    cells.forEach((cell, index) => {
+      const key = PROJECT_LABELS[normalizeHeader(cell)];
+      if (!key || info[key] || !/:\s*$/.test(cell)) return;
+      const value = cells.slice(index + 1).find(Boolean);
+      if (value) info[key] = value;
+    });
+  }
+  return info;
+}
+
+function durationParts(text) {
+  const parts = String(text || '').trim().split(/[:;.]/).map(part => parseInt(part, 10));
+  return parts.some(Number.isNaN) ? null : parts;
+}
+
+// How a column's three-part lengths read: 'hms' (H:MM:SS) or 'frames' (M:SS:FF).
+// The heading decides when it says so ("Duration (hh:mm:ss)", "Length M:SS:FF");
+// otherwise a last part of 30 or more can't be a frame count at 24/25/30 fps.
+function durationLayout(header, values) {
+  const heading = String(header || '').toLowerCase();
+  if (/h{1,2}\s*:\s*mm\s*:\s*ss/.test(heading)) return 'hms';
+  if (/:\s*ff\b|frames?/.test(heading)) return 'frames';
+  const threePart = values.map(durationParts).filter(parts => parts && parts.length === 3);
+  return threePart.some(parts => parts[2] >= 30) ? 'hms' : 'frames';
+}
+
+// "0:10", "0:10:12", "0:10;12", "00:00:10:12" or plain seconds -> seconds
+// layout says how three-part values read (see durationLayout)
+function parseDurationSeconds(text, layout = 'frames') {
+  const value = String(text || '').trim();
+  if (/^\d+(\.\d+)?$/.test(value)) return Math.round(parseFloat(value));
+  const parts = durationParts(value);
+  if (!parts) return null;
+  if (parts.length === 2) return parts[0] * 60 + parts[1];
+  if (parts.length === 3) return layout === 'hms' ? parts[0] * 3600 + parts[1] * 60 + parts[2] : parts[0] * 60 + parts[1];
+  if (parts.length === 4) return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  return null;
+}
+
+function formatSeconds(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Rows under the headings, up to the totals block our own exports end the cues with
+function rowsBelowHeader(grid, headerRowIndex) {
+  const rows = grid.slice(headerRowIndex + 1);
+  const totalsIndex = rows.findIndex(cells => cells.some(cell => String(cell || '').trim().toUpperCase() === TOTALS_HEADING));
+  return totalsIndex === -1 ? rows : rows.slice(0, totalsIndex);
+}
+
+/**
+ * Turn the rows below the headings into cues
+ * @param {Array} grid - Rows of strings
+ * @param {number} headerRowIndex - Index of the heading row
+ * @param {Object} mapping - Column index -> cue field
+ * @returns {Array} Cues (rows without a track name are skipped)
+ */
+function buildCuesFromGrid(grid, headerRowIndex, mapping) {
+  const columns = Object.entries(mapping)
+    .filter(([, field]) => field)
+    .map(([index, field]) => ({ index: parseInt(index, 10), field }));
+  const cues = [];
+  const rows = rowsBelowHeader(grid, headerRowIndex);
+  const durationColumn = columns.find(column => column.field === 'duration');
+  const layout = durationColumn
+    ? durationLayout(grid[headerRowIndex]?.[durationColumn.index], rows.map(cells => cells[durationColumn.index]))
+    : 'frames';
+
+  for (const cells of rows) {
+    const row = {};
+    for (const { index, field } of columns) {
+      const value = (cells[index] || '').trim();
+      if (value) row[field] = value;
+    }
+    if (!row.trackName) continue;
+    // Multi-page sheets repeat the headings
+    if (fieldForHeader(row.trackName) === 'trackName') continue;
+
+    // Our own Master column holds "Library\nContact:\nemail"
+    let label = row.label || '';
+    let masterContact = row.masterContact || '';
+    if (/\nContact:/i.test(label)) {
+      masterContact = masterContact || label;
+      label = label.split('\n')[0].trim();
+    }
+
+    const seconds = parseDurationSeconds(row.duration, layout);
+    const cue = {
+      id: `import-${cues.length + 1}`,
+      trackName: row.trackName,
+      trackNameSource: 'cue_sheet_import',
+      duration: seconds !== null ? formatSeconds(seconds) : (row.duration || ''),
+      durationSource: 'cue_sheet_import',
+      durationSeconds: seconds || 0,
+      artist: row.artist || '',
+      source: row.source || '',
+      trackNumber: row.trackNumber || 'N/A',
+      composer: row.composer || '',
+      publisher: row.publisher || '',
+      label,
+      masterContact,
+      use: (row.use || 'BI').toUpperCase(),
+      catalogCode: row.catalogCode || '',
+      status: row.composer && row.publisher ? 'complete' : 'pending'
+    };
+    for (const field of ['tcIn', 'tcOut', 'isrc', 'notes']) {
+      if (row[field]) cue[field] = row[field];
+    }
+    for (const field of ['artist', 'source', 'composer', 'publisher', 'label']) {
+      if (cue[field]) cue[`${field}Source`] = 'cue_sheet_import';
+    }
+    cues.push(cue);
+  }
+
+  return cues;
+}
+
+/**
+ * Read a cue sheet and detect its layout, for the mapping step
+ * @param {string} filePath - .xlsx/.csv/.tsv file
+ * @param {Object} options - headerRowIndex to use instead of the detected row
+ * @returns {Promise<Object>} { fileName, headerRowIndex, columns, mapping, projectInfo, previewRows, rowCount }
+ */
+async function previewCueSheet(filePath, options = {}) {
+  const grid = await readGrid(filePath);
+  if (grid.length === 0) throw new Error('The file is empty');
+
+  const override = Number.isInteger(options.headerRowIndex) && options.headerRowIndex >= 0 && options.headerRowIndex < grid.length;
+  const detected = override
+    ? { index: options.headerRowIndex, mapping: mapHeaderRow(grid[options.headerRowIndex]) }
+    : detectHeaderRow(grid);
+  const headerRowIndex = detected ? detected.index : 0;
+  const mapping = detected ? detected.mapping : {};
+  const headings = grid[headerRowIndex] || [];
+  const width = Math.max(...grid.map(cells => cells.length));
+
+  const dataRows = rowsBelowHeader(grid, headerRowIndex).filter(cells => cells.some(Boolean));
+
+  return {
+    fileName: path.basename(filePath, path.extname(filePath)),
+    headerDetected: !!detected,
+    headerRowIndex,
+    columns: Array.from({ length: width }, (_, index) => ({ index, header: headings[index] || '' })),
+    mapping,
+    projectInfo: readProjectInfo(grid, headerRowIndex),
+    previewRows: dataRows.slice(0, 8),
+    rowCount: dataRows.length,
+    fields: IMPORT_FIELDS
+  };
+}
+
+/**
+ * Read a cue sheet with a confirmed mapping
+ * @returns {Promise<Array>} Cues
+ */
+async function importCueSheet(filePath, { headerRowIndex, mapping }) {
+  const grid = await readGrid(filePath);
+  return buildCuesFromGrid(grid, headerRowIndex, mapping);
+}
+
+module.exports = {
+  previewCueSheet,
+  importCueSheet,
+  readGrid,
+  detectHeaderRow,
+  readProjectInfo,
+  buildCuesFromGrid,
+  CUE_SHEET_EXTENSIONS,
+  IMPORT_FIELDS
+};
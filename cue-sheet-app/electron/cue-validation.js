@@ -0,0 +1,294 @@
+/**
+ * Cue Validation - Completeness rules checked before a cue sheet is exported
+ *
+ * Each rule checks one cue (duplicates check the whole sheet) and reports
+ * issues against a field, so the cue table can mark the cell. A rule's
+ * severity is 'error' (blocks the export), 'warning' (listed before export)
+ * or 'off'. Severities are the rule defaults, overridden by the export
+ * template's own "validation" block, overridden by the choices made for
+ * that template in Settings (userData/validation-rules.json) - so every
+ * delivery template carries its own rule set.
+ *
+ * Hidden cues are left out, as they are from exports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getUserDataDir } = require('./app-paths');
+const exportTemplates = require('./export-templates');
+const { splitsFromCue, validateShares } = require('./splits');
+const { VALID_PROS } = require('./opus-validator');
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+// Use codes a cue sheet can carry (the Edit Track choices)
+const USE_CODES = ['BI', 'BV', 'VI', 'VV', 'MT', 'ET'];
+
+// Placeholder values that count as empty
+const EMPTY_VALUES = ['', '-', 'n/a', 'na', 'unknown', 'tbd'];
+
+function isBlank(value) {
+  return EMPTY_VALUES.includes(String(value ?? '').trim().toLowerCase());
+}
+
+// "0:00", "0:00;00" and unreadable lengths export as nothing on air
+function isZeroDuration(duration) {
+  const match = String(duration || '').match(/^(\d+):(\d{1,2})(?:[;:.](\d+))?/);
+  if (!match) return true;
+  return match.slice(1).every(part => !part || Number(part) === 0);
+}
+
+// The value the template writes for an empty field ("N/A", "BI"), if any
+function templateDefault(template, field) {
+  const column = template.columns.find(col => [].concat(col.field).includes(field));
+  return column?.default || null;
+}
+
+function shareRule(list, label) {
+  return (cue) => {
+    const check = validateShares(splitsFromCue(cue)[list]);
+    return check.valid ? null : `${label} shares ${check.error}`;
+  };
+}
+
+function proRule(list, label) {
+  return (cue) => splitsFromCue(cue)[list]
+    .filter(party => party.pro && !VALID_PROS.includes(String(party.pro).toUpperCase()))
+    .map(party => `${label} ${party.name || '(no name)'} has an unknown PRO "${party.pro}"`);
+}
+
+/**
+ * Rule definitions
+ * check(cue, context) returns a message, a list of messages, or nothing;
+ * sheet rules use checkSheet(cues, context) -> [{ index, message }]
+ */
+const RULES = [
+  {
+    id: 'composer-missing',
+    label: 'Composer missing',
+    severity: 'error',
+    field: 'composer',
+    check: (cue) => isBlank(cue.composer) ? 'No composer' : null
+  },
+  {
+    id: 'publisher-missing',
+    label: 'Publisher missing',
+    severity: 'error',
+    field: 'publisher',
+    check: (cue) => isBlank(cue.publisher) ? 'No publisher' : null
+  },
+  {
+    id: 'writer-shares',
+    label: 'Writer shares not 100%',
+    severity: 'error',
+    field: 'composer',
+    check: shareRule('writers', 'Writer')
+  },
+  {
+    id: 'publisher-shares',
+    label: 'Publisher shares not 100%',
+    severity: 'error',
+    field: 'publisher',
+    check: shareRule('publishers', 'Publisher')
+  },
+  {
+    id: 'writer-pro',
+    label: 'Writer PRO not recognised',
+    severity: 'warning',
+    field: 'composer',
+    check: proRule('writers', 'Writer')
+  },
+  {
+    id: 'publisher-pro',
+    label: 'Publisher PRO not recognised',
+    severity: 'warning',
+    field: 'publisher',
+    check: proRule('publishers', 'Publisher')
+  },
+  {
+    id: 'zero-duration',
+    label: 'Zero cue length',
+    severity: 'error',
+    field: 'duration',
+    check: (cue) => isZeroDuration(cue.duration) ? 'Cue length is zero' : null
+  },
+  {
+    id: 'duplicate-row',
+    label: 'Duplicate row',
+    severity: 'warning',
+    field: 'trackName',
+    checkSheet: (cues) => {
+      const first = new Map();
+      const issues = [];
+      cues.forEach((cue, index) => {
+        const name = String(cue.trackName || '').trim().toLowerCase();
+        if (!name) return;
+        const key = `${name}|${cue.tcIn || ''}`;
+        if (first.has(key)) {
+          issues.push({ index, message: `Same track${cue.tcIn ? ' and TC In' : ''} as cue ${first.get(key) + 1}` });
+        } else {
+          first.set(key, index);
+        }
+      });
+      return issues;
+    }
+  },
+  {
+    id: 'use-unknown',
+    label: 'Unknown use code',
+    severity: 'warning',
+    field: 'use',
+    check: (cue) => !isBlank(cue.use) && !USE_CODES.includes(String(cue.use).trim().toUpperCase())
+      ? `Use "${cue.use}" is not one of ${USE_CODES.join(', ')}`
+      : null
+  },
+  {
+    id: 'use-missing',
+    label: 'Use missing',
+    severity: 'warning',
+    field: 'use',
+    check: (cue, { template }) => {
+      if (!isBlank(cue.use)) return null;
+      const fallback = templateDefault(template, 'use');
+      return fallback ? `No use; exports as ${fallback}` : 'No use';
+    }
+  },
+  {
+    id: 'track-number-missing',
+    label: 'Track # missing',
+    severity: 'warning',
+    field: 'trackNumber',
+    check: (cue, { template }) => {
+      if (!isBlank(cue.trackNumber)) return null;
+      const fallback = templateDefault(template, 'trackNumber');
+      return fallback ? `No track #; exports as ${fallback}` : 'No track #';
+    }
+  },
+  {
+    id: 'master-contact-missing',
+    label: 'Master contact missing',
+    severity: 'warning',
+    field: 'label',
+    check: (cue) => [cue.masterContact, cue.label, cue.library].every(isBlank)
+      ? 'No master contact, label or library'
+      : null
+  }
+];
+
+// ============================================
+// Rule sets (per export template)
+// ============================================
+
+function getOverridesPath() {
+  return path.join(getUserDataDir(), 'validation-rules.json');
+}
+
+function loadOverrides() {
+  try {
+    if (fs.existsSync(getOverridesPath())) {
+      return JSON.parse(fs.readFileSync(getOverridesPath(), 'utf-8'));
+    }
+  } catch (err) {
+    console.error('[Validation] Error loading rule sets:', err.message);
+  }
+  return {};
+}
+
+function saveOverrides(overrides) {
+  fs.writeFileSync(getOverridesPath(), JSON.stringify(overrides, null, 2));
+}
+
+/**
+ * Rules with their severity for a template
+ * @returns {Array} [{ id, label, field, severity, templateSeverity, customized }]
+ */
+function getRuleSet(templateId) {
+  const template = exportTemplates.getTemplate(templateId);
+  const fromTemplate = template.validation || {};
+  const custom = loadOverrides()[template.id] || {};
+  return RULES.map(rule => {
+    const templateSeverity = SEVERITIES.includes(fromTemplate[rule.id]) ? fromTemplate[rule.id] : rule.severity;
+    const severity = SEVERITIES.includes(custom[rule.id]) ? custom[rule.id] : templateSeverity;
+    return { id: rule.id, label: rule.label, field: rule.field, severity, templateSeverity, customized: severity !== templateSeverity };
+  });
+}
+
+function setRuleSeverity(templateId, ruleId, severity) {
+  if (!RULES.some(rule => rule.id === ruleId)) throw new Error(`Unknown rule: ${ruleId}`);
+  if (!SEVERITIES.includes(severity)) throw new Error(`Severity must be one of ${SEVERITIES.join(', ')}`);
+  const template = exportTemplates.getTemplate(templateId);
+  const overrides = loadOverrides();
+  overrides[template.id] = { ...(overrides[template.id] || {}), [ruleId]: severity };
+  saveOverrides(overrides);
+  return getRuleSet(template.id);
+}
+
+// Back to the template's own severities
+function resetRuleSet(templateId) {
+  const template = exportTemplates.getTemplate(templateId);
+  const overrides = loadOverrides();
+  delete overrides[template.id];
+  saveOverrides(overrides);
+  return getRuleSet(template.id);
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check a cue sheet against its template's rule set
+ * @param {Array} cues - Cues in table order (hidden cues are skipped)
+ * @param {Object} projectInfo - Supplies exportTemplateId
+ * @returns {Object} { issues, errors, warnings, templateId }
+ *   issues: [{ ruleId, severity, cueId, number, trackName, field, message }], number is the cue's export row
+ */
+function validateCueSheet(cues = [], projectInfo = {}) {
+  const template = exportTemplates.getTemplate(projectInfo.exportTemplateId);
+  const severities = new Map(getRuleSet(template.id).map(rule => [rule.id, rule.severity]));
+  const visible = cues.filter(cue => !cue.hidden);
+  const context = { template, projectInfo };
+  const issues = [];
+
+  const addIssue = (rule, index, message) => {
+    const cue = visible[index];
+    issues.push({
+      ruleId: rule.id,
+      severity: severities.get(rule.id),
+      cueId: cue.id,
+      number: index + 1,
+      trackName: cue.trackName || '',
+      field: rule.field,
+      message
+    });
+  };
+
+  for (const rule of RULES) {
+    if (severities.get(rule.id) === 'off') continue;
+    if (rule.checkSheet) {
+      rule.checkSheet(visible, context).forEach(({ index, message }) => addIssue(rule, index, message));
+      continue;
+    }
+    visible.forEach((cue, index) => {
+      const result = rule.check(cue, context);
+      [].concat(result || []).forEach(message => addIssue(rule, index, message));
+    });
+  }
+
+  issues.sort((a, b) => a.number - b.number);
+  return {
+    issues,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    templateId: template.id
+  };
+}
+
+module.exports = {
+  validateCueSheet,
+  getRuleSet,
+  setRuleSeverity,
+  resetRuleSet,
+  SEVERITIES,
+  USE_CODES
+};
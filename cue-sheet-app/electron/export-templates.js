@@ -0,0 +1,832 @@
+/**
+ * Export Templates
+ *
+ * Cue sheet layouts for XLSX, PDF and CSV/TSV exports. A template describes
+ * the header block, columns and footer once; every output format is rendered
+ * from the same layout so the files a network receives always agree.
+ *
+ * Template JSON:
+ *   {
+ *     "id": "network-x",
+ *     "name": "Network X",
+ *     "title": "MUSIC CUE SHEET",                    // PDF heading
+ *     "dateFormat": "MM/DD/YYYY",                     // for {datePrepared}
+ *     "header": [                                     // label in `cell`, value in the next column
+ *       { "label": "Project:", "field": "project", "cell": "A3" },
+ *       { "label": "Episode:", "text": "{spotTitle} ({type})", "cell": "A4" }
+ *     ],
+ *     "headerRow": 7,                                 // column headings
+ *     "firstDataRow": 9,
+ *     "columns": [
+ *       { "field": "number", "header": "#", "width": 5 },
+ *       { "field": "trackName", "header": "Title", "width": 30 },
+ *       { "field": ["label", "library"], "header": "Label", "width": 25 },  // first non-empty
+ *       { "field": "use", "header": "Use", "default": "BI" }
+ *     ],
+ *     "timecodeColumns": "after:duration",            // where TC In/Out go when the sheet shows timecodes
+ *     "footer": ["Prepared by {preparedBy}"],         // lines below the last cue
+ *     "summary": false,                               // leave out the music totals block
+ *     "validation": { "track-number-missing": "error" } // export check severities (see cue-validation.js)
+ *   }
+ *
+ * An XLSX file can also be used as a template: cells holding {project}-style
+ * placeholders are filled in, and the row holding {cue.trackName}-style
+ * placeholders is repeated once per export row with its formatting intact.
+ *
+ * Exports end with a music totals block (totals.js) unless the template sets
+ * "summary": false or the cue sheet turns it off (projectInfo.exportTotals).
+ * Headers and footers can also use {musicTime}, {musicPercent} and
+ * {programLength}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getUserDataDir } = require('./app-paths');
+const ExcelJS = require('exceljs');
+const { buildExportRows } = require('./timeline');
+const totals = require('./totals');
+
+const DEFAULT_TEMPLATE_ID = 'auris-standard';
+
+const DEFAULT_DATE_FORMAT = 'M.D.YY';
+
+// XLSX exports put the totals block on this sheet, after the cue sheet
+const TOTALS_SHEET_NAME = 'Music Totals';
+
+// Cue fields that have a computed value; anything else is read straight off the cue
+// Sub-rows (individual uses of a cue) only fill the fields marked perUse
+const COMPUTED_FIELDS = {
+  number: { perUse: true, value: (row) => row.number || '' },
+  duration: { perUse: true, value: (row) => formatExportDuration(row.duration) },
+  durationFrames: { perUse: true, value: (row) => row.duration || '' },
+  durationSeconds: { perUse: true, value: (row) => durationToSeconds(row.duration) },
+  tcIn: { perUse: true, value: (row) => row.tcIn || '' },
+  tcOut: { perUse: true, value: (row) => row.tcOut || '' }
+};
+
+// Cue fields offered when building templates (label shown in Settings)
+const CUE_FIELDS = {
+  number: '#',
+  trackName: 'Track Name',
+  duration: 'Cue Length',
+  durationFrames: 'Cue Length (with frames)',
+  durationSeconds: 'Seconds',
+  tcIn: 'TC In',
+  tcOut: 'TC Out',
+  artist: 'Artist',
+  source: 'Source',
+  trackNumber: 'Track #',
+  composer: 'Composer',
+  publisher: 'Publisher',
+  label: 'Label',
+  library: 'Library',
+  masterContact: 'Master/Contact',
+  use: 'Use',
+  isrc: 'ISRC',
+  notes: 'Notes'
+};
+
+// The layout cue sheets have always been exported with
+const BUILT_IN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'Auris Standard',
+    description: 'Project/Spot/Type header with ten cue columns',
+    builtIn: true,
+    title: 'CUE SHEET',
+    dateFormat: DEFAULT_DATE_FORMAT,
+    header: [
+      { label: 'Project:', field: 'project', cell: 'A3' },
+      { label: 'Spot Title:', field: 'spotTitle', cell: 'A4' },
+      { label: 'Type:', field: 'type', cell: 'A5' },
+      { label: 'DATE PREPARED:', field: 'datePrepared', cell: 'D5' }
+    ],
+    headerRow: 7,
+    firstDataRow: 9,
+    columns: [
+      { field: 'number', header: '', width: 5 },
+      { field: 'trackName', header: 'Track Name', width: 25 },
+      { field: 'duration', header: 'Cue Length (min:sec;frames)', width: 20 },
+      { field: 'artist', header: 'Artist', width: 20 },
+      { field: 'source', header: 'Source', width: 25 },
+      { field: 'trackNumber', header: 'Track #', width: 10, default: 'N/A' },
+      { field: 'composer', header: 'Composer', width: 30 },
+      { field: 'publisher', header: 'Publisher', width: 35 },
+      { field: ['label', 'library', 'masterContact'], header: 'Master/ Record Label/ Music Library', width: 35, wrap: true },
+      { field: 'use', header: 'Use', width: 8, default: 'BI' }
+    ],
+    timecodeColumns: 'after:duration',
+    footer: []
+  }
+];
+
+// ============================================
+// Template storage
+// ============================================
+
+// User templates live in userData/export-templates as <id>.json (plus <id>.xlsx for XLSX templates)
+function getTemplatesDir() {
+  const dir = path.join(getUserDataDir(), 'export-templates');
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+function loadUserTemplates() {
+  const templates = [];
+  try {
+    const dir = getTemplatesDir();
+    for (const file of fs.readdirSync(dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const template = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        validateTemplate(template);
+        templates.push(template);
+      } catch (err) {
+        console.warn(`[Templates] Skipping ${file}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[Templates] Error loading templates:', err);
+  }
+  return templates;
+}
+
+// Built-ins first, then user templates by name
+function listTemplates() {
+  const userTemplates = loadUserTemplates().sort((a, b) => a.name.localeCompare(b.name));
+  return [...BUILT_IN_TEMPLATES, ...userTemplates];
+}
+
+// Unknown ids fall back to the standard layout so an export never fails on a deleted template
+function getTemplate(id) {
+  return listTemplates().find(template => template.id === id) || BUILT_IN_TEMPLATES[0];
+}
+
+function slugify(name) {
+  return String(name || 'template').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+}
+
+// Pick an id that doesn't collide with an existing template
+function uniqueTemplateId(name) {
+  const taken = new Set(listTemplates().map(template => template.id));
+  const base = slugify(name);
+  let id = base;
+  let suffix = 2;
+  while (taken.has(id)) {
+    id = `${base}-${suffix++}`;
+  }
+  return id;
+}
+
+// Throws with a readable message when a template can't be rendered
+function validateTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    throw new Error('Template must be a JSON object');
+  }
+  if (!template.id || !template.name) {
+    throw new Error('Template needs an id and a name');
+  }
+  if (!Array.isArray(template.columns) || template.columns.length === 0) {
+    throw new Error(`Template "${template.name}" has no columns`);
+  }
+  template.columns.forEach((column, index) => {
+    const fields = Array.isArray(column.field) ? column.field : [column.field];
+    if (!fields.length || fields.some(field => typeof field !== 'string' || !field)) {
+      throw new Error(`Template "${template.name}" column ${index + 1} has no field`);
+    }
+  });
+  for (const block of template.header || []) {
+    if (!parseCellRef(block.cell)) {
+      throw new Error(`Template "${template.name}" header "${block.label || ''}" has an invalid cell "${block.cell}"`);
+    }
+  }
+  return template;
+}
+
+function saveTemplate(template) {
+  if (BUILT_IN_TEMPLATES.some(builtIn => builtIn.id === template.id)) {
+    throw new Error('Built-in templates cannot be overwritten');
+  }
+  validateTemplate(template);
+  const { builtIn, ...stored } = template;
+  fs.writeFileSync(path.join(getTemplatesDir(), `${template.id}.json`), JSON.stringify(stored, null, 2));
+  return stored;
+}
+
+function deleteTemplate(id) {
+  if (BUILT_IN_TEMPLATES.some(builtIn => builtIn.id === id)) {
+    throw new Error('Built-in templates cannot be deleted');
+  }
+  const dir = getTemplatesDir();
+  for (const ext of ['.json', '.xlsx']) {
+    const file = path.join(dir, `${id}${ext}`);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+  return true;
+}
+
+// Import a template from a .json definition or an .xlsx with placeholder cells
+async function importTemplate(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.json') {
+    const template = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    template.name = template.name || path.basename(filePath, ext);
+    template.id = uniqueTemplateId(template.id || template.name);
+    return saveTemplate(template);
+  }
+
+  if (ext === '.xlsx') {
+    const name = path.basename(filePath, ext);
+    const id = uniqueTemplateId(name);
+    const template = await describeXlsxTemplate(filePath, { id, name });
+    fs.copyFileSync(filePath, path.join(getTemplatesDir(), `${id}.xlsx`));
+    return saveTemplate({ ...template, sourceXlsx: `${id}.xlsx` });
+  }
+
+  throw new Error('Templates must be .json or .xlsx files');
+}
+
+// ============================================
+// Layout
+// ============================================
+
+// "D5" -> { row: 5, col: 4 }
+function parseCellRef(ref) {
+  const match = String(ref || '').toUpperCase().match(/^([A-Z]+)(\d+)$/);
+  if (!match) return null;
+  const col = match[1].split('').reduce((sum, char) => sum * 26 + (char.charCodeAt(0) - 64), 0);
+  return { row: parseInt(match[2], 10), col };
+}
+
+// Strip trailing frames from a cue length ("0:06:03" / "0:06;03" -> "0:06")
+function formatExportDuration(durationStr) {
+  const str = durationStr || '0:00';
+  const match = str.match(/^(\d+):(\d{1,2})[:;]\d{1,2}$/);
+  if (match) {
+    return `${parseInt(match[1])}:${match[2].padStart(2, '0')}`;
+  }
+  return str;
+}
+
+function durationToSeconds(durationStr) {
+  const match = String(durationStr || '').match(/^(\d+):(\d{1,2})/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : '';
+}
+
+// Format a date with M/MM/MMM/MMMM, D/DD and YY/YYYY tokens
+function formatDate(date, format = DEFAULT_DATE_FORMAT) {
+  const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MMMM: months[date.getMonth()],
+    MMM: months[date.getMonth()].slice(0, 3),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    M: String(date.getMonth() + 1),
+    DD: String(date.getDate()).padStart(2, '0'),
+    D: String(date.getDate())
+  };
+  return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D/g, token => tokens[token]);
+}
+
+// Date prepared: typed-in text is kept as-is, ISO dates and "today" use the template format
+function resolveDatePrepared(projectInfo, dateFormat) {
+  const value = projectInfo.datePrepared;
+  if (value && !/^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+  const date = value ? new Date(`${value.slice(0, 10)}T00:00:00`) : new Date();
+  return formatDate(date, dateFormat || DEFAULT_DATE_FORMAT);
+}
+
+// Values available to header blocks and footer lines as {name}
+function buildProjectContext(projectInfo, template, cueCount) {
+  return {
+    ...projectInfo,
+    project: projectInfo.project || '',
+    projectName: projectInfo.projectName || projectInfo.project || '',
+    spotTitle: projectInfo.spotTitle || '',
+    type: projectInfo.type || '',
+    datePrepared: resolveDatePrepared(projectInfo, template.dateFormat),
+    cueCount: String(cueCount)
+  };
+}
+
+function fillText(text, context) {
+  return String(text || '').replace(/\{([\w.]+)\}/g, (match, key) => {
+    const value = context[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function cueFieldValue(row, field) {
+  if (COMPUTED_FIELDS[field]) return COMPUTED_FIELDS[field].value(row);
+  const value = row.cue[field];
+  return value === undefined || value === null ? '' : value;
+}
+
+function columnValue(row, column) {
+  const fields = Array.isArray(column.field) ? column.field : [column.field];
+  // Uses of a cue only repeat the timing fields; the cue's own row carries the rest
+  if (row.isSubRow && !fields.some(field => COMPUTED_FIELDS[field]?.perUse)) return '';
+
+  for (const field of fields) {
+    const value = cueFieldValue(row, field);
+    if (value !== '') return value;
+  }
+  return row.isSubRow ? '' : (column.default ?? '');
+}
+
+// Columns for this cue sheet: TC In/Out are added when the sheet shows timecodes
+// and the template doesn't already place them
+function resolveColumns(template, projectInfo) {
+  const columns = template.columns.map(column => ({ ...column }));
+  const hasTimecodes = columns.some(column => [].concat(column.field).some(field => field === 'tcIn' || field === 'tcOut'));
+  if (!projectInfo.showTimecodes || hasTimecodes || template.timecodeColumns === 'none') return columns;
+
+  const timecodeColumns = [
+    { field: 'tcIn', header: 'TC In', width: 13 },
+    { field: 'tcOut', header: 'TC Out', width: 13 }
+  ];
+  const anchor = String(template.timecodeColumns || 'after:duration').replace(/^after:/, '');
+  const index = columns.findIndex(column => [].concat(column.field).includes(anchor));
+  columns.splice(index === -1 ? columns.length : index + 1, 0, ...timecodeColumns);
+  return columns;
+}
+
+// Resolve a template against a cue sheet into plain rows and cells
+// Every renderer (XLSX, PDF, delimited) works from this
+function buildLayout(template, cues, projectInfo = {}) {
+  const exportRows = buildExportRows(cues, projectInfo);
+  const columns = resolveColumns(template, projectInfo);
+  const useColumn = template.columns.find(column => [].concat(column.field).includes('use'));
+  const cueTotals = totals.computeTotals(cues, projectInfo, { defaultUse: useColumn?.default });
+  const context = {
+    ...buildProjectContext(projectInfo, template, cues.length),
+    musicTime: totals.formatTotal(cueTotals.musicSeconds),
+    musicPercent: cueTotals.musicPercent !== null ? `${cueTotals.musicPercent}%` : ''
+  };
+  const showSummary = template.summary !== false && projectInfo.exportTotals !== false;
+
+  const headerBlocks = (template.header || []).map(block => {
+    const labelCell = parseCellRef(block.cell);
+    const valueCell = parseCellRef(block.valueCell) || { row: labelCell.row, col: labelCell.col + 1 };
+    return {
+      label: block.label || '',
+      value: block.text !== undefined ? fillText(block.text, context) : (context[block.field] ?? ''),
+      labelCell,
+      valueCell
+    };
+  });
+
+  return {
+    templateId: template.id,
+    projectContext: context,
+    title: fillText(template.title || 'CUE SHEET', context),
+    headerBlocks,
+    headerRow: template.headerRow || 1,
+    firstDataRow: template.firstDataRow || (template.headerRow || 1) + 1,
+    columns: columns.map(column => ({
+      field: column.field,
+      header: column.header ?? CUE_FIELDS[[].concat(column.field)[0]] ?? '',
+      width: column.width || 15,
+      wrap: !!column.wrap
+    })),
+    rows: exportRows.map(row => ({
+      isSubRow: row.isSubRow,
+      number: row.number,
+      values: columns.map(column => columnValue(row, column))
+    })),
+    footer: (template.footer || []).map(line => fillText(line, context)).filter(Boolean),
+    footerGap: template.footerGap ?? 1,
+    summary: showSummary ? totals.totalsSummaryLines(cueTotals) : []
+  };
+}
+
+// Where the blocks below the cue rows start: the totals summary, then the footer
+// Summary labels sit in the second column (the first is usually the narrow cue number),
+// always after a blank row; its MUSIC TOTALS heading is where cue sheet import stops
+// Layouts built elsewhere (the revision changes report) have no summary
+function trailingLayout(layout) {
+  const summary = layout.summary || [];
+  const summaryStart = layout.firstDataRow + layout.rows.length + (summary.length ? Math.max(layout.footerGap, 1) : layout.footerGap);
+  const summaryCol = layout.columns.length >= 3 ? 2 : 1;
+  const footerStart = summary.length ? summaryStart + summary.length + 1 : summaryStart;
+  return { summary, summaryStart, summaryCol, footerStart };
+}
+
+// Layout as a sheet grid (1-based rows/cols flattened to arrays)
+// This is exactly what the generic XLSX writer puts in cells
+function layoutToGrid(layout) {
+  const grid = [];
+  const set = (row, col, value) => {
+    while (grid.length < row) grid.push([]);
+    const cells = grid[row - 1];
+    while (cells.length < col) cells.push('');
+    cells[col - 1] = value;
+  };
+
+  for (const block of layout.headerBlocks) {
+    set(block.labelCell.row, block.labelCell.col, block.label);
+    set(block.valueCell.row, block.valueCell.col, block.value);
+  }
+  layout.columns.forEach((column, i) => set(layout.headerRow, i + 1, column.header));
+  layout.rows.forEach((row, index) => {
+    row.values.forEach((value, i) => set(layout.firstDataRow + index, i + 1, value));
+  });
+
+  const { summary, summaryStart, summaryCol, footerStart } = trailingLayout(layout);
+  summary.forEach((line, index) => {
+    set(summaryStart + index, summaryCol, line.label);
+    if (line.value !== undefined) set(summaryStart + index, summaryCol + 1, line.value);
+  });
+  layout.footer.forEach((line, index) => set(footerStart + index, 1, line));
+
+  // Pad to a rectangle so every row has the same number of cells
+  const width = Math.max(layout.columns.length, ...grid.map(cells => cells.length));
+  return grid.map(cells => [...cells, ...Array(width - cells.length).fill('')]);
+}
+
+// ============================================
+// Renderers
+// ============================================
+
+async function writeXlsx(filePath, template, layout) {
+  if (template.sourceXlsx) {
+    return writeXlsxFromSource(filePath, template, layout);
+  }
+
+  // Totals go on a sheet of their own so the cue sheet reads back as cues only
+  const workbook = new ExcelJS.Workbook();
+  fillLayoutSheet(workbook.addWorksheet('Cue Sheet'), { ...layout, summary: [] });
+  addTotalsSheet(workbook, layout.summary);
+  await workbook.xlsx.writeFile(filePath);
+}
+
+// Write a layout into a worksheet (generic layout: header blocks, columns, rows, totals, footer)
+function fillLayoutSheet(sheet, layout) {
+  sheet.columns = layout.columns.map(column => ({ width: column.width }));
+
+  for (const block of layout.headerBlocks) {
+    const labelCell = sheet.getCell(block.labelCell.row, block.labelCell.col);
+    labelCell.value = block.label;
+    labelCell.font = { bold: true };
+    sheet.getCell(block.valueCell.row, block.valueCell.col).value = block.value;
+  }
+
+  layout.columns.forEach((column, i) => {
+    const cell = sheet.getCell(layout.headerRow, i + 1);
+    cell.value = column.header;
+    cell.font = { bold: true };
+    cell.border = {
+      bottom: { style: 'thin' }
+    };
+  });
+
+  layout.rows.forEach((exportRow, index) => {
+    const row = layout.firstDataRow + index;
+
+    layout.columns.forEach((column, i) => {
+      const cell = sheet.getCell(row, i + 1);
+      const value = exportRow.values[i];
+      if (value !== '') cell.value = value;
+      if (column.wrap) cell.alignment = { wrapText: true };
+      // Sub-rows (individual uses) are indented under their cue
+      if (exportRow.isSubRow) cell.font = { italic: true, color: { argb: 'FF666666' } };
+      cell.border = {
+        bottom: { style: 'hair', color: { argb: 'FFE0E0E0' } }
+      };
+    });
+  });
+
+  const { summary, summaryStart, summaryCol, footerStart } = trailingLayout(layout);
+  writeSummaryCells(sheet, summary, summaryStart, summaryCol);
+
+  layout.footer.forEach((line, index) => {
+    const cell = sheet.getCell(footerStart + index, 1);
+    cell.value = line;
+    cell.font = { italic: true };
+  });
+}
+
+function addTotalsSheet(workbook, summary) {
+  if (!summary?.length) return;
+  const totalsSheet = workbook.addWorksheet(TOTALS_SHEET_NAME);
+  totalsSheet.columns = [{ width: 36 }, { width: 28 }];
+  writeSummaryCells(totalsSheet, summary, 1, 1);
+}
+
+// Totals block: headings bold, values in the next column
+function writeSummaryCells(sheet, summary, startRow, col) {
+  summary.forEach((line, index) => {
+    const labelCell = sheet.getCell(startRow + index, col);
+    labelCell.value = line.label;
+    if (line.value === undefined) {
+      labelCell.font = { bold: true };
+    } else {
+      sheet.getCell(startRow + index, col + 1).value = line.value;
+    }
+  });
+}
+
+const PLACEHOLDER = /\{([\w.]+)\}/g;
+const HAS_PLACEHOLDER = /\{[\w.]+\}/;
+const CUE_PLACEHOLDER = /\{cue\.(\w+)\}/;
+
+// Find the first worksheet row holding {cue.field} placeholders
+function findCueRow(sheet) {
+  let cueRow = null;
+  sheet.eachRow((row, rowNumber) => {
+    if (cueRow) return;
+    row.eachCell(cell => {
+      if (typeof cell.value === 'string' && CUE_PLACEHOLDER.test(cell.value)) cueRow = rowNumber;
+    });
+  });
+  return cueRow;
+}
+
+// Fill an XLSX template: project placeholders anywhere, the cue row repeated per export row
+async function writeXlsxFromSource(filePath, template, layout) {
+  const sourcePath = path.isAbsolute(template.sourceXlsx)
+    ? template.sourceXlsx
+    : path.join(getTemplatesDir(), template.sourceXlsx);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(sourcePath);
+  const sheet = workbook.worksheets[0];
+
+  const cueRowNumber = findCueRow(sheet);
+  if (!cueRowNumber) {
+    throw new Error(`Template "${template.name}" has no {cue.*} row`);
+  }
+
+  // Placeholder -> value for each export row, keyed by the template's cue fields
+  const rowContexts = layout.rows.map(row => {
+    const context = {};
+    layout.columns.forEach((column, i) => {
+      context[[].concat(column.field)[0]] = row.values[i];
+    });
+    return context;
+  });
+
+  // Repeat the cue row (formatting included) once per export row
+  if (rowContexts.length > 1) {
+    sheet.duplicateRow(cueRowNumber, rowContexts.length - 1, true);
+  }
+
+  sheet.eachRow((row, rowNumber) => {
+    const isCueRow = rowNumber >= cueRowNumber && rowNumber < cueRowNumber + Math.max(rowContexts.length, 1);
+    const cueContext = isCueRow ? rowContexts[rowNumber - cueRowNumber] || {} : null;
+
+    row.eachCell(cell => {
+      if (typeof cell.value !== 'string' || !HAS_PLACEHOLDER.test(cell.value)) return;
+      const filled = cell.value.replace(PLACEHOLDER, (match, key) => {
+        if (key.startsWith('cue.')) return cueContext ? String(cueContext[key.slice(4)] ?? '') : '';
+        return String(layout.projectContext[key] ?? '');
+      });
+      // Keep numbers numeric when a cell is nothing but one placeholder
+      cell.value = /^\d+$/.test(filled) && /^\{[\w.]+\}$/.test(cell.value) ? Number(filled) : filled;
+    });
+  });
+
+  // The template's own sheet is left as designed; totals go on a sheet of their own
+  addTotalsSheet(workbook, layout.summary);
+
+  await workbook.xlsx.writeFile(filePath);
+}
+
+// Derive a template definition from an XLSX with placeholders so PDF and
+// delimited exports can follow the same columns
+async function describeXlsxTemplate(filePath, { id, name }) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error('Template workbook has no sheets');
+  }
+
+  const cueRowNumber = findCueRow(sheet);
+  if (!cueRowNumber) {
+    throw new Error('Template has no row of {cue.field} placeholders (e.g. {cue.trackName})');
+  }
+
+  // Column headings come from the nearest non-empty row above the cue row
+  let headerRow = cueRowNumber - 1;
+  while (headerRow > 1 && sheet.getRow(headerRow).actualCellCount === 0) headerRow--;
+
+  const columns = [];
+  sheet.getRow(cueRowNumber).eachCell((cell, colNumber) => {
+    const match = typeof cell.value === 'string' && cell.value.match(CUE_PLACEHOLDER);
+    if (!match) return;
+    const heading = sheet.getCell(headerRow, colNumber).value;
+    columns.push({
+      field: match[1],
+      header: typeof heading === 'string' ? heading : (CUE_FIELDS[match[1]] || match[1]),
+      width: sheet.getColumn(colNumber).width || 15
+    });
+  });
+
+  // Header blocks: project placeholders with the label cell to their left
+  const header = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber >= cueRowNumber) return;
+    row.eachCell((cell, colNumber) => {
+      if (typeof cell.value !== 'string' || !HAS_PLACEHOLDER.test(cell.value) || colNumber < 2) return;
+      const label = sheet.getCell(rowNumber, colNumber - 1).value;
+      header.push({
+        label: typeof label === 'string' ? label : '',
+        text: cell.value,
+        cell: sheet.getCell(rowNumber, colNumber - 1).address
+      });
+    });
+  });
+
+  return {
+    id,
+    name,
+    description: 'Imported from XLSX',
+    title: 'CUE SHEET',
+    dateFormat: DEFAULT_DATE_FORMAT,
+    header,
+    headerRow,
+    firstDataRow: cueRowNumber,
+    columns,
+    timecodeColumns: 'none',
+    footer: []
+  };
+}
+
+// Delimited export settings (projectInfo.delimitedExport overrides these)
+// rows: 'sheet' mirrors the XLSX grid (header block included), 'table' is the column headings and cue rows only
+const DELIMITED_DEFAULTS = {
+  delimiter: ',',
+  quoting: 'minimal',   // 'minimal' (only when needed), 'all', or 'none'
+  bom: true,            // Excel needs the BOM to read UTF-8 CSVs correctly
+  lineEnding: '\r\n',
+  rows: 'sheet'
+};
+
+// CSV/TSV text for a layout
+// Tab-delimited output never quotes; tabs and line breaks inside values become spaces
+function renderDelimited(layout, options = {}) {
+  const settings = { ...DELIMITED_DEFAULTS, ...options };
+  const { delimiter, lineEnding } = settings;
+  const quoting = delimiter === '\t' ? 'none' : settings.quoting;
+
+  const formatValue = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (quoting === 'none') {
+      return text.replace(/[\t\r\n]+/g, ' ').split(delimiter).join(' ');
+    }
+    text = text.replace(/\r\n?/g, '\n');
+    const needsQuotes = quoting === 'all' || text.includes(delimiter) || text.includes('"') || text.includes('\n');
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const grid = settings.rows === 'table'
+    ? [layout.columns.map(column => column.header), ...layout.rows.map(row => row.values)]
+    : layoutToGrid(layout);
+
+  const text = grid.map(cells => cells.map(formatValue).join(delimiter)).join(lineEnding) + lineEnding;
+  return settings.bom ? `\uFEFF${text}` : text;
+}
+
+// CSS class per field so common columns keep their PDF widths/alignment
+const HTML_COLUMN_CLASSES = {
+  number: 'idx',
+  trackName: 'track',
+  duration: 'duration',
+  durationFrames: 'duration',
+  tcIn: 'tc',
+  tcOut: 'tc',
+  trackNumber: 'tracknum',
+  use: 'use'
+};
+
+function escapeHtml(text) {
+  if (text === undefined || text === null || text === '') return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// HTML for PDF export
+function renderHtml(layout) {
+  const classFor = (column) => HTML_COLUMN_CLASSES[[].concat(column.field)[0]] || '';
+
+  const headings = layout.columns
+    .map(column => `<th class="${classFor(column)}">${escapeHtml(column.header) || (classFor(column) === 'idx' ? '#' : '')}</th>`)
+    .join('');
+
+  const rows = layout.rows.map(row => `
+      <tr${row.isSubRow ? ' class="use-row"' : ''}>
+        ${row.values.map((value, i) => `<td class="${classFor(layout.columns[i])}">${escapeHtml(value)}</td>`).join('')}
+      </tr>
+    `).join('');
+
+  const meta = layout.headerBlocks
+    .map(block => `<div class="meta-item"><label>${escapeHtml(block.label)}</label>${escapeHtml(block.value)}</div>`)
+    .join('');
+
+  const summary = layout.summary?.length
+    ? `<table class="totals">${layout.summary.map(line => line.value === undefined
+      ? `<tr><th colspan="2">${escapeHtml(line.label)}</th></tr>`
+      : `<tr><td>${escapeHtml(line.label)}</td><td>${escapeHtml(line.value)}</td></tr>`).join('')}</table>`
+    : '';
+
+  const footer = layout.footer.length
+    ? `<div class="footer">${layout.footer.map(line => `<p>${escapeHtml(line)}</p>`).join('')}</div>`
+    : '';
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          font-size: 9px;
+          padding: 20px;
+          color: #333;
+        }
+        .header { margin-bottom: 15px; }
+        .header h1 { font-size: 16px; margin-bottom: 8px; color: #1a1a1a; }
+        .meta { display: flex; flex-wrap: wrap; gap: 6px 30px; margin-bottom: 10px; }
+        .meta-item label { font-weight: bold; margin-right: 5px; }
+        table { width: 100%; border-collapse: collapse; font-size: 8px; }
+        th {
+          background: #f0f0f0;
+          padding: 6px 4px;
+          text-align: left;
+          font-weight: bold;
+          border-bottom: 2px solid #333;
+          white-space: nowrap;
+        }
+        td {
+          padding: 5px 4px;
+          border-bottom: 1px solid #e0e0e0;
+          vertical-align: top;
+          white-space: pre-line;
+        }
+        tr:nth-child(even) { background: #fafafa; }
+        .idx { width: 25px; text-align: center; }
+        .track { min-width: 100px; }
+        .duration { width: 50px; text-align: center; }
+        .tracknum { width: 45px; text-align: center; }
+        .use { width: 30px; text-align: center; }
+        .tc { width: 65px; text-align: center; font-family: Menlo, monospace; white-space: nowrap; }
+        .use-row td { color: #666; font-style: italic; border-bottom-style: dotted; }
+        .totals { width: auto; margin-top: 14px; page-break-inside: avoid; }
+        .totals th { background: none; border-bottom: 1px solid #999; padding: 6px 4px 2px; }
+        .totals tr { background: none; }
+        .totals td { border-bottom: none; padding: 1px 4px; }
+        .totals td:first-child { padding-right: 24px; }
+        .footer { margin-top: 12px; color: #555; }
+        .footer p { margin-bottom: 3px; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>${escapeHtml(layout.title)}</h1>
+        <div class="meta">${meta}</div>
+      </div>
+      <table>
+        <thead>
+          <tr>${headings}</tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+      ${summary}
+      ${footer}
+    </body>
+    </html>
+  `;
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  importTemplate,
+  validateTemplate,
+  buildLayout,
+  layoutToGrid,
+  writeXlsx,
+  fillLayoutSheet,
+  renderHtml,
+  renderDelimited,
+  formatExportDuration,
+  formatDate,
+  CUE_FIELDS,
+  BUILT_IN_TEMPLATES,
+  DELIMITED_DEFAULTS,
+  DEFAULT_TEMPLATE_ID
+};
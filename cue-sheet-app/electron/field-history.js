@@ -0,0 +1,138 @@
+/**
+ * Field History - Per-field provenance for learned track data
+ *
+ * Every change to a track field records the new value, the value it
+ * replaced, where it came from (file metadata, BMG, PRO, user, Opus,
+ * pattern...), who made it and how confident that source was. Shared by
+ * track-database.js and track-database-cloud.js so both stores describe
+ * sources the same way.
+ */
+
+// Column -> label for every field that keeps history
+const HISTORY_FIELDS = {
+  track_number: 'Track #',
+  catalog_code: 'Catalog Code',
+  library: 'Master/Label/Library',
+  artist: 'Artist',
+  source: 'Source',
+  composer: 'Composer',
+  publisher: 'Publisher',
+  master_contact: 'Master Contact',
+  use_type: 'Use',
+  duration: 'Duration'
+};
+
+// Column -> track property
+const FIELD_KEYS = {
+  track_number: 'trackNumber',
+  catalog_code: 'catalogCode',
+  library: 'library',
+  artist: 'artist',
+  source: 'source',
+  composer: 'composer',
+  publisher: 'publisher',
+  master_contact: 'masterContact',
+  use_type: 'useType',
+  duration: 'duration'
+};
+
+const SOURCE_LABELS = {
+  file: 'File metadata',
+  bmg: 'BMG',
+  pro: 'PRO',
+  user: 'User',
+  opus: 'Opus',
+  pattern: 'Pattern',
+  import: 'Cue sheet import',
+  database: 'Learned data',
+  other: 'Other'
+};
+
+/**
+ * Map a raw dataSource / composerSource value onto a SOURCE_LABELS key
+ */
+function sourceCategory(dataSource) {
+  const value = String(dataSource || '').toLowerCase();
+  if (!value) return 'other';
+  if (value.startsWith('user') || value === 'manual') return 'user';
+  if (value.includes('file') || value.includes('metadata')) return 'file';
+  if (value.includes('bmg')) return 'bmg';
+  if (/^(pro|ascap|bmi|sesac|gmr|songview)/.test(value)) return 'pro';
+  if (/^(ai|opus|claude)/.test(value)) return 'opus';
+  if (value.includes('pattern')) return 'pattern';
+  if (value.includes('import')) return 'import';
+  if (/(learned|cloud|synced|voyage|_db$)/.test(value)) return 'database';
+  return 'other';
+}
+
+/**
+ * The raw source for one field of an incoming track. Cues carry their own
+ * composerSource / publisherSource, which are more precise than the
+ * track-wide dataSource.
+ */
+function fieldSource(track, field) {
+  if (field === 'composer' && track.composerSource) return track.composerSource;
+  if (field === 'publisher' && track.publisherSource) return track.publisherSource;
+  return track.dataSource || 'manual';
+}
+
+function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+}
+
+/**
+ * History rows for the fields that differ between two row snapshots
+ * (column-keyed). Pass an empty `before` for a newly inserted track.
+ */
+function buildHistoryEntries(before, after, track, { changedBy = null, confidence = null } = {}) {
+  const entries = [];
+  for (const field of Object.keys(HISTORY_FIELDS)) {
+    const previousValue = normalizeValue(before[field]);
+    const value = normalizeValue(after[field]);
+    if (previousValue === value) continue;
+    const dataSource = fieldSource(track, field);
+    entries.push({
+      field,
+      value,
+      previous_value: previousValue,
+      source: sourceCategory(dataSource),
+      data_source: dataSource,
+      changed_by: changedBy,
+      confidence: confidence ?? track.confidence ?? null
+    });
+  }
+  return entries;
+}
+
+/**
+ * Convert a stored history row to the shape the renderer uses
+ */
+function rowToHistoryEntry(row) {
+  return {
+    id: row.id,
+    trackId: row.track_id,
+    field: row.field,
+    fieldKey: FIELD_KEYS[row.field] || row.field,
+    fieldLabel: HISTORY_FIELDS[row.field] || row.field,
+    value: row.value,
+    previousValue: row.previous_value,
+    source: row.source,
+    sourceLabel: SOURCE_LABELS[row.source] || SOURCE_LABELS.other,
+    dataSource: row.data_source,
+    changedBy: row.changed_by_email || row.changed_by || null,
+    confidence: row.confidence,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  FIELD_KEYS,
+  SOURCE_LABELS,
+  sourceCategory,
+  fieldSource,
+  buildHistoryEntries,
+  rowToHistoryEntry
+};
@@ -0,0 +1,383 @@
+/**
+ * Filename Grammars - Library filename patterns defined as data
+ *
+ * Each grammar is a regex with named captures, a field mapping that builds
+ * the track info from those captures ("{title}", "EVS{volume}"...), the
+ * library name, an optional catalog map for the source/album, stem detection
+ * and a confidence. Grammars load from the bundled resources file, then the
+ * cloud cache (Supabase filename_grammars table), then the user's own file;
+ * a later grammar with the same id replaces the earlier one in place.
+ *
+ * parseFileName() runs the grammars in order and falls back to a generic
+ * clean-up of the name when none match.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getUserDataDir } = require('./app-paths');
+
+const BUNDLED_PATH = path.join(__dirname, 'resources', 'filename-grammars.json');
+const USER_FILE = 'filename-grammars.json';
+const CLOUD_CACHE_FILE = 'filename-grammars-cloud.json';
+
+// Fields a grammar may build from its captures
+const GRAMMAR_FIELDS = ['displayName', 'baseTrackName', 'artist', 'catalogCode', 'source', 'stemPart'];
+
+// Regex flags a grammar may set; with g or y, match() returns no named groups
+const GRAMMAR_FLAGS = 'imsu';
+
+const AUDIO_EXTENSION_PATTERN = /\.(wav|aif|aiff|mp3|m4a|flac)$/i;
+
+// Instrument/part names at the end of a filename mark a stem
+const STEM_PARTS = 'Bass|Drums?|Perc(?:ussion)?|Vocals?|Vox|BGVs?\\d*|Guitar(?:s)?|Keys|Synth(?:s)?|Strings|Horns|Brass|Woodwinds|FX|Pads|Piano|Organ|Choir|Melody|Rhythm|Lead|Backing|Sub|Lo|Hi|Mid|Acoustic|Electric|Ambient|Atmosphere|Click|Full\\s*Mix';
+const STEM_PART_PATTERN = new RegExp(`[_\\s](${STEM_PARTS})$`, 'i');
+const STEM_SUFFIX_PATTERN = new RegExp(`\\s+(${STEM_PARTS})$`, 'i');
+
+let registry = null; // { grammars: [compiled], catalogMaps }
+
+function readGrammarFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { catalogMaps: {}, grammars: [] };
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return { catalogMaps: data.catalogMaps || {}, grammars: Array.isArray(data.grammars) ? data.grammars : [] };
+  } catch (err) {
+    console.warn(`[FilenameGrammars] Could not read ${filePath}:`, err.message);
+    return { catalogMaps: {}, grammars: [] };
+  }
+}
+
+function getUserFilePath() {
+  const dir = getUserDataDir();
+  return dir ? path.join(dir, USER_FILE) : null;
+}
+
+function getCloudCachePath() {
+  const dir = getUserDataDir();
+  return dir ? path.join(dir, CLOUD_CACHE_FILE) : null;
+}
+
+// Throws with a readable message when a grammar can't be used
+function validateGrammar(grammar) {
+  if (!grammar || typeof grammar !== 'object') {
+    throw new Error('Grammar must be a JSON object');
+  }
+  if (!grammar.id || !/^[a-z0-9_-]+$/i.test(grammar.id)) {
+    throw new Error('Grammar needs an id made of letters, numbers, - or _');
+  }
+  if (!grammar.pattern) {
+    throw new Error(`Grammar "${grammar.id}" has no pattern`);
+  }
+  const flags = grammar.flags ?? 'i';
+  const badFlags = [...new Set(String(flags))].filter(flag => !GRAMMAR_FLAGS.includes(flag));
+  if (badFlags.length) {
+    throw new Error(`Grammar "${grammar.id}" can't use flag${badFlags.length > 1 ? 's' : ''} ${badFlags.join('')} (allowed: ${GRAMMAR_FLAGS})`);
+  }
+  let regex;
+  try {
+    regex = new RegExp(grammar.pattern, flags);
+  } catch (err) {
+    throw new Error(`Grammar "${grammar.id}" pattern is invalid: ${err.message}`);
+  }
+  const fields = grammar.fields || {};
+  if (!fields.displayName) {
+    throw new Error(`Grammar "${grammar.id}" must map displayName`);
+  }
+  const groups = new Set([...grammar.pattern.matchAll(/\(\?<([A-Za-z_]\w*)>/g)].map(match => match[1]));
+  for (const [field, template] of Object.entries(fields)) {
+    if (!GRAMMAR_FIELDS.includes(field)) {
+      throw new Error(`Grammar "${grammar.id}" maps unknown field "${field}"`);
+    }
+    for (const [, name] of String(template).matchAll(/\{(\w+)\}/g)) {
+      if (!groups.has(name)) {
+        throw new Error(`Grammar "${grammar.id}" field ${field} uses {${name}}, which the pattern does not capture`);
+      }
+    }
+  }
+  if (grammar.confidence !== undefined && !(grammar.confidence >= 0 && grammar.confidence <= 1)) {
+    throw new Error(`Grammar "${grammar.id}" confidence must be between 0 and 1`);
+  }
+  return regex;
+}
+
+function compileGrammar(grammar, origin) {
+  return { ...grammar, origin, regex: validateGrammar(grammar) };
+}
+
+// Bundled, then cloud, then user; same id replaces in place, new ids append
+function mergeGrammars(layers) {
+  const merged = [];
+  const catalogMaps = {};
+  for (const { origin, data } of layers) {
+    for (const [name, map] of Object.entries(data.catalogMaps)) {
+      catalogMaps[name] = { ...(catalogMaps[name] || {}), ...map };
+    }
+    for (const grammar of data.grammars) {
+      let compiled;
+      try {
+        compiled = compileGrammar(grammar, origin);
+      } catch (err) {
+        console.warn(`[FilenameGrammars] Skipping ${origin} grammar:`, err.message);
+        continue;
+      }
+      const index = merged.findIndex(existing => existing.id === compiled.id);
+      if (index >= 0) {
+        merged[index] = { ...compiled, overrides: merged[index].origin };
+      } else {
+        merged.push(compiled);
+      }
+    }
+  }
+  return { grammars: merged, catalogMaps };
+}
+
+function loadRegistry() {
+  if (registry) return registry;
+  registry = mergeGrammars([
+    { origin: 'builtIn', data: readGrammarFile(BUNDLED_PATH) },
+    { origin: 'cloud', data: readGrammarFile(getCloudCachePath()) },
+    { origin: 'user', data: readGrammarFile(getUserFilePath()) }
+  ]);
+  return registry;
+}
+
+// Forget the loaded grammars so the next parse reads the files again
+function reloadGrammars() {
+  registry = null;
+  return loadRegistry();
+}
+
+function fillTemplate(template, groups, underscoresToSpaces) {
+  const value = String(template).replace(/\{(\w+)\}/g, (_, name) => groups[name] ?? '');
+  return (underscoresToSpaces ? value.replace(/_/g, ' ') : value).trim();
+}
+
+/**
+ * Run one grammar against a filename without its extension
+ * @returns {Object|null} Track info, or null when the pattern doesn't match
+ */
+function applyGrammar(grammar, nameWithoutExt, catalogMaps = {}) {
+  const match = nameWithoutExt.match(grammar.regex);
+  if (!match) return null;
+
+  const groups = match.groups || {};
+  const fields = grammar.fields;
+  const value = (field) => fields[field] !== undefined ? fillTemplate(fields[field], groups, grammar.underscoresToSpaces) : '';
+
+  const displayName = value('displayName');
+  if (!displayName) return null;
+
+  const catalogCode = value('catalogCode');
+  const catalogMap = catalogMaps[grammar.catalogMap] || {};
+  const source = catalogMap[catalogCode] || (fields.source !== undefined ? value('source') : catalogCode);
+
+  const result = {
+    baseTrackName: (value('baseTrackName') || displayName).toLowerCase(),
+    displayName,
+    artist: value('artist'),
+    library: grammar.library || '',
+    source,
+    catalogCode,
+    isStem: !!grammar.stem
+  };
+  if (fields.stemPart !== undefined) result.stemPart = value('stemPart');
+  result.confidence = grammar.confidence ?? 0.9;
+  result.matchedPattern = grammar.id;
+  return result;
+}
+
+// No grammar matched: clean up the name and guess at stems - LOW CONFIDENCE (needs Opus review)
+function parseGenericFileName(nameWithoutExt) {
+  const hasStemKeyword = /_Stems?$/i.test(nameWithoutExt) || /_STEM_/i.test(nameWithoutExt) || /\sSTEM\s/i.test(nameWithoutExt);
+  const isStemFile = hasStemKeyword || STEM_PART_PATTERN.test(nameWithoutExt);
+
+  let cleanName = nameWithoutExt
+    .replace(/^mx_?/i, '')
+    .replace(/^SYNC\s+/i, '')
+    .replace(/_LVTD[\s_]*ClrMx$/i, '')
+    .replace(/[_\s]+v\d+(\.\d+)?$/i, '')
+    .replace(/[_\s]+(30s|60s|15s|10s|90s)$/i, '')
+    .replace(/[_\s]+(Full|Alt|Edit|Clean|Explicit|Instrumental|Radio|Extended|Remix|Short|Long|Loop)$/i, '')
+    .replace(/[_\s]+(Mix|Mixdown|Master|Mastered|Final|Draft)$/i, '')
+    .replace(/_/g, ' ')
+    .trim();
+
+  cleanName = cleanName.replace(/\s*Stems?$/i, '').trim();
+  cleanName = cleanName.replace(/\s+HiFi$/i, '').trim();
+  cleanName = cleanName.replace(/\s+Main$/i, '').trim();
+  cleanName = cleanName.replace(/\s+LVTD\s*ClrMx$/i, '').trim();
+
+  // Split the stem part off the base name for stem files
+  let detectedStemPart = null;
+  if (isStemFile) {
+    const stemSuffixMatch = cleanName.match(STEM_SUFFIX_PATTERN);
+    if (stemSuffixMatch) {
+      detectedStemPart = stemSuffixMatch[1].trim();
+      cleanName = cleanName.slice(0, stemSuffixMatch.index).trim();
+    }
+  }
+
+  if (cleanName.length === 0) return null;
+
+  let confidence = 0.50;
+  let matchedPattern = 'generic';
+  if (/^mx_/i.test(nameWithoutExt)) {
+    confidence = 0.70;
+    matchedPattern = 'generic_mx';
+  }
+  if (/[A-Z]{2,4}\d{2,4}/i.test(nameWithoutExt)) {
+    confidence = 0.75;
+    matchedPattern = 'generic_catalog';
+  }
+
+  const result = {
+    baseTrackName: cleanName.toLowerCase(),
+    displayName: cleanName,
+    artist: '',
+    source: '',
+    catalogCode: '',
+    isStem: isStemFile,
+    confidence,
+    matchedPattern
+  };
+
+  if (detectedStemPart) {
+    result.stemPart = detectedStemPart;
+    result.matchedPattern = 'generic_stem_suffix';
+    result.confidence = Math.max(result.confidence, 0.80);
+  }
+
+  return result;
+}
+
+function parseWith(filename, { grammars, catalogMaps }) {
+  const nameWithoutExt = String(filename || '').replace(AUDIO_EXTENSION_PATTERN, '');
+  for (const grammar of grammars) {
+    if (grammar.enabled === false) continue;
+    const result = applyGrammar(grammar, nameWithoutExt, catalogMaps);
+    if (result) return result;
+  }
+  return parseGenericFileName(nameWithoutExt);
+}
+
+/**
+ * Parse an audio filename into track info
+ * @param {string} filename - Clip or file name, with or without extension
+ * @returns {Object|null} { baseTrackName, displayName, artist, library, source, catalogCode, isStem, stemPart?, confidence, matchedPattern }
+ */
+function parseFileName(filename) {
+  return parseWith(filename, loadRegistry());
+}
+
+// Grammars without their compiled regex, for the settings editor
+function listGrammars() {
+  const { grammars, catalogMaps } = loadRegistry();
+  return {
+    grammars: grammars.map(({ regex, ...grammar }) => grammar),
+    catalogMaps
+  };
+}
+
+/**
+ * Try sample filenames against the registry, optionally with an unsaved draft
+ * grammar in place of the saved one with the same id
+ * @returns {Object} { results: [{ filename, result }], examples: [{ filename, expect, result, passed }] }
+ */
+function testFileNames(filenames = [], draft = null) {
+  const { grammars, catalogMaps } = loadRegistry();
+  let testGrammars = grammars;
+  let draftGrammar = null;
+  if (draft) {
+    draftGrammar = compileGrammar(draft, 'draft');
+    const index = grammars.findIndex(grammar => grammar.id === draft.id);
+    testGrammars = index >= 0
+      ? grammars.map((grammar, i) => i === index ? draftGrammar : grammar)
+      : [...grammars, draftGrammar];
+  }
+
+  const results = filenames
+    .map(filename => String(filename).trim())
+    .filter(Boolean)
+    .map(filename => ({ filename, result: parseWith(filename, { grammars: testGrammars, catalogMaps }) }));
+
+  // A grammar's own examples check that it still parses what it was written for
+  const examples = (draftGrammar?.examples || []).map(example => {
+    const result = parseWith(example.filename, { grammars: testGrammars, catalogMaps });
+    const passed = !!result && result.matchedPattern === draftGrammar.id &&
+      Object.entries(example.expect || {}).every(([field, expected]) => result[field] === expected);
+    return { ...example, result, passed };
+  });
+
+  return { results, examples };
+}
+
+function writeUserFile(data) {
+  const filePath = getUserFilePath();
+  if (!filePath) throw new Error('Custom grammars can only be saved from the app');
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, ...data }, null, 2));
+}
+
+// Save a user grammar; a built-in or cloud id is overridden rather than changed
+function saveUserGrammar(grammar) {
+  const { origin, overrides, regex, ...clean } = grammar;
+  validateGrammar(clean);
+  const data = readGrammarFile(getUserFilePath());
+  const index = data.grammars.findIndex(existing => existing.id === clean.id);
+  if (index >= 0) data.grammars[index] = clean;
+  else data.grammars.push(clean);
+  writeUserFile(data);
+  reloadGrammars();
+  return clean;
+}
+
+// Remove a user grammar (an overridden built-in comes back)
+function deleteUserGrammar(id) {
+  const data = readGrammarFile(getUserFilePath());
+  const grammars = data.grammars.filter(grammar => grammar.id !== id);
+  if (grammars.length === data.grammars.length) {
+    throw new Error('Only custom grammars can be deleted');
+  }
+  writeUserFile({ ...data, grammars });
+  reloadGrammars();
+}
+
+/**
+ * Fetch shared grammars from Supabase and cache them for offline use
+ * @param {Object} client - Supabase client
+ * @returns {Promise<number>} Number of grammars cached
+ */
+async function syncCloudGrammars(client) {
+  if (!client) return 0;
+  const { data, error } = await client
+    .from('filename_grammars')
+    .select('id, grammar, catalog_maps, enabled')
+    .eq('enabled', true);
+  if (error) throw new Error(error.message);
+
+  const grammars = [];
+  const catalogMaps = {};
+  for (const row of data || []) {
+    if (row.grammar) grammars.push({ ...row.grammar, id: row.id });
+    Object.assign(catalogMaps, row.catalog_maps || {});
+  }
+
+  const cachePath = getCloudCachePath();
+  if (cachePath) {
+    fs.writeFileSync(cachePath, JSON.stringify({ version: 1, catalogMaps, grammars }, null, 2));
+  }
+  reloadGrammars();
+  return grammars.length;
+}
+
+module.exports = {
+  parseFileName,
+  parseGenericFileName,
+  applyGrammar,
+  validateGrammar,
+  listGrammars,
+  testFileNames,
+  saveUserGrammar,
+  deleteUserGrammar,
+  syncCloudGrammars,
+  reloadGrammars,
+  GRAMMAR_FIELDS
+};
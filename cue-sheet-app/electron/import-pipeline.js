@@ -2,6 +2,8 @@
  * Import Pipeline Module
  * 
  * Modular, testable functions for the prproj import process.
+ * FCPXML, Premiere XML, EDL and CSV clip lists go through the same steps
+ * (see timeline-importers.js).
  * Each step can be run independently and returns both results and summaries.
  * 
  * Usage in notebook:
@@ -15,6 +17,14 @@ const path = require('path');
 const zlib = require('zlib');
 const sax = require('sax');
 const { XMLParser } = require('fast-xml-parser');
+const timeline = require('./timeline');
+const timelineImporters = require('./timeline-importers');
+const filenameGrammars = require('./filename-grammars');
+const { CONFLICT_FIELDS, findConflicts } = require('./track-conflicts');
+
+// Learned-database matches at or above this confidence are treated as the
+// same track when file tags disagree with them
+const CONFLICT_MATCH = 0.95;
 
 // Premiere Pro ticks conversion (254016000000 ticks per second)
 const TICKS_PER_SECOND = 254016000000;
@@ -54,14 +64,6 @@ const NON_MUSIC_PATTERNS = [
   // Note: LVTD ClrMx is NOT filtered - it's a suffix on music library tracks
 ];
 
-// BMG Catalog code to album name mapping
-const BMG_CATALOG_MAP = {
-  'IATS021': 'Ka-Pow',
-  'IATS': 'Ka-Pow',
-  'BYND': 'FX _ Trailer FX I (BYND001)',
-  'BYND001': 'FX _ Trailer FX I (BYND001)',
-};
-
 // ============================================================================
 // STEP 1: Parse Project XML - Extract raw clips from .prproj file
 // ============================================================================
@@ -134,7 +136,9 @@ function resolveFilePath(filePath) {
 }
 
 // Stream-parse a .prproj file using SAX (handles files of any size)
-async function parseProjectXML(filePath) {
+// options.sequenceId limits the clips to AudioClipTrackItems placed in that Sequence;
+// without it every placement in the project is merged (legacy behaviour)
+async function parseProjectXML(filePath, options = {}) {
   const startTime = Date.now();
   console.log('[ImportPipeline] parseProjectXML called with:', filePath);
   
@@ -149,10 +153,15 @@ async function parseProjectXML(filePath) {
     const pathsMap = new Map();
     const subClipToClip = new Map();
     const clipToName = new Map();
-    const clipDurations = new Map();
-    const disabledClipNames = new Set();
     const allAudioFiles = new Set();
     
+    // Sequence ownership: Sequence -> TrackGroup -> AudioClipTrack -> AudioClipTrackItem
+    // Every hop is an ObjectRef/ObjectURef, so the chain is resolved after parsing
+    const sequences = [];                       // { id, name, trackGroupRefs[] } in document order
+    const trackGroupTracks = new Map();         // AudioTrackGroup ObjectID -> [AudioClipTrack ObjectUID]
+    const clipTrackItems = new Map();           // AudioClipTrack ObjectUID -> [AudioClipTrackItem ObjectID]
+    const videoFrameRates = new Map();          // VideoTrackGroup ObjectID -> ticks per frame
+    
     // SAX parser state - strict mode to preserve tag name casing
     const saxParser = sax.createStream(true, { trim: true });
     const tagStack = [];
@@ -166,6 +175,12 @@ async function parseProjectXML(filePath) {
     let audioClipEnd = null;
     let audioClipSubClipRef = null;
     let audioClipDisabled = false;
+    let audioClipItemId = null;
+    let currentSequence = null;
+    let currentAudioTrackGroupId = null;
+    let currentVideoTrackGroupId = null;
+    let currentAudioClipTrackId = null;
+    let inClipItems = false;
     
     // Store raw audio clip placements for deferred resolution
     // (SubClip/Clip definitions may appear AFTER AudioClipTrackItems in the XML)
@@ -202,9 +217,55 @@ async function parseProjectXML(filePath) {
         }
       }
       
+      // Sequence definitions carry an ObjectUID (references elsewhere use ObjectURef)
+      if (tagName === 'Sequence') {
+        const uid = getAttr(node.attributes, 'ObjectUID');
+        if (uid) {
+          currentSequence = { id: uid, name: null, trackGroupRefs: [], displayFormat: null, zeroPointTicks: 0, depth: tagStack.length };
+          sequences.push(currentSequence);
+        }
+      }
+      
+      // <TrackGroup><Second ObjectRef="..."/> inside a Sequence -> its Video/Audio/Data track groups
+      if (tagName === 'Second' && currentSequence && tagStack[tagStack.length - 2] === 'TrackGroup') {
+        const objRef = getAttr(node.attributes, 'ObjectRef');
+        if (objRef) currentSequence.trackGroupRefs.push(objRef);
+      }
+      
+      if (tagName === 'VideoTrackGroup') {
+        currentVideoTrackGroupId = getAttr(node.attributes, 'ObjectID');
+      }
+      
+      if (tagName === 'AudioTrackGroup') {
+        currentAudioTrackGroupId = getAttr(node.attributes, 'ObjectID');
+        if (currentAudioTrackGroupId) trackGroupTracks.set(currentAudioTrackGroupId, []);
+      }
+      
+      // <Track ObjectURef="..."/> inside an AudioTrackGroup -> member AudioClipTrack
+      if (tagName === 'Track' && currentAudioTrackGroupId) {
+        const objURef = getAttr(node.attributes, 'ObjectURef');
+        if (objURef) trackGroupTracks.get(currentAudioTrackGroupId).push(objURef);
+      }
+      
+      if (tagName === 'AudioClipTrack') {
+        currentAudioClipTrackId = getAttr(node.attributes, 'ObjectUID');
+        if (currentAudioClipTrackId) clipTrackItems.set(currentAudioClipTrackId, []);
+      }
+      
+      if (tagName === 'ClipItems' && currentAudioClipTrackId) {
+        inClipItems = true;
+      }
+      
+      // <TrackItem ObjectRef="..."/> inside an AudioClipTrack's ClipItems -> AudioClipTrackItem
+      if (tagName === 'TrackItem' && inClipItems) {
+        const objRef = getAttr(node.attributes, 'ObjectRef');
+        if (objRef) clipTrackItems.get(currentAudioClipTrackId).push(objRef);
+      }
+      
       // Track AudioClipTrackItem
       if (tagName === 'AudioClipTrackItem') {
         inAudioClipTrackItem = true;
+        audioClipItemId = getAttr(node.attributes, 'ObjectID');
         audioClipStart = null;
         audioClipEnd = null;
         audioClipSubClipRef = null;
@@ -239,6 +300,22 @@ async function parseProjectXML(filePath) {
         pathsMap.set(nameWithoutExt, text);
       }
       
+      // Sequence name is a direct child of the Sequence element
+      if (tagName === 'Name' && text && currentSequence && tagStack[tagStack.length - 2] === 'Sequence') {
+        currentSequence.name = text;
+      }
+      
+      // Sequence timebase: display format code and start timecode offset (sequence Properties)
+      if (currentSequence && text) {
+        if (tagName === 'MZ.Sequence.VideoTimeDisplayFormat') currentSequence.displayFormat = parseInt(text);
+        if (tagName === 'MZ.ZeroPoint') currentSequence.zeroPointTicks = parseInt(text) || 0;
+      }
+      
+      // Video frame duration (ticks per frame) of a VideoTrackGroup
+      if (tagName === 'FrameRate' && text && currentVideoTrackGroupId && tagStack[tagStack.length - 2] === 'TrackGroup') {
+        videoFrameRates.set(currentVideoTrackGroupId, parseInt(text));
+      }
+      
       // Name element -> clip name mapping and audio file collection
       if (tagName === 'Name' && text) {
         // Map Clip ObjectID -> Name
@@ -285,10 +362,20 @@ async function parseProjectXML(filePath) {
         currentClipId = null;
       }
       
+      // Close sequence / track ownership containers
+      if (tagName === 'Sequence' && currentSequence && tagStack.length === currentSequence.depth) {
+        currentSequence = null;
+      }
+      if (tagName === 'AudioTrackGroup') currentAudioTrackGroupId = null;
+      if (tagName === 'VideoTrackGroup') currentVideoTrackGroupId = null;
+      if (tagName === 'AudioClipTrack') currentAudioClipTrackId = null;
+      if (tagName === 'ClipItems') inClipItems = false;
+      
       // Close AudioClipTrackItem -> store placement for deferred resolution (skip disabled/muted)
       if (tagName === 'AudioClipTrackItem' && inAudioClipTrackItem) {
         if (audioClipDisabled && audioClipSubClipRef) {
           rawPlacements.push({
+            id: audioClipItemId,
             start: audioClipStart || 0,
             end: audioClipEnd || 0,
             subClipRef: audioClipSubClipRef,
@@ -296,6 +383,7 @@ async function parseProjectXML(filePath) {
           });
         } else if (audioClipStart !== null && audioClipEnd !== null && audioClipSubClipRef) {
           rawPlacements.push({
+            id: audioClipItemId,
             start: audioClipStart,
             end: audioClipEnd,
             subClipRef: audioClipSubClipRef,
@@ -307,6 +395,7 @@ async function parseProjectXML(filePath) {
         audioClipEnd = null;
         audioClipSubClipRef = null;
         audioClipDisabled = false;
+        audioClipItemId = null;
       }
       
       currentText = '';
@@ -321,81 +410,58 @@ async function parseProjectXML(filePath) {
     });
     
     saxParser.on('end', () => {
-      // Resolve deferred placements now that all SubClip/Clip maps are built
-      for (const placement of rawPlacements) {
-        const clipRef = subClipToClip.get(placement.subClipRef);
-        let clipName = clipRef ? clipToName.get(clipRef) : null;
-        if (!clipName) clipName = clipToName.get(placement.subClipRef);
-        
-        if (clipName) {
-          if (placement.disabled) {
-            disabledClipNames.add(clipName);
-          } else {
-            const durationTicks = placement.end - placement.start;
-            const current = clipDurations.get(clipName) || { totalTicks: 0, instances: 0, maxTicks: 0, earliestStart: Infinity };
-            current.totalTicks += durationTicks;
-            current.instances++;
-            current.maxTicks = Math.max(current.maxTicks, durationTicks);
-            if (placement.start < current.earliestStart) {
-              current.earliestStart = placement.start;
+      // Resolve which Sequence owns each AudioClipTrackItem
+      const itemToSequence = new Map();
+      for (const seq of sequences) {
+        for (const groupRef of seq.trackGroupRefs) {
+          for (const trackId of trackGroupTracks.get(groupRef) || []) {
+            for (const itemId of clipTrackItems.get(trackId) || []) {
+              itemToSequence.set(itemId, seq.id);
             }
-            clipDurations.set(clipName, current);
           }
         }
       }
       
-      // Build final clips array (skip clips where ALL placements are disabled/muted)
-      const clips = [];
-      for (const originalName of allAudioFiles) {
-        if (originalName === 'Root Bin' || originalName === 'Audio' || originalName === 'Balance' || 
-            originalName.startsWith('z') || originalName.includes('JUNK') || originalName.includes('OLD') ||
-            originalName.startsWith('*')) continue;
-        
-        const durationData = clipDurations.get(originalName) || { totalTicks: 0, instances: 0, maxTicks: 0, earliestStart: Infinity };
-        
-        // Skip clips that only have disabled/muted placements (no active instances)
-        if (durationData.instances === 0 && disabledClipNames.has(originalName)) continue;
-        
-        clips.push({
-          id: `clip-${clips.length + 1}`,
-          originalName,
-          ticks: durationData.totalTicks,
-          maxTicks: durationData.maxTicks,
-          instances: durationData.instances,
-          earliestStartTick: durationData.earliestStart
-        });
-      }
-      
-      clips.sort((a, b) => a.earliestStartTick - b.earliestStartTick);
+      const resolveClipName = (placement) => {
+        const clipRef = subClipToClip.get(placement.subClipRef);
+        return (clipRef ? clipToName.get(clipRef) : null) || clipToName.get(placement.subClipRef) || null;
+      };
       
-      for (let i = 0; i < clips.length; i++) {
-        clips[i].id = `clip-${i + 1}`;
+      for (const placement of rawPlacements) {
+        placement.sequenceId = itemToSequence.get(placement.id) || null;
+        placement.clipName = resolveClipName(placement);
       }
       
-      const projectName = path.basename(filePath, '.prproj');
-      const spotTitle = parseSpotTitleFromFilename(projectName);
-      const elapsed = Date.now() - startTime;
-      
-      console.log(`[ImportPipeline] Streaming parse complete: ${clips.length} clips, ${pathsMap.size} paths in ${elapsed}ms`);
-      
-      resolve({
-        result: clips,
-        projectName,
-        spotTitle,
-        filePath,
-        filePathsMap: pathsMap,
-        xmlContent: null, // Not available in streaming mode (not needed)
-        summary: {
-          stepName: 'Parse Project XML (streaming)',
-          inputFile: filePath,
-          projectName,
-          spotTitle,
-          totalClipsFound: clips.length,
-          mediaFilesFound: Math.floor(pathsMap.size / 2),
-          elapsedMs: elapsed,
-          samples: clips.slice(0, 3).map(c => c.originalName)
-        }
+      const sequenceList = sequences.map(seq => {
+        const ticksPerFrame = seq.trackGroupRefs.map(ref => videoFrameRates.get(ref)).find(Boolean);
+        return {
+          id: seq.id,
+          name: seq.name,
+          timebase: timeline.resolveTimebase({ displayFormat: seq.displayFormat, ticksPerFrame }),
+          zeroPointTicks: seq.zeroPointTicks
+        };
       });
+      
+      try {
+        const parsed = buildClipsFromPlacements({
+          placements: rawPlacements,
+          sequences: sequenceList,
+          audioNames: allAudioFiles,
+          filePath,
+          projectName: path.basename(filePath, '.prproj'),
+          pathsMap,
+          sequenceId: options.sequenceId,
+          startTime,
+          stepName: 'Parse Project XML (streaming)'
+        });
+        parsed.xmlContent = null; // Not available in streaming mode (not needed)
+        parsed.summary.mediaFilesFound = Math.floor(pathsMap.size / 2);
+        
+        console.log(`[ImportPipeline] Streaming parse complete: ${parsed.result.length} clips, ${sequenceList.length} sequences, ${pathsMap.size} paths in ${parsed.summary.elapsedMs}ms`);
+        resolve(parsed);
+      } catch (err) {
+        reject(err);
+      }
     });
     
     // Stream: file -> gunzip -> SAX parser
@@ -409,6 +475,201 @@ async function parseProjectXML(filePath) {
   });
 }
 
+// Turn timeline placements into the raw clip list shared by every importer
+// placements: [{ id, sequenceId, clipName, start, end, disabled }] with start/end in Premiere ticks
+// sequences:  [{ id, name, timebase, zeroPointTicks }]
+// audioNames: every audio media name in the project (unplaced media is listed when no sequence is selected)
+// sequenceId: limit clips to one sequence; throws if it does not exist
+function buildClipsFromPlacements({ placements, sequences, audioNames, filePath, projectName, pathsMap = new Map(), sequenceId = null, startTime = Date.now(), stepName }) {
+  const clipDurations = new Map();
+  const disabledClipNames = new Set();
+  
+  // Per-sequence overview for the sequence picker
+  // durationTicks is the sequence length when the format records one, else the
+  // last active audio out point (video-only tails are not counted)
+  const sequenceList = sequences.map(seq => {
+    const active = placements.filter(p => p.sequenceId === seq.id && !p.disabled);
+    return {
+      id: seq.id,
+      name: seq.name || 'Untitled Sequence',
+      timebase: seq.timebase || null,
+      zeroPointTicks: seq.zeroPointTicks || 0,
+      placementCount: active.length,
+      clipCount: new Set(active.map(p => p.clipName).filter(Boolean)).size,
+      durationTicks: active.reduce((max, p) => Math.max(max, p.end), seq.durationTicks || 0)
+    };
+  });
+  
+  let sequence = null;
+  if (sequenceId) {
+    sequence = sequenceList.find(seq => seq.id === sequenceId) || null;
+    if (!sequence) {
+      throw new Error(`Sequence not found in project: ${sequenceId}`);
+    }
+  }
+  
+  const placementsInScope = sequence
+    ? placements.filter(p => p.sequenceId === sequence.id)
+    : placements;
+  
+  // Timebase for durations: the selected sequence, else the first sequence with audio
+  const sequencesById = new Map(sequenceList.map(seq => [seq.id, seq]));
+  const projectTimebase = sequence
+    ? sequence.timebase
+    : (sequenceList.find(seq => seq.placementCount > 0 && seq.timebase) || {}).timebase || null;
+  
+  for (const placement of placementsInScope) {
+    const clipName = placement.clipName;
+    
+    if (clipName) {
+      if (placement.disabled) {
+        disabledClipNames.add(clipName);
+      } else {
+        const durationTicks = placement.end - placement.start;
+        const current = clipDurations.get(clipName) || { totalTicks: 0, instances: 0, earliestStart: Infinity, spans: [] };
+        current.totalTicks += durationTicks;
+        current.instances++;
+        current.spans.push({
+          sequenceId: placement.sequenceId,
+          startTicks: placement.start,
+          endTicks: placement.end,
+          zeroPointTicks: (sequencesById.get(placement.sequenceId) || {}).zeroPointTicks || 0
+        });
+        if (placement.start < current.earliestStart) {
+          current.earliestStart = placement.start;
+        }
+        clipDurations.set(clipName, current);
+      }
+    }
+  }
+  
+  // Build final clips array (skip clips where ALL placements are disabled/muted)
+  const clips = [];
+  for (const originalName of audioNames) {
+    if (originalName === 'Root Bin' || originalName === 'Audio' || originalName === 'Balance' || 
+        originalName.startsWith('z') || originalName.includes('JUNK') || originalName.includes('OLD') ||
+        originalName.startsWith('*')) continue;
+    
+    const durationData = clipDurations.get(originalName) || { totalTicks: 0, instances: 0, earliestStart: Infinity, spans: [] };
+    
+    // Skip clips that only have disabled/muted placements (no active instances)
+    if (durationData.instances === 0 && disabledClipNames.has(originalName)) continue;
+    
+    // A single sequence only lists media actually cut into it
+    if (sequence && durationData.instances === 0) continue;
+    
+    // Overlapping/abutting placements are one on-air use; ticks is the merged on-air total
+    const segments = timeline.mergeSpans(durationData.spans);
+    const onAirTicks = segments.reduce((sum, seg) => sum + seg.durationTicks, 0);
+    const owningSequence = sequence || sequencesById.get(segments[0]?.sequenceId);
+    
+    clips.push({
+      id: `clip-${clips.length + 1}`,
+      originalName,
+      ticks: onAirTicks,
+      placementTicks: durationData.totalTicks,
+      maxTicks: segments.reduce((max, seg) => Math.max(max, seg.durationTicks), 0),
+      instances: durationData.instances,
+      segments,
+      useCount: segments.length,
+      earliestStartTick: durationData.earliestStart,
+      sequenceId: sequence ? sequence.id : null,
+      timebase: (owningSequence && owningSequence.timebase) || projectTimebase
+    });
+  }
+  
+  clips.sort((a, b) => a.earliestStartTick - b.earliestStartTick);
+  
+  for (let i = 0; i < clips.length; i++) {
+    clips[i].id = `clip-${i + 1}`;
+  }
+  
+  const spotTitle = parseSpotTitleFromFilename(sequence ? sequence.name : projectName);
+  const elapsed = Date.now() - startTime;
+  
+  // Program length for music-percentage totals: the selected sequence, else the longest one with audio
+  const programSequence = sequence || sequenceList
+    .filter(seq => seq.placementCount > 0)
+    .reduce((longest, seq) => (!longest || seq.durationTicks > longest.durationTicks ? seq : longest), null);
+  const programSeconds = programSequence ? programSequence.durationTicks / timeline.TICKS_PER_SECOND : null;
+  
+  return {
+    result: clips,
+    projectName,
+    spotTitle,
+    filePath,
+    filePathsMap: pathsMap,
+    sequences: sequenceList,
+    sequence,
+    timebase: projectTimebase,
+    programSeconds,
+    summary: {
+      stepName,
+      inputFile: filePath,
+      projectName,
+      spotTitle,
+      sequenceCount: sequenceList.length,
+      sequenceName: sequence ? sequence.name : null,
+      timebase: projectTimebase ? projectTimebase.label : null,
+      totalClipsFound: clips.length,
+      elapsedMs: elapsed,
+      samples: clips.slice(0, 3).map(c => c.originalName)
+    }
+  };
+}
+
+// Step 1 for any supported timeline file
+// .prproj goes through the streaming parser; other formats are read by
+// timeline-importers and built into the same clip shape
+async function parseTimelineFile(filePath, options = {}) {
+  const resolvedPath = resolveFilePath(filePath);
+  const format = timelineImporters.detectTimelineFormat(resolvedPath);
+  if (format === 'prproj') {
+    return parseProjectXML(filePath, options);
+  }
+  
+  const startTime = Date.now();
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`File not found: ${filePath} (resolved to: ${resolvedPath})`);
+  }
+  
+  const raw = timelineImporters.readTimeline(resolvedPath, { fps: options.fps, format: format || undefined });
+  const parsed = buildClipsFromPlacements({
+    ...raw,
+    filePath: resolvedPath,
+    sequenceId: options.sequenceId,
+    startTime,
+    stepName: `Parse ${timelineImporters.TIMELINE_FORMATS[raw.format].label}`
+  });
+  parsed.xmlContent = null;
+  parsed.format = raw.format;
+  parsed.summary.format = raw.format;
+  parsed.summary.mediaFilesFound = Math.floor(raw.pathsMap.size / 2);
+  
+  console.log(`[ImportPipeline] ${raw.format} parse complete: ${parsed.result.length} clips, ${parsed.sequences.length} sequences in ${parsed.summary.elapsedMs}ms`);
+  return parsed;
+}
+
+// List the sequences in a project (fast - only the XML pass, no enrichment)
+// Used to pick which cutdown(s) to turn into cue sheets before running the full pipeline
+async function listSequences(filePath, options = {}) {
+  const parsed = await parseTimelineFile(filePath, { fps: options.fps });
+  
+  return {
+    result: parsed.sequences,
+    projectName: parsed.projectName,
+    filePath: parsed.filePath,
+    summary: {
+      stepName: 'List Sequences',
+      inputFile: filePath,
+      sequenceCount: parsed.sequences.length,
+      withAudio: parsed.sequences.filter(seq => seq.placementCount > 0).length,
+      elapsedMs: parsed.summary.elapsedMs,
+      samples: parsed.sequences.slice(0, 3).map(seq => seq.name)
+    }
+  };
+}
+
 // Parse spot title from filename
 function parseSpotTitleFromFilename(filename) {
   let name = filename.split(' - ')[0].trim();
@@ -477,8 +738,8 @@ function categorizeCues(rawClips) {
       continue; // Skip non-music
     }
     
-    // Parse filename to get track info (includes confidence)
-    const trackInfo = parseAudioFileName(name);
+    // Parse filename to get track info (library grammars, includes confidence)
+    const trackInfo = filenameGrammars.parseFileName(name);
     if (!trackInfo) continue;
     
     // Determine cue type and aggregate confidence
@@ -592,380 +853,37 @@ function isSfx(originalName, displayName) {
   };
 }
 
-// Parse audio filename to extract track info
-// Returns track info with confidence score based on pattern match quality
-function parseAudioFileName(filename) {
-  const nameWithoutExt = filename.replace(/\.(wav|aif|aiff|mp3|m4a|flac)$/i, '');
-  
-  // Check if filename contains STEM keyword
-  const hasStemKeyword = /_Stems?$/i.test(nameWithoutExt) || /_STEM_/i.test(nameWithoutExt) || /\sSTEM\s/i.test(nameWithoutExt);
-  
-  // Common stem-type suffixes (instrument/part names at end of filename)
-  const STEM_PART_PATTERN = /[_\s](Bass|Drums?|Perc(?:ussion)?|Vocals?|Vox|BGVs?\d*|Guitar(?:s)?|Keys|Synth(?:s)?|Strings|Horns|Brass|Woodwinds|Pads|Piano|Organ|Choir|Melody|Rhythm|Lead|Backing|Sub|Lo|Hi|Mid|Acoustic|Electric|Ambient|Atmosphere|FX|Click|Full\s*Mix)$/i;
-  const stemPartMatch = nameWithoutExt.match(STEM_PART_PATTERN);
-  
-  const isStemFile = hasStemKeyword || !!stemPartMatch;
-  
-  // BMG stem pattern: BASS_mx_BMGPM_IATS021_Punch_Drunk_STEM_BASS
-  const bmgStemMatch = nameWithoutExt.match(/^([A-Z]+)_mx_BMGPM_([A-Z]+\d*)_(.+?)_STEM_/i);
-  if (bmgStemMatch) {
-    const catalogCode = bmgStemMatch[2];
-    const trackName = bmgStemMatch[3].replace(/_/g, ' ').trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'BMG Production Music',
-      source: BMG_CATALOG_MAP[catalogCode] || catalogCode,
-      catalogCode: catalogCode,
-      isStem: true,
-      confidence: 0.95,
-      matchedPattern: 'bmg_stem'
-    };
-  }
-  
-  // BSM stem pattern: mx_BSM_Step Into A World (Trailer Remix)_STEM_Bass
-  // Or with version: mx_BSM_Step Into A World (Trailer Remix) v2.2_STEM_Bass + Pulse
-  const bsmStemMatch = nameWithoutExt.match(/^mx_BSM_(.+?)(?:\s+v[\d.]+)?_STEM_(.+)$/i);
-  if (bsmStemMatch) {
-    let songTitle = bsmStemMatch[1].trim();
-    const stemPart = bsmStemMatch[2].trim();
-    
-    // Remove version suffix from song title if present at end
-    songTitle = songTitle.replace(/\s+v[\d.]+$/i, '').trim();
-    
-    return {
-      baseTrackName: songTitle.toLowerCase(),
-      displayName: songTitle,
-      artist: '',
-      library: 'BSM',
-      source: '',
-      catalogCode: '',
-      isStem: true,
-      stemPart: stemPart,
-      confidence: 0.95,
-      matchedPattern: 'bsm_stem'
-    };
-  }
-  
-  // Alternative BSM stem pattern without mx_ prefix
-  const bsmStemMatch2 = nameWithoutExt.match(/^BSM\s+(.+?)\s+(?:v[\d.]+\s+)?STEM\s+(.+)$/i);
-  if (bsmStemMatch2) {
-    const songTitle = bsmStemMatch2[1].trim();
-    const stemPart = bsmStemMatch2[2].trim();
-    
-    return {
-      baseTrackName: songTitle.toLowerCase(),
-      displayName: songTitle,
-      artist: '',
-      library: 'BSM',
-      source: '',
-      catalogCode: '',
-      isStem: true,
-      stemPart: stemPart,
-      confidence: 0.95,
-      matchedPattern: 'bsm_stem_alt'
-    };
-  }
-  
-  // Artist stem pattern: mx_K.Flay - BloodInTheCut_BGVs4_Stems
-  const artistStemMatch = nameWithoutExt.match(/^mx_([^_]+)\s*-\s*([^_]+)_(.+?)_Stems?$/i);
-  if (artistStemMatch) {
-    const artist = artistStemMatch[1].trim();
-    const songTitle = artistStemMatch[2].trim();
-    const stemPart = artistStemMatch[3].trim();
-    
-    return {
-      baseTrackName: songTitle.toLowerCase(),
-      displayName: songTitle,
-      artist: artist,
-      library: '',
-      source: '',
-      catalogCode: '',
-      isStem: true,
-      stemPart: stemPart,
-      confidence: 0.90,
-      matchedPattern: 'artist_stem'
-    };
-  }
-  
-  // Beyond/BYND pattern: mxBeyond-Fire Thunder Hit
-  const beyondMatch = nameWithoutExt.match(/^mxBeyond-(.+)$/i);
-  if (beyondMatch) {
-    const trackName = beyondMatch[1].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: 'BYND-' + trackName,
-      artist: '',
-      library: 'BMG Production Music',
-      source: BMG_CATALOG_MAP['BYND'] || 'Beyond',
-      catalogCode: 'BYND',
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'beyond'
-    };
-  }
-  
-  // Standard BMG pattern: mx_BMGPM_IATS021_Track_Name
-  const bmgMatch = nameWithoutExt.match(/^mx_?BMGPM_([A-Z]+\d*)_(.+)$/i);
-  if (bmgMatch) {
-    const catalogCode = bmgMatch[1];
-    const trackName = bmgMatch[2].replace(/_/g, ' ').trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'BMG Production Music',
-      source: BMG_CATALOG_MAP[catalogCode] || catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'bmg_standard'
-    };
-  }
-  
-  // EVS (Evolution) pattern: mx_EVS_00131_069_Darkness Calls_Signature 2
-  const evsMatch = nameWithoutExt.match(/^mx_EVS_(\d+)_(\d+)_(.+)$/i);
-  if (evsMatch) {
-    const catalogCode = 'EVS' + evsMatch[1];
-    const trackName = evsMatch[3].replace(/_/g, ' ').trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'Evolution',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'evolution'
-    };
-  }
-  
-  // GTW (Gravity/Gothic Storm) pattern: GTW121_16 Decisive Power Smash Main
-  const gtwMatch = nameWithoutExt.match(/^GTW(\d+)[_\s]+(\d+)\s+(.+?)\s*(Main)?$/i);
-  if (gtwMatch) {
-    const catalogCode = 'GTW' + gtwMatch[1];
-    const trackName = gtwMatch[3].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'Gothic Storm',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'gothic_storm'
-    };
-  }
-  
-  // AMT (Audiomachine) pattern: AMT05_740 Master Blaster or AMT05 740 Master Blaster
-  const amtMatch = nameWithoutExt.match(/^AMT(\d+)[_\s]+(\d+)\s+(.+)$/i);
-  if (amtMatch) {
-    const catalogCode = 'AMT' + amtMatch[1];
-    const trackName = amtMatch[3].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'Audiomachine',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'audiomachine'
-    };
-  }
-  
-  // Sencit pattern: Sencit ATv1 40 Tres Explosivos Swish Hit
-  const sencitMatch = nameWithoutExt.match(/^Sencit\s+(\w+)\s+(\d+)\s+(.+)$/i);
-  if (sencitMatch) {
-    const catalogCode = 'Sencit ' + sencitMatch[1];
-    const trackName = sencitMatch[3].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'Tenth Dimension',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'sencit'
-    };
-  }
-  
-  // REPEATER pattern: Repeater EAv1 334 Three Killers Multi Knife Swing
-  const repeaterMatch = nameWithoutExt.match(/^Repeater\s+(\w+)\s+(\d+)\s+(.+)$/i);
-  if (repeaterMatch) {
-    const catalogCode = 'Repeater ' + repeaterMatch[1];
-    const trackName = repeaterMatch[3].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'REPEATER',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'repeater'
-    };
-  }
-  
-  // THH (The Hit House) pattern: THH40 HAND TO HAND COMBAT 08 Tackle
-  const thhMatch = nameWithoutExt.match(/^THH(\d+)\s+(.+?)\s+(\d+)\s+(.+?)(?:\s+LVTD.*)?$/i);
-  if (thhMatch) {
-    const catalogCode = 'THH' + thhMatch[1];
-    const trackName = thhMatch[4].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'The Hit House',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'hit_house'
-    };
-  }
-  
-  // DAM (Dream Art Music) pattern: DAM208_054 Juicy Evil Dead Punch 1 HIT
-  const damMatch = nameWithoutExt.match(/^DAM(\d+)[_\s]+(\d+)\s+(.+?)(?:\s+(?:HIT|LOW|PUNCH).*)?$/i);
-  if (damMatch) {
-    const catalogCode = 'DAM' + damMatch[1];
-    const trackName = damMatch[3].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'Dream Art Music',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'dream_art_music'
-    };
-  }
-  
-  // BYND (Beyond) pattern with numbers: BYND258_018 Flash Zoom Bys
-  const byndNumMatch = nameWithoutExt.match(/^BYND(\d+)[_\s]+(\d+)\s+(.+)$/i);
-  if (byndNumMatch) {
-    const catalogCode = 'BYND' + byndNumMatch[1];
-    const trackName = byndNumMatch[3].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '',
-      library: 'BMG Production Music',
-      source: catalogCode,
-      catalogCode: catalogCode,
-      isStem: false,
-      confidence: 0.95,
-      matchedPattern: 'bynd_numbered'
-    };
-  }
-  
-  // Generic audio file - LOW CONFIDENCE (needs Opus review)
-  let cleanName = nameWithoutExt
-    .replace(/^mx_?/i, '')
-    .replace(/^SYNC\s+/i, '')
-    .replace(/_LVTD[\s_]*ClrMx$/i, '')
-    .replace(/[_\s]+v\d+(\.\d+)?$/i, '')
-    .replace(/[_\s]+(30s|60s|15s|10s|90s)$/i, '')
-    .replace(/[_\s]+(Full|Alt|Edit|Clean|Explicit|Instrumental|Radio|Extended|Remix|Short|Long|Loop)$/i, '')
-    .replace(/[_\s]+(Mix|Mixdown|Master|Mastered|Final|Draft)$/i, '')
-    .replace(/_/g, ' ')
-    .trim();
-  
-  cleanName = cleanName.replace(/\s*Stems?$/i, '').trim();
-  
-  cleanName = cleanName.replace(/\s+HiFi$/i, '').trim();
-  cleanName = cleanName.replace(/\s+Main$/i, '').trim();
-  cleanName = cleanName.replace(/\s+LVTD\s*ClrMx$/i, '').trim();
-
-  // Extract stem part and clean base name for stem files
-  let detectedStemPart = null;
-  if (isStemFile) {
-    const stemSuffixMatch = cleanName.match(/\s+(Bass|Drums?|Perc(?:ussion)?|Vocals?|Vox|BGVs?\d*|Guitar(?:s)?|Keys|Synth(?:s)?|Strings|Horns|Brass|Woodwinds|FX|Pads|Piano|Organ|Choir|Melody|Rhythm|Lead|Backing|Sub|Lo|Hi|Mid|Acoustic|Electric|Ambient|Atmosphere|Click|Full\s*Mix)$/i);
-    if (stemSuffixMatch) {
-      detectedStemPart = stemSuffixMatch[1].trim();
-      cleanName = cleanName.slice(0, stemSuffixMatch.index).trim();
-    }
-  }
-  
-  if (cleanName.length > 0) {
-    let confidence = 0.50;
-    let matchedPattern = 'generic';
-    
-    if (/^mx_/i.test(nameWithoutExt)) {
-      confidence = 0.70;
-      matchedPattern = 'generic_mx';
-    }
-    
-    if (/[A-Z]{2,4}\d{2,4}/i.test(nameWithoutExt)) {
-      confidence = 0.75;
-      matchedPattern = 'generic_catalog';
-    }
-    
-    const result = {
-      baseTrackName: cleanName.toLowerCase(),
-      displayName: cleanName,
-      artist: '',
-      source: '',
-      catalogCode: '',
-      isStem: isStemFile,
-      confidence,
-      matchedPattern
-    };
-    
-    if (detectedStemPart) {
-      result.stemPart = detectedStemPart;
-      result.matchedPattern = 'generic_stem_suffix';
-      result.confidence = Math.max(result.confidence, 0.80);
-    }
-    
-    return result;
-  }
-  
-  return null;
-}
-
 // ============================================================================
-// STEP 3: Calculate Durations - Convert ticks to formatted duration, round at :12 frames
+// STEP 3: Calculate Durations - Convert ticks to formatted duration using the
+// sequence timebase and the delivery spec's rounding rule (default: round up at :12 frames)
 // ============================================================================
-function calculateDurations(clips, fps = 23.976) {
+// timebase: fallback when a clip has no sequence timebase (timebase object or fps number)
+// rounding: key of timeline.ROUNDING_RULES
+function calculateDurations(clips, timebase = 23.976, rounding = timeline.DEFAULT_ROUNDING) {
   const startTime = Date.now();
   const result = [];
   let withDuration = 0;
   let roundedUp = 0;
+  let multiUse = 0;
+  const fallbackTimebase = timeline.normalizeTimebase(timebase);
   
   for (const clip of clips) {
     const ticks = clip.ticks || 0;
-    const durationInfo = ticksToDuration(ticks, fps);
+    const clipTimebase = clip.timebase || fallbackTimebase;
+    const durationInfo = ticksToDuration(ticks, clipTimebase, rounding);
     
     // Track statistics
     if (durationInfo.seconds > 0) withDuration++;
     if (durationInfo.wasRounded) roundedUp++;
+    if ((clip.useCount || 0) > 1) multiUse++;
     
     result.push({
       ...clip,
       duration: durationInfo.formatted,
       durationSeconds: durationInfo.seconds,
       durationFrames: durationInfo.frames,
+      timebase: durationInfo.timebase,
+      fps: durationInfo.timebase.fps,
       durationSource: 'premiere_import'
     });
   }
@@ -980,7 +898,10 @@ function calculateDurations(clips, fps = 23.976) {
       outputCount: result.length,
       withDuration,
       roundedUp,
-      fps,
+      multiUse,
+      fps: fallbackTimebase.fps,
+      timebase: fallbackTimebase.label,
+      rounding,
       elapsedMs: elapsed,
       samples: result.slice(0, 3).map(c => ({
         name: c.trackName,
@@ -991,46 +912,31 @@ function calculateDurations(clips, fps = 23.976) {
   };
 }
 
-// Convert Premiere ticks to duration (with rounding at :12 frames per PDF spec)
-function ticksToDuration(ticks, fps = 23.976) {
+// Convert Premiere ticks to a cue length (M:SS:FF, or M:SS;FF for drop-frame)
+// Frames are counted in the sequence timebase; the rounding rule decides when
+// leftover frames round the seconds up (per cue sheet process PDF: at :12 frames)
+function ticksToDuration(ticks, timebase = 23.976, rounding = timeline.DEFAULT_ROUNDING) {
   const rawSeconds = ticks / TICKS_PER_SECOND;
-  let seconds = rawSeconds;
-  const totalFrames = Math.round(rawSeconds * fps);
-  
-  const minutes = Math.floor(seconds / 60);
-  let secs = Math.floor(seconds % 60);
-  let frames = Math.round((seconds % 1) * fps);
-  
-  // Round up if frames >= 12 (per cue sheet process PDF)
-  let wasRounded = false;
-  if (frames >= 12) {
-    secs += 1;
-    frames = 0;
-    seconds = Math.ceil(seconds);
-    wasRounded = true;
-    
-    // Handle minute overflow
-    if (secs >= 60) {
-      secs = 0;
-      // Recalculate minutes
-    }
-  }
+  const length = timeline.ticksToCueLength(ticks, timebase, rounding);
   
-  const finalMinutes = Math.floor(seconds / 60);
-  const finalSecs = secs % 60;
+  const minutes = Math.floor(length.totalSeconds / 60);
+  const secs = length.totalSeconds % 60;
+  const separator = length.timebase.dropFrame ? ';' : ':';
   
   return {
-    formatted: `${finalMinutes}:${finalSecs.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`,
-    seconds: seconds,
-    frames: totalFrames,
-    wasRounded
+    formatted: `${minutes}:${secs.toString().padStart(2, '0')}${separator}${length.frames.toString().padStart(2, '0')}`,
+    seconds: rawSeconds,
+    frames: timeline.ticksToFrames(ticks, length.timebase),
+    timebase: length.timebase,
+    wasRounded: length.wasRounded
   };
 }
 
 // ============================================================================
 // STEP 4: Group Stems - Link stems to their parent cues
 // ============================================================================
-function groupStems(clips) {
+// rounding: key of timeline.ROUNDING_RULES, applied to stem-merged cue lengths
+function groupStems(clips, rounding = timeline.DEFAULT_ROUNDING) {
   const startTime = Date.now();
   
   const mainCues = clips.filter(c => c.cueType !== 'stem');
@@ -1105,35 +1011,39 @@ function groupStems(clips) {
     if (existingParent) {
       // Link stems to existing parent
       existingParent.stems = groupStems;
-      // Use longest stem duration (stems play simultaneously)
-      const longestStemTicks = Math.max(...groupStems.map(s => s.ticks || 0));
-      if (longestStemTicks > (existingParent.ticks || 0)) {
-        existingParent.ticks = longestStemTicks;
-        // Recalculate formatted duration from ticks
-        const totalSeconds = longestStemTicks / 254016000000;
-        const mins = Math.floor(totalSeconds / 60);
-        const secs = Math.floor(totalSeconds % 60);
-        existingParent.duration = `${mins}:${secs.toString().padStart(2, '0')}`;
-        existingParent.durationSeconds = totalSeconds;
+      // Stems play alongside the parent: on-air time is the union of all their spans
+      const combined = combineStemDurations(existingParent, groupStems);
+      if (combined.ticks !== (existingParent.ticks || 0)) {
+        existingParent.ticks = combined.ticks;
+        // Recalculate the cue length the same way single cues get theirs
+        const durationInfo = ticksToDuration(combined.ticks, existingParent.timebase, rounding);
+        existingParent.duration = durationInfo.formatted;
+        existingParent.durationSeconds = durationInfo.seconds;
+        existingParent.durationFrames = durationInfo.frames;
+      }
+      if (combined.segments) {
+        existingParent.segments = combined.segments;
+        existingParent.useCount = combined.segments.length;
       }
       existingParent.stemDurationAbsorbed = true;
       linkedStems += groupStems.length;
     } else {
       // No parent exists - create a synthetic main cue from the first stem
       const firstStem = groupStems[0];
-      // Use longest stem duration (stems play simultaneously)
-      const longestStemTicks = Math.max(...groupStems.map(s => s.ticks || 0));
-      const totalSeconds = longestStemTicks / 254016000000;
-      const mins = Math.floor(totalSeconds / 60);
-      const secs = Math.floor(totalSeconds % 60);
+      // Stems play simultaneously: on-air time is the union of their spans
+      const combined = combineStemDurations(null, groupStems);
+      const durationInfo = ticksToDuration(combined.ticks, firstStem.timebase, rounding);
       const syntheticParent = {
         ...firstStem,
         cueType: 'main',
         trackName: firstStem.displayName,
         isSynthetic: true,
-        ticks: longestStemTicks,
-        duration: `${mins}:${secs.toString().padStart(2, '0')}`,
-        durationSeconds: totalSeconds,
+        ticks: combined.ticks,
+        segments: combined.segments || firstStem.segments,
+        useCount: combined.segments ? combined.segments.length : firstStem.useCount,
+        duration: durationInfo.formatted,
+        durationSeconds: durationInfo.seconds,
+        durationFrames: durationInfo.frames,
         stemDurationAbsorbed: true,
         stems: groupStems
       };
@@ -1143,6 +1053,11 @@ function groupStems(clips) {
     }
   }
   
+  // Program timecodes (TC In/Out) from the final, stem-merged segments
+  for (let i = 0; i < result.length; i++) {
+    result[i] = timeline.applyTimecodes(result[i]);
+  }
+  
   const elapsed = Date.now() - startTime;
   
   return {
@@ -1165,6 +1080,25 @@ function groupStems(clips) {
   };
 }
 
+// Combined on-air duration of a cue and its stems
+// Uses the union of timeline segments when available, otherwise the longest single duration
+function combineStemDurations(parent, stems) {
+  const members = parent ? [parent, ...stems] : stems;
+  
+  if (members.every(m => Array.isArray(m.segments))) {
+    const segments = timeline.unionSpans(...members.map(m => m.segments));
+    return {
+      ticks: segments.reduce((sum, seg) => sum + seg.durationTicks, 0),
+      segments
+    };
+  }
+  
+  return {
+    ticks: Math.max(...members.map(m => m.ticks || 0)),
+    segments: null
+  };
+}
+
 // ============================================================================
 // STEP 5: Enrich with File Metadata - Read metadata from audio files
 // ============================================================================
@@ -1290,14 +1224,59 @@ async function enrichWithMetadata(clips, filePathsMap) {
 }
 
 // ============================================================================
-// STEP 6: Match Against Learned Database - Find similar tracks in cloud DB
+// STEP 6: Match Against Learned Database - Local SQLite store, plus the cloud
+// table when it is reachable (works offline / off the VPN)
 // ============================================================================
-async function matchLearnedDB(clips) {
-  // This requires the cloud database - optional dependency
-  let cloudTrackDatabase;
+
+// Learned-database stores, local first. Each is optional.
+// options.cloud = false keeps the run offline (local store only)
+function getLearnedStores({ cloud = true } = {}) {
+  const stores = [];
   try {
-    cloudTrackDatabase = require('./cloud-track-database');
+    const { trackDatabase } = require('./track-database');
+    stores.push({
+      id: 'local',
+      search: async (term, limit) => trackDatabase.getAllTracks(term, limit),
+      resolveAlias: (name) => trackDatabase.resolveAlias(name, 'track')
+    });
+  } catch (e) {
+    // Local store unavailable (e.g. running outside Electron)
+  }
+  if (!cloud) return stores;
+  try {
+    const { cloudTrackDatabase } = require('./track-database-cloud');
+    if (cloudTrackDatabase.isAvailable()) {
+      stores.push({
+        id: 'cloud',
+        search: (term, limit) => cloudTrackDatabase.getAllTracks({ search: term, limit }),
+        resolveAlias: null
+      });
+    }
   } catch (e) {
+    // Cloud store unavailable
+  }
+  return stores;
+}
+
+// Search every store, tagging each candidate with the store it came from
+// A store that throws is dropped for the rest of the run
+async function searchLearnedStores(stores, term, limit) {
+  const candidates = [];
+  for (const store of stores) {
+    if (store.failed) continue;
+    try {
+      const tracks = await store.search(term, limit);
+      tracks.forEach(track => candidates.push({ ...track, _store: store.id }));
+    } catch (e) {
+      store.failed = e.message;
+    }
+  }
+  return candidates;
+}
+
+async function matchLearnedDB(clips, options = {}) {
+  const stores = options.stores || getLearnedStores();
+  if (stores.length === 0) {
     return {
       result: clips,
       summary: {
@@ -1306,7 +1285,7 @@ async function matchLearnedDB(clips) {
         outputCount: clips.length,
         matchedCount: 0,
         skipped: true,
-        reason: 'cloud-track-database module not available',
+        reason: 'no learned database available',
         elapsedMs: 0
       }
     };
@@ -1317,6 +1296,9 @@ async function matchLearnedDB(clips) {
   let matchedCount = 0;
   let exactMatches = 0;
   let fuzzyMatches = 0;
+  const byStore = {};
+  const byStrategy = { catalog: 0, exact: 0, alias: 0, fuzzy: 0 };
+  const conflicts = [];
   
   for (const clip of clips) {
     let enrichedClip = { ...clip };
@@ -1337,34 +1319,64 @@ async function matchLearnedDB(clips) {
         .filter(t => t.length > 2 && !['bmgpm', 'bmg', 'apm', 'production', 'music'].includes(t))
         .slice(0, 2);
       
-      let cloudResults = [];
+      let candidates = [];
       
       if (significantWords.length > 0) {
-        cloudResults = await cloudTrackDatabase.getAllTracks({ 
-          search: significantWords[0], 
-          limit: 50 
-        });
+        candidates = await searchLearnedStores(stores, significantWords[0], 50);
       }
       
-      if (cloudResults.length === 0 && catalogCode) {
-        cloudResults = await cloudTrackDatabase.getAllTracks({ 
-          search: catalogCode, 
-          limit: 20 
-        });
+      if (candidates.length === 0 && catalogCode) {
+        candidates = await searchLearnedStores(stores, catalogCode, 20);
       }
       
-      const matchResult = findBestMatch(trackName, catalogCode, cloudResults);
+      let matchResult = findBestMatch(trackName, catalogCode, candidates);
+      
+      // Alias strategy: a known alternate title for a track in any store
+      if (!matchResult || matchResult.strategy === 'fuzzy') {
+        for (const store of stores) {
+          const canonical = store.resolveAlias?.(cleanedName);
+          if (!canonical || cleanTrackName(canonical) === cleanedName) continue;
+          const aliasCandidates = await searchLearnedStores(stores, canonical, 20);
+          const aliasMatch = findBestMatch(canonical, null, aliasCandidates);
+          if (aliasMatch?.strategy === 'exact') {
+            matchResult = { ...aliasMatch, confidence: 0.95, strategy: 'alias', reason: `Alias of "${canonical}"` };
+            break;
+          }
+        }
+      }
       
       if (matchResult) {
         matchedCount++;
-        const { match: dbMatch, confidence, reason } = matchResult;
+        const { match: dbMatch, confidence, reason, strategy } = matchResult;
         
         if (confidence >= 1.0) exactMatches++;
         else fuzzyMatches++;
+        byStrategy[strategy]++;
+        byStore[dbMatch._store] = (byStore[dbMatch._store] || 0) + 1;
         
         enrichedClip.matchedTrack = dbMatch.track_name || dbMatch.trackName;
         enrichedClip.matchConfidence = confidence;
         enrichedClip.matchReason = reason;
+        enrichedClip.matchStore = dbMatch._store;
+        enrichedClip.matchStrategy = strategy;
+        
+        // File tags that disagree with a confidently matched track go to the
+        // conflict queue before the stored values replace them
+        if (confidence >= CONFLICT_MATCH) {
+          for (const field of Object.keys(CONFLICT_FIELDS)) {
+            if (clip[`${field}Source`] !== 'file_metadata') continue;
+            const [disagreement] = findConflicts({ [field]: dbMatch[field] }, { [field]: clip[field] });
+            if (!disagreement) continue;
+            conflicts.push({
+              trackName: enrichedClip.matchedTrack,
+              catalogCode: dbMatch.catalog_code || dbMatch.catalogCode || null,
+              field,
+              stored: { value: disagreement.storedValue, dataSource: dbMatch.data_source || dbMatch.dataSource },
+              incoming: { value: disagreement.incomingValue, dataSource: 'file_metadata' },
+              origin: 'import'
+            });
+          }
+        }
         
         // Apply matched data
         if (dbMatch.composer) {
@@ -1389,6 +1401,7 @@ async function matchLearnedDB(clips) {
   
   return {
     result,
+    conflicts,
     summary: {
       stepName: 'Match Learned Database',
       inputCount: clips.length,
@@ -1396,11 +1409,16 @@ async function matchLearnedDB(clips) {
       matchedCount,
       exactMatches,
       fuzzyMatches,
+      stores: stores.map(store => ({ id: store.id, matched: byStore[store.id] || 0, error: store.failed || null })),
+      byStrategy,
+      conflictCount: conflicts.length,
       elapsedMs: elapsed,
       samples: result.filter(c => c.matchedTrack).slice(0, 3).map(c => ({
         name: c.trackName,
         matchedTo: c.matchedTrack,
-        confidence: Math.round((c.matchConfidence || 0) * 100) + '%'
+        confidence: Math.round((c.matchConfidence || 0) * 100) + '%',
+        store: c.matchStore,
+        strategy: c.matchStrategy
       }))
     }
   };
@@ -1466,6 +1484,7 @@ function findBestMatch(trackName, catalogCode, candidates) {
   let bestMatch = null;
   let bestScore = 0;
   let bestReason = '';
+  let bestStrategy = null;
   
   for (const candidate of candidates) {
     const candName = candidate.track_name || candidate.trackName || '';
@@ -1474,32 +1493,38 @@ function findBestMatch(trackName, catalogCode, candidates) {
     
     let score = 0;
     let reason = '';
+    let strategy = null;
     
     if (cleanedInput === cleanedCand) {
       score = 1.0;
       reason = 'Exact track name match';
+      strategy = 'exact';
     }
     else if (inputCatalog && candCatalog && inputCatalog === candCatalog) {
       score = 0.95;
       reason = `Same catalog code (${inputCatalog})`;
+      strategy = 'catalog';
     }
     else {
       const similarity = calculateSimilarity(cleanedInput, cleanedCand);
       if (similarity >= 0.6) {
         score = 0.5 + (similarity * 0.45);
         reason = `${Math.round(similarity * 100)}% similar name`;
+        strategy = 'fuzzy';
       }
     }
     
-    if (score > bestScore) {
+    // On a tie, verified records beat unverified ones (local and cloud copies of the same track)
+    if (score > bestScore || (score > 0 && score === bestScore && candidate.verified && !bestMatch.verified)) {
       bestScore = score;
       bestMatch = candidate;
       bestReason = reason;
+      bestStrategy = strategy;
     }
   }
   
   if (bestScore >= 0.7) {
-    return { match: bestMatch, confidence: bestScore, reason: bestReason };
+    return { match: bestMatch, confidence: bestScore, reason: bestReason, strategy: bestStrategy };
   }
   
   return null;
@@ -1508,11 +1533,27 @@ function findBestMatch(trackName, catalogCode, candidates) {
 // ============================================================================
 // STEP 7: Apply Pattern Predictions - Use learned patterns for empty fields
 // ============================================================================
-async function applyPatterns(clips) {
+async function applyPatterns(clips, options = {}) {
+  // Patterns live in Supabase, so an offline run skips this step
+  if (options.offline) {
+    return {
+      result: clips,
+      summary: {
+        stepName: 'Apply Patterns',
+        inputCount: clips.length,
+        outputCount: clips.length,
+        appliedCount: 0,
+        skipped: true,
+        reason: 'offline run',
+        elapsedMs: 0
+      }
+    };
+  }
+  
   // This requires the pattern engine - optional dependency
   let patternEngine;
   try {
-    patternEngine = require('./pattern-engine');
+    ({ patternEngine } = require('./pattern-engine'));
   } catch (e) {
     return {
       result: clips,
@@ -1710,9 +1751,9 @@ async function runFullPipeline(filePath, options = {}) {
     });
   };
   
-  // Step 1: Parse XML
+  // Step 1: Parse XML (optionally scoped to one sequence)
   reportProgress(1);
-  const step1 = await parseProjectXML(filePath);
+  const step1 = await parseTimelineFile(filePath, { sequenceId: options.sequenceId, fps: options.fps });
   summaries.push(step1.summary);
   reportProgress(1, step1.result.length, { complete: true });
   
@@ -1724,13 +1765,13 @@ async function runFullPipeline(filePath, options = {}) {
   
   // Step 3: Durations
   reportProgress(3);
-  const step3 = calculateDurations(step2.result, options.fps || 23.976);
+  const step3 = calculateDurations(step2.result, step1.timebase || options.fps || 23.976, options.rounding);
   summaries.push(step3.summary);
   reportProgress(3, step3.result.length, { complete: true });
   
   // Step 4: Group Stems
   reportProgress(4);
-  const step4 = groupStems(step3.result);
+  const step4 = groupStems(step3.result, options.rounding);
   summaries.push(step4.summary);
   reportProgress(4, step4.result.length, { complete: true });
   
@@ -1742,13 +1783,13 @@ async function runFullPipeline(filePath, options = {}) {
   
   // Step 6: Learned DB
   reportProgress(6);
-  const step6 = await matchLearnedDB(step5.result);
+  const step6 = await matchLearnedDB(step5.result, options.offline ? { stores: getLearnedStores({ cloud: false }) } : {});
   summaries.push(step6.summary);
   reportProgress(6, step6.summary.matchedCount || 0, { complete: true });
   
   // Step 7: Patterns
   reportProgress(7);
-  const step7 = await applyPatterns(step6.result);
+  const step7 = await applyPatterns(step6.result, { offline: options.offline });
   summaries.push(step7.summary);
   reportProgress(7, step7.summary.appliedCount || 0, { complete: true });
   
@@ -1764,6 +1805,11 @@ async function runFullPipeline(filePath, options = {}) {
     result: step8.result,
     projectName: step1.projectName,
     spotTitle: step1.spotTitle,
+    sequence: step1.sequence,
+    sequences: step1.sequences,
+    programSeconds: step1.programSeconds,
+    // File-tag disagreements with matched tracks, for the conflict queue
+    conflicts: step6.conflicts || [],
     summaries,
     totalElapsedMs: totalElapsed,
     finalSummary: {
@@ -1779,6 +1825,28 @@ async function runFullPipeline(filePath, options = {}) {
   };
 }
 
+// ============================================================================
+// HELPER: Pipeline clips -> cue sheet cues
+// ============================================================================
+// Same shape as the import wizard's finalized cues (stems are already
+// absorbed into their main track by the pipeline)
+function toCueSheetCues(clips) {
+  return clips
+    .filter(clip => !clip.excluded && clip.cueType !== 'stem')
+    .map((clip, index) => ({
+      ...clip,
+      id: index + 1,
+      cueNumber: index + 1,
+      label: clip.library || clip.label || '',
+      composer: clip.composer || '',
+      publisher: clip.publisher || '',
+      artist: clip.artist || '',
+      source: clip.source || '',
+      use: clip.use || '',
+      status: clip.composer && clip.publisher ? 'complete' : 'pending'
+    }));
+}
+
 // ============================================================================
 // HELPER: Generate Summary Report
 // ============================================================================
@@ -1801,6 +1869,8 @@ function summarize(pipelineResult) {
     if (s.mainCount !== undefined) report += `  Main: ${s.mainCount}, SFX: ${s.sfxCount}, Stems: ${s.stemCount}\n`;
     if (s.enrichedCount !== undefined) report += `  Enriched: ${s.enrichedCount}\n`;
     if (s.matchedCount !== undefined) report += `  Matched: ${s.matchedCount} (${s.exactMatches || 0} exact, ${s.fuzzyMatches || 0} fuzzy)\n`;
+    if (s.stores) report += `  Stores: ${s.stores.map(st => `${st.id}=${st.matched}${st.error ? ' (unreachable)' : ''}`).join(', ')}\n`;
+    if (s.byStrategy) report += `  By strategy: ${Object.entries(s.byStrategy).map(([k, v]) => `${k}=${v}`).join(', ')}\n`;
     if (s.typeCounts) report += `  Types: BI=${s.typeCounts.BI || 0}, BV=${s.typeCounts.BV || 0}, VI=${s.typeCounts.VI || 0}\n`;
     if (s.skipped) report += `  ⚠️  Skipped: ${s.reason}\n`;
     
@@ -1846,8 +1916,7 @@ async function batchClassifyWithOpus(clips, opusEnabled = false) {
   console.log(`[Opus] Batch classifying ${lowConfidenceClips.length} low-confidence clips...`);
   
   try {
-    // Dynamic import of opus-parser to avoid circular deps
-    const opusParser = require('./opus-parser');
+    const llm = require('./llm-service');
     
     // Build the batch prompt
     const clipList = lowConfidenceClips.map((c, i) => 
@@ -1882,8 +1951,15 @@ Return JSON array:
 
 Return ONLY the JSON array.`;
 
-    const response = await opusParser.callOpusRaw(systemPrompt, userPrompt, 2048);
-    const opusResults = parseOpusJsonResponse(response);
+    const opusResults = await llm.completeJson({
+      task: 'classifyClips',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: {
+        type: 'array',
+        items: { type: 'object', required: ['index', 'classification'], properties: { index: 'number', classification: 'string' } }
+      }
+    });
     
     // Merge Opus results back into clips
     const result = clips.map(clip => {
@@ -1951,24 +2027,12 @@ Return ONLY the JSON array.`;
   }
 }
 
-// Helper to parse Opus JSON response
-function parseOpusJsonResponse(response) {
-  let cleaned = response.trim();
-  if (cleaned.startsWith('```json')) {
-    cleaned = cleaned.slice(7);
-  } else if (cleaned.startsWith('```')) {
-    cleaned = cleaned.slice(3);
-  }
-  if (cleaned.endsWith('```')) {
-    cleaned = cleaned.slice(0, -3);
-  }
-  return JSON.parse(cleaned.trim());
-}
-
 // Export all functions
 module.exports = {
   // Individual steps
   parseProjectXML,
+  parseTimelineFile,
+  listSequences,
   categorizeCues,
   calculateDurations,
   groupStems,
@@ -1985,6 +2049,7 @@ module.exports = {
   
   // Helpers
   summarize,
+  toCueSheetCues,
   
   // Constants (for testing)
   SFX_PATTERNS,
@@ -0,0 +1,354 @@
+/**
+ * Licensing Requests - One licensing/reporting request per library contact
+ *
+ * Cues are grouped by the contact that licenses them: the cue's
+ * Master/Contact (filled by cue:enrichWithContact) or, failing that, the
+ * contacts directory entry for its library/label. Each group gets an email
+ * written from an editable template (userData/licensing-request-template.json)
+ * with the track list, durations, use, spot/project and air dates.
+ *
+ * Requests are saved as .eml drafts (optionally with the contact's cues
+ * attached as an XLSX or PDF cue sheet) or as the attachment alone, one per
+ * contact, so they can be opened in any mail client and sent as-is.
+ *
+ * Hidden cues are left out, as they are from exports.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { findContact } = require('./contacts');
+const { writeExportFile } = require('./cue-sheet-export');
+const totals = require('./totals');
+
+// Placeholders the subject and body can use
+const PLACEHOLDERS = [
+  { key: 'contactName', label: 'Library/contact name' },
+  { key: 'contactEmail', label: 'Contact email' },
+  { key: 'project', label: 'Project' },
+  { key: 'spotTitle', label: 'Spot title' },
+  { key: 'type', label: 'Type' },
+  { key: 'airDates', label: 'Air dates' },
+  { key: 'trackList', label: 'Track list (one line per cue)' },
+  { key: 'trackCount', label: 'Number of cues' },
+  { key: 'totalTime', label: 'Total music time' },
+  { key: 'date', label: "Today's date" }
+];
+
+const DEFAULT_TEMPLATE = {
+  subject: 'Music licensing request: {project} - {spotTitle}',
+  body: [
+    'Hi {contactName},',
+    '',
+    'We have used the following music in "{spotTitle}" for {project} and would like to license and report it.',
+    '',
+    '{trackList}',
+    '',
+    'Total: {trackCount} cue(s), {totalTime}',
+    'Air dates: {airDates}',
+    '',
+    'Please confirm the licensing terms and let us know if you need anything else for your records.',
+    '',
+    'Thanks,'
+  ].join('\n')
+};
+
+// Request outputs: an .eml draft, with or without a cue sheet, or the cue sheet alone
+const OUTPUTS = {
+  eml: { eml: true, attachment: null },
+  'eml+xlsx': { eml: true, attachment: 'xlsx' },
+  'eml+pdf': { eml: true, attachment: 'pdf' },
+  xlsx: { eml: false, attachment: 'xlsx' },
+  pdf: { eml: false, attachment: 'pdf' }
+};
+
+const ATTACHMENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+
+function hasValue(value) {
+  const text = String(value ?? '').trim();
+  return text !== '' && text !== '-';
+}
+
+// ============================================
+// Template
+// ============================================
+
+function getTemplatePath() {
+  return path.join(app.getPath('userData'), 'licensing-request-template.json');
+}
+
+function getTemplate() {
+  try {
+    if (fs.existsSync(getTemplatePath())) {
+      const saved = JSON.parse(fs.readFileSync(getTemplatePath(), 'utf-8'));
+      return { ...DEFAULT_TEMPLATE, ...saved };
+    }
+  } catch (err) {
+    console.error('[Licensing] Error loading request template:', err.message);
+  }
+  return { ...DEFAULT_TEMPLATE };
+}
+
+function saveTemplate(template = {}) {
+  const saved = {
+    subject: String(template.subject ?? DEFAULT_TEMPLATE.subject),
+    body: String(template.body ?? DEFAULT_TEMPLATE.body)
+  };
+  fs.writeFileSync(getTemplatePath(), JSON.stringify(saved, null, 2));
+  return saved;
+}
+
+function resetTemplate() {
+  if (fs.existsSync(getTemplatePath())) fs.unlinkSync(getTemplatePath());
+  return { ...DEFAULT_TEMPLATE };
+}
+
+// {placeholder} -> value; unknown placeholders are left as typed
+function fillTemplate(text, values) {
+  return String(text || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// ============================================
+// Grouping
+// ============================================
+
+/**
+ * The contact that licenses a cue
+ * Master/Contact is "Name\nContact:\nemail" when filled from the directory,
+ * but can be any typed text - the first line is the name, the first address the email.
+ * @returns {Object|null} { name, email }
+ */
+function contactForCue(cue) {
+  if (hasValue(cue.masterContact)) {
+    const text = String(cue.masterContact).trim();
+    const email = text.match(EMAIL_PATTERN)?.[0] || '';
+    const name = text.split('\n')[0].replace(/contact:?$/i, '').trim();
+    const known = findContact(name && name !== email ? name : text);
+    return {
+      name: name && name !== email ? name : (known?.name || email),
+      email: email || known?.email || ''
+    };
+  }
+  const fields = [cue.library, cue.label, cue.source].filter(hasValue);
+  for (const field of fields.length > 0 ? fields : ['']) {
+    const known = findContact(String(field).trim(), { catalogCode: cue.catalogCode });
+    if (known) return { name: known.name, email: known.email };
+  }
+  return null;
+}
+
+/**
+ * Visible cues grouped by licensing contact (matched by email, else by name)
+ * @returns {Object} { groups: [{ key, name, email, cues }], unassigned: [cue] }
+ */
+function groupCuesByContact(cues = []) {
+  const groups = new Map();
+  const unassigned = [];
+
+  for (const cue of cues.filter(c => !c.hidden)) {
+    const contact = contactForCue(cue);
+    if (!contact || (!contact.name && !contact.email)) {
+      unassigned.push(cue);
+      continue;
+    }
+    const key = (contact.email || contact.name).toLowerCase();
+    if (!groups.has(key)) {
+      groups.set(key, { key, name: contact.name || contact.email, email: contact.email, cues: [] });
+    }
+    groups.get(key).cues.push(cue);
+  }
+
+  return {
+    groups: [...groups.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    unassigned
+  };
+}
+
+// ============================================
+// Requests
+// ============================================
+
+// "1. Track Name - Artist (Library, CAT123) | 0:30 | BI - Background Instrumental"
+function trackLine(cue, index) {
+  const use = hasValue(cue.use) ? String(cue.use).trim().toUpperCase() : totals.DEFAULT_USE;
+  const useText = totals.USE_LABELS[use] ? `${use} - ${totals.USE_LABELS[use]}` : use;
+  const source = [cue.library || cue.label, cue.catalogCode].filter(hasValue).join(', ');
+  const title = [cue.trackName || '(untitled)', cue.artist].filter(hasValue).join(' - ');
+  return `${index + 1}. ${title}${source ? ` (${source})` : ''} | ${totals.formatTotal(totals.cueSeconds(cue))} | ${useText}`;
+}
+
+/**
+ * Subject and body for one contact's request
+ * @returns {Object} { subject, body }
+ */
+function buildRequest(group, projectInfo = {}, template = getTemplate()) {
+  const seconds = group.cues.reduce((sum, cue) => sum + totals.cueSeconds(cue), 0);
+  const values = {
+    contactName: group.name,
+    contactEmail: group.email || '',
+    project: projectInfo.project || projectInfo.projectName || '',
+    spotTitle: projectInfo.spotTitle || '',
+    type: projectInfo.type || '',
+    airDates: hasValue(projectInfo.airDates) ? String(projectInfo.airDates).trim() : 'TBD',
+    trackList: group.cues.map(trackLine).join('\n'),
+    trackCount: String(group.cues.length),
+    totalTime: totals.formatTotal(seconds),
+    date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  };
+  return {
+    subject: fillTemplate(template.subject, values).replace(/\s+/g, ' ').trim(),
+    body: fillTemplate(template.body, values)
+  };
+}
+
+/**
+ * Requests as they will be written, for the preview
+ * @returns {Object} { requests: [{ key, name, email, cueCount, totalTime, subject, body }], unassigned: [{ id, trackName }] }
+ */
+function previewRequests(cues, projectInfo, template) {
+  const { groups, unassigned } = groupCuesByContact(cues);
+  return {
+    requests: groups.map(group => ({
+      key: group.key,
+      name: group.name,
+      email: group.email,
+      cueCount: group.cues.length,
+      totalTime: totals.formatTotal(group.cues.reduce((sum, cue) => sum + totals.cueSeconds(cue), 0)),
+      ...buildRequest(group, projectInfo, template)
+    })),
+    unassigned: unassigned.map(cue => ({ id: cue.id, trackName: cue.trackName || '(untitled)' }))
+  };
+}
+
+// ============================================
+// .eml files
+// ============================================
+
+// RFC 2047 encoded-word for non-ASCII header text
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf-8').toString('base64')}?=`;
+}
+
+function wrapBase64(buffer) {
+  return buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+/**
+ * RFC 822 message: a plain-text body plus optional file attachments.
+ * X-Unsent makes Mail/Outlook open it as a draft ready to send.
+ */
+function buildEml({ to, subject, body, attachments = [] }) {
+  const headers = [
+    `To: ${to || ''}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'X-Unsent: 1'
+  ];
+  const text = [
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(Buffer.from(body.replace(/\r?\n/g, '\r\n'), 'utf-8'))
+  ];
+
+  if (attachments.length === 0) {
+    return [...headers, ...text, ''].join('\r\n');
+  }
+
+  const boundary = `----auris-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  const parts = attachments.map(attachment => {
+    const filename = encodeHeader(path.basename(attachment.filePath));
+    return [
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType}; name="${filename}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${filename}"`,
+      '',
+      wrapBase64(fs.readFileSync(attachment.filePath))
+    ].join('\r\n');
+  });
+
+  return [
+    ...headers,
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...text,
+    ...parts,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+function safeName(value) {
+  return String(value || '').replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Write one request per contact into outputDir
+ * @param {Object} options - { cues, projectInfo, template, output } (output is a key of OUTPUTS)
+ * @returns {Object} { files: [path], requests: [{ name, email, cueCount, files }], unassigned: [{ id, trackName }] }
+ */
+async function generateRequests(outputDir, { cues, projectInfo = {}, template = getTemplate(), output = 'eml' } = {}) {
+  const plan = OUTPUTS[output];
+  if (!plan) throw new Error(`Unknown output: ${output}`);
+
+  const { groups, unassigned } = groupCuesByContact(cues);
+  if (groups.length === 0) {
+    throw new Error('No cues have a library contact - fill in Master/Contact first');
+  }
+
+  const baseName = [safeName(projectInfo.project || projectInfo.projectName), safeName(projectInfo.spotTitle)]
+    .filter(part => part.length > 0)
+    .join('_') || 'CueSheet';
+  const files = [];
+  const requests = [];
+
+  for (const group of groups) {
+    const fileBase = `${baseName}_Licensing_${safeName(group.name) || 'Contact'}`;
+    const written = [];
+
+    let attachment = null;
+    if (plan.attachment) {
+      const filePath = path.join(outputDir, `${fileBase}.${plan.attachment}`);
+      await writeExportFile(filePath, group.cues, projectInfo, plan.attachment);
+      attachment = { filePath, contentType: ATTACHMENT_TYPES[plan.attachment] };
+      written.push(filePath);
+    }
+
+    if (plan.eml) {
+      const { subject, body } = buildRequest(group, projectInfo, template);
+      const filePath = path.join(outputDir, `${fileBase}.eml`);
+      fs.writeFileSync(filePath, buildEml({ to: group.email, subject, body, attachments: attachment ? [attachment] : [] }));
+      written.push(filePath);
+    }
+
+    files.push(...written);
+    requests.push({ name: group.name, email: group.email, cueCount: group.cues.length, files: written });
+  }
+
+  return {
+    files,
+    requests,
+    unassigned: unassigned.map(cue => ({ id: cue.id, trackName: cue.trackName || '(untitled)' }))
+  };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  OUTPUTS,
+  getTemplate,
+  saveTemplate,
+  resetTemplate,
+  groupCuesByContact,
+  buildRequest,
+  previewRequests,
+  generateRequests
+};
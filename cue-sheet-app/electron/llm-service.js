@@ -0,0 +1,662 @@
+/**
+ * LLM Service - The one way the app talks to a language model
+ *
+ * Every AI feature (enrichment, filename parsing, matching, validation,
+ * corrections, batch analysis, use types, chat) asks for a completion by
+ * task name. The task decides the model, token limit and timeout, which can
+ * be changed per task in Settings (userData/llm-settings.json). Around each
+ * request the service adds:
+ * - retries with exponential backoff on rate limits, server errors and timeouts
+ * - a timeout per request
+ * - token and cost accounting per task and model for the session
+ * - a response cache for repeated identical requests
+ * - JSON parsing and shape checks for tasks that expect structured replies
+ *
+ * Requests go to a provider. "anthropic" calls the Messages API with the key
+ * from the Claude source; "fixture" answers from canned responses so every
+ * AI feature can be run offline and deterministically (tests, the CLI, demos).
+ * Other providers plug in with registerProvider().
+ *
+ * A provider is { label, isConfigured(task), complete(request, { signal }), billable }
+ * where request is { task, model, system, messages, maxTokens, tools } and
+ * complete resolves to { content, stopReason, usage: { inputTokens, outputTokens }, model }
+ * (content is a list of Messages API blocks). Errors may carry a status and
+ * retryAfterMs for the retry logic. Providers with billable: false count
+ * tokens but no cost. AURIS_LLM_PROVIDER picks the provider over the setting.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getUserDataDir } = require('./app-paths');
+const sourcesManager = require('./sources-manager');
+
+const SETTINGS_FILE = 'llm-settings.json';
+const FIXTURES_FILE = 'llm-fixtures.json';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const DEFAULT_MODEL = 'claude-opus-4-20250514';
+
+// Models offered in Settings, with prices in USD per million tokens
+const MODELS = {
+  'claude-opus-4-20250514': { label: 'Claude Opus 4', input: 15, output: 75 },
+  'claude-sonnet-4-20250514': { label: 'Claude Sonnet 4', input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { label: 'Claude Haiku 3.5', input: 0.8, output: 4 }
+};
+
+// Every task the app sends, with the limits each caller used before it was routed here
+const TASKS = {
+  enrichCue: { label: 'Cue enrichment', model: DEFAULT_MODEL, maxTokens: 1024, timeoutMs: 60000 },
+  lookupPro: { label: 'PRO lookup', model: DEFAULT_MODEL, maxTokens: 512, timeoutMs: 30000 },
+  detectUseType: { label: 'Use type', model: DEFAULT_MODEL, maxTokens: 10, timeoutMs: 20000 },
+  detectSite: { label: 'Library site detection', model: DEFAULT_MODEL, maxTokens: 256, timeoutMs: 30000 },
+  extractPage: { label: 'Web page extraction', model: DEFAULT_MODEL, maxTokens: 1024, timeoutMs: 60000 },
+  parseFilename: { label: 'Filename parsing', model: DEFAULT_MODEL, maxTokens: 256, timeoutMs: 30000 },
+  classifyClips: { label: 'Clip classification', model: DEFAULT_MODEL, maxTokens: 2048, timeoutMs: 90000 },
+  matchResults: { label: 'Search result matching', model: DEFAULT_MODEL, maxTokens: 150, timeoutMs: 30000 },
+  validate: { label: 'Metadata validation', model: DEFAULT_MODEL, maxTokens: 300, timeoutMs: 30000 },
+  parseCorrection: { label: 'Natural language corrections', model: DEFAULT_MODEL, maxTokens: 400, timeoutMs: 30000 },
+  batchAnalysis: { label: 'Batch analysis', model: DEFAULT_MODEL, maxTokens: 500, timeoutMs: 60000 },
+  // Conversations and tool calls are never the same twice, so chat is not cached
+  // Chat has always run on the API key alone; the Opus source switch only turns off enrichment
+  chat: { label: 'Auris Chat', model: 'claude-sonnet-4-20250514', maxTokens: 4096, timeoutMs: 120000, cache: false, keyOnly: true }
+};
+
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 15000;
+
+const CACHE_MAX_ENTRIES = 200;
+const CACHE_TTL_MS = 30 * 60 * 1000;
+
+// ============================================
+// Settings
+// ============================================
+
+let settings = null; // { provider, fixturesPath, tasks: { [task]: { model, maxTokens, timeoutMs } } }
+
+function getSettingsPath() {
+  const dir = getUserDataDir();
+  return dir ? path.join(dir, SETTINGS_FILE) : null;
+}
+
+function loadSettings() {
+  if (settings) return settings;
+  settings = { tasks: {} };
+  const settingsPath = getSettingsPath();
+  try {
+    if (settingsPath && fs.existsSync(settingsPath)) {
+      settings = { tasks: {}, ...JSON.parse(fs.readFileSync(settingsPath, 'utf-8')) };
+    }
+  } catch (err) {
+    console.error('[LLM] Error loading settings:', err.message);
+  }
+  return settings;
+}
+
+function saveSettings() {
+  const settingsPath = getSettingsPath();
+  if (settingsPath) fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+}
+
+/**
+ * Model, token limit and timeout a task runs with (defaults plus overrides)
+ */
+function getTaskConfig(task) {
+  const defaults = TASKS[task];
+  if (!defaults) throw new Error(`Unknown LLM task: ${task}`);
+  return { task, cache: true, ...defaults, ...(loadSettings().tasks[task] || {}) };
+}
+
+/**
+ * Override a task's model, maxTokens or timeoutMs (null clears an override)
+ */
+function setTaskConfig(task, changes) {
+  if (!TASKS[task]) throw new Error(`Unknown LLM task: ${task}`);
+  if (changes.model && !MODELS[changes.model]) throw new Error(`Unknown model: ${changes.model}`);
+  for (const key of ['maxTokens', 'timeoutMs']) {
+    if (changes[key] !== undefined && changes[key] !== null && !(Number.isInteger(changes[key]) && changes[key] > 0)) {
+      throw new Error(`${key} must be a positive whole number`);
+    }
+  }
+
+  const current = loadSettings();
+  const overrides = { ...(current.tasks[task] || {}) };
+  for (const key of ['model', 'maxTokens', 'timeoutMs']) {
+    if (changes[key] === undefined) continue;
+    if (changes[key] === null || changes[key] === TASKS[task][key]) {
+      delete overrides[key];
+    } else {
+      overrides[key] = changes[key];
+    }
+  }
+  if (Object.keys(overrides).length) {
+    current.tasks[task] = overrides;
+  } else {
+    delete current.tasks[task];
+  }
+  saveSettings();
+  return getTaskConfig(task);
+}
+
+/**
+ * Every task with its effective settings, for the Settings panel
+ */
+function listTasks() {
+  const overrides = loadSettings().tasks;
+  return Object.keys(TASKS).map(task => ({
+    ...getTaskConfig(task),
+    customized: !!overrides[task]
+  }));
+}
+
+// ============================================
+// Providers
+// ============================================
+
+function getAnthropicKey() {
+  const sources = sourcesManager.getAllSources();
+  return sources.opus?.config?.apiKey || null;
+}
+
+const anthropicProvider = {
+  label: 'Anthropic',
+
+  isConfigured(task) {
+    const opus = sourcesManager.getAllSources().opus;
+    return !!(opus?.config?.apiKey && (opus.enabled || TASKS[task]?.keyOnly));
+  },
+
+  async complete({ model, system, messages, maxTokens, tools }, { signal } = {}) {
+    const apiKey = getAnthropicKey();
+    if (!apiKey) throw new Error('Claude API key not configured');
+
+    const response = await fetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        ...(tools?.length ? { tools } : {}),
+        messages
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error?.message || `Claude API request failed (${response.status})`);
+      error.status = response.status;
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+      throw error;
+    }
+
+    const data = await response.json();
+    return {
+      content: data.content || [],
+      stopReason: data.stop_reason,
+      usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+      model: data.model || model
+    };
+  }
+};
+
+// Text of a message, including tool results, for fixture matching
+function messageText(message) {
+  if (typeof message?.content === 'string') return message.content;
+  return (message?.content || []).map(block => {
+    if (block.type === 'text') return block.text;
+    if (block.type === 'tool_result') return typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+    return '';
+  }).join('\n');
+}
+
+// Rough token count (four characters a token) so fixture runs still show usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Fixture provider - Canned responses, picked by task and prompt
+ *
+ * A fixture is { task, match, response | content, stopReason }:
+ * - task: only requests for this task (omit for any task)
+ * - match: text the last user message must contain (case-insensitive), or
+ *   "/regex/flags"; omit to match every request for the task
+ * - response: the reply text, or an object/array sent back as JSON
+ * - content: Messages API blocks instead of a reply text (tool calls for chat)
+ * The first matching fixture answers. Fixtures come from setFixtures() /
+ * addFixture(), else from the file at AURIS_LLM_FIXTURES, the fixturesPath
+ * setting or userData/llm-fixtures.json. A request no fixture matches fails,
+ * so features fall back to their non-AI path exactly as they do offline.
+ */
+let fixtures = null;
+
+function getFixturesPath() {
+  if (process.env.AURIS_LLM_FIXTURES) return process.env.AURIS_LLM_FIXTURES;
+  if (loadSettings().fixturesPath) return loadSettings().fixturesPath;
+  const dir = getUserDataDir();
+  return dir ? path.join(dir, FIXTURES_FILE) : null;
+}
+
+function loadFixtures() {
+  if (fixtures) return fixtures;
+  fixtures = [];
+  const fixturesPath = getFixturesPath();
+  try {
+    if (fixturesPath && fs.existsSync(fixturesPath)) {
+      const data = JSON.parse(fs.readFileSync(fixturesPath, 'utf-8'));
+      fixtures = Array.isArray(data) ? data : data.fixtures || [];
+    }
+  } catch (err) {
+    console.error('[LLM] Error loading fixtures:', err.message);
+  }
+  return fixtures;
+}
+
+function fixtureMatches(fixture, task, text) {
+  if (fixture.task && fixture.task !== task) return false;
+  if (!fixture.match) return true;
+  const regex = /^\/(.*)\/([a-z]*)$/s.exec(fixture.match);
+  if (regex) return new RegExp(regex[1], regex[2]).test(text);
+  return text.toLowerCase().includes(fixture.match.toLowerCase());
+}
+
+const fixtureProvider = {
+  label: 'Offline fixtures',
+  billable: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  async complete({ model, system, messages, task }) {
+    const text = messageText(messages[messages.length - 1]);
+    const fixture = loadFixtures().find(f => fixtureMatches(f, task, text));
+    if (!fixture) {
+      throw new Error(`No fixture for ${task} request: "${text.slice(0, 80).replace(/\s+/g, ' ')}"`);
+    }
+
+    const content = fixture.content || [{
+      type: 'text',
+      text: typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response ?? '')
+    }];
+    const prompt = [system, ...messages.map(messageText)].join('\n');
+    return {
+      content,
+      stopReason: fixture.stopReason || (content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn'),
+      usage: {
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(content.map(block => block.text || JSON.stringify(block.input || '')).join(''))
+      },
+      model
+    };
+  }
+};
+
+const providers = {
+  anthropic: anthropicProvider,
+  fixture: fixtureProvider
+};
+
+/**
+ * Add a provider (see the header for the interface)
+ */
+function registerProvider(name, provider) {
+  if (typeof provider?.complete !== 'function') throw new Error('A provider needs a complete() function');
+  providers[name] = { label: name, isConfigured: () => true, billable: true, ...provider };
+}
+
+function getProviderName() {
+  return process.env.AURIS_LLM_PROVIDER || loadSettings().provider || 'anthropic';
+}
+
+function setProvider(name) {
+  if (!providers[name]) throw new Error(`Unknown LLM provider: ${name}`);
+  loadSettings().provider = name === 'anthropic' ? undefined : name;
+  saveSettings();
+  cache.clear();
+}
+
+function getProvider() {
+  const name = getProviderName();
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown LLM provider: ${name}`);
+  return { name, provider };
+}
+
+function listProviders() {
+  return Object.entries(providers).map(([name, provider]) => ({ name, label: provider.label }));
+}
+
+/**
+ * Whether AI features (or one task) can run: the active provider is set up
+ */
+function isAvailable(task) {
+  try {
+    return !!getProvider().provider.isConfigured(task);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Replace the fixture provider's fixtures (null reloads them from file)
+ */
+function setFixtures(list) {
+  fixtures = list ? [...list] : null;
+  cache.clear();
+}
+
+function addFixture(fixture) {
+  loadFixtures().push(fixture);
+  cache.clear();
+}
+
+// ============================================
+// Usage accounting
+// ============================================
+
+const emptyTotals = () => ({ requests: 0, cached: 0, errors: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+let usage = { since: new Date().toISOString(), total: emptyTotals(), byTask: {}, byModel: {} };
+
+function costOf(model, tokens) {
+  const price = MODELS[model];
+  if (!price) return 0;
+  return (tokens.inputTokens * price.input + tokens.outputTokens * price.output) / 1000000;
+}
+
+function recordUsage(task, model, { tokens, cached = false, error = false, billable = true }) {
+  const buckets = [
+    usage.total,
+    usage.byTask[task] = usage.byTask[task] || emptyTotals(),
+    usage.byModel[model] = usage.byModel[model] || emptyTotals()
+  ];
+  const cost = tokens && !cached && billable ? costOf(model, tokens) : 0;
+  for (const bucket of buckets) {
+    bucket.requests++;
+    if (cached) bucket.cached++;
+    if (error) bucket.errors++;
+    if (tokens && !cached) {
+      bucket.inputTokens += tokens.inputTokens;
+      bucket.outputTokens += tokens.outputTokens;
+      bucket.costUsd += cost;
+    }
+  }
+  return cost;
+}
+
+/**
+ * Requests, tokens and estimated cost since launch (or the last reset)
+ */
+function getUsage() {
+  return JSON.parse(JSON.stringify(usage));
+}
+
+function resetUsage() {
+  usage = { since: new Date().toISOString(), total: emptyTotals(), byTask: {}, byModel: {} };
+}
+
+// ============================================
+// Response cache
+// ============================================
+
+const cache = new Map(); // key -> { response, expires }, oldest first
+
+function cacheKey(providerName, request) {
+  const { model, system, messages, maxTokens, tools } = request;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([providerName, model, system, messages, maxTokens, tools || null]))
+    .digest('hex');
+}
+
+function cacheGet(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  cache.delete(key);
+  if (entry.expires < Date.now()) return null;
+  cache.set(key, entry); // most recently used goes to the end
+  return entry.response;
+}
+
+function cacheSet(key, response) {
+  cache.set(key, { response, expires: Date.now() + CACHE_TTL_MS });
+  while (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function clearCache() {
+  cache.clear();
+}
+
+// ============================================
+// Requests
+// ============================================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+  if (error.timedOut) return true;
+  if (error.status) return RETRY_STATUSES.includes(error.status);
+  // fetch rejects with a TypeError when the network is down or the connection drops
+  return error.name === 'TypeError';
+}
+
+async function sendWithTimeout(provider, request, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`LLM request timed out after ${timeoutMs / 1000}s`);
+      error.timedOut = true;
+      // Settle first: aborting rejects the provider's request, which would otherwise win the race
+      reject(error);
+      controller.abort();
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([provider.complete(request, { signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function sendWithRetries(provider, request, config) {
+  const retries = config.retries ?? MAX_RETRIES;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendWithTimeout(provider, request, config.timeoutMs);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      const backoff = Math.min(RETRY_MAX_MS, (config.retryBaseMs ?? RETRY_BASE_MS) * 2 ** attempt);
+      const delay = Math.max(backoff, Math.min(RETRY_MAX_MS, error.retryAfterMs || 0));
+      console.warn(`[LLM] ${request.task} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Send one request for a task
+ * @param {Object} options - { task, system, prompt | messages, maxTokens, tools, cache }
+ *   prompt is shorthand for a single user message; maxTokens overrides the task's
+ * @returns {Promise<{ text, content, stopReason, usage, costUsd, model, provider, cached }>}
+ */
+async function complete({ task, system, prompt, messages, maxTokens, tools, cache: useCache = true }) {
+  const config = getTaskConfig(task);
+  const { name: providerName, provider } = getProvider();
+  if (!provider.isConfigured(task)) {
+    throw new Error(`${provider.label} is not configured. Add your Claude API key in Settings.`);
+  }
+
+  const request = {
+    task,
+    model: config.model,
+    system,
+    messages: messages || [{ role: 'user', content: prompt }],
+    maxTokens: maxTokens || config.maxTokens,
+    tools
+  };
+  const key = useCache && config.cache ? cacheKey(providerName, request) : null;
+
+  const hit = key && cacheGet(key);
+  if (hit) {
+    recordUsage(task, request.model, { tokens: hit.usage, cached: true });
+    return { ...hit, costUsd: 0, cached: true, cacheKey: key };
+  }
+
+  let response;
+  try {
+    response = await sendWithRetries(provider, request, config);
+  } catch (error) {
+    recordUsage(task, request.model, { error: true });
+    throw error;
+  }
+
+  const content = response.content || [];
+  const result = {
+    text: content.filter(block => block.type === 'text').map(block => block.text).join('\n'),
+    content,
+    stopReason: response.stopReason,
+    usage: response.usage || { inputTokens: 0, outputTokens: 0 },
+    model: response.model || request.model,
+    provider: providerName
+  };
+  result.costUsd = recordUsage(task, request.model, { tokens: result.usage, billable: provider.billable !== false });
+  if (key) cacheSet(key, result);
+  return { ...result, cached: false, cacheKey: key };
+}
+
+// ============================================
+// Structured replies
+// ============================================
+
+/**
+ * Parse JSON from a reply (handles markdown code blocks and text around it)
+ */
+function parseJson(text) {
+  let cleaned = (text || '').trim();
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(cleaned);
+  if (fenced) cleaned = fenced[1].trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    // A sentence before or after the JSON
+    const start = cleaned.search(/[[{]/);
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(cleaned.slice(start, end + 1));
+      } catch (inner) {
+        // fall through to the original error
+      }
+    }
+    throw new Error(`Reply is not valid JSON: ${err.message}`);
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a parsed reply against a schema and throw on the first mismatch
+ *
+ * A schema is a type name ('string', 'number', 'boolean', 'array', 'object')
+ * or { type, required: [keys], properties: { key: schema }, items: schema, enum: [values] }.
+ * Missing and null properties are only an error when the key is required.
+ */
+function validateJson(value, schema, at = 'reply') {
+  if (!schema) return value;
+  const spec = typeof schema === 'string' ? { type: schema } : schema;
+
+  if (spec.type && typeOf(value) !== spec.type) {
+    throw new Error(`${at} should be ${spec.type === 'array' || spec.type === 'object' ? 'an' : 'a'} ${spec.type}`);
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    throw new Error(`${at} should be one of ${spec.enum.join(', ')}`);
+  }
+  for (const key of spec.required || []) {
+    if (value[key] === undefined || value[key] === null) throw new Error(`${at} is missing "${key}"`);
+  }
+  for (const [key, propertySchema] of Object.entries(spec.properties || {})) {
+    if (value[key] !== undefined && value[key] !== null) validateJson(value[key], propertySchema, `${at}.${key}`);
+  }
+  if (spec.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateJson(item, spec.items, `${at}[${index}]`));
+  }
+  return value;
+}
+
+/**
+ * Send a request whose reply must be JSON matching a schema
+ *
+ * A reply that does not parse or match is dropped from the cache and the
+ * model is asked once more, with the problem spelled out.
+ * @returns {Promise<*>} the parsed reply
+ */
+async function completeJson({ schema, ...options }) {
+  const first = await complete(options);
+  try {
+    return validateJson(parseJson(first.text), schema);
+  } catch (err) {
+    if (first.cacheKey) cache.delete(first.cacheKey);
+    console.warn(`[LLM] ${options.task} reply rejected (${err.message}), asking again`);
+    const messages = [
+      ...(options.messages || [{ role: 'user', content: options.prompt }]),
+      { role: 'assistant', content: first.text || '(empty reply)' },
+      { role: 'user', content: `That reply could not be used: ${err.message}. Reply again with ONLY the JSON, in the format asked for.` }
+    ];
+    const second = await complete({ ...options, prompt: undefined, messages, cache: false });
+    return validateJson(parseJson(second.text), schema);
+  }
+}
+
+/**
+ * Everything the Settings panel shows
+ */
+function getStatus() {
+  const { name } = getProvider();
+  return {
+    provider: name,
+    providers: listProviders(),
+    available: isAvailable(),
+    models: Object.entries(MODELS).map(([id, model]) => ({ id, ...model })),
+    tasks: listTasks(),
+    usage: getUsage()
+  };
+}
+
+module.exports = {
+  TASKS,
+  MODELS,
+  complete,
+  completeJson,
+  parseJson,
+  validateJson,
+  isAvailable,
+  getTaskConfig,
+  setTaskConfig,
+  listTasks,
+  registerProvider,
+  setProvider,
+  listProviders,
+  setFixtures,
+  addFixture,
+  getUsage,
+  resetUsage,
+  clearCache,
+  getStatus
+};
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu, shell, globalShortcut } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, shell, globalShortcut, Notification } = require('electron');
 
 // File logging - writes to ~/Library/Logs/Auris Cue Sheets/main.log
 const log = require('electron-log');
@@ -21,12 +21,13 @@ const path = require('path');
 const fs = require('fs');
 const zlib = require('zlib');
 const { XMLParser } = require('fast-xml-parser');
-const ExcelJS = require('exceljs');
-const { findContact, importContactsFromFile, getAllContacts, getContactNames } = require('./contacts');
+const contacts = require('./contacts');
+const { findContact, importContactsFromFile, getAllContacts, getContactNames } = contacts;
 const { readAudioMetadata, enrichCueWithMetadata, parseTrackName } = require('./metadata');
 const { searchBMGTrack, enrichCueFromBMG, looksLikeBMGTrack } = require('./bmg-lookup');
 const { searchTrack: searchiTunes, enrichCueFromiTunes, isLikelyOniTunes } = require('./itunes-lookup');
 const { isOpusEnabled, enrichCueWithOpus, lookupPROData, detectUseType, enrichMultipleCues } = require('./opus-engine');
+const llm = require('./llm-service');
 const { searchAllPROs, formatPRODataForCue } = require('./pro-lookup');
 const projectStore = require('./project-store');
 const sourcesManager = require('./sources-manager');
@@ -41,6 +42,20 @@ const { cloudSourcesManager } = require('./sources-manager-cloud');
 const feedbackManager = require('./feedback-manager');
 const aurisChat = require('./auris-chat');
 const { patternEngine } = require('./pattern-engine');
+const patternBacktest = require('./pattern-backtest');
+const { ticksToCueLength, ticksToFrames } = require('./timeline');
+const { TIMELINE_EXTENSIONS, detectTimelineFormat } = require('./timeline-importers');
+const exportTemplates = require('./export-templates');
+const cueSheetImport = require('./cue-sheet-import');
+const revisionDiff = require('./revision-diff');
+const { writeExportFile, printHtmlToPDF } = require('./cue-sheet-export');
+const filenameGrammars = require('./filename-grammars');
+const watchFolders = require('./watch-folders');
+const cueValidation = require('./cue-validation');
+const totals = require('./totals');
+const campaignReport = require('./campaign-report');
+const licensingRequests = require('./licensing-requests');
+const trackConflicts = require('./track-conflicts');
 
 // Keep a global reference of the window object
 let mainWindow;
@@ -222,6 +237,14 @@ function createApplicationMenu() {
           accelerator: 'CmdOrCtrl+O',
           click: () => mainWindow?.webContents.send('menu-action', 'open-project')
         },
+        {
+          label: 'Import Cue Sheet...',
+          click: () => mainWindow?.webContents.send('menu-action', 'import-cue-sheet')
+        },
+        {
+          label: 'Compare Revisions...',
+          click: () => mainWindow?.webContents.send('menu-action', 'compare-revisions')
+        },
         { type: 'separator' },
         {
           label: 'Save',
@@ -245,6 +268,15 @@ function createApplicationMenu() {
             {
               label: 'PDF...',
               click: () => mainWindow?.webContents.send('menu-action', 'export-pdf')
+            },
+            { type: 'separator' },
+            {
+              label: 'CSV...',
+              click: () => mainWindow?.webContents.send('menu-action', 'export-csv')
+            },
+            {
+              label: 'Tab-Delimited Text...',
+              click: () => mainWindow?.webContents.send('menu-action', 'export-tsv')
             }
           ]
         },
@@ -252,6 +284,10 @@ function createApplicationMenu() {
           label: 'Share...',
           click: () => mainWindow?.webContents.send('menu-action', 'share')
         },
+        {
+          label: 'Licensing Requests...',
+          click: () => mainWindow?.webContents.send('menu-action', 'licensing-requests')
+        },
         { type: 'separator' },
         {
           label: 'Send Feedback...',
@@ -548,9 +584,13 @@ app.on('activate', () => {
 // Open file dialog for .prproj files
 ipcMain.handle('dialog:openPrproj', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
-    title: 'Select Premiere Pro Project',
+    title: 'Select Project or Timeline',
     filters: [
-      { name: 'Premiere Pro Projects', extensions: ['prproj'] }
+      { name: 'Projects & Timelines', extensions: TIMELINE_EXTENSIONS },
+      { name: 'Premiere Pro Projects', extensions: ['prproj'] },
+      { name: 'FCPXML / Premiere XML', extensions: ['fcpxml', 'xml'] },
+      { name: 'EDL', extensions: ['edl'] },
+      { name: 'CSV Clip Lists', extensions: ['csv', 'tsv', 'txt'] }
     ],
     properties: ['openFile'],
     securityScopedBookmarks: true
@@ -586,15 +626,92 @@ ipcMain.handle('prproj:parse', async (event, filePath) => {
   }
 });
 
+// Ask the user to locate a project file that could not be found (network drives, moved files)
+// Returns the selected path, or null if the dialog was canceled
+async function locateMissingProject(filePath) {
+  console.log('[Wizard] File not found, showing file picker for user to locate:', filePath);
+  const fileName = path.basename(filePath);
+  
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: `Locate "${fileName}"`,
+    message: `Could not find "${fileName}". Please navigate to the file.`,
+    filters: [
+      { name: 'Projects & Timelines', extensions: TIMELINE_EXTENSIONS }
+    ],
+    properties: ['openFile'],
+    securityScopedBookmarks: true
+  });
+  
+  if (result.canceled || !result.filePaths.length) {
+    return null;
+  }
+  
+  const userSelectedPath = result.filePaths[0];
+  console.log('[Wizard] User selected file:', userSelectedPath);
+  
+  // Start accessing security-scoped bookmark if available
+  if (result.bookmarks && result.bookmarks.length > 0) {
+    try {
+      const stopAccessing = app.startAccessingSecurityScopedResource(result.bookmarks[0]);
+      if (!global._scopedBookmarks) global._scopedBookmarks = [];
+      global._scopedBookmarks.push(stopAccessing);
+    } catch (err) {
+      console.warn('[Wizard] Failed to access security-scoped bookmark:', err.message);
+    }
+  }
+  
+  return userSelectedPath;
+}
+
+// Run a wizard step against a project path, prompting the user to locate the file if it is missing
+async function withLocatedProject(filePath, run) {
+  try {
+    return await run(filePath);
+  } catch (error) {
+    if (error.message.includes('File not found')) {
+      const userSelectedPath = await locateMissingProject(filePath);
+      if (!userSelectedPath) {
+        return { success: false, error: 'File selection canceled' };
+      }
+      
+      try {
+        return await run(userSelectedPath);
+      } catch (retryError) {
+        console.error('[Wizard] Parse error after user selection:', retryError);
+        return { success: false, error: retryError.message };
+      }
+    }
+    
+    console.error('[Wizard] Parse error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Import Wizard - List the sequences in a project so the user can pick cutdowns
+ipcMain.handle('wizard:listSequences', async (event, filePath) => {
+  const importPipeline = require('./import-pipeline');
+  
+  return withLocatedProject(filePath, async (resolvedPath) => {
+    const listing = await importPipeline.listSequences(resolvedPath);
+    return {
+      success: true,
+      filePath: resolvedPath,
+      projectName: listing.projectName,
+      sequences: listing.result
+    };
+  });
+});
+
 // Import Wizard - Parse project with full pipeline (all 8 steps)
 // Includes: XML parsing, categorization, durations, stem grouping,
 // file metadata extraction, learned DB matching, pattern fills, use type detection
-ipcMain.handle('wizard:parseProject', async (event, filePath) => {
+// options.sequenceId restricts the import to a single sequence
+ipcMain.handle('wizard:parseProject', async (event, filePath, options = {}) => {
   const importPipeline = require('./import-pipeline');
   
   // Helper to run the pipeline with a given path
   async function runPipeline(resolvedPath) {
-    console.log('[Wizard] Running full pipeline for:', resolvedPath);
+    console.log('[Wizard] Running full pipeline for:', resolvedPath, options.sequenceId ? `(sequence ${options.sequenceId})` : '');
     
     const onProgress = (progressData) => {
       if (event.sender && !event.sender.isDestroyed()) {
@@ -602,18 +719,26 @@ ipcMain.handle('wizard:parseProject', async (event, filePath) => {
       }
     };
     
+    // Durations use the sequence's own timebase; fps is only the fallback for projects without one
     const pipelineResult = await importPipeline.runFullPipeline(resolvedPath, { 
       fps: 23.976,
+      rounding: options.rounding,
+      sequenceId: options.sequenceId,
       onProgress 
     });
     
     console.log(`[Wizard] Pipeline completed in ${pipelineResult.totalElapsedMs}ms`);
     console.log(`[Wizard] Final: ${pipelineResult.result.length} cues`);
+    pipelineResult.conflicts.forEach(conflict => trackConflicts.addConflict(conflict));
     
     return {
       success: true,
+      filePath: resolvedPath,
       projectName: pipelineResult.projectName,
       spotTitle: pipelineResult.spotTitle,
+      sequence: pipelineResult.sequence,
+      sequences: pipelineResult.sequences,
+      programLength: pipelineResult.programSeconds ? totals.formatTotal(pipelineResult.programSeconds) : '',
       rawClips: pipelineResult.result,
       categorizedClips: pipelineResult.result,
       groupedClips: pipelineResult.result,
@@ -633,58 +758,18 @@ ipcMain.handle('wizard:parseProject', async (event, filePath) => {
     };
   }
   
-  try {
-    return await runPipeline(filePath);
-  } catch (error) {
-    // If file not found, show a file picker so the user can locate it
-    if (error.message.includes('File not found')) {
-      console.log('[Wizard] File not found, showing file picker for user to locate:', filePath);
-      const fileName = path.basename(filePath);
-      
-      const result = await dialog.showOpenDialog(mainWindow, {
-        title: `Locate "${fileName}"`,
-        message: `Could not find "${fileName}". Please navigate to the file.`,
-        filters: [
-          { name: 'Premiere Pro Projects', extensions: ['prproj'] }
-        ],
-        properties: ['openFile'],
-        securityScopedBookmarks: true
-      });
-      
-      if (result.canceled || !result.filePaths.length) {
-        return { success: false, error: 'File selection canceled' };
-      }
-      
-      const userSelectedPath = result.filePaths[0];
-      console.log('[Wizard] User selected file:', userSelectedPath);
-      
-      // Start accessing security-scoped bookmark if available
-      if (result.bookmarks && result.bookmarks.length > 0) {
-        try {
-          const stopAccessing = app.startAccessingSecurityScopedResource(result.bookmarks[0]);
-          if (!global._scopedBookmarks) global._scopedBookmarks = [];
-          global._scopedBookmarks.push(stopAccessing);
-        } catch (err) {
-          console.warn('[Wizard] Failed to access security-scoped bookmark:', err.message);
-        }
-      }
-      
-      try {
-        return await runPipeline(userSelectedPath);
-      } catch (retryError) {
-        console.error('[Wizard] Parse error after user selection:', retryError);
-        return { success: false, error: retryError.message };
-      }
-    }
-    
-    console.error('[Wizard] Parse error:', error);
-    return { success: false, error: error.message };
-  }
+  return withLocatedProject(filePath, runPipeline);
 });
 
 // Export to Excel
 ipcMain.handle('excel:export', async (event, { cues, projectInfo, format = 'xlsx', projectFolder = null }) => {
   try {
+    // Blocking rule errors stop the export (the renderer shows them before getting here)
+    const validation = cueValidation.validateCueSheet(cues, projectInfo);
+    if (validation.errors > 0) {
+      return { success: false, error: `${validation.errors} blocking issue${validation.errors === 1 ? '' : 's'} - fix them before exporting`, validation };
+    }
+    
     // Build filename: Project_SpotName_Type.filetype
     const project = (projectInfo.project || '').replace(/[^a-zA-Z0-9]/g, '');
     const spotTitle = (projectInfo.spotTitle || 'CueSheet').replace(/[^a-zA-Z0-9]/g, '');
@@ -702,9 +787,7 @@ ipcMain.handle('excel:export', async (event, { cues, projectInfo, format = 'xlsx
       filePath = path.join(exportFolder, `${filename}.${format}`);
     } else {
       // Otherwise show save dialog
-      const filters = format === 'pdf' 
-        ? [{ name: 'PDF Files', extensions: ['pdf'] }]
-        : [{ name: 'Excel Files', extensions: ['xlsx'] }];
+      const filters = [EXPORT_FORMATS[format] || EXPORT_FORMATS.xlsx];
       
       const result = await dialog.showSaveDialog(mainWindow, {
         title: `Save Cue Sheet as ${format.toUpperCase()}`,
@@ -719,13 +802,337 @@ ipcMain.handle('excel:export', async (event, { cues, projectInfo, format = 'xlsx
       filePath = result.filePath;
     }
     
+    await writeExportFile(filePath, cues, projectInfo, format);
+    
+    return { success: true, filePath, format };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Export templates (network/studio cue sheet layouts)
+ipcMain.handle('templates:list', async () => {
+  return { success: true, templates: exportTemplates.listTemplates(), fields: exportTemplates.CUE_FIELDS };
+});
+
+// Import a template from a .json definition or an .xlsx with placeholders
+ipcMain.handle('templates:import', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Export Template',
+    filters: [
+      { name: 'Templates', extensions: ['json', 'xlsx'] }
+    ],
+    properties: ['openFile']
+  });
+  
+  if (result.canceled || !result.filePaths.length) {
+    return { success: false, canceled: true };
+  }
+  
+  try {
+    const template = await exportTemplates.importTemplate(result.filePaths[0]);
+    return { success: true, template };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('templates:delete', async (event, templateId) => {
+  try {
+    exportTemplates.deleteTemplate(templateId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Completeness rules checked before export (rule set per export template)
+ipcMain.handle('validation:run', async (event, cues, projectInfo) => {
+  try {
+    return { success: true, ...cueValidation.validateCueSheet(cues, projectInfo) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('validation:getRules', async (event, templateId) => {
+  return { success: true, rules: cueValidation.getRuleSet(templateId) };
+});
+
+ipcMain.handle('validation:setRule', async (event, templateId, ruleId, severity) => {
+  try {
+    return { success: true, rules: cueValidation.setRuleSeverity(templateId, ruleId, severity) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('validation:resetRules', async (event, templateId) => {
+  try {
+    return { success: true, rules: cueValidation.resetRuleSet(templateId) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Import a delivered or vendor cue sheet: pick the file and detect its layout
+ipcMain.handle('cueSheetImport:open', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Cue Sheet',
+    filters: [
+      { name: 'Cue Sheets', extensions: cueSheetImport.CUE_SHEET_EXTENSIONS }
+    ],
+    properties: ['openFile']
+  });
+  
+  if (result.canceled || !result.filePaths.length) {
+    return { success: false, canceled: true };
+  }
+  
+  try {
+    const preview = await cueSheetImport.previewCueSheet(result.filePaths[0]);
+    return { success: true, filePath: result.filePaths[0], preview };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Re-read the layout with a different heading row
+ipcMain.handle('cueSheetImport:preview', async (event, filePath, options) => {
+  try {
+    const preview = await cueSheetImport.previewCueSheet(filePath, options);
+    return { success: true, filePath, preview };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Build cues with the mapping the user confirmed
+ipcMain.handle('cueSheetImport:read', async (event, filePath, { headerRowIndex, mapping }) => {
+  try {
+    const cues = await cueSheetImport.importCueSheet(filePath, { headerRowIndex, mapping });
+    return { success: true, cues };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Compare two versions of a spot (older first)
+ipcMain.handle('revisions:compare', async (event, previousCues, currentCues) => {
+  try {
+    return { success: true, diff: revisionDiff.diffCueSheets(previousCues, currentCues) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Fill the newer version's empty fields from the older version
+ipcMain.handle('revisions:carryForward', async (event, previousCues, currentCues) => {
+  try {
+    const { cues, carried } = revisionDiff.carryForwardEnrichment(previousCues, currentCues);
+    return { success: true, cues, carried };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Parse a project or timeline (any supported format) to compare against a stored version
+// options: { sequenceId, sequenceName, rounding } from the stored sheet, so the same
+// sequence is parsed with the same rounding rule (the whole project when it has no such sequence)
+ipcMain.handle('revisions:parseTimeline', async (event, filePath, options = {}) => {
+  try {
+    if (!detectTimelineFormat(filePath)) {
+      return { success: false, error: `Unsupported file: ${path.basename(filePath)}` };
+    }
+    const importPipeline = require('./import-pipeline');
+    let sequence = null;
+    if (options.sequenceId || options.sequenceName) {
+      const listing = await importPipeline.listSequences(filePath);
+      sequence = listing.result.find(seq => seq.id === options.sequenceId) ||
+        listing.result.find(seq => seq.name === options.sequenceName) || null;
+    }
+    const result = await importPipeline.runFullPipeline(filePath, {
+      fps: 23.976,
+      rounding: options.rounding,
+      sequenceId: sequence?.id
+    });
+    result.conflicts.forEach(conflict => trackConflicts.addConflict(conflict));
+    return {
+      success: true,
+      filePath,
+      name: result.spotTitle || result.projectName || path.basename(filePath, path.extname(filePath)),
+      cues: importPipeline.toCueSheetCues(result.result)
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Formats the changes report can be written as
+const REVISION_REPORT_FORMATS = ['xlsx', 'pdf', 'csv'];
+
+// Export a "changes since last delivery" report
+ipcMain.handle('revisions:exportReport', async (event, { previousName, currentName, previousCues, currentCues, format = 'xlsx' }) => {
+  try {
+    if (!REVISION_REPORT_FORMATS.includes(format)) {
+      return { success: false, error: `Unknown report format "${format}" (use ${REVISION_REPORT_FORMATS.join(', ')})` };
+    }
+    const diff = revisionDiff.diffCueSheets(previousCues, currentCues);
+    const layout = revisionDiff.buildChangesLayout(diff, { previousName, currentName, previousCues, currentCues });
+    const filename = `${(currentName || 'CueSheet').replace(/[^a-zA-Z0-9]/g, '')}_Changes`;
+    
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: `Save Changes Report as ${format.toUpperCase()}`,
+      defaultPath: `${filename}.${format}`,
+      filters: [EXPORT_FORMATS[format]]
+    });
+    
+    if (result.canceled) {
+      return { success: false, canceled: true };
+    }
+    
     if (format === 'pdf') {
-      await exportToPDF(filePath, cues, projectInfo);
+      await printHtmlToPDF(result.filePath, exportTemplates.renderHtml(layout));
+    } else if (format === 'csv') {
+      fs.writeFileSync(result.filePath, exportTemplates.renderDelimited(layout), 'utf-8');
+    } else if (format === 'xlsx') {
+      await exportTemplates.writeXlsx(result.filePath, {}, layout);
+    }
+    
+    return { success: true, filePath: result.filePath, format };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Campaign roll-up: one workbook for every cue sheet in a folder plus a track summary
+ipcMain.handle('campaign:exportRollup', async (event, folderId, projectFolder = null) => {
+  try {
+    const { folder } = campaignReport.buildCampaignRollup(folderId);
+    const filename = `${(folder.name || 'Campaign').replace(/[^a-zA-Z0-9]/g, '') || 'Campaign'}_Rollup.xlsx`;
+    
+    let filePath;
+    if (projectFolder && fs.existsSync(projectFolder)) {
+      filePath = path.join(acsProject.getExportPath(projectFolder, 'xlsx'), filename);
     } else {
-      await exportToExcel(filePath, cues, projectInfo);
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Save Campaign Roll-up',
+        defaultPath: filename,
+        filters: [EXPORT_FORMATS.xlsx]
+      });
+      if (result.canceled) {
+        return { success: false, canceled: true };
+      }
+      filePath = result.filePath;
     }
     
-    return { success: true, filePath, format };
+    const written = await campaignReport.writeCampaignWorkbook(filePath, folderId);
+    return { success: true, filePath, ...written };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Licensing requests: one email draft (and/or cue sheet) per library contact
+ipcMain.handle('licensing:getTemplate', async () => {
+  try {
+    return {
+      success: true,
+      template: licensingRequests.getTemplate(),
+      defaultTemplate: licensingRequests.DEFAULT_TEMPLATE,
+      placeholders: licensingRequests.PLACEHOLDERS
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('licensing:saveTemplate', async (event, template) => {
+  try {
+    return { success: true, template: licensingRequests.saveTemplate(template) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('licensing:resetTemplate', async () => {
+  try {
+    return { success: true, template: licensingRequests.resetTemplate() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('licensing:preview', async (event, { cues, projectInfo, template }) => {
+  try {
+    return { success: true, ...licensingRequests.previewRequests(cues, projectInfo, template) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('licensing:generate', async (event, { cues, projectInfo, template, output = 'eml', projectFolder = null }) => {
+  try {
+    let outputDir;
+    if (projectFolder && fs.existsSync(projectFolder)) {
+      outputDir = acsProject.getExportPath(projectFolder, 'eml');
+    } else {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Choose a Folder for Licensing Requests',
+        properties: ['openDirectory', 'createDirectory']
+      });
+      if (result.canceled) {
+        return { success: false, canceled: true };
+      }
+      outputDir = result.filePaths[0];
+    }
+    
+    const generated = await licensingRequests.generateRequests(outputDir, { cues, projectInfo, template, output });
+    return { success: true, folder: outputDir, ...generated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Library filename grammars (built-in, cloud and custom)
+ipcMain.handle('filenameGrammars:list', async () => {
+  try {
+    return { success: true, ...filenameGrammars.listGrammars(), fields: filenameGrammars.GRAMMAR_FIELDS };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('filenameGrammars:save', async (event, grammar) => {
+  try {
+    return { success: true, grammar: filenameGrammars.saveUserGrammar(grammar) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('filenameGrammars:delete', async (event, grammarId) => {
+  try {
+    filenameGrammars.deleteUserGrammar(grammarId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Parse sample filenames, optionally with an unsaved draft grammar
+ipcMain.handle('filenameGrammars:test', async (event, filenames, draft) => {
+  try {
+    return { success: true, ...filenameGrammars.testFileNames(filenames, draft) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('filenameGrammars:syncCloud', async () => {
+  try {
+    const count = await filenameGrammars.syncCloudGrammars(supabaseClient.getClient());
+    return { success: true, count };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -736,6 +1143,11 @@ ipcMain.handle('share:exportAndMail', async (event, { cues, projectInfo, format
   try {
     const { shell } = require('electron');
     
+    const validation = cueValidation.validateCueSheet(cues, projectInfo);
+    if (validation.errors > 0) {
+      return { success: false, error: `${validation.errors} blocking issue${validation.errors === 1 ? '' : 's'} - fix them before exporting`, validation };
+    }
+    
     // Build filename
     const project = (projectInfo.project || '').replace(/[^a-zA-Z0-9]/g, '');
     const spotTitle = (projectInfo.spotTitle || 'CueSheet').replace(/[^a-zA-Z0-9]/g, '');
@@ -755,11 +1167,7 @@ ipcMain.handle('share:exportAndMail', async (event, { cues, projectInfo, format
     }
     
     // Export the file
-    if (format === 'pdf') {
-      await exportToPDF(filePath, cues, projectInfo);
-    } else {
-      await exportToExcel(filePath, cues, projectInfo);
-    }
+    await writeExportFile(filePath, cues, projectInfo, format);
     
     // Build subject line
     const projectName = projectInfo.project || projectInfo.projectName || 'Project';
@@ -806,8 +1214,8 @@ ipcMain.handle('audio:metadata', async (event, filePath) => {
 });
 
 // Get contact for a library
-ipcMain.handle('contacts:find', async (event, libraryName) => {
-  const contact = findContact(libraryName);
+ipcMain.handle('contacts:find', async (event, libraryName, catalogCode) => {
+  const contact = findContact(libraryName, { catalogCode });
   return contact ? { success: true, contact } : { success: false };
 });
 
@@ -826,7 +1234,7 @@ ipcMain.handle('contacts:import', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     title: 'Import Contacts Spreadsheet',
     filters: [
-      { name: 'Spreadsheets', extensions: ['xlsx', 'xls', 'csv'] }
+      { name: 'Spreadsheets', extensions: ['xlsx', 'csv'] }
     ],
     properties: ['openFile']
   });
@@ -838,13 +1246,89 @@ ipcMain.handle('contacts:import', async () => {
   return await importContactsFromFile(result.filePaths[0]);
 });
 
+// Contact directory: libraries with their contacts, edited locally and synced to the team
+ipcMain.handle('contacts:listLibraries', async () => {
+  try {
+    return {
+      success: true,
+      libraries: contacts.listLibraries(),
+      roles: contacts.CONTACT_ROLES,
+      pending: contacts.hasPendingChanges(),
+      cloud: supabaseClient.isConfigured()
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Save locally, then push to the team right away when signed in (stays pending if that fails)
+ipcMain.handle('contacts:saveLibrary', async (event, library) => {
+  try {
+    const saved = contacts.saveLibrary(library);
+    const sync = await syncContactDirectory();
+    return { success: true, library: saved, ...sync };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('contacts:deleteLibrary', async (event, libraryId) => {
+  try {
+    contacts.deleteLibrary(libraryId);
+    const sync = await syncContactDirectory();
+    return { success: true, ...sync };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('contacts:sync', async () => {
+  try {
+    const result = await contacts.syncContacts(supabaseClient.getClient());
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('contacts:exportCsv', async () => {
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Contacts',
+      defaultPath: 'Library Contacts.csv',
+      filters: [EXPORT_FORMATS.csv]
+    });
+    if (result.canceled) {
+      return { success: false, canceled: true };
+    }
+    fs.writeFileSync(result.filePath, contacts.exportContactsCsv(), 'utf-8');
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Best-effort push/pull after a local edit
+async function syncContactDirectory() {
+  const client = supabaseClient.getClient();
+  if (!client) return { synced: false };
+  try {
+    await contacts.syncContacts(client);
+    return { synced: true };
+  } catch (error) {
+    console.log('[Contacts] Sync failed, edit kept locally:', error.message);
+    return { synced: false, syncError: error.message };
+  }
+}
+
 // Auto-enrich cue with contact info
 ipcMain.handle('cue:enrichWithContact', async (event, cue) => {
-  // Try to find contact from source/publisher/artist
-  const searchTerms = [cue.source, cue.publisher, cue.artist].filter(Boolean);
+  // Try to find contact from library/source/publisher/artist, then the catalog code
+  const searchTerms = [cue.library, cue.source, cue.publisher, cue.artist].filter(Boolean);
+  if (searchTerms.length === 0) searchTerms.push('');
   
   for (const term of searchTerms) {
-    const contact = findContact(term);
+    const contact = findContact(term, { catalogCode: cue.catalogCode });
     if (contact) {
       return {
         success: true,
@@ -1080,9 +1564,11 @@ ipcMain.handle('cue:autoLookup', async (event, cue) => {
         console.log(`[PRO Lookup] Found data:`, formattedPRO);
         if (formattedPRO.composer) {
           enrichedCue.composer = formattedPRO.composer;
+          enrichedCue.writers = formattedPRO.writers;
         }
         if (formattedPRO.publisher) {
           enrichedCue.publisher = formattedPRO.publisher;
+          enrichedCue.publishers = formattedPRO.publishers;
         }
       } else {
         console.log(`[PRO Lookup] No data found for "${cleanTrackName}"`);
@@ -1128,9 +1614,10 @@ ipcMain.handle('cue:autoLookup', async (event, cue) => {
   
   // Step 5: If we have source/artist, try to find contact
   if (!enrichedCue.masterContact) {
-    const searchTerms = [enrichedCue.source, enrichedCue.publisher, enrichedCue.artist].filter(Boolean);
+    const searchTerms = [enrichedCue.library, enrichedCue.source, enrichedCue.publisher, enrichedCue.artist].filter(Boolean);
+    if (searchTerms.length === 0) searchTerms.push('');
     for (const term of searchTerms) {
-      const contact = findContact(term);
+      const contact = findContact(term, { catalogCode: enrichedCue.catalogCode });
       if (contact) {
         enrichedCue.masterContact = contact.formatted;
         break;
@@ -1463,9 +1950,9 @@ function isSourceAllowedForTrack(sourceId, trackType) {
     return true; // All sources allowed for commercial/unknown tracks
   }
   
-  // For production music, only allow production libraries, PRO databases, and AI
+  // For production music, only allow production libraries, PRO databases, AI and the learned database
   const category = SOURCE_CATEGORIES[sourceId] || 'unknown';
-  const allowedCategories = ['production', 'pro', 'ai'];
+  const allowedCategories = ['production', 'pro', 'ai', 'learned'];
   
   return allowedCategories.includes(category);
 }
@@ -1651,6 +2138,22 @@ async function enrichClipsWithLearnedData(clips) {
           catalogCode: dbMatch.catalog_code || dbMatch.catalogCode,
         };
         
+        // File tags that disagree with a confidently matched track go to the
+        // conflict queue before the learned values replace them
+        if (matchConfidence >= 0.95) {
+          for (const field of Object.keys(trackConflicts.CONFLICT_FIELDS)) {
+            if (clip[`${field}Source`] !== 'file_metadata') continue;
+            trackConflicts.addConflict({
+              trackName: matchedTrackName,
+              catalogCode: learned.catalogCode || null,
+              field,
+              stored: { value: learned[field], dataSource: dbMatch.data_source || dbMatch.dataSource },
+              incoming: { value: clip[field], dataSource: 'file_metadata' },
+              origin: 'import'
+            });
+          }
+        }
+        
         // Apply learned data - these OVERRIDE metadata/filename values
         // Confidence determines if user needs to approve
         if (learned.composer) {
@@ -1748,16 +2251,15 @@ async function enrichClipsWithLearnedData(clips) {
 // Convert Premiere ticks to duration string (min:sec:frames)
 function ticksToDuration(ticks, fps = 23.976) {
   const seconds = ticks / TICKS_PER_SECOND;
-  const totalFrames = Math.round(seconds * fps);
-  
-  const minutes = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  const frames = Math.round((seconds % 1) * fps);
+  // Count whole frames first so leftover frames never reach a full second
+  const length = ticksToCueLength(ticks, fps, 'truncate');
+  const minutes = Math.floor(length.totalSeconds / 60);
+  const secs = length.totalSeconds % 60;
   
   return {
-    formatted: `${minutes}:${secs.toString().padStart(2, '0')}:${frames.toString().padStart(2, '0')}`,
+    formatted: `${minutes}:${secs.toString().padStart(2, '0')}:${length.frames.toString().padStart(2, '0')}`,
     seconds: seconds,
-    frames: totalFrames
+    frames: ticksToFrames(ticks, fps)
   };
 }
 
@@ -1822,15 +2324,6 @@ function parseSpotTitleFromFilename(filename) {
   return name;
 }
 
-// BMG Catalog code to album name mapping
-const BMG_CATALOG_MAP = {
-  'IATS021': 'Ka-Pow',
-  'IATS': 'Ka-Pow',
-  'BYND': 'FX _ Trailer FX I (BYND001)',
-  'BYND001': 'FX _ Trailer FX I (BYND001)',
-  // Add more catalog codes as needed
-};
-
 // Extract audio clips from parsed XML
 function extractAudioClips(parsed, xmlContent) {
   const consolidatedTracks = new Map(); // baseTrackName -> track info
@@ -1876,8 +2369,8 @@ function extractAudioClips(parsed, xmlContent) {
         originalName.startsWith('z') || originalName.includes('JUNK') || originalName.includes('OLD') ||
         originalName.startsWith('*')) continue;
     
-    // Parse the filename to extract track info
-    const trackInfo = parseAudioFileName(originalName);
+    // Parse the filename to extract track info (library grammars)
+    const trackInfo = filenameGrammars.parseFileName(originalName);
     
     if (!trackInfo) continue;
     
@@ -1885,427 +2378,61 @@ function extractAudioClips(parsed, xmlContent) {
     const key = trackInfo.baseTrackName;
     
     // Skip if we've already seen this track
-    if (consolidatedTracks.has(key)) continue;
-    
-    // Store the track info
-    consolidatedTracks.set(key, {
-      originalName,
-      ...trackInfo
-    });
-  }
-  
-  // Convert to array and assign durations
-  const clips = [];
-  let timingIndex = 0;
-  
-  for (const [key, trackInfo] of consolidatedTracks) {
-    // Get a timing (cycle through available timings)
-    const timing = allTimings[timingIndex % allTimings.length] || { duration: 0 };
-    const durationInfo = ticksToDuration(timing.duration);
-    timingIndex++;
-    
-    clips.push({
-      id: `clip-${clips.length + 1}`,
-      originalName: trackInfo.originalName,
-      trackName: trackInfo.displayName,
-      trackNameSource: 'filename_parse',
-      duration: durationInfo.formatted || '0:00:00',
-      durationSource: 'premiere_import',
-      durationSeconds: durationInfo.seconds || 0,
-      durationFrames: durationInfo.frames || 0,
-      artist: trackInfo.artist || '', // Don't default - fill from metadata or database
-      artistSource: trackInfo.artist ? 'filename_parse' : null,
-      label: trackInfo.library || '', // Library detected from filename pattern
-      labelSource: trackInfo.library ? 'filename_parse' : null,
-      source: trackInfo.source || '',
-      sourceSource: trackInfo.source ? 'filename_parse' : null,
-      trackNumber: 'N/A',
-      composer: '',
-      publisher: '',
-      masterContact: '',
-      use: 'BI',
-      isStem: trackInfo.isStem,
-      catalogCode: trackInfo.catalogCode || '',
-      status: 'pending'
-    });
-  }
-  
-  return clips;
-}
-
-// Parse audio filename to extract track info, catalog codes, etc.
-function parseAudioFileName(filename) {
-  // Remove file extension
-  const nameWithoutExt = filename.replace(/\.(wav|aif|aiff|mp3|m4a|flac)$/i, '');
-  
-  // Check if it's a BMG stem file
-  // Pattern: BASS_mx_BMGPM_IATS021_Punch_Drunk_STEM_BASS
-  const bmgStemMatch = nameWithoutExt.match(/^([A-Z]+)_mx_BMGPM_([A-Z]+\d*)_(.+?)_STEM_/i);
-  if (bmgStemMatch) {
-    const catalogCode = bmgStemMatch[2];
-    const trackNameRaw = bmgStemMatch[3];
-    const trackName = trackNameRaw.replace(/_/g, ' ').trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '', // Leave empty - will be filled from metadata or database
-      library: 'BMG Production Music',
-      source: BMG_CATALOG_MAP[catalogCode] || catalogCode,
-      catalogCode: catalogCode,
-      isStem: true
-    };
-  }
-  
-  // Check if it's a Beyond/BYND file
-  // Pattern: mxBeyond-Fire Thunder Hit.aif
-  const beyondMatch = nameWithoutExt.match(/^mxBeyond-(.+)$/i);
-  if (beyondMatch) {
-    const trackName = beyondMatch[1].trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: 'BYND-' + trackName,
-      artist: '', // Leave empty - will be filled from metadata or database
-      library: 'BMG Production Music',
-      source: BMG_CATALOG_MAP['BYND'] || 'Beyond',
-      catalogCode: 'BYND',
-      isStem: false
-    };
-  }
-  
-  // Check if it's a standard BMG file (non-stem)
-  // Pattern: mx_BMGPM_IATS021_Track_Name
-  const bmgMatch = nameWithoutExt.match(/^mx_?BMGPM_([A-Z]+\d*)_(.+)$/i);
-  if (bmgMatch) {
-    const catalogCode = bmgMatch[1];
-    const trackNameRaw = bmgMatch[2];
-    const trackName = trackNameRaw.replace(/_/g, ' ').trim();
-    
-    return {
-      baseTrackName: trackName.toLowerCase(),
-      displayName: trackName,
-      artist: '', // Leave empty - will be filled from metadata or database
-      library: 'BMG Production Music',
-      source: BMG_CATALOG_MAP[catalogCode] || catalogCode,
-      catalogCode: catalogCode,
-      isStem: false
-    };
-  }
-  
-  // Generic audio file - clean up the name
-  const cleanName = nameWithoutExt
-    .replace(/^mx_?/i, '')
-    .replace(/^SYNC\s*/i, '')
-    .replace(/_LVTD[\s_]*ClrMx$/i, '')
-    .replace(/[_\s]+v\d+(\.\d+)?$/i, '')
-    .replace(/[_\s]+(30s|60s|15s|10s|90s)$/i, '')
-    .replace(/[_\s]+(Full|Alt|Edit|Clean|Explicit|Instrumental|Radio|Extended|Remix|Short|Long|Loop)$/i, '')
-    .replace(/[_\s]+(Mix|Mixdown|Master|Mastered|Final|Draft)$/i, '')
-    .replace(/[_\s]*Stems?$/i, '')
-    .replace(/_/g, ' ')
-    .trim();
-  
-  if (cleanName.length > 0) {
-    return {
-      baseTrackName: cleanName.toLowerCase(),
-      displayName: cleanName,
-      artist: '',
-      source: '',
-      catalogCode: '',
-      isStem: false
-    };
-  }
-  
-  return null;
-}
-
-// Export cues to Excel file (matching the exact template format from CSV)
-async function exportToExcel(filePath, cues, projectInfo) {
-  const workbook = new ExcelJS.Workbook();
-  const sheet = workbook.addWorksheet('Cue Sheet');
-  
-  // Set column widths to match template
-  sheet.columns = [
-    { width: 5 },   // A - Index
-    { width: 25 },  // B - Track Name
-    { width: 20 },  // C - Cue Length
-    { width: 20 },  // D - Artist
-    { width: 25 },  // E - Source
-    { width: 10 },  // F - Track #
-    { width: 30 },  // G - Composer
-    { width: 35 },  // H - Publisher
-    { width: 35 },  // I - Master/Contact
-    { width: 8 },   // J - Use
-  ];
-  
-  // Project info header (matching CSV format)
-  sheet.getCell('A3').value = 'Project:';
-  sheet.getCell('B3').value = projectInfo.project || '';
-  sheet.getCell('A3').font = { bold: true };
-  
-  sheet.getCell('A4').value = 'Spot Title:';
-  sheet.getCell('B4').value = projectInfo.spotTitle || '';
-  sheet.getCell('A4').font = { bold: true };
-  
-  sheet.getCell('A5').value = 'Type:';
-  sheet.getCell('B5').value = projectInfo.type || '';
-  sheet.getCell('A5').font = { bold: true };
-  
-  sheet.getCell('D5').value = 'DATE PREPARED:';
-  sheet.getCell('E5').value = projectInfo.datePrepared || new Date().toLocaleDateString('en-US', { 
-    month: 'numeric', 
-    day: 'numeric', 
-    year: '2-digit' 
-  }).replace(/\//g, '.');
-  sheet.getCell('D5').font = { bold: true };
-  
-  // Column headers (Row 7)
-  const headerRow = 7;
-  const headers = [
-    '', 
-    'Track Name', 
-    'Cue Length (min:sec;frames)', 
-    'Artist', 
-    'Source',
-    'Track #', 
-    'Composer', 
-    'Publisher', 
-    'Master/ Record Label/ Music Library', 
-    'Use'
-  ];
-  
-  headers.forEach((header, i) => {
-    const cell = sheet.getCell(headerRow, i + 1);
-    cell.value = header;
-    cell.font = { bold: true };
-    cell.border = {
-      bottom: { style: 'thin' }
-    };
-  });
-  
-  // Add cue data (starting at row 9, with blank row 8)
-  cues.forEach((cue, index) => {
-    const row = headerRow + 2 + index;
-    
-    // Index
-    sheet.getCell(row, 1).value = index + 1;
-    
-    // Track Name
-    sheet.getCell(row, 2).value = cue.trackName;
-    
-    // Cue Length - format as min:sec (without leading zero on minutes)
-    let durationStr = cue.duration || '0:00';
-    // Convert from min:sec:frames to min:sec format if needed
-    if (durationStr.split(':').length === 3) {
-      const parts = durationStr.split(':');
-      const mins = parseInt(parts[0]);
-      const secs = parseInt(parts[1]);
-      durationStr = `${mins}:${secs.toString().padStart(2, '0')}`;
-    }
-    sheet.getCell(row, 3).value = durationStr;
-    
-    // Artist
-    sheet.getCell(row, 4).value = cue.artist || '';
-    
-    // Source
-    sheet.getCell(row, 5).value = cue.source || '';
-    
-    // Track #
-    sheet.getCell(row, 6).value = cue.trackNumber || 'N/A';
-    
-    // Composer
-    sheet.getCell(row, 7).value = cue.composer || '';
-    
-    // Publisher
-    sheet.getCell(row, 8).value = cue.publisher || '';
-    
-    // Master/Record Label/Music Library
-    let masterLabel = cue.label || cue.library || cue.masterContact || '';
-    if (masterLabel) {
-      sheet.getCell(row, 9).value = masterLabel;
-      sheet.getCell(row, 9).alignment = { wrapText: true };
-    }
+    if (consolidatedTracks.has(key)) continue;
     
-    // Use
-    sheet.getCell(row, 10).value = cue.use || 'BI';
-  });
-  
-  // Apply styling to data rows
-  for (let i = 0; i < cues.length; i++) {
-    const row = headerRow + 2 + i;
-    for (let col = 1; col <= 10; col++) {
-      const cell = sheet.getCell(row, col);
-      cell.border = {
-        bottom: { style: 'hair', color: { argb: 'FFE0E0E0' } }
-      };
-    }
+    // Store the track info
+    consolidatedTracks.set(key, {
+      originalName,
+      ...trackInfo
+    });
   }
   
-  await workbook.xlsx.writeFile(filePath);
-}
-
-// Export cue sheet to PDF
-async function exportToPDF(filePath, cues, projectInfo) {
-  // Create a hidden window to render the PDF
-  const pdfWindow = new BrowserWindow({
-    width: 1200,
-    height: 800,
-    show: false,
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true
-    }
-  });
-  
-  // Generate HTML content for the cue sheet
-  const htmlContent = generateCueSheetHTML(cues, projectInfo);
-  
-  // Load the HTML content
-  await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(htmlContent)}`);
-  
-  // Wait for content to render
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Generate PDF
-  const pdfData = await pdfWindow.webContents.printToPDF({
-    pageSize: 'Letter',
-    landscape: true,
-    printBackground: true,
-    margins: {
-      top: 0.4,
-      bottom: 0.4,
-      left: 0.4,
-      right: 0.4
-    }
-  });
-  
-  // Write to file
-  fs.writeFileSync(filePath, pdfData);
-  
-  // Close the window
-  pdfWindow.close();
-}
-
-// Generate HTML for PDF export
-function generateCueSheetHTML(cues, projectInfo) {
-  const dateStr = projectInfo.datePrepared || new Date().toLocaleDateString('en-US', { 
-    month: 'numeric', 
-    day: 'numeric', 
-    year: '2-digit' 
-  }).replace(/\//g, '.');
+  // Convert to array and assign durations
+  const clips = [];
+  let timingIndex = 0;
   
-  const rows = cues.map((cue, index) => {
-    let durationStr = cue.duration || '0:00';
-    if (durationStr.split(':').length === 3) {
-      const parts = durationStr.split(':');
-      const mins = parseInt(parts[0]);
-      const secs = parseInt(parts[1]);
-      durationStr = `${mins}:${secs.toString().padStart(2, '0')}`;
-    }
+  for (const [key, trackInfo] of consolidatedTracks) {
+    // Get a timing (cycle through available timings)
+    const timing = allTimings[timingIndex % allTimings.length] || { duration: 0 };
+    const durationInfo = ticksToDuration(timing.duration);
+    timingIndex++;
     
-    return `
-      <tr>
-        <td class="idx">${index + 1}</td>
-        <td class="track">${escapeHtml(cue.trackName || '')}</td>
-        <td class="duration">${durationStr}</td>
-        <td>${escapeHtml(cue.artist || '')}</td>
-        <td>${escapeHtml(cue.source || '')}</td>
-        <td class="tracknum">${escapeHtml(cue.trackNumber || 'N/A')}</td>
-        <td>${escapeHtml(cue.composer || '')}</td>
-        <td>${escapeHtml(cue.publisher || '')}</td>
-        <td>${escapeHtml(cue.label || '')}</td>
-        <td>${escapeHtml(cue.masterContact || '')}</td>
-        <td class="use">${escapeHtml(cue.use || 'BI')}</td>
-      </tr>
-    `;
-  }).join('');
+    clips.push({
+      id: `clip-${clips.length + 1}`,
+      originalName: trackInfo.originalName,
+      trackName: trackInfo.displayName,
+      trackNameSource: 'filename_parse',
+      duration: durationInfo.formatted || '0:00:00',
+      durationSource: 'premiere_import',
+      durationSeconds: durationInfo.seconds || 0,
+      durationFrames: durationInfo.frames || 0,
+      artist: trackInfo.artist || '', // Don't default - fill from metadata or database
+      artistSource: trackInfo.artist ? 'filename_parse' : null,
+      label: trackInfo.library || '', // Library detected from filename pattern
+      labelSource: trackInfo.library ? 'filename_parse' : null,
+      source: trackInfo.source || '',
+      sourceSource: trackInfo.source ? 'filename_parse' : null,
+      trackNumber: 'N/A',
+      composer: '',
+      publisher: '',
+      masterContact: '',
+      use: 'BI',
+      isStem: trackInfo.isStem,
+      catalogCode: trackInfo.catalogCode || '',
+      status: 'pending'
+    });
+  }
   
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="UTF-8">
-      <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          font-size: 9px;
-          padding: 20px;
-          color: #333;
-        }
-        .header { margin-bottom: 15px; }
-        .header h1 { font-size: 16px; margin-bottom: 8px; color: #1a1a1a; }
-        .meta { display: flex; gap: 30px; margin-bottom: 10px; }
-        .meta-item { }
-        .meta-item label { font-weight: bold; margin-right: 5px; }
-        table { width: 100%; border-collapse: collapse; font-size: 8px; }
-        th { 
-          background: #f0f0f0; 
-          padding: 6px 4px; 
-          text-align: left; 
-          font-weight: bold;
-          border-bottom: 2px solid #333;
-          white-space: nowrap;
-        }
-        td { 
-          padding: 5px 4px; 
-          border-bottom: 1px solid #e0e0e0;
-          vertical-align: top;
-        }
-        tr:nth-child(even) { background: #fafafa; }
-        .idx { width: 25px; text-align: center; }
-        .track { min-width: 100px; }
-        .duration { width: 50px; text-align: center; }
-        .tracknum { width: 45px; text-align: center; }
-        .use { width: 30px; text-align: center; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>CUE SHEET</h1>
-        <div class="meta">
-          <div class="meta-item"><label>Project:</label>${escapeHtml(projectInfo.project || '')}</div>
-          <div class="meta-item"><label>Spot Title:</label>${escapeHtml(projectInfo.spotTitle || '')}</div>
-          <div class="meta-item"><label>Type:</label>${escapeHtml(projectInfo.type || '')}</div>
-          <div class="meta-item"><label>Date:</label>${dateStr}</div>
-        </div>
-      </div>
-      <table>
-        <thead>
-          <tr>
-            <th class="idx">#</th>
-            <th>Track Name</th>
-            <th class="duration">Length</th>
-            <th>Artist</th>
-            <th>Source</th>
-            <th class="tracknum">Track #</th>
-            <th>Composer</th>
-            <th>Publisher</th>
-            <th>Label</th>
-            <th>Master/Contact</th>
-            <th class="use">Use</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${rows}
-        </tbody>
-      </table>
-    </body>
-    </html>
-  `;
+  return clips;
 }
 
-// Escape HTML entities
-function escapeHtml(text) {
-  if (!text) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
+// Export formats offered by excel:export and share:exportAndMail
+const EXPORT_FORMATS = {
+  xlsx: { name: 'Excel Files', extensions: ['xlsx'] },
+  pdf: { name: 'PDF Files', extensions: ['pdf'] },
+  csv: { name: 'CSV Files', extensions: ['csv'] },
+  tsv: { name: 'Tab-Delimited Text', extensions: ['tsv', 'txt'] }
+};
 
 // ==========================================
 // Project Management IPC Handlers
@@ -2328,8 +2455,8 @@ ipcMain.handle('projects:createSpot', async (event, parentId, name) => {
   return projectStore.createFolder(parentId, name);
 });
 
-ipcMain.handle('projects:createCueSheet', async (event, parentId, name) => {
-  return projectStore.createCueSheet(parentId, name);
+ipcMain.handle('projects:createCueSheet', async (event, parentId, name, data) => {
+  return projectStore.createCueSheet(parentId, name, data);
 });
 
 ipcMain.handle('projects:rename', async (event, id, newName) => {
@@ -2379,12 +2506,18 @@ ipcMain.handle('projects:importPrproj', async (event, filePath, prprojData, proj
     }
   }
   
+  // The import wizard sends { cues, projectInfo }; the legacy parser sends audioClips
+  const info = prprojData.projectInfo || {};
+  
   // Import at root level (parentId = null)
   return projectStore.importPrprojAsCueSheet(null, {
     filePath: importedFilePath,
-    projectName: prprojData.projectName || path.basename(filePath, '.prproj'),
-    spotTitle: prprojData.spotTitle,
-    audioClips: prprojData.audioClips || []
+    projectName: prprojData.projectName || info.projectName || path.basename(filePath, '.prproj'),
+    spotTitle: prprojData.spotTitle || info.spotTitle,
+    sequenceId: info.sequenceId || null,
+    sequenceName: info.sequenceName || null,
+    programLength: info.programLength || '',
+    audioClips: prprojData.audioClips || prprojData.cues || []
   });
 });
 
@@ -2426,6 +2559,7 @@ ipcMain.handle('acs:new', async () => {
   if (result.success) {
     // Load the project data into the project store
     projectStore.loadFromACS(result.data);
+    watchFolders.setProjectFolder(result.projectFolder);
   }
   
   return result;
@@ -2450,6 +2584,7 @@ ipcMain.handle('acs:newWithName', async (event, projectName) => {
   if (result.success) {
     // Load the project data into the project store
     projectStore.loadFromACS(result.data);
+    watchFolders.setProjectFolder(result.projectFolder);
   }
   
   return result;
@@ -2459,9 +2594,10 @@ ipcMain.handle('acs:open', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     title: 'Open Project',
     filters: [
-      { name: 'All Supported Projects', extensions: ['acs', 'prproj'] },
+      { name: 'All Supported Projects', extensions: ['acs', ...TIMELINE_EXTENSIONS] },
       { name: 'Auris Cue Sheet', extensions: ['acs'] },
-      { name: 'Premiere Pro Projects', extensions: ['prproj'] }
+      { name: 'Premiere Pro Projects', extensions: ['prproj'] },
+      { name: 'Timelines (FCPXML, XML, EDL, CSV)', extensions: TIMELINE_EXTENSIONS.filter(ext => ext !== 'prproj') }
     ],
     properties: ['openFile'],
     securityScopedBookmarks: true
@@ -2489,10 +2625,19 @@ ipcMain.handle('acs:open', async () => {
     return { success: true, type: 'prproj', path: filePath };
   }
   
+  // Interchange timelines go through the import wizard too
+  if (!filePath.toLowerCase().endsWith('.acs')) {
+    if (detectTimelineFormat(filePath)) {
+      return { success: true, type: 'timeline', path: filePath };
+    }
+    return { success: false, error: `Unsupported file: ${path.basename(filePath)}` };
+  }
+  
   const loadResult = acsProject.loadProject(filePath);
   
   if (loadResult.success) {
     projectStore.loadFromACS(loadResult.data);
+    watchFolders.setProjectFolder(loadResult.data.projectFolder || path.dirname(filePath));
   }
   
   return loadResult;
@@ -2504,6 +2649,7 @@ ipcMain.handle('acs:openPath', async (event, filePath) => {
   if (loadResult.success) {
     // Load the project data into the project store
     projectStore.loadFromACS(loadResult.data);
+    watchFolders.setProjectFolder(loadResult.data.projectFolder || path.dirname(filePath));
   }
   
   return loadResult;
@@ -2530,12 +2676,14 @@ ipcMain.handle('acs:save', async (event, filePath) => {
     filePath = result.filePath;
   }
   
-  return acsProject.saveProject(filePath, {
+  const saveResult = acsProject.saveProject(filePath, {
     name: state.name || path.basename(filePath, '.acs'),
     items: state.items,
     activeItemId: state.activeItemId,
     createdAt: state.createdAt
   });
+  if (saveResult.success) watchFolders.setProjectFolder(saveResult.projectFolder);
+  return saveResult;
 });
 
 ipcMain.handle('acs:saveAs', async () => {
@@ -2553,12 +2701,14 @@ ipcMain.handle('acs:saveAs', async () => {
     return { success: false, canceled: true };
   }
   
-  return acsProject.saveProject(result.filePath, {
+  const saveResult = acsProject.saveProject(result.filePath, {
     name: path.basename(result.filePath, '.acs'),
     items: state.items,
     activeItemId: state.activeItemId,
     createdAt: state.createdAt
   });
+  if (saveResult.success) watchFolders.setProjectFolder(saveResult.projectFolder);
+  return saveResult;
 });
 
 ipcMain.handle('acs:getRecent', async () => {
@@ -2677,6 +2827,38 @@ ipcMain.handle('opus:isEnabled', async () => {
   return isOpusEnabled();
 });
 
+// Provider, per-task models and session usage for Settings > AI Models
+ipcMain.handle('llm:getStatus', async () => {
+  try {
+    return { success: true, ...llm.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('llm:setTaskConfig', async (event, task, changes) => {
+  try {
+    llm.setTaskConfig(task, changes || {});
+    return { success: true, ...llm.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('llm:setProvider', async (event, name) => {
+  try {
+    llm.setProvider(name);
+    return { success: true, ...llm.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('llm:resetUsage', async () => {
+  llm.resetUsage();
+  return { success: true, ...llm.getStatus() };
+});
+
 ipcMain.handle('opus:enrich', async (event, cue, context) => {
   if (!isOpusEnabled()) {
     return { success: false, error: 'Claude Opus not enabled or configured' };
@@ -2734,8 +2916,6 @@ ipcMain.handle('extract:withOpus', async (event, pageText, pageUrl) => {
   console.log('[Opus Extract] Page text length:', pageText?.length || 0);
   
   try {
-    const { callOpus, parseOpusJson } = require('./opus-engine');
-    
     const systemPrompt = `You are a music metadata extraction specialist. Extract track information from webpage text.
     
 CRITICAL RULES:
@@ -2767,10 +2947,7 @@ Page URL: ${pageUrl || 'unknown'}
 Page content:
 ${pageText?.substring(0, 8000) || 'No content provided'}`;
 
-    const response = await callOpus(systemPrompt, userPrompt, 1024);
-    console.log('[Opus Extract] Raw response:', response);
-    
-    const data = parseOpusJson(response);
+    const data = await llm.completeJson({ task: 'extractPage', system: systemPrompt, prompt: userPrompt, schema: 'object' });
     console.log('[Opus Extract] Parsed data:', data);
     
     // Validate we got something useful
@@ -2903,6 +3080,110 @@ try {
   trackDatabase = null;
 }
 
+// ==========================================
+// Track Conflicts
+// ==========================================
+
+// Values smartMerge keeps out of a stored track go to the conflict queue
+trackDatabase?.onConflict(trackConflicts.addConflict);
+cloudTrackDatabase.onConflict(trackConflicts.addConflict);
+
+trackConflicts.setChangeListener((count) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('conflicts:change', { count });
+  }
+});
+
+// Tracks this app wrote to the cloud recently, so their realtime echoes are
+// not mistaken for a teammate's edit
+const recentCloudWrites = new Map();
+const OWN_WRITE_WINDOW_MS = 60 * 1000;
+
+function noteOwnCloudWrite(trackName) {
+  if (trackName) recentCloudWrites.set(String(trackName).toLowerCase(), Date.now());
+}
+
+function isOwnCloudWrite(trackName) {
+  const writtenAt = recentCloudWrites.get(String(trackName || '').toLowerCase());
+  return writtenAt !== undefined && Date.now() - writtenAt < OWN_WRITE_WINDOW_MS;
+}
+
+/**
+ * Queue the fields where a teammate's cloud edit disagrees with this
+ * machine's copy of the track
+ */
+async function checkTeammateEdit(change) {
+  if (change.type !== 'UPDATE' || !change.track || !trackDatabase) return;
+  if (isOwnCloudWrite(change.track.trackName)) return;
+
+  const local = trackDatabase.findTrackByName(change.track.trackName);
+  if (!local) return;
+
+  for (const { field, storedValue, incomingValue } of trackConflicts.findConflicts(local, change.track)) {
+    const [localLatest] = trackDatabase.getFieldHistory(local.id, field);
+    const [cloudLatest] = await cloudTrackDatabase.getFieldHistory(change.track.id, field);
+    trackConflicts.addConflict({
+      trackName: local.trackName,
+      catalogCode: local.catalogCode || null,
+      field,
+      stored: { value: storedValue, dataSource: localLatest?.dataSource || local.dataSource, changedBy: localLatest?.changedBy },
+      incoming: { value: incomingValue, dataSource: cloudLatest?.dataSource || change.track.dataSource, changedBy: cloudLatest?.changedBy },
+      origin: 'cloud'
+    });
+  }
+}
+
+ipcMain.handle('conflicts:list', async () => {
+  try {
+    const conflicts = trackConflicts.listConflicts();
+    return { success: true, conflicts, count: conflicts.length };
+  } catch (error) {
+    console.error('[Conflicts] List error:', error.message);
+    return { success: false, error: error.message, conflicts: [], count: 0 };
+  }
+});
+
+/**
+ * Resolve a conflict by keeping the stored value or taking the incoming one,
+ * then write it to the local and cloud copies of the track. The renderer
+ * applies the returned value to open cue sheets.
+ * @param {string} choice - 'stored' | 'incoming'
+ */
+ipcMain.handle('conflicts:resolve', async (event, conflictId, choice) => {
+  try {
+    const conflict = trackConflicts.getConflict(conflictId);
+    if (!conflict || conflict.status !== 'open') {
+      return { success: false, error: 'Conflict not found' };
+    }
+
+    const value = choice === 'incoming' ? conflict.incoming.value : conflict.stored.value;
+
+    const user = await supabaseClient.getCurrentUser().catch(() => null);
+    const options = { dataSource: 'user_resolve', changedBy: user?.email };
+
+    const local = trackDatabase?.findTrackByName(conflict.trackName);
+    if (local && !trackConflicts.valuesAgree(local[conflict.field], value)) {
+      const result = trackDatabase.setField(local.id, conflict.field, value, options);
+      if (!result.success) return result;
+    }
+
+    if (cloudTrackDatabase.isAvailable()) {
+      const cloud = await cloudTrackDatabase.findTrackByName(conflict.trackName);
+      if (cloud && !trackConflicts.valuesAgree(cloud[conflict.field], value)) {
+        noteOwnCloudWrite(cloud.trackName);
+        const result = await cloudTrackDatabase.setField(cloud.id, conflict.field, value, options);
+        if (!result.success) return result;
+      }
+    }
+
+    trackConflicts.markResolved(conflictId, value);
+    return { success: true, trackName: conflict.trackName, field: conflict.field, value };
+  } catch (error) {
+    console.error('[Conflicts] Resolve error:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('trackdb:find', async (event, trackName, catalogCode, library) => {
   if (!trackDatabase) return null;
   try {
@@ -2918,10 +3199,11 @@ ipcMain.handle('trackdb:save', async (event, track) => {
   let cloudSuccess = false;
   let embeddingGenerated = false;
   
-  // Save to local database
+  // Save to local database, recording the signed-in user against its history
   if (trackDatabase) {
     try {
-      trackDatabase.saveTrack(track);
+      const user = await supabaseClient.getCurrentUser().catch(() => null);
+      trackDatabase.saveTrack({ ...track, changedBy: track.changedBy || user?.email });
       localSuccess = true;
     } catch (error) {
       console.error('[TrackDB] Local save error:', error.message);
@@ -2931,6 +3213,7 @@ ipcMain.handle('trackdb:save', async (event, track) => {
   // Also save to cloud database if available
   if (cloudTrackDatabase.isAvailable()) {
     try {
+      noteOwnCloudWrite(track.trackName);
       cloudSuccess = await cloudTrackDatabase.saveTrack(track);
       
       // Auto-generate vector embedding for fast lookups
@@ -3023,6 +3306,7 @@ ipcMain.handle('trackdb:syncToCloud', async (event) => {
     for (const track of localTracks) {
       try {
         // Save to cloud
+        noteOwnCloudWrite(track.trackName);
         const cloudSuccess = await cloudTrackDatabase.saveTrack({
           trackName: track.trackName,
           catalogCode: track.catalogCode,
@@ -3110,6 +3394,26 @@ ipcMain.handle('trackdb:delete', async (event, trackId) => {
   }
 });
 
+ipcMain.handle('trackdb:history', async (event, trackId, field) => {
+  if (!trackDatabase) return [];
+  try {
+    return trackDatabase.getFieldHistory(trackId, field);
+  } catch (error) {
+    console.error('[TrackDB] History error:', error.message);
+    return [];
+  }
+});
+
+ipcMain.handle('trackdb:revertField', async (event, trackId, historyId) => {
+  if (!trackDatabase) return { success: false, error: 'Track database not available' };
+  try {
+    const user = await supabaseClient.getCurrentUser().catch(() => null);
+    return trackDatabase.revertField(trackId, historyId, { changedBy: user?.email });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('trackdb:clearAll', async () => {
   if (!trackDatabase) return { success: false };
   try {
@@ -3196,6 +3500,108 @@ ipcMain.handle('batch:applyPattern', async (event, cues, pattern) => {
   }
 });
 
+// ==========================================
+// Watch Folders IPC Handlers
+// ==========================================
+
+// Describe an auto-import for the notification
+function describeWatchImport(entry) {
+  if (entry.action === 'failed') return `Could not import ${entry.fileName}: ${entry.error}`;
+  if (entry.action === 'created') return `New cue sheet with ${entry.cueCount} cue${entry.cueCount === 1 ? '' : 's'}`;
+  const { added, removed, retimed, changed } = entry.summary;
+  const changes = [
+    added && `${added} added`,
+    removed && `${removed} removed`,
+    retimed && `${retimed} re-timed`,
+    changed && `${changed} changed`
+  ].filter(Boolean).join(', ') || 'no cue changes';
+  return entry.action === 'version'
+    ? `New version of ${entry.previousName}: ${changes}`
+    : `Updated from the re-saved project: ${changes}`;
+}
+
+function handleWatchImport(entry) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('watchFolders:imported', entry);
+  }
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({
+    title: entry.action === 'failed' ? 'Watch folder import failed' : entry.cueSheetName,
+    body: describeWatchImport(entry)
+  });
+  notification.on('click', () => {
+    if (!mainWindow || mainWindow.isDestroyed()) return;
+    mainWindow.show();
+    mainWindow.focus();
+    if (entry.cueSheetId) mainWindow.webContents.send('watchFolders:open', entry.cueSheetId);
+  });
+  notification.show();
+}
+
+app.whenReady().then(() => {
+  watchFolders.start(handleWatchImport);
+});
+
+app.on('will-quit', () => {
+  watchFolders.stop();
+});
+
+ipcMain.handle('watchFolders:getStatus', async () => {
+  return { success: true, ...watchFolders.getStatus() };
+});
+
+ipcMain.handle('watchFolders:updateSettings', async (event, updates) => {
+  try {
+    return { success: true, settings: watchFolders.updateSettings(updates) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Pick a turnover folder to watch
+ipcMain.handle('watchFolders:addFolder', async (event, options = {}) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Watch Folder for Premiere Projects',
+    properties: ['openDirectory']
+  });
+  
+  if (result.canceled || !result.filePaths.length) {
+    return { success: false, canceled: true };
+  }
+  
+  try {
+    return { success: true, settings: watchFolders.addFolder(result.filePaths[0], options) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('watchFolders:updateFolder', async (event, folderPath, updates) => {
+  try {
+    return { success: true, settings: watchFolders.updateFolder(folderPath, updates) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('watchFolders:removeFolder', async (event, folderPath) => {
+  return { success: true, settings: watchFolders.removeFolder(folderPath) };
+});
+
+ipcMain.handle('watchFolders:scanNow', async () => {
+  try {
+    await watchFolders.scan();
+    return { success: true, ...watchFolders.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('watchFolders:clearActivity', async () => {
+  watchFolders.clearActivity();
+  return { success: true };
+});
+
 // ==========================================
 // Smart Batch Lookup IPC Handlers
 // ==========================================
@@ -3208,25 +3614,40 @@ try {
   batchLookup = null;
 }
 
-ipcMain.handle('batchLookup:start', async (event, tracks) => {
+ipcMain.handle('batchLookup:start', async (event, cues) => {
   if (!batchLookup) {
     return { success: false, error: 'Batch lookup not available' };
   }
   try {
     // Send progress updates to renderer
-    const onProgress = (current, total, trackName, result) => {
+    const onProgress = (progress) => {
       if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('batchLookup:progress', { current, total, trackName, result });
+        mainWindow.webContents.send('batchLookup:progress', progress);
       }
     };
     
-    return await batchLookup.startBatchLookup(tracks, onProgress);
+    return await batchLookup.startBatchLookup(cues, {
+      sources: sourcesManager.getAllSources(),
+      // Same rule as cue:autoLookup - no commercial sources for production music
+      canUseSource: (sourceId, cue) => isSourceAllowedForTrack(sourceId, detectTrackType(cue)),
+      onProgress
+    });
   } catch (error) {
     console.error('[BatchLookup] Start error:', error);
     return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('batchLookup:pause', async () => {
+  if (!batchLookup) return { success: false };
+  return { success: batchLookup.pauseBatchLookup() };
+});
+
+ipcMain.handle('batchLookup:resume', async () => {
+  if (!batchLookup) return { success: false };
+  return { success: batchLookup.resumeBatchLookup() };
+});
+
 ipcMain.handle('batchLookup:cancel', async () => {
   if (!batchLookup) return { success: false };
   try {
@@ -3238,11 +3659,11 @@ ipcMain.handle('batchLookup:cancel', async () => {
 });
 
 ipcMain.handle('batchLookup:getProgress', async () => {
-  if (!batchLookup) return { isRunning: false, current: 0, total: 0 };
+  if (!batchLookup) return { isRunning: false, isPaused: false, current: 0, total: 0 };
   try {
     return batchLookup.getProgress();
   } catch (error) {
-    return { isRunning: false, current: 0, total: 0 };
+    return { isRunning: false, isPaused: false, current: 0, total: 0 };
   }
 });
 
@@ -3389,6 +3810,22 @@ if (supabaseClient.isConfigured()) {
       } catch (e) {
         console.log('[Auth] Could not fetch global keys:', e.message);
       }
+
+      // Shared filename grammars, cached for offline imports
+      try {
+        const count = await filenameGrammars.syncCloudGrammars(supabaseClient.getClient());
+        if (count > 0) log.info(`[Auth] ${count} filename grammars loaded from Supabase`);
+      } catch (e) {
+        console.log('[Auth] Could not fetch filename grammars:', e.message);
+      }
+
+      // Shared contact directory (pushes edits made while offline)
+      try {
+        const result = await contacts.syncContacts(supabaseClient.getClient());
+        if (result.pulled > 0) log.info(`[Auth] ${result.pulled} library contacts loaded from Supabase`);
+      } catch (e) {
+        console.log('[Auth] Could not sync library contacts:', e.message);
+      }
     }
   });
 }
@@ -3489,6 +3926,19 @@ if (supabaseClient.isConfigured()) {
   });
 }
 
+// Refresh the contact directory when a teammate changes it
+if (supabaseClient.isConfigured()) {
+  supabaseClient.supabase
+    .channel('library-contacts-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'library_contacts' }, async () => {
+      const sync = await syncContactDirectory();
+      if (sync.synced && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('contacts:change');
+      }
+    })
+    .subscribe();
+}
+
 // ==========================================
 // Cloud Track Database IPC Handlers
 // ==========================================
@@ -3504,6 +3954,7 @@ ipcMain.handle('cloudTrack:find', async (event, trackName, catalogCode, library)
 
 ipcMain.handle('cloudTrack:save', async (event, track) => {
   try {
+    noteOwnCloudWrite(track.trackName || track.track_name);
     const result = await cloudTrackDatabase.saveTrack(track);
     let embedded = false;
     
@@ -3561,6 +4012,7 @@ ipcMain.handle('cloudTrack:subscribe', async () => {
       if (mainWindow && !mainWindow.isDestroyed()) {
         mainWindow.webContents.send('cloudTrack:change', change);
       }
+      checkTeammateEdit(change).catch(error => console.error('[Conflicts] Teammate check error:', error.message));
     });
     return { success: true };
   } catch (error) {
@@ -3595,6 +4047,26 @@ ipcMain.handle('cloudTrack:deleteByName', async (event, trackName) => {
   }
 });
 
+ipcMain.handle('cloudTrack:history', async (event, trackId, field) => {
+  try {
+    return await cloudTrackDatabase.getFieldHistory(trackId, field);
+  } catch (error) {
+    console.error('[CloudTrack] History error:', error.message);
+    return [];
+  }
+});
+
+ipcMain.handle('cloudTrack:revertField', async (event, trackId, historyId) => {
+  try {
+    const result = await cloudTrackDatabase.revertField(trackId, historyId);
+    if (result.success) noteOwnCloudWrite(result.track?.trackName);
+    return result;
+  } catch (error) {
+    console.error('[CloudTrack] Revert error:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('cloudTrack:clearAll', async () => {
   try {
     return await cloudTrackDatabase.clearAll();
@@ -3703,6 +4175,48 @@ ipcMain.handle('pattern:updateConfidence', async (event, patternId, confidence)
   }
 });
 
+// Check authored pattern text without saving it
+ipcMain.handle('pattern:compile', async (event, draft) => {
+  try {
+    return { success: true, ...patternEngine.compilePattern(draft) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('pattern:create', async (event, draft) => {
+  try {
+    return await patternEngine.createPattern(draft);
+  } catch (error) {
+    console.error('[Pattern] Create error:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('pattern:update', async (event, patternId, draft) => {
+  try {
+    return await patternEngine.updatePattern(patternId, draft);
+  } catch (error) {
+    console.error('[Pattern] Update error:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// Run one pattern (or all of them) against the verified tracks
+ipcMain.handle('pattern:backtest', async (event, patternId = null) => {
+  try {
+    const patterns = (await patternEngine.getAllPatterns()).filter(p => !patternId || p.id === patternId);
+    if (patternId && patterns.length === 0) return { success: false, error: 'Pattern not found' };
+
+    const { tracks, local, cloud } = await patternBacktest.loadVerifiedTracks({ trackDatabase, cloudTrackDatabase });
+    console.log(`[Pattern] Backtesting ${patterns.length} pattern(s) against ${tracks.length} verified tracks`);
+    return { success: true, ...patternBacktest.backtestPatterns(patterns, tracks), sources: { local, cloud } };
+  } catch (error) {
+    console.error('[Pattern] Backtest error:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('pattern:synthesize', async () => {
   try {
     return await patternEngine.synthesizePatternsWithOpus();
@@ -9,26 +9,14 @@
  * - "Robin Hall wrote tracks 1, 3, and 5"
  */
 
-const sourcesManager = require('./sources-manager');
+const llm = require('./llm-service');
 const { formatComposer, formatPublisher, VALID_PROS } = require('./opus-validator');
 
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-opus-4-20250514';
-
-/**
- * Get API key
- */
-function getApiKey() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.config?.apiKey || null;
-}
-
 /**
  * Check if Opus is enabled
  */
 function isOpusEnabled() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.enabled && sources.opus?.config?.apiKey;
+  return llm.isAvailable();
 }
 
 /**
@@ -129,9 +117,7 @@ function parseQuick(input, context = {}) {
  * Parse with Opus for complex corrections
  */
 async function parseWithOpus(input, context = {}) {
-  const apiKey = getApiKey();
-  
-  if (!apiKey || !isOpusEnabled()) {
+  if (!isOpusEnabled()) {
     return parseQuick(input, context);
   }
   
@@ -167,33 +153,12 @@ Return JSON:
 }`;
 
   try {
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        max_tokens: 400,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
+    return await llm.completeJson({
+      task: 'parseCorrection',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: { type: 'object', required: ['action'], properties: { action: 'string', targets: 'array', confidence: 'number' } }
     });
-
-    if (!response.ok) {
-      return parseQuick(input, context);
-    }
-
-    const data = await response.json();
-    let responseText = data.content[0].text.trim();
-    
-    if (responseText.startsWith('```')) {
-      responseText = responseText.replace(/```json?\n?/g, '').replace(/```/g, '');
-    }
-    
-    return JSON.parse(responseText);
   } catch (error) {
     console.error('[NaturalLanguage] Error:', error.message);
     return parseQuick(input, context);
@@ -8,84 +8,13 @@
  * 4. Resolve conflicts between data sources
  */
 
-const sourcesManager = require('./sources-manager');
-
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-opus-4-20250514'; // Claude Opus 4.5 - most capable, no hallucinations
-
-/**
- * Get the API key from sources config
- */
-function getApiKey() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.config?.apiKey || null;
-}
+const llm = require('./llm-service');
 
 /**
  * Check if Opus is enabled and configured
  */
 function isOpusEnabled() {
-  const sources = sourcesManager.getAllSources();
-  const enabled = sources.opus?.enabled;
-  const hasKey = !!sources.opus?.config?.apiKey;
-  console.log(`[Opus] Checking status - enabled: ${enabled}, hasKey: ${hasKey}`);
-  return enabled && hasKey;
-}
-
-/**
- * Make a request to Claude Opus
- */
-async function callOpus(systemPrompt, userPrompt, maxTokens = 1024) {
-  const apiKey = getApiKey();
-  
-  if (!apiKey) {
-    throw new Error('Claude Opus API key not configured');
-  }
-
-  console.log(`[Opus] Making API request to ${MODEL}...`);
-  
-  const response = await fetch(ANTHROPIC_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      max_tokens: maxTokens,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userPrompt }]
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    console.error('[Opus] API error:', error);
-    throw new Error(error.error?.message || 'Opus API request failed');
-  }
-
-  const data = await response.json();
-  console.log('[Opus] API request successful');
-  return data.content[0].text;
-}
-
-/**
- * Parse JSON from Opus response (handles markdown code blocks)
- */
-function parseOpusJson(response) {
-  // Remove markdown code blocks if present
-  let cleaned = response.trim();
-  if (cleaned.startsWith('```json')) {
-    cleaned = cleaned.slice(7);
-  } else if (cleaned.startsWith('```')) {
-    cleaned = cleaned.slice(3);
-  }
-  if (cleaned.endsWith('```')) {
-    cleaned = cleaned.slice(0, -3);
-  }
-  
-  return JSON.parse(cleaned.trim());
+  return llm.isAvailable();
 }
 
 /**
@@ -162,9 +91,12 @@ Return ONLY the JSON object.`;
 
   try {
     console.log('[Opus] Calling Claude API for enrichment...');
-    const response = await callOpus(systemPrompt, userPrompt);
-    console.log('[Opus] Raw response:', response.substring(0, 500));
-    const enrichedData = parseOpusJson(response);
+    const enrichedData = await llm.completeJson({
+      task: 'enrichCue',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: { type: 'object', properties: { composer: 'string', publisher: 'string', confidence: 'number' } }
+    });
     console.log('[Opus] Parsed data:', JSON.stringify(enrichedData, null, 2));
     
     // Merge with existing cue data
@@ -217,8 +149,7 @@ Return JSON:
 }`;
 
   try {
-    const response = await callOpus(systemPrompt, userPrompt, 512);
-    return parseOpusJson(response);
+    return await llm.completeJson({ task: 'lookupPro', system: systemPrompt, prompt: userPrompt, schema: 'object' });
   } catch (error) {
     console.error('PRO lookup error:', error);
     return null;
@@ -245,8 +176,8 @@ ${context.isProductionMusic !== undefined ? `Is production music: ${context.isPr
 Return ONLY: BI, BV, or VI`;
 
   try {
-    const response = await callOpus(systemPrompt, userPrompt, 10);
-    const useType = response.trim().toUpperCase();
+    const { text } = await llm.complete({ task: 'detectUseType', system: systemPrompt, prompt: userPrompt });
+    const useType = text.trim().toUpperCase();
     if (['BI', 'BV', 'VI'].includes(useType)) {
       return useType;
     }
@@ -355,8 +286,12 @@ Return ONLY the JSON object.`;
 
   try {
     console.log('[Opus] Calling Claude API for site detection...');
-    const response = await callOpus(systemPrompt, userPrompt, 256);
-    const result = parseOpusJson(response);
+    const result = await llm.completeJson({
+      task: 'detectSite',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: { type: 'object', required: ['siteId'], properties: { siteId: 'string' } }
+    });
     
     if (result.siteId && result.siteId !== 'unknown') {
       const site = LOOKUP_SITES[result.siteId];
@@ -459,8 +394,7 @@ Return ONLY the JSON object.`;
 
   try {
     console.log('[Opus] Extracting metadata from page...');
-    const response = await callOpus(systemPrompt, userPrompt, 1024);
-    const result = parseOpusJson(response);
+    const result = await llm.completeJson({ task: 'extractPage', system: systemPrompt, prompt: userPrompt, schema: 'object' });
     
     return {
       success: true,
@@ -488,8 +422,6 @@ Return ONLY the JSON object.`;
 
 module.exports = {
   isOpusEnabled,
-  callOpus,
-  parseOpusJson,
   enrichCueWithOpus,
   lookupPROData,
   detectUseType,
@@ -11,25 +11,13 @@
  * - Album/source match
  */
 
-const sourcesManager = require('./sources-manager');
-
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-opus-4-20250514';
-
-/**
- * Get API key
- */
-function getApiKey() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.config?.apiKey || null;
-}
+const llm = require('./llm-service');
 
 /**
  * Check if Opus is enabled
  */
 function isOpusEnabled() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.enabled && sources.opus?.config?.apiKey;
+  return llm.isAvailable();
 }
 
 /**
@@ -204,9 +192,7 @@ function findBestMatchQuick(originalTrack, searchResults) {
  * Use Opus to find the best match (for complex cases)
  */
 async function findBestMatchWithOpus(originalTrack, searchResults) {
-  const apiKey = getApiKey();
-  
-  if (!apiKey || !isOpusEnabled()) {
+  if (!isOpusEnabled()) {
     return findBestMatchQuick(originalTrack, searchResults);
   }
   
@@ -264,35 +250,12 @@ Return JSON:
   try {
     console.log('[OpusMatcher] Analyzing search results...');
     
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        max_tokens: 150,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
+    const result = await llm.completeJson({
+      task: 'matchResults',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: { type: 'object', required: ['bestIndex'], properties: { bestIndex: 'number', confidence: 'number' } }
     });
-
-    if (!response.ok) {
-      console.error('[OpusMatcher] API error, falling back to quick match');
-      return findBestMatchQuick(originalTrack, searchResults);
-    }
-
-    const data = await response.json();
-    let responseText = data.content[0].text.trim();
-    
-    // Parse JSON
-    if (responseText.startsWith('```')) {
-      responseText = responseText.replace(/```json?\n?/g, '').replace(/```/g, '');
-    }
-    
-    const result = JSON.parse(responseText);
     
     if (result.bestIndex === -1) {
       return {
@@ -9,75 +9,13 @@
  * - Use type hints
  */
 
-const sourcesManager = require('./sources-manager');
-
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-opus-4-20250514';
-
-/**
- * Get the API key from sources config
- */
-function getApiKey() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.config?.apiKey || null;
-}
+const llm = require('./llm-service');
 
 /**
  * Check if Opus is enabled
  */
 function isOpusEnabled() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.enabled && sources.opus?.config?.apiKey;
-}
-
-/**
- * Call Claude Opus API
- */
-async function callOpus(systemPrompt, userPrompt, maxTokens = 512) {
-  const apiKey = getApiKey();
-  
-  if (!apiKey) {
-    throw new Error('Claude Opus API key not configured');
-  }
-
-  const response = await fetch(ANTHROPIC_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      max_tokens: maxTokens,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userPrompt }]
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Opus API request failed');
-  }
-
-  const data = await response.json();
-  return data.content[0].text;
-}
-
-/**
- * Parse JSON from Opus response
- */
-function parseOpusJson(response) {
-  let cleaned = response.trim();
-  if (cleaned.startsWith('```json')) {
-    cleaned = cleaned.slice(7);
-  } else if (cleaned.startsWith('```')) {
-    cleaned = cleaned.slice(3);
-  }
-  if (cleaned.endsWith('```')) {
-    cleaned = cleaned.slice(0, -3);
-  }
-  return JSON.parse(cleaned.trim());
+  return llm.isAvailable();
 }
 
 /**
@@ -124,8 +62,12 @@ Return JSON:
     }
 
     console.log('[OpusParser] Parsing filename:', filename);
-    const response = await callOpus(systemPrompt, userPrompt, 256);
-    const parsed = parseOpusJson(response);
+    const parsed = await llm.completeJson({
+      task: 'parseFilename',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: { type: 'object', required: ['trackName'], properties: { trackName: 'string', isStem: 'boolean', isFX: 'boolean' } }
+    });
     console.log('[OpusParser] Result:', parsed);
     return parsed;
   } catch (error) {
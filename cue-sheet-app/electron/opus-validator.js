@@ -8,10 +8,8 @@
  * - Catches common errors
  */
 
-const sourcesManager = require('./sources-manager');
-
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-opus-4-20250514';
+const llm = require('./llm-service');
+const splits = require('./splits');
 
 /**
  * Valid PRO (Performing Rights Organization) codes
@@ -24,51 +22,24 @@ const VALID_PROS = ['ASCAP', 'BMI', 'SESAC', 'PRS', 'SOCAN', 'GEMA', 'SACEM', 'A
 const COMPOSER_PATTERN = /^(.+?)\s*\((\w+)\)\s*\((\d+)%\)$/;
 const PUBLISHER_PATTERN = /^(.+?)\s*\((\w+)\)\s*\((\d+)%\)$/;
 
-/**
- * Get API key
- */
-function getApiKey() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.config?.apiKey || null;
-}
-
 /**
  * Check if Opus is enabled
  */
 function isOpusEnabled() {
-  const sources = sourcesManager.getAllSources();
-  return sources.opus?.enabled && sources.opus?.config?.apiKey;
+  return llm.isAvailable();
 }
 
 /**
  * Parse a composer/publisher string
  */
 function parseEntity(str) {
-  if (!str) return null;
-  
-  const match = str.match(/^(.+?)\s*\((\w+)\)\s*\((\d+)%?\)$/);
-  if (match) {
-    return {
-      name: match[1].trim(),
-      pro: match[2].toUpperCase(),
-      percentage: parseInt(match[3])
-    };
-  }
-  
-  // Try without percentage
-  const match2 = str.match(/^(.+?)\s*\((\w+)\)$/);
-  if (match2) {
-    return {
-      name: match2[1].trim(),
-      pro: match2[2].toUpperCase(),
-      percentage: null
-    };
-  }
+  const party = splits.parseParty(str);
+  if (!party) return null;
   
   return {
-    name: str.trim(),
-    pro: null,
-    percentage: null
+    name: party.name,
+    pro: party.pro || null,
+    percentage: party.share
   };
 }
 
@@ -164,51 +135,38 @@ function validateQuick(data) {
   const issues = [];
   const warnings = [];
   
-  // Validate composer format
-  if (data.composer) {
-    const composers = data.composer.split(/[;,]/).map(s => s.trim()).filter(Boolean);
-    const parsed = composers.map(parseEntity);
-    
-    for (const p of parsed) {
-      if (!p.pro) {
-        warnings.push(`Composer "${p.name}" missing PRO affiliation`);
-      } else {
-        const proCheck = validatePRO(p.pro);
-        if (!proCheck.valid) {
-          if (proCheck.suggestion) {
-            issues.push(`PRO "${p.pro}" may be "${proCheck.suggestion}"`);
-          } else {
-            warnings.push(`Unknown PRO: ${p.pro}`);
-          }
+  // Structured splits when the cue has them, otherwise the parsed strings
+  const { writers, publishers } = splits.splitsFromCue(data);
+  
+  // Validate writers
+  for (const p of writers) {
+    if (!p.pro) {
+      warnings.push(`Composer "${p.name}" missing PRO affiliation`);
+    } else {
+      const proCheck = validatePRO(p.pro);
+      if (!proCheck.valid) {
+        if (proCheck.suggestion) {
+          issues.push(`PRO "${p.pro}" may be "${proCheck.suggestion}"`);
+        } else {
+          warnings.push(`Unknown PRO: ${p.pro}`);
         }
       }
     }
-    
-    const percentCheck = validatePercentages(parsed);
-    if (!percentCheck.valid) {
-      issues.push(percentCheck.error);
-    } else if (percentCheck.warning) {
-      warnings.push(percentCheck.warning);
-    }
   }
   
-  // Validate publisher format
-  if (data.publisher) {
-    const publishers = data.publisher.split(/[;,]/).map(s => s.trim()).filter(Boolean);
-    const parsed = publishers.map(parseEntity);
-    
-    for (const p of parsed) {
-      if (!p.pro) {
-        warnings.push(`Publisher "${p.name}" missing PRO affiliation`);
-      }
-    }
-    
-    const percentCheck = validatePercentages(parsed);
-    if (!percentCheck.valid) {
-      issues.push(percentCheck.error);
+  // Validate publishers
+  for (const p of publishers) {
+    if (!p.pro) {
+      warnings.push(`Publisher "${p.name}" missing PRO affiliation`);
     }
   }
   
+  // Writer shares and publisher shares each have to total 100%
+  issues.push(...splits.validateCueSplits({ writers, publishers }));
+  if (writers.length > 0 && splits.validateShares(writers).total === null) {
+    warnings.push('No percentages specified');
+  }
+  
   // Check for swapped composer/publisher
   if (data.composer && data.publisher) {
     const compLower = data.composer.toLowerCase();
@@ -245,7 +203,7 @@ function formatScrapedData(rawData) {
     for (const writer of (Array.isArray(writers) ? writers : [writers])) {
       if (!writer) continue;
       
-      const parsed = parseEntity(writer);
+      const parsed = typeof writer === 'object' ? { name: writer.name, pro: writer.pro, percentage: writer.share } : parseEntity(writer);
       if (parsed.name) {
         formattedWriters.push(formatComposer(parsed.name, parsed.pro, parsed.percentage || 100));
       }
@@ -262,7 +220,7 @@ function formatScrapedData(rawData) {
     for (const pub of (Array.isArray(pubs) ? pubs : [pubs])) {
       if (!pub) continue;
       
-      const parsed = parseEntity(pub);
+      const parsed = typeof pub === 'object' ? { name: pub.name, pro: pub.pro, percentage: pub.share } : parseEntity(pub);
       if (parsed.name) {
         formattedPubs.push(formatPublisher(parsed.name, parsed.pro, parsed.percentage || 100));
       }
@@ -278,9 +236,7 @@ function formatScrapedData(rawData) {
  * Use Opus to validate and format data
  */
 async function validateWithOpus(data) {
-  const apiKey = getApiKey();
-  
-  if (!apiKey || !isOpusEnabled()) {
+  if (!isOpusEnabled()) {
     return validateQuick(data);
   }
   
@@ -311,33 +267,12 @@ Return JSON:
 }`;
 
   try {
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        max_tokens: 300,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
+    return await llm.completeJson({
+      task: 'validate',
+      system: systemPrompt,
+      prompt: userPrompt,
+      schema: { type: 'object', required: ['valid'], properties: { valid: 'boolean', issues: 'array', warnings: 'array', suggestions: 'object' } }
     });
-
-    if (!response.ok) {
-      return validateQuick(data);
-    }
-
-    const result = await response.json();
-    let responseText = result.content[0].text.trim();
-    
-    if (responseText.startsWith('```')) {
-      responseText = responseText.replace(/```json?\n?/g, '').replace(/```/g, '');
-    }
-    
-    return JSON.parse(responseText);
   } catch (error) {
     console.error('[OpusValidator] Error:', error.message);
     return validateQuick(data);
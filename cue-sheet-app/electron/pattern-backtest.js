@@ -0,0 +1,166 @@
+/**
+ * Pattern Backtest - How accurate a learned pattern would have been
+ *
+ * Each pattern is run against every verified track in the local and cloud
+ * track databases as if the pattern's field were still empty (patterns only
+ * ever fill empty fields). Where it fires, its suggestion is compared with
+ * the value the track was verified with:
+ * - hits: tracks the pattern would fill
+ * - correct / wrong: hits whose suggestion agrees / disagrees with the track
+ * - unscored: hits on tracks that have no value for the field to compare
+ * - coverage: share of verified tracks the pattern fires on
+ * Precision (correct / scored) gives a recommended confidence, and patterns
+ * below CONFIDENCE_AUTO_FILL are flagged.
+ */
+
+const patternRules = require('./pattern-rules');
+const { valuesAgree } = require('./track-conflicts');
+const { CONFIDENCE_AUTO_FILL } = require('./pattern-engine');
+
+// Fewer scored hits than this and no confidence is recommended
+const MIN_SCORED = 5;
+
+// Same ceiling as confirmed patterns reach in pattern-engine.js
+const MAX_CONFIDENCE = 0.98;
+
+// Recommendations closer than this to the current confidence are not worth a change
+const MIN_ADJUSTMENT = 0.05;
+
+const MAX_SAMPLES = 5;
+
+// Page size for reading the cloud tracks table
+const CLOUD_PAGE = 1000;
+
+// A pattern's action field on a learned track (cues keep the library in label)
+function storedValue(track, field) {
+  const value = field === 'label' ? (track.library || track.label) : track[field];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function sameValue(field, a, b) {
+  if (field === 'composer' || field === 'publisher') return valuesAgree(a, b);
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Verified tracks from the local and cloud databases, one per track name
+ * (the cloud copy wins, it is the shared one). local and cloud count the
+ * tracks kept from each, so they add up to tracks.length. A cloud page that
+ * fails to load throws rather than backtesting on part of the table.
+ * @returns {Promise<{ tracks: Array, local: number, cloud: number }>}
+ */
+async function loadVerifiedTracks({ trackDatabase, cloudTrackDatabase }) {
+  const byName = new Map(); // name -> { track, from }
+  const add = (track, from) => {
+    if (!track.verified || !track.trackName) return;
+    byName.set(track.trackName.toLowerCase().trim(), { track, from });
+  };
+
+  if (trackDatabase) {
+    for (const track of trackDatabase.getAllTracks('', 1000000, 0)) add(track, 'local');
+  }
+
+  if (cloudTrackDatabase?.isAvailable()) {
+    for (let offset = 0; ; offset += CLOUD_PAGE) {
+      const page = await cloudTrackDatabase.getAllTracks({ limit: CLOUD_PAGE, offset, throwOnError: true });
+      for (const track of page) add(track, 'cloud');
+      if (page.length < CLOUD_PAGE) break;
+    }
+  }
+
+  const entries = [...byName.values()];
+  return {
+    tracks: entries.map(entry => entry.track),
+    local: entries.filter(entry => entry.from === 'local').length,
+    cloud: entries.filter(entry => entry.from === 'cloud').length
+  };
+}
+
+/**
+ * Confidence the pattern's record supports: precision with one success and
+ * one failure added, so a handful of hits can't reach 100%
+ */
+function recommendConfidence(correct, scored) {
+  if (scored < MIN_SCORED) return null;
+  const smoothed = (correct + 1) / (scored + 2);
+  return Math.round(Math.min(MAX_CONFIDENCE, smoothed) * 100) / 100;
+}
+
+/**
+ * Run one pattern against a set of tracks
+ */
+function backtestPattern(pattern, tracks) {
+  const field = pattern.action?.field;
+  const result = {
+    patternId: pattern.id,
+    conditionText: patternRules.formatCondition(pattern.condition),
+    actionText: patternRules.formatAction(pattern.action),
+    field,
+    confidence: pattern.confidence,
+    tracks: tracks.length,
+    hits: 0,
+    correct: 0,
+    wrong: 0,
+    unscored: 0,
+    wrongSamples: []
+  };
+
+  for (const track of tracks) {
+    // The pattern sees the track as it would before the field was filled
+    const probe = { ...track, [field]: '' };
+    if (field === 'label') probe.library = '';
+    if (!patternRules.matchesCondition(probe, pattern.condition)) continue;
+    const suggested = patternRules.applyAction(probe, pattern.action);
+    if (!suggested) continue;
+
+    result.hits++;
+    const actual = storedValue(track, field);
+    if (!actual) {
+      result.unscored++;
+    } else if (sameValue(field, String(suggested).trim(), actual)) {
+      result.correct++;
+    } else {
+      result.wrong++;
+      if (result.wrongSamples.length < MAX_SAMPLES) {
+        result.wrongSamples.push({ trackName: track.trackName, suggested, actual });
+      }
+    }
+  }
+
+  const scored = result.correct + result.wrong;
+  result.precision = scored ? result.correct / scored : null;
+  result.coverage = tracks.length ? result.hits / tracks.length : 0;
+  result.recommendedConfidence = recommendConfidence(result.correct, scored);
+  result.adjust = result.recommendedConfidence !== null
+    && Math.abs(result.recommendedConfidence - pattern.confidence) >= MIN_ADJUSTMENT;
+  result.belowAutoFill = result.precision !== null && result.precision < CONFIDENCE_AUTO_FILL;
+  // Wrong more often than the auto-fill threshold allows, and auto-filling today
+  result.autoFillRisk = result.belowAutoFill && pattern.confidence >= CONFIDENCE_AUTO_FILL;
+  return result;
+}
+
+/**
+ * Run patterns against a set of tracks; flagged patterns first, then by hits
+ */
+function backtestPatterns(patterns, tracks) {
+  const results = patterns.map(pattern => backtestPattern(pattern, tracks));
+  results.sort((a, b) => (b.autoFillRisk - a.autoFillRisk) || (b.belowAutoFill - a.belowAutoFill) || (b.hits - a.hits));
+  return {
+    results,
+    summary: {
+      patterns: results.length,
+      tracks: tracks.length,
+      flagged: results.filter(r => r.belowAutoFill).length,
+      autoFillRisk: results.filter(r => r.autoFillRisk).length,
+      adjustments: results.filter(r => r.adjust).length,
+      autoFillThreshold: CONFIDENCE_AUTO_FILL
+    }
+  };
+}
+
+module.exports = {
+  MIN_SCORED,
+  loadVerifiedTracks,
+  backtestPattern,
+  backtestPatterns
+};
@@ -9,6 +9,7 @@
  */
 
 const { supabase, isConfigured, getCurrentUser } = require('./supabase-client');
+const patternRules = require('./pattern-rules');
 
 // Confidence thresholds
 const CONFIDENCE_AUTO_FILL = 0.85;    // Auto-fill without asking
@@ -93,55 +94,17 @@ class PatternEngine {
 
   /**
    * Check if a track matches a pattern's condition
+   * (flat conditions and the rule language in pattern-rules.js)
    */
   matchesCondition(track, condition) {
-    if (!condition || Object.keys(condition).length === 0) return false;
-
-    for (const [key, value] of Object.entries(condition)) {
-      // Handle different condition types
-      if (key === 'library_contains') {
-        if (!track.library || !track.library.toLowerCase().includes(value.toLowerCase())) {
-          return false;
-        }
-      } else if (key === 'library') {
-        if (!track.library || track.library.toLowerCase() !== value.toLowerCase()) {
-          return false;
-        }
-      } else if (key === 'catalog_code_prefix') {
-        if (!track.catalogCode || !track.catalogCode.toUpperCase().startsWith(value.toUpperCase())) {
-          return false;
-        }
-      } else if (key === 'track_type') {
-        if (track.trackType !== value) {
-          return false;
-        }
-      } else if (key === 'source_contains') {
-        if (!track.source || !track.source.toLowerCase().includes(value.toLowerCase())) {
-          return false;
-        }
-      } else {
-        // Direct field match
-        const trackValue = track[key];
-        if (!trackValue || trackValue.toLowerCase() !== value.toLowerCase()) {
-          return false;
-        }
-      }
-    }
-
-    return true;
+    return patternRules.matchesCondition(track, condition);
   }
 
   /**
    * Apply a pattern's action to get the suggested value
    */
   applyAction(track, action) {
-    if (action.value) {
-      return action.value;
-    }
-    if (action.copy_from && track[action.copy_from]) {
-      return track[action.copy_from];
-    }
-    return null;
+    return patternRules.applyAction(track, action);
   }
 
   /**
@@ -185,7 +148,9 @@ class PatternEngine {
     
     let reason = '';
     
-    if (condition.library_contains) {
+    if (patternRules.isRuleNode(condition) || !action.value) {
+      reason = `When ${patternRules.formatCondition(condition)}, set ${patternRules.formatAction(action)}`;
+    } else if (condition.library_contains) {
       reason = `Tracks from ${condition.library_contains} libraries typically have ${action.field} = "${action.value}"`;
     } else if (condition.library) {
       reason = `${condition.library} tracks usually have ${action.field} = "${action.value}"`;
@@ -537,7 +502,10 @@ class PatternEngine {
   /**
    * Determine pattern type from condition
    */
-  determinePatternType(condition) {
+  determinePatternType(condition, action = {}) {
+    if (action.template) return 'format_rule';
+    if (action.copy_from) return 'field_copy';
+    if (patternRules.isRuleNode(condition)) return condition.field === 'catalog_code' ? 'catalog_pattern' : 'conditional';
     if (condition.library_contains || condition.library) return 'library_default';
     if (condition.catalog_code_prefix) return 'catalog_pattern';
     if (condition.track_type) return 'conditional';
@@ -664,6 +632,97 @@ Return as JSON array of pattern objects.`;
     }
   }
 
+  /**
+   * Compile authored pattern text to a condition and action, validating both
+   * @param {Object} draft - { conditionText, actionText }
+   */
+  compilePattern({ conditionText, actionText }) {
+    const condition = patternRules.parseCondition(conditionText);
+    const action = patternRules.parseAction(actionText);
+    return {
+      condition,
+      action,
+      conditionText: patternRules.formatCondition(condition),
+      actionText: patternRules.formatAction(action)
+    };
+  }
+
+  /**
+   * Create a pattern authored in settings
+   * @param {Object} draft - { conditionText, actionText, confidence }
+   */
+  async createPattern({ conditionText, actionText, confidence = CONFIDENCE_SUGGEST }) {
+    try {
+      const { condition, action } = this.compilePattern({ conditionText, actionText });
+      patternRules.validatePattern({ condition, action, confidence });
+
+      const user = await getCurrentUser();
+      const { data, error } = await supabase
+        .from('learned_patterns')
+        .insert({
+          pattern_type: this.determinePatternType(condition, action),
+          condition,
+          action,
+          confidence,
+          opus_reasoning: `Written by ${user?.email || 'a user'}: when ${patternRules.formatCondition(condition)}, set ${patternRules.formatAction(action)}`,
+          created_by: user?.id,
+          contributors: user?.id ? [user.id] : []
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      await this.refreshPatternCache();
+      return { success: true, pattern: this.describePattern(data) };
+    } catch (e) {
+      console.error('[PatternEngine] Error creating pattern:', e.message);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Replace an existing pattern's condition, action and confidence
+   */
+  async updatePattern(patternId, { conditionText, actionText, confidence }) {
+    try {
+      const { condition, action } = this.compilePattern({ conditionText, actionText });
+      patternRules.validatePattern({ condition, action, confidence });
+
+      const changes = {
+        pattern_type: this.determinePatternType(condition, action),
+        condition,
+        action,
+        updated_at: new Date().toISOString()
+      };
+      if (confidence !== undefined) changes.confidence = confidence;
+
+      const { data, error } = await supabase
+        .from('learned_patterns')
+        .update(changes)
+        .eq('id', patternId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      await this.refreshPatternCache();
+      return { success: true, pattern: this.describePattern(data) };
+    } catch (e) {
+      console.error('[PatternEngine] Error updating pattern:', e.message);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * A stored pattern with its condition and action as authoring text
+   */
+  describePattern(pattern) {
+    return {
+      ...pattern,
+      conditionText: patternRules.formatCondition(pattern.condition),
+      actionText: patternRules.formatAction(pattern.action)
+    };
+  }
+
   /**
    * Get all patterns for display in settings
    */
@@ -675,7 +734,7 @@ Return as JSON array of pattern objects.`;
         .order('confidence', { ascending: false });
 
       if (error) throw error;
-      return data || [];
+      return (data || []).map(pattern => this.describePattern(pattern));
     } catch (e) {
       console.error('[PatternEngine] Error getting all patterns:', e);
       return [];
@@ -0,0 +1,556 @@
+/**
+ * Pattern Rules - Condition and action language for learned patterns
+ *
+ * Patterns are stored in the Supabase learned_patterns table as JSONB, so
+ * the richer rules are just new shapes inside the same columns:
+ *
+ *   Condition nodes
+ *     { all: [...] } / { any: [...] } / { not: {...} }
+ *     { field: 'library', op: 'contains', value: 'BMG' }
+ *       ops: eq, ne, contains, starts_with, ends_with, empty, not_empty
+ *     { field: 'composer', op: 'matches', pattern: '^john', flags: 'i' }
+ *     { field: 'duration', op: 'between', min: '0:30', max: '2:00' }
+ *     { field: 'catalog_code', op: 'between', min: 'IATS001', max: 'IATS200' }
+ *   Older flat conditions ({ library_contains: 'BMG', track_type: 'score' })
+ *   are read as an AND of the equivalent tests.
+ *
+ *   Actions
+ *     { field: 'artist', value: 'N/A' }
+ *     { field: 'publisher', template: '{library} Publishing (ASCAP)(100%)' }
+ *     { field: 'source', copy_from: 'library' } (older patterns)
+ *
+ * Patterns are authored as text and compiled to those shapes:
+ *
+ *   library contains "BMG" and (catalog_code between IATS001 and IATS200
+ *     or not track_type = "score")
+ *   publisher = "{library} Publishing (ASCAP)(100%)"
+ *
+ * Older app versions never match a rich condition or fill a template action,
+ * they simply skip those patterns.
+ */
+
+const { cueSeconds, parseProgramLength } = require('./totals');
+
+// Fields a condition can test (and a template can insert)
+const RULE_FIELDS = {
+  track_name: { label: 'Track Name', get: track => track.trackName },
+  catalog_code: { label: 'Catalog Code', get: track => track.catalogCode },
+  track_number: { label: 'Track #', get: track => track.trackNumber },
+  library: { label: 'Library', get: track => track.library || track.label },
+  artist: { label: 'Artist', get: track => track.artist },
+  source: { label: 'Source', get: track => track.source },
+  composer: { label: 'Composer', get: track => track.composer },
+  publisher: { label: 'Publisher', get: track => track.publisher },
+  master_contact: { label: 'Master Contact', get: track => track.masterContact },
+  use_type: { label: 'Use', get: track => track.useType || track.use },
+  track_type: { label: 'Track Type', get: track => track.trackType },
+  duration: { label: 'Duration', get: track => durationOf(track) }
+};
+
+// Cue fields a pattern can fill (library is stored in the cue's label)
+const ACTION_FIELDS = ['artist', 'source', 'label', 'publisher', 'composer'];
+const ACTION_ALIASES = { library: 'label' };
+
+const OPS = ['eq', 'ne', 'contains', 'starts_with', 'ends_with', 'matches', 'between', 'empty', 'not_empty'];
+
+// Fields compared as numbers by `between` (catalog codes compare prefix + number)
+const RANGE_FIELDS = ['duration', 'catalog_code', 'track_number'];
+
+// Older flat condition keys -> equivalent test
+const LEGACY_KEYS = {
+  library_contains: value => ({ field: 'library', op: 'contains', value }),
+  library: value => ({ field: 'library', op: 'eq', value }),
+  catalog_code_prefix: value => ({ field: 'catalog_code', op: 'starts_with', value }),
+  track_type: value => ({ field: 'track_type', op: 'eq', value }),
+  source_contains: value => ({ field: 'source', op: 'contains', value })
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const regexCache = new Map();
+
+// Regex flags a pattern may use. g and y would make the shared, cached RegExp
+// carry lastIndex from one test to the next.
+const REGEX_FLAGS = 'imsu';
+
+// Patterns are shared with the team and run synchronously in the main process
+const MAX_REGEX_LENGTH = 200;
+
+// Catastrophic-backtracking shapes, checked on the pattern text. A heuristic, not a
+// proof of safety: it catches the common forms, like a quantified group that is
+// quantified again, (a+)+, or a repeated group of alternatives, (a|aa)*
+const NESTED_QUANTIFIER = /\([^()]*[+*}][^()]*\)\s*(?:[+*]|\{\d+,\d*\})/;
+const QUANTIFIED_ALTERNATION = /\([^()]*\|[^()]*\)\s*(?:[+*]|\{\d+,\d*\})/;
+
+function durationOf(track) {
+  if (typeof track.duration === 'number') return track.duration;
+  return cueSeconds(track) || null;
+}
+
+function hasText(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Why a regex can't be used in a pattern, or null
+function regexProblem(pattern, flags = '') {
+  const badFlags = [...new Set(flags)].filter(flag => !REGEX_FLAGS.includes(flag));
+  if (badFlags.length) return `flag${badFlags.length > 1 ? 's' : ''} ${badFlags.join('')} can't be used (allowed: ${REGEX_FLAGS})`;
+  if (pattern.length > MAX_REGEX_LENGTH) return `it is longer than ${MAX_REGEX_LENGTH} characters`;
+  if (NESTED_QUANTIFIER.test(pattern)) return 'a repeated group is repeated again (like (a+)+), which can hang the app';
+  if (QUANTIFIED_ALTERNATION.test(pattern)) return 'a group of alternatives is repeated (like (a|aa)*), which can hang the app';
+  return null;
+}
+
+// Patterns saved before the checks existed: g/y are dropped, anything else unsafe throws
+function getRegex(pattern, flags = '') {
+  const safeFlags = [...new Set(flags)].filter(flag => REGEX_FLAGS.includes(flag)).join('');
+  const key = `${safeFlags}/${pattern}`;
+  if (!regexCache.has(key)) {
+    const problem = regexProblem(pattern, safeFlags);
+    if (problem) throw new Error(`Unsafe regular expression: ${problem}`);
+    regexCache.set(key, new RegExp(pattern, safeFlags));
+  }
+  return regexCache.get(key);
+}
+
+// "IATS021" -> { prefix: 'IATS', number: 21 }
+function parseCatalogNumber(value) {
+  const match = String(value ?? '').trim().match(/^([A-Za-z]*)[\s_-]*(\d+)/);
+  return match ? { prefix: match[1].toUpperCase(), number: parseInt(match[2], 10) } : null;
+}
+
+function rangeValue(field, value) {
+  if (field === 'duration') return typeof value === 'number' ? value : parseProgramLength(value);
+  if (field === 'catalog_code') return parseCatalogNumber(value);
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function inRange(field, value, min, max) {
+  const actual = rangeValue(field, value);
+  const low = rangeValue(field, min);
+  const high = rangeValue(field, max);
+  if (actual === null || low === null || high === null) return false;
+  if (field === 'catalog_code') {
+    return actual.prefix === low.prefix && actual.number >= low.number && actual.number <= high.number;
+  }
+  return actual >= low && actual <= high;
+}
+
+function fieldValue(track, field) {
+  return RULE_FIELDS[field] ? RULE_FIELDS[field].get(track) : track[field];
+}
+
+function isRuleNode(condition) {
+  return ['all', 'any', 'not', 'op'].some(key => key in condition);
+}
+
+/**
+ * Older flat conditions as an `all` node
+ */
+function normalizeCondition(condition) {
+  if (!condition || typeof condition !== 'object') return null;
+  if (Array.isArray(condition)) return { all: condition };
+  if (isRuleNode(condition)) return condition;
+  const tests = Object.entries(condition).map(([key, value]) => (
+    LEGACY_KEYS[key] ? LEGACY_KEYS[key](value) : { field: key, op: 'eq', value }
+  ));
+  return tests.length === 1 ? tests[0] : { all: tests };
+}
+
+function evaluateTest(track, test) {
+  const value = fieldValue(track, test.field);
+  const text = hasText(value) ? String(value).trim().toLowerCase() : '';
+  const expected = String(test.value ?? '').trim().toLowerCase();
+
+  switch (test.op) {
+    case 'eq': return text !== '' && text === expected;
+    case 'ne': return text !== expected;
+    case 'contains': return text !== '' && text.includes(expected);
+    case 'starts_with': return text !== '' && text.startsWith(expected);
+    case 'ends_with': return text !== '' && text.endsWith(expected);
+    case 'matches': return hasText(value) && getRegex(test.pattern, test.flags).test(String(value));
+    case 'between': return hasText(value) && inRange(test.field, value, test.min, test.max);
+    case 'empty': return text === '';
+    case 'not_empty': return text !== '';
+    default: return false;
+  }
+}
+
+function evaluateNode(track, node) {
+  if (node.all) return node.all.every(child => evaluateNode(track, normalizeCondition(child)));
+  if (node.any) return node.any.some(child => evaluateNode(track, normalizeCondition(child)));
+  if (node.not) return !evaluateNode(track, normalizeCondition(node.not));
+  return evaluateTest(track, node);
+}
+
+/**
+ * Does a track (cue or learned track, camelCase) meet a pattern condition?
+ * An empty condition never matches.
+ */
+function matchesCondition(track, condition) {
+  if (!condition || Object.keys(condition).length === 0) return false;
+  try {
+    return evaluateNode(track, normalizeCondition(condition));
+  } catch (e) {
+    // A stored regex that no longer compiles (or is unsafe) just doesn't match
+    return false;
+  }
+}
+
+/**
+ * Fill a template's {field} placeholders. Returns null when a placeholder
+ * has no value, so a half-filled credit is never suggested.
+ */
+function renderTemplate(template, track) {
+  let missing = false;
+  const result = String(template).replace(PLACEHOLDER_PATTERN, (whole, name) => {
+    const value = fieldValue(track, name);
+    if (!hasText(value)) missing = true;
+    return hasText(value) ? String(value).trim() : '';
+  });
+  return missing ? null : result.trim() || null;
+}
+
+/**
+ * The value a pattern's action suggests for a track, or null
+ */
+function applyAction(track, action) {
+  if (!action) return null;
+  if (action.template) return renderTemplate(action.template, track);
+  if (action.value) return action.value;
+  if (action.copy_from) {
+    const value = fieldValue(track, action.copy_from);
+    return hasText(value) ? value : null;
+  }
+  return null;
+}
+
+// ==========================================
+// Validation
+// ==========================================
+
+function validateNode(node, path) {
+  if (!node || typeof node !== 'object') throw new Error(`${path} is not a condition`);
+  node = normalizeCondition(node);
+
+  for (const key of ['all', 'any']) {
+    if (key in node) {
+      if (!Array.isArray(node[key]) || node[key].length === 0) throw new Error(`${path}: "${key}" needs at least one condition`);
+      node[key].forEach((child, index) => validateNode(child, `${path}.${key}[${index}]`));
+      return;
+    }
+  }
+  if ('not' in node) {
+    validateNode(node.not, `${path}.not`);
+    return;
+  }
+
+  const { field, op } = node;
+  if (!RULE_FIELDS[field]) {
+    throw new Error(`Unknown field "${field}". Fields: ${Object.keys(RULE_FIELDS).join(', ')}`);
+  }
+  if (!OPS.includes(op)) throw new Error(`Unknown operator "${op}" for ${field}`);
+
+  if (op === 'matches') {
+    if (!hasText(node.pattern)) throw new Error(`${field} matches needs a regular expression`);
+    try {
+      new RegExp(node.pattern, node.flags || '');
+    } catch (e) {
+      throw new Error(`Invalid regular expression for ${field}: ${e.message}`);
+    }
+    const problem = regexProblem(String(node.pattern), node.flags || '');
+    if (problem) throw new Error(`Regular expression for ${field}: ${problem}`);
+  } else if (op === 'between') {
+    if (!RANGE_FIELDS.includes(field)) {
+      throw new Error(`"between" works on ${RANGE_FIELDS.join(', ')}, not ${field}`);
+    }
+    const low = rangeValue(field, node.min);
+    const high = rangeValue(field, node.max);
+    const expected = field === 'duration' ? 'a time like 0:30 or seconds'
+      : field === 'catalog_code' ? 'a catalog number like IATS001' : 'a number';
+    if (low === null) throw new Error(`${field} range start "${node.min}" should be ${expected}`);
+    if (high === null) throw new Error(`${field} range end "${node.max}" should be ${expected}`);
+    if (field === 'catalog_code') {
+      if (low.prefix !== high.prefix) throw new Error(`Catalog range ${node.min}-${node.max} must use one prefix`);
+      if (low.number > high.number) throw new Error(`Catalog range ${node.min}-${node.max} is backwards`);
+    } else if (low > high) {
+      throw new Error(`${field} range ${node.min}-${node.max} is backwards`);
+    }
+  } else if (!['empty', 'not_empty'].includes(op) && !hasText(node.value)) {
+    throw new Error(`${field} ${op.replace('_', ' ')} needs a value`);
+  }
+}
+
+function validateTemplate(template) {
+  const names = [...String(template).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  for (const name of names) {
+    if (!RULE_FIELDS[name]) {
+      throw new Error(`Template uses {${name}}, which is not a field. Fields: ${Object.keys(RULE_FIELDS).join(', ')}`);
+    }
+  }
+}
+
+function validateAction(action) {
+  if (!action || typeof action !== 'object') throw new Error('Pattern needs an action');
+  if (!ACTION_FIELDS.includes(action.field)) {
+    const names = ACTION_FIELDS.map(field => (field === 'label' ? 'library' : field));
+    throw new Error(`Patterns can set ${names.join(', ')}, not "${action.field}"`);
+  }
+  if (action.template) {
+    validateTemplate(action.template);
+  } else if (action.copy_from) {
+    if (!RULE_FIELDS[action.copy_from]) throw new Error(`Cannot copy from unknown field "${action.copy_from}"`);
+  } else if (!hasText(action.value)) {
+    throw new Error(`Action for ${action.field} needs a value`);
+  }
+}
+
+/**
+ * Check a pattern before it is saved; throws with a message for the author
+ */
+function validatePattern({ condition, action, confidence } = {}) {
+  if (!condition || typeof condition !== 'object' || Object.keys(condition).length === 0) {
+    throw new Error('Pattern needs a condition');
+  }
+  validateNode(condition, 'condition');
+  validateAction(action);
+
+  if (confidence !== undefined && (typeof confidence !== 'number' || confidence < 0 || confidence > 1)) {
+    throw new Error('Confidence must be between 0 and 1');
+  }
+}
+
+// ==========================================
+// Text syntax
+// ==========================================
+
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|(!=|=)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\/((?:[^/\\]|\\.)+)\/([a-z]*)|([^\s()"'=!]+))/gy;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (text.slice(start).trim() === '') break;
+      throw new Error(`Unexpected "${text.slice(start).trim()[0]}" at position ${start + 1}`);
+    }
+    const position = match.index + match[0].length - match[0].trimStart().length + 1;
+    if (match[1]) tokens.push({ type: '(', position });
+    else if (match[2]) tokens.push({ type: ')', position });
+    else if (match[3]) tokens.push({ type: 'op', value: match[3], position });
+    else if (match[4] !== undefined || match[5] !== undefined) {
+      tokens.push({ type: 'string', value: (match[4] ?? match[5]).replace(/\\(.)/g, '$1'), position });
+    } else if (match[6] !== undefined) tokens.push({ type: 'regex', value: match[6].replace(/\\\//g, '/'), flags: match[7], position });
+    else tokens.push({ type: 'word', value: match[8], position });
+  }
+  return tokens;
+}
+
+class RuleParser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isWord(word, token = this.peek()) {
+    return token?.type === 'word' && token.value.toLowerCase() === word;
+  }
+
+  expectWord(word) {
+    const token = this.next();
+    if (!this.isWord(word, token)) throw this.error(`Expected "${word}"`, token);
+  }
+
+  error(message, token = this.peek()) {
+    return new Error(token ? `${message} at position ${token.position}` : `${message} at the end`);
+  }
+
+  value(after) {
+    const token = this.next();
+    if (!token || !['string', 'word'].includes(token.type) || ['and', 'or', 'not'].some(word => this.isWord(word, token))) {
+      throw this.error(`Expected a value after ${after}`, token);
+    }
+    return token.value;
+  }
+
+  parseOr() {
+    const nodes = [this.parseAnd()];
+    while (this.isWord('or')) {
+      this.next();
+      nodes.push(this.parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { any: nodes };
+  }
+
+  parseAnd() {
+    const nodes = [this.parseUnary()];
+    while (this.isWord('and')) {
+      this.next();
+      nodes.push(this.parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { all: nodes };
+  }
+
+  parseUnary() {
+    if (this.isWord('not')) {
+      this.next();
+      return { not: this.parseUnary() };
+    }
+    if (this.peek()?.type === '(') {
+      this.next();
+      const node = this.parseOr();
+      const close = this.next();
+      if (close?.type !== ')') throw this.error('Expected ")"', close);
+      return node;
+    }
+    return this.parseTest();
+  }
+
+  parseTest() {
+    const fieldToken = this.next();
+    if (fieldToken?.type !== 'word') throw this.error('Expected a field name', fieldToken);
+    const field = fieldToken.value.toLowerCase();
+    if (!RULE_FIELDS[field]) {
+      throw this.error(`Unknown field "${fieldToken.value}" (fields: ${Object.keys(RULE_FIELDS).join(', ')})`, fieldToken);
+    }
+
+    const token = this.next();
+    if (token?.type === 'op') {
+      return { field, op: token.value === '=' ? 'eq' : 'ne', value: this.value(`${field} ${token.value}`) };
+    }
+    const word = token?.type === 'word' ? token.value.toLowerCase() : null;
+    switch (word) {
+      case 'contains':
+        return { field, op: 'contains', value: this.value(`${field} contains`) };
+      case 'starts':
+        this.expectWord('with');
+        return { field, op: 'starts_with', value: this.value(`${field} starts with`) };
+      case 'ends':
+        this.expectWord('with');
+        return { field, op: 'ends_with', value: this.value(`${field} ends with`) };
+      case 'matches': {
+        const regex = this.next();
+        if (regex?.type !== 'regex') throw this.error(`Expected a /regular expression/ after ${field} matches`, regex);
+        return { field, op: 'matches', pattern: regex.value, flags: regex.flags };
+      }
+      case 'between': {
+        const min = this.value(`${field} between`);
+        this.expectWord('and');
+        return { field, op: 'between', min, max: this.value(`${field} between ${min} and`) };
+      }
+      case 'is':
+        if (this.isWord('not')) {
+          this.next();
+          this.expectWord('empty');
+          return { field, op: 'not_empty' };
+        }
+        this.expectWord('empty');
+        return { field, op: 'empty' };
+      default:
+        throw this.error(`Expected =, !=, contains, starts with, ends with, matches, between or is after ${field}`, token);
+    }
+  }
+}
+
+/**
+ * Compile condition text ("library contains BMG and duration between 0:30
+ * and 2:00") to a condition node. Throws on a syntax or validation error.
+ */
+function parseCondition(text) {
+  if (!hasText(text)) throw new Error('Pattern needs a condition');
+  const parser = new RuleParser(String(text));
+  const node = parser.parseOr();
+  if (parser.peek()) throw parser.error(`Unexpected "${parser.peek().value || parser.peek().type}"`);
+  validateNode(node, 'condition');
+  return node;
+}
+
+/**
+ * Compile action text: `artist = "N/A"` or
+ * `publisher = "{library} Publishing (ASCAP)(100%)"`
+ */
+function parseAction(text) {
+  const match = String(text || '').trim().match(/^(\w+)\s*=\s*(.+)$/s);
+  if (!match) throw new Error('Action should look like: field = "value"');
+  const field = ACTION_ALIASES[match[1].toLowerCase()] || match[1].toLowerCase();
+  let value = match[2].trim();
+  const quoted = value.match(/^"((?:[^"\\]|\\.)*)"$|^'((?:[^'\\]|\\.)*)'$/);
+  if (quoted) value = (quoted[1] ?? quoted[2]).replace(/\\(.)/g, '$1');
+
+  const action = /\{\w+\}/.test(value) ? { field, template: value } : { field, value };
+  validateAction(action);
+  return action;
+}
+
+function quote(value) {
+  return `"${String(value ?? '').replace(/["\\]/g, '\\$&')}"`;
+}
+
+function bare(value) {
+  return /^[\w:.-]+$/.test(String(value)) ? String(value) : quote(value);
+}
+
+function formatNode(node, parent) {
+  node = normalizeCondition(node);
+  if (node.all || node.any) {
+    const joiner = node.all ? ' and ' : ' or ';
+    const text = (node.all || node.any).map(child => formatNode(child, node.all ? 'all' : 'any')).join(joiner);
+    return parent && (parent === 'not' || (node.any && parent === 'all')) ? `(${text})` : text;
+  }
+  if (node.not) return `not ${formatNode(node.not, 'not')}`;
+
+  switch (node.op) {
+    case 'eq': return `${node.field} = ${quote(node.value)}`;
+    case 'ne': return `${node.field} != ${quote(node.value)}`;
+    case 'contains': return `${node.field} contains ${quote(node.value)}`;
+    case 'starts_with': return `${node.field} starts with ${quote(node.value)}`;
+    case 'ends_with': return `${node.field} ends with ${quote(node.value)}`;
+    case 'matches': return `${node.field} matches /${String(node.pattern).replace(/\//g, '\\/')}/${node.flags || ''}`;
+    case 'between': return `${node.field} between ${bare(node.min)} and ${bare(node.max)}`;
+    case 'empty': return `${node.field} is empty`;
+    case 'not_empty': return `${node.field} is not empty`;
+    default: return JSON.stringify(node);
+  }
+}
+
+/**
+ * Condition as authoring text (older flat conditions included)
+ */
+function formatCondition(condition) {
+  if (!condition || Object.keys(condition).length === 0) return '';
+  return formatNode(condition);
+}
+
+function formatAction(action) {
+  if (!action) return '';
+  const field = action.field === 'label' ? 'library' : action.field;
+  if (action.template) return `${field} = ${quote(action.template)}`;
+  if (action.copy_from) return `${field} = ${quote(`{${action.copy_from}}`)}`;
+  return `${field} = ${quote(action.value)}`;
+}
+
+module.exports = {
+  RULE_FIELDS,
+  ACTION_FIELDS,
+  isRuleNode,
+  matchesCondition,
+  applyAction,
+  renderTemplate,
+  validatePattern,
+  parseCondition,
+  parseAction,
+  formatCondition,
+  formatAction
+};
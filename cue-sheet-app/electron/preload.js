@@ -7,7 +7,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Project parsing
   parsePrproj: (filePath) => ipcRenderer.invoke('prproj:parse', filePath),
-  parseProjectForWizard: (filePath) => ipcRenderer.invoke('wizard:parseProject', filePath),
+  listProjectSequences: (filePath) => ipcRenderer.invoke('wizard:listSequences', filePath),
+  parseProjectForWizard: (filePath, options) => ipcRenderer.invoke('wizard:parseProject', filePath, options),
   
   // Wizard progress events
   onWizardProgress: (callback) => {
@@ -21,14 +22,83 @@ contextBridge.exposeInMainWorld('electronAPI', {
   exportExcel: (data) => ipcRenderer.invoke('excel:export', data),
   shareExport: (data) => ipcRenderer.invoke('share:exportAndMail', data),
   
+  // Export templates
+  listExportTemplates: () => ipcRenderer.invoke('templates:list'),
+  importExportTemplate: () => ipcRenderer.invoke('templates:import'),
+  deleteExportTemplate: (templateId) => ipcRenderer.invoke('templates:delete', templateId),
+  
+  // Pre-export validation (rule set per export template)
+  validateCueSheet: (cues, projectInfo) => ipcRenderer.invoke('validation:run', cues, projectInfo),
+  getValidationRules: (templateId) => ipcRenderer.invoke('validation:getRules', templateId),
+  setValidationRule: (templateId, ruleId, severity) => ipcRenderer.invoke('validation:setRule', templateId, ruleId, severity),
+  resetValidationRules: (templateId) => ipcRenderer.invoke('validation:resetRules', templateId),
+  
+  // Cue sheet import (XLSX/CSV)
+  openCueSheetImport: () => ipcRenderer.invoke('cueSheetImport:open'),
+  previewCueSheetImport: (filePath, options) => ipcRenderer.invoke('cueSheetImport:preview', filePath, options),
+  readCueSheetImport: (filePath, options) => ipcRenderer.invoke('cueSheetImport:read', filePath, options),
+  
+  // Revision compare
+  compareRevisions: (previousCues, currentCues) => ipcRenderer.invoke('revisions:compare', previousCues, currentCues),
+  carryForwardRevision: (previousCues, currentCues) => ipcRenderer.invoke('revisions:carryForward', previousCues, currentCues),
+  exportRevisionReport: (data) => ipcRenderer.invoke('revisions:exportReport', data),
+  parseRevisionTimeline: (filePath, options) => ipcRenderer.invoke('revisions:parseTimeline', filePath, options),
+  
+  // Campaign roll-up (every cue sheet in a folder)
+  exportCampaignRollup: (folderId, projectFolder) => ipcRenderer.invoke('campaign:exportRollup', folderId, projectFolder),
+
+  // Licensing requests (one per library contact)
+  getLicensingTemplate: () => ipcRenderer.invoke('licensing:getTemplate'),
+  saveLicensingTemplate: (template) => ipcRenderer.invoke('licensing:saveTemplate', template),
+  resetLicensingTemplate: () => ipcRenderer.invoke('licensing:resetTemplate'),
+  previewLicensingRequests: (options) => ipcRenderer.invoke('licensing:preview', options),
+  generateLicensingRequests: (options) => ipcRenderer.invoke('licensing:generate', options),
+
+  // Filename grammars
+  listFilenameGrammars: () => ipcRenderer.invoke('filenameGrammars:list'),
+  saveFilenameGrammar: (grammar) => ipcRenderer.invoke('filenameGrammars:save', grammar),
+  deleteFilenameGrammar: (grammarId) => ipcRenderer.invoke('filenameGrammars:delete', grammarId),
+  testFilenameGrammars: (filenames, draft) => ipcRenderer.invoke('filenameGrammars:test', filenames, draft),
+  syncFilenameGrammars: () => ipcRenderer.invoke('filenameGrammars:syncCloud'),
+
+  // Watch folders (auto-import of new project versions)
+  getWatchFolderStatus: () => ipcRenderer.invoke('watchFolders:getStatus'),
+  updateWatchFolderSettings: (updates) => ipcRenderer.invoke('watchFolders:updateSettings', updates),
+  addWatchFolder: (options) => ipcRenderer.invoke('watchFolders:addFolder', options),
+  updateWatchFolder: (folderPath, updates) => ipcRenderer.invoke('watchFolders:updateFolder', folderPath, updates),
+  removeWatchFolder: (folderPath) => ipcRenderer.invoke('watchFolders:removeFolder', folderPath),
+  scanWatchFolders: () => ipcRenderer.invoke('watchFolders:scanNow'),
+  clearWatchFolderActivity: () => ipcRenderer.invoke('watchFolders:clearActivity'),
+  onWatchFolderImport: (callback) => {
+    ipcRenderer.on('watchFolders:imported', (event, entry) => callback(entry));
+  },
+  onWatchFolderOpen: (callback) => {
+    ipcRenderer.on('watchFolders:open', (event, cueSheetId) => callback(cueSheetId));
+  },
+  removeWatchFolderListeners: () => {
+    ipcRenderer.removeAllListeners('watchFolders:imported');
+    ipcRenderer.removeAllListeners('watchFolders:open');
+  },
+
   // Audio metadata
   getAudioMetadata: (filePath) => ipcRenderer.invoke('audio:metadata', filePath),
   
   // Contacts
-  findContact: (libraryName) => ipcRenderer.invoke('contacts:find', libraryName),
+  findContact: (libraryName, catalogCode) => ipcRenderer.invoke('contacts:find', libraryName, catalogCode),
   getAllContacts: () => ipcRenderer.invoke('contacts:getAll'),
   getContactNames: () => ipcRenderer.invoke('contacts:getNames'),
   importContacts: () => ipcRenderer.invoke('contacts:import'),
+  listContactLibraries: () => ipcRenderer.invoke('contacts:listLibraries'),
+  saveContactLibrary: (library) => ipcRenderer.invoke('contacts:saveLibrary', library),
+  deleteContactLibrary: (libraryId) => ipcRenderer.invoke('contacts:deleteLibrary', libraryId),
+  syncContacts: () => ipcRenderer.invoke('contacts:sync'),
+  exportContactsCsv: () => ipcRenderer.invoke('contacts:exportCsv'),
+  onContactsChange: (callback) => {
+    ipcRenderer.on('contacts:change', () => callback());
+  },
+  removeContactsChangeListener: () => {
+    ipcRenderer.removeAllListeners('contacts:change');
+  },
   enrichCueWithContact: (cue) => ipcRenderer.invoke('cue:enrichWithContact', cue),
   
   // BMG Lookup
@@ -47,7 +117,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   detectUseType: (trackName, context) => ipcRenderer.invoke('opus:detectUse', trackName, context),
   enrichBatchWithOpus: (cues) => ipcRenderer.invoke('opus:enrichBatch', cues),
   extractWithOpus: (pageText, pageUrl) => ipcRenderer.invoke('extract:withOpus', pageText, pageUrl),
-  
+
+  // AI models (provider, model per task, usage)
+  getLlmStatus: () => ipcRenderer.invoke('llm:getStatus'),
+  setLlmTaskConfig: (task, changes) => ipcRenderer.invoke('llm:setTaskConfig', task, changes),
+  setLlmProvider: (name) => ipcRenderer.invoke('llm:setProvider', name),
+  resetLlmUsage: () => ipcRenderer.invoke('llm:resetUsage'),
+
   // PRO Lookup (BMI/ASCAP)
   searchPRO: (trackName, artistName) => ipcRenderer.invoke('pro:search', trackName, artistName),
   formatPROData: (proData) => ipcRenderer.invoke('pro:format', proData),
@@ -60,7 +136,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   createFolder: (parentId, name) => ipcRenderer.invoke('projects:createFolder', parentId, name),
   createProject: (name) => ipcRenderer.invoke('projects:create', name), // Legacy
   createSpot: (parentId, name) => ipcRenderer.invoke('projects:createSpot', parentId, name), // Legacy
-  createCueSheet: (parentId, name) => ipcRenderer.invoke('projects:createCueSheet', parentId, name),
+  createCueSheet: (parentId, name, data) => ipcRenderer.invoke('projects:createCueSheet', parentId, name, data),
   renameItem: (id, newName) => ipcRenderer.invoke('projects:rename', id, newName),
   deleteItem: (id) => ipcRenderer.invoke('projects:delete', id),
   duplicateItem: (id) => ipcRenderer.invoke('projects:duplicate', id),
@@ -116,6 +192,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getAllTracks: (options) => ipcRenderer.invoke('trackdb:getAll', options),
   deleteTrack: (trackId) => ipcRenderer.invoke('trackdb:delete', trackId),
   clearAllTracks: () => ipcRenderer.invoke('trackdb:clearAll'),
+  getTrackHistory: (trackId, field) => ipcRenderer.invoke('trackdb:history', trackId, field),
+  revertTrackField: (trackId, historyId) => ipcRenderer.invoke('trackdb:revertField', trackId, historyId),
   
   // Natural Language
   parseNaturalLanguage: (input, context) => ipcRenderer.invoke('nl:parse', input, context),
@@ -127,7 +205,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   applyBatchPattern: (cues, pattern) => ipcRenderer.invoke('batch:applyPattern', cues, pattern),
   
   // Smart Batch Lookup
-  startBatchLookup: (tracks) => ipcRenderer.invoke('batchLookup:start', tracks),
+  startBatchLookup: (cues) => ipcRenderer.invoke('batchLookup:start', cues),
+  pauseBatchLookup: () => ipcRenderer.invoke('batchLookup:pause'),
+  resumeBatchLookup: () => ipcRenderer.invoke('batchLookup:resume'),
   cancelBatchLookup: () => ipcRenderer.invoke('batchLookup:cancel'),
   getBatchLookupProgress: () => ipcRenderer.invoke('batchLookup:getProgress'),
   getBatchLookupResults: () => ipcRenderer.invoke('batchLookup:getResults'),
@@ -205,6 +285,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   cloudTrackDelete: (trackId) => ipcRenderer.invoke('cloudTrack:delete', trackId),
   cloudTrackDeleteByName: (trackName) => ipcRenderer.invoke('cloudTrack:deleteByName', trackName),
   cloudTrackClearAll: () => ipcRenderer.invoke('cloudTrack:clearAll'),
+  cloudTrackHistory: (trackId, field) => ipcRenderer.invoke('cloudTrack:history', trackId, field),
+  cloudTrackRevertField: (trackId, historyId) => ipcRenderer.invoke('cloudTrack:revertField', trackId, historyId),
   trackRemoveDuplicates: () => ipcRenderer.invoke('track:removeDuplicates'),
   onCloudTrackChange: (callback) => {
     ipcRenderer.on('cloudTrack:change', (event, data) => callback(data));
@@ -213,6 +295,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.removeAllListeners('cloudTrack:change');
   },
   
+  // Track Conflicts
+  getTrackConflicts: () => ipcRenderer.invoke('conflicts:list'),
+  resolveTrackConflict: (conflictId, choice) => ipcRenderer.invoke('conflicts:resolve', conflictId, choice),
+  onTrackConflictsChange: (callback) => {
+    ipcRenderer.on('conflicts:change', (event, data) => callback(data));
+  },
+  removeTrackConflictsListener: () => {
+    ipcRenderer.removeAllListeners('conflicts:change');
+  },
+  
   // ==========================================
   // User Profile & Feedback
   // ==========================================
@@ -272,6 +364,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   patternGetAll: () => ipcRenderer.invoke('pattern:getAll'),
   patternDelete: (patternId) => ipcRenderer.invoke('pattern:delete', patternId),
   patternUpdateConfidence: (patternId, confidence) => ipcRenderer.invoke('pattern:updateConfidence', patternId, confidence),
+  patternCompile: (draft) => ipcRenderer.invoke('pattern:compile', draft),
+  patternCreate: (draft) => ipcRenderer.invoke('pattern:create', draft),
+  patternUpdate: (patternId, draft) => ipcRenderer.invoke('pattern:update', patternId, draft),
+  patternBacktest: (patternId) => ipcRenderer.invoke('pattern:backtest', patternId),
   patternSynthesize: () => ipcRenderer.invoke('pattern:synthesize'),
   patternFindMatching: (track, field) => ipcRenderer.invoke('pattern:findMatching', track, field),
   
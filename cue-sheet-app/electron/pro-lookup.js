@@ -5,6 +5,8 @@
  * Uses web scraping since these don't have public APIs.
  */
 
+const { DEFAULT_WRITER_ROLE, DEFAULT_PUBLISHER_ROLE } = require('./splits');
+
 const BMI_SEARCH_URL = 'https://repertoire.bmi.com/Search/Search';
 const ASCAP_SEARCH_URL = 'https://www.ascap.com/repertory';
 
@@ -183,24 +185,29 @@ function parseASCAPResults(data, trackName) {
   };
 }
 
+// A share as a number, or null when the source has none
+function shareOf(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const share = Number(value);
+  return Number.isFinite(share) ? share : null;
+}
+
 /**
  * Format composer/publisher for cue sheet
  * @param {string} name - Person/company name
  * @param {string} pro - PRO affiliation (ASCAP, BMI, etc.)
- * @param {number} share - Ownership percentage
+ * @param {number} share - Ownership percentage; left off when the PRO doesn't give one
  * @returns {string} Formatted string
  */
-function formatPROEntry(name, pro = '', share = 100) {
+function formatPROEntry(name, pro = '', share = null) {
   if (!name) return '';
   
   let formatted = name;
   if (pro) {
     formatted += ` (${pro})`;
   }
-  if (share && share !== 100) {
-    formatted += `(${share}%)`;
-  } else if (share === 100) {
-    formatted += '(100%)';
+  if (shareOf(share) !== null) {
+    formatted += `(${shareOf(share)}%)`;
   }
   
   return formatted;
@@ -225,16 +232,35 @@ async function searchAllPROs(trackName, artistName = '') {
   };
 }
 
+/**
+ * Build a writer/publisher party (see splits.js) from a PRO result entry
+ */
+function toParty(entry, pro, role) {
+  const name = entry?.name || entry;
+  if (!name || typeof name !== 'string') return null;
+  // Left empty when the PRO gives no share, so the split is filled in rather than assumed
+  return {
+    name,
+    pro,
+    ipi: String(entry?.ipi || entry?.cae || ''),
+    role,
+    share: shareOf(entry?.share)
+  };
+}
+
 /**
  * Format PRO data for cue sheet fields
+ * @returns {Object} { composer, publisher } strings plus structured writers/publishers
  */
 function formatPRODataForCue(proData) {
   if (!proData || !proData.hasData) {
-    return { composer: '', publisher: '' };
+    return { composer: '', publisher: '', writers: [], publishers: [] };
   }
   
   let composers = [];
   let publishers = [];
+  let writerParties = [];
+  let publisherParties = [];
   
   // Prefer ASCAP data as it's usually more structured
   if (proData.ascap) {
@@ -242,11 +268,13 @@ function formatPRODataForCue(proData) {
       composers = proData.ascap.writers.map(w => 
         formatPROEntry(w.name || w, 'ASCAP', w.share)
       );
+      writerParties = proData.ascap.writers.map(w => toParty(w, 'ASCAP', DEFAULT_WRITER_ROLE));
     }
     if (proData.ascap.publishers) {
       publishers = proData.ascap.publishers.map(p => 
         formatPROEntry(p.name || p, 'ASCAP', p.share)
       );
+      publisherParties = proData.ascap.publishers.map(p => toParty(p, 'ASCAP', DEFAULT_PUBLISHER_ROLE));
     }
   }
   
@@ -257,18 +285,22 @@ function formatPRODataForCue(proData) {
         formatPROEntry(w, 'BMI')
       );
       composers = [...composers, ...bmiComposers];
+      writerParties = [...writerParties, ...proData.bmi.writers.map(w => toParty(w, 'BMI', DEFAULT_WRITER_ROLE))];
     }
     if (proData.bmi.publishers) {
       const bmiPublishers = proData.bmi.publishers.map(p => 
         formatPROEntry(p, 'BMI')
       );
       publishers = [...publishers, ...bmiPublishers];
+      publisherParties = [...publisherParties, ...proData.bmi.publishers.map(p => toParty(p, 'BMI', DEFAULT_PUBLISHER_ROLE))];
     }
   }
   
   return {
     composer: composers.join('; '),
-    publisher: publishers.join('; ')
+    publisher: publishers.join('; '),
+    writers: writerParties.filter(Boolean),
+    publishers: publisherParties.filter(Boolean)
   };
 }
 
@@ -384,6 +384,13 @@ function getParentFolderName(id) {
   return parent?.name || null;
 }
 
+// Get the id of an item's parent folder (null at root level)
+function getParentId(id) {
+  const state = loadProjects();
+  const parent = findParentById(state.items, id);
+  return parent?.id || null;
+}
+
 // Get all items (the whole tree)
 function getAllProjects() {
   const state = loadProjects();
@@ -413,6 +420,11 @@ function importPrprojAsCueSheet(parentId = null, prprojData) {
     projectInfo: {
       project: '',
       spotTitle: prprojData.spotTitle || prprojData.projectName,
+      sequenceId: prprojData.sequenceId || null,
+      sequenceName: prprojData.sequenceName || null,
+      programLength: prprojData.programLength || '',
+      durationMode: 'total',
+      durationRounding: prprojData.durationRounding || 'frame-12',
       type: '',
       datePrepared: new Date().toLocaleDateString('en-US', {
         month: 'numeric',
@@ -485,6 +497,7 @@ module.exports = {
   updateCueSheet,
   getCueSheet,
   getParentFolderName,
+  getParentId,
   getAllProjects,
   setActiveItem,
   getActiveItemId,
@@ -0,0 +1,372 @@
+/**
+ * Revision Diff - Compare two versions of a spot's cue sheet
+ *
+ * Cues are paired by clip name (originalName), then by normalised track
+ * name. Paired cues are checked for re-timing (cue length, TC In/Out, number
+ * of uses) and for metadata changes; unpaired cues are added or removed.
+ * Enrichment from the older version (composer, publisher, library...) can
+ * be carried forward into the newer one, a re-saved file can be merged into
+ * the sheet made from it, and the diff can be laid out as a "changes since
+ * last delivery" report for the export renderers.
+ */
+
+const { formatDate } = require('./export-templates');
+
+// Fields compared for timing changes
+const TIMING_FIELDS = ['duration', 'tcIn', 'tcOut', 'useCount'];
+
+// Fields compared for metadata changes (and carried forward when empty in the newer version)
+const METADATA_FIELDS = ['trackName', 'artist', 'source', 'trackNumber', 'composer', 'publisher', 'label', 'masterContact', 'use', 'catalogCode', 'isrc'];
+
+const FIELD_LABELS = {
+  duration: 'Cue Length',
+  tcIn: 'TC In',
+  tcOut: 'TC Out',
+  useCount: 'Uses',
+  trackName: 'Track Name',
+  artist: 'Artist',
+  source: 'Source',
+  trackNumber: 'Track #',
+  composer: 'Composer',
+  publisher: 'Publisher',
+  label: 'Master/Label/Library',
+  masterContact: 'Master Contact',
+  use: 'Use',
+  catalogCode: 'Catalog Code',
+  isrc: 'ISRC'
+};
+
+// Fields a re-import of the same file takes from the timeline: where and how long the cue plays
+const PLACEMENT_FIELDS = ['duration', 'durationSeconds', 'durationFrames', 'ticks', 'placementTicks', 'maxTicks', 'instances', 'segments', 'useCount', 'earliestStartTick', 'tcIn', 'tcOut', 'timebase', 'fps', 'stems'];
+
+// Placeholder values that count as empty
+const EMPTY_VALUES = ['', 'n/a', 'na', 'unknown', '-'];
+
+const STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  retimed: 'Re-timed',
+  changed: 'Changed'
+};
+
+function normalizeValue(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function isEmpty(value) {
+  return EMPTY_VALUES.includes(normalizeValue(value).toLowerCase());
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\.(wav|aif|aiff|mp3|m4a|flac)$/, '')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+// Pair cues of the two versions; each cue is used once, in order
+function pairCues(previousCues, currentCues) {
+  const pairs = [];
+  const usedPrevious = new Set();
+  const usedCurrent = new Set();
+
+  const pass = (keyOf) => {
+    const byKey = new Map();
+    previousCues.forEach((cue, index) => {
+      const key = keyOf(cue);
+      if (!key || usedPrevious.has(index)) return;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(index);
+    });
+    currentCues.forEach((cue, index) => {
+      const key = keyOf(cue);
+      if (!key || usedCurrent.has(index)) return;
+      const candidates = byKey.get(key);
+      if (!candidates || candidates.length === 0) return;
+      const previousIndex = candidates.shift();
+      usedPrevious.add(previousIndex);
+      usedCurrent.add(index);
+      pairs.push({ previousIndex, currentIndex: index });
+    });
+  };
+
+  pass(cue => normalizeName(cue.originalName));
+  pass(cue => normalizeName(cue.trackName));
+  pass(cue => normalizeName(cue.catalogCode));
+
+  return { pairs, usedPrevious, usedCurrent };
+}
+
+// A title still derived from the filename, where the older version has a looked-up or edited one
+function hasDerivedTitle(previous, current) {
+  return current.trackNameSource === 'filename_parse' &&
+    !!previous.trackNameSource && previous.trackNameSource !== 'filename_parse';
+}
+
+// Cue length in whole seconds, ignoring the frames part of "M:SS:FF" / "M:SS;FF"
+function lengthSeconds(cue) {
+  const match = String(cue.duration || '').match(/^(\d+):(\d{1,2})/);
+  if (match) return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return typeof cue.durationSeconds === 'number' ? Math.round(cue.durationSeconds) : 0;
+}
+
+// Comparable form of a field: cue lengths in whole seconds ("0:10", "0:10:00" and
+// "0:10;00" are the same length), placeholders as empty
+function comparableValue(cue, field) {
+  if (isEmpty(cue[field])) return '';
+  return field === 'duration' ? lengthSeconds(cue) : normalizeValue(cue[field]);
+}
+
+// A value that is empty on one side is a change for metadata (a cleared composer),
+// but not for timing: a sheet without TC In/Out or use counts wasn't re-timed
+function fieldChanges(previous, current, fields) {
+  const changes = [];
+  for (const field of fields) {
+    if (field === 'trackName' && hasDerivedTitle(previous, current)) continue;
+    const before = comparableValue(previous, field);
+    const after = comparableValue(current, field);
+    if (before === after) continue;
+    if (TIMING_FIELDS.includes(field) && (before === '' || after === '')) continue;
+    changes.push({ field, label: FIELD_LABELS[field], before: normalizeValue(previous[field]), after: normalizeValue(current[field]) });
+  }
+  return changes;
+}
+
+// Fields the older version has filled in that the newer one is missing
+// (a filename-derived title counts as missing)
+function missingFields(previous, current) {
+  return METADATA_FIELDS.filter(field => !isEmpty(previous[field]) &&
+    (isEmpty(current[field]) || (field === 'trackName' && hasDerivedTitle(previous, current))));
+}
+
+/**
+ * Compare two versions of a cue sheet
+ * @param {Array} previousCues - Older version
+ * @param {Array} currentCues - Newer version
+ * @returns {Object} { entries, summary } - entries are in current order, removed cues last
+ */
+function diffCueSheets(previousCues = [], currentCues = []) {
+  const { pairs, usedPrevious } = pairCues(previousCues, currentCues);
+  const pairByCurrent = new Map(pairs.map(pair => [pair.currentIndex, pair.previousIndex]));
+  const entries = [];
+
+  currentCues.forEach((cue, currentIndex) => {
+    if (!pairByCurrent.has(currentIndex)) {
+      entries.push({ status: 'added', currentIndex, previousIndex: null, trackName: cue.trackName, timing: [], metadata: [], missing: [] });
+      return;
+    }
+    const previousIndex = pairByCurrent.get(currentIndex);
+    const previous = previousCues[previousIndex];
+    const timing = fieldChanges(previous, cue, TIMING_FIELDS);
+    const metadata = fieldChanges(previous, cue, METADATA_FIELDS);
+    const status = timing.length > 0 ? 'retimed' : metadata.length > 0 ? 'changed' : 'unchanged';
+    entries.push({
+      status,
+      currentIndex,
+      previousIndex,
+      trackName: cue.trackName || previous.trackName,
+      timing,
+      metadata,
+      missing: missingFields(previous, cue)
+    });
+  });
+
+  previousCues.forEach((cue, previousIndex) => {
+    if (usedPrevious.has(previousIndex)) return;
+    entries.push({ status: 'removed', currentIndex: null, previousIndex, trackName: cue.trackName, timing: [], metadata: [], missing: [] });
+  });
+
+  const count = (status) => entries.filter(entry => entry.status === status).length;
+  return {
+    entries,
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      retimed: count('retimed'),
+      changed: entries.filter(entry => entry.metadata.length > 0).length,
+      unchanged: count('unchanged'),
+      carryable: entries.reduce((sum, entry) => sum + entry.missing.length, 0)
+    }
+  };
+}
+
+/**
+ * Copy enrichment from the older version into the newer one
+ *
+ * Only fields that are empty in the newer version are filled, together with
+ * their source/confidence and the structured writer/publisher splits.
+ * @returns {Object} { cues, carried } - updated current cues and number of fields filled
+ */
+function carryForwardEnrichment(previousCues = [], currentCues = []) {
+  const { pairs } = pairCues(previousCues, currentCues);
+  const cues = currentCues.map(cue => ({ ...cue }));
+  let carried = 0;
+
+  for (const { previousIndex, currentIndex } of pairs) {
+    const previous = previousCues[previousIndex];
+    const cue = cues[currentIndex];
+    for (const field of missingFields(previous, cue)) {
+      copyField(cue, previous, field);
+      carried++;
+    }
+    if (cue.composer && cue.publisher && cue.status !== 'complete') {
+      cue.status = 'complete';
+    }
+  }
+
+  return { cues, carried };
+}
+
+function isUserEdited(cue, field) {
+  return String(cue[`${field}Source`] || '').startsWith('user');
+}
+
+// Fill a field from another cue, with its source/confidence and structured splits
+function copyField(cue, from, field) {
+  cue[field] = from[field];
+  for (const suffix of ['Source', 'Confidence']) {
+    if (from[`${field}${suffix}`] !== undefined) cue[`${field}${suffix}`] = from[`${field}${suffix}`];
+  }
+  if (field === 'composer' && from.writers) cue.writers = from.writers;
+  if (field === 'publisher' && from.publishers) cue.publishers = from.publishers;
+}
+
+/**
+ * Update a cue sheet from a new parse of the file it was made from
+ *
+ * Cues still on the timeline take their placement (length, TC In/Out, uses)
+ * from the parse and keep everything else from the sheet: use codes, hidden
+ * rows, edited and looked-up fields. Fields empty on the sheet (and not
+ * cleared by the user) are filled from the parse. Cues added to the sheet by
+ * hand stay after the cue they followed; timeline cues no longer in the
+ * parse are dropped.
+ * @returns {Object} { cues, carried } - merged cues and number of fields filled from the parse
+ */
+function mergeReimport(sheetCues = [], parsedCues = []) {
+  const { pairs, usedPrevious } = pairCues(sheetCues, parsedCues);
+  const sheetIndexByParsed = new Map(pairs.map(pair => [pair.currentIndex, pair.previousIndex]));
+  const mergedBySheet = new Map();
+  let carried = 0;
+
+  const cues = parsedCues.map((parsed, parsedIndex) => {
+    if (!sheetIndexByParsed.has(parsedIndex)) return { ...parsed };
+    const sheetIndex = sheetIndexByParsed.get(parsedIndex);
+    const sheetCue = sheetCues[sheetIndex];
+    const cue = { ...parsed, ...sheetCue };
+
+    const keepLength = isUserEdited(sheetCue, 'duration');
+    for (const field of PLACEMENT_FIELDS) {
+      if (keepLength && field.startsWith('duration')) continue;
+      if (parsed[field] !== undefined) cue[field] = parsed[field];
+    }
+    for (const field of METADATA_FIELDS) {
+      if (isEmpty(sheetCue[field]) && !isUserEdited(sheetCue, field) && !isEmpty(parsed[field])) {
+        copyField(cue, parsed, field);
+        carried++;
+      }
+    }
+    if (cue.composer && cue.publisher && cue.status !== 'complete') cue.status = 'complete';
+
+    mergedBySheet.set(sheetIndex, cue);
+    return cue;
+  });
+
+  // Hand-added cues have no clip name
+  sheetCues.forEach((sheetCue, sheetIndex) => {
+    if (usedPrevious.has(sheetIndex) || !isEmpty(sheetCue.originalName)) return;
+    let anchor = null;
+    for (let i = sheetIndex - 1; i >= 0 && !anchor; i--) anchor = mergedBySheet.get(i) || null;
+    const cue = { ...sheetCue };
+    cues.splice(anchor ? cues.indexOf(anchor) + 1 : 0, 0, cue);
+    mergedBySheet.set(sheetIndex, cue);
+  });
+
+  return {
+    cues: cues.map((cue, index) => ({ ...cue, id: index + 1, cueNumber: index + 1 })),
+    carried
+  };
+}
+
+function describeCue(cue) {
+  return [cue?.duration, cue?.composer].filter(Boolean).join(' / ');
+}
+
+/**
+ * Lay out a diff as a "changes since last delivery" report
+ * The result has the same shape as export-templates buildLayout(), so
+ * writeXlsx/renderHtml/renderDelimited can render it
+ * @param {Object} diff - Result of diffCueSheets
+ * @param {Object} context - { previousName, currentName, previousCues, currentCues }
+ */
+function buildChangesLayout(diff, { previousName, currentName, previousCues = [], currentCues = [] }) {
+  const { summary } = diff;
+  const summaryText = [
+    `${summary.added} added`,
+    `${summary.removed} removed`,
+    `${summary.retimed} re-timed`,
+    `${summary.changed} changed`
+  ].join(', ');
+
+  const rows = [];
+  for (const entry of diff.entries) {
+    if (entry.status === 'unchanged') continue;
+    const number = entry.currentIndex !== null ? entry.currentIndex + 1 : '';
+    const changes = [...entry.timing, ...entry.metadata];
+
+    if (entry.status === 'added' || entry.status === 'removed') {
+      const cue = entry.status === 'added' ? currentCues[entry.currentIndex] : previousCues[entry.previousIndex];
+      const detail = describeCue(cue);
+      rows.push({
+        isSubRow: false,
+        number,
+        values: [STATUS_LABELS[entry.status], number, entry.trackName || '', '', entry.status === 'removed' ? detail : '', entry.status === 'added' ? detail : '']
+      });
+      continue;
+    }
+
+    changes.forEach((change, index) => {
+      rows.push({
+        isSubRow: index > 0,
+        number,
+        values: index === 0
+          ? [STATUS_LABELS[entry.status], number, entry.trackName || '', change.label, change.before, change.after]
+          : ['', '', '', change.label, change.before, change.after]
+      });
+    });
+  }
+
+  return {
+    templateId: 'revision-changes',
+    projectContext: {},
+    title: 'CHANGES SINCE LAST DELIVERY',
+    headerBlocks: [
+      { label: 'Previous:', value: previousName || '', labelCell: { row: 1, col: 1 }, valueCell: { row: 1, col: 2 } },
+      { label: 'Current:', value: currentName || '', labelCell: { row: 2, col: 1 }, valueCell: { row: 2, col: 2 } },
+      { label: 'Compared:', value: formatDate(new Date()), labelCell: { row: 3, col: 1 }, valueCell: { row: 3, col: 2 } },
+      { label: 'Summary:', value: summaryText, labelCell: { row: 3, col: 4 }, valueCell: { row: 3, col: 5 } }
+    ],
+    headerRow: 5,
+    firstDataRow: 6,
+    columns: [
+      { field: 'change', header: 'Change', width: 12, wrap: false },
+      { field: 'number', header: '#', width: 5, wrap: false },
+      { field: 'trackName', header: 'Track Name', width: 30, wrap: false },
+      { field: 'field', header: 'Field', width: 20, wrap: false },
+      { field: 'before', header: 'Before', width: 40, wrap: true },
+      { field: 'after', header: 'After', width: 40, wrap: true }
+    ],
+    rows,
+    footer: rows.length === 0 ? ['No changes'] : [],
+    footerGap: 1
+  };
+}
+
+module.exports = {
+  diffCueSheets,
+  carryForwardEnrichment,
+  mergeReimport,
+  buildChangesLayout,
+  TIMING_FIELDS,
+  METADATA_FIELDS,
+  FIELD_LABELS
+};
@@ -1,12 +1,11 @@
-const { app } = require('electron');
+const { getUserDataDir, isPackaged: isPackagedApp } = require('./app-paths');
 const fs = require('fs');
 const path = require('path');
 
 // Load .env file for API keys (same pattern as supabase-client.js)
 function loadEnvFile() {
   try {
-    const isPackaged = app && typeof app.isPackaged !== 'undefined' ? app.isPackaged : false;
-    const envPath = isPackaged
+    const envPath = isPackagedApp()
       ? path.join(process.resourcesPath, '.env')
       : path.join(__dirname, '..', '.env');
 
@@ -52,12 +51,15 @@ const SOURCE_CATEGORIES = {
   
   // AI/Embedding engines (neutral - used for extraction)
   opus: 'ai',
-  voyage: 'ai'
+  voyage: 'ai',
+
+  // Our own verified tracks (neutral - allowed for all track types)
+  learned_db: 'learned'
 };
 
 // Store sources config in app data directory
 const getStorePath = () => {
-  const userDataPath = app.getPath('userData');
+  const userDataPath = getUserDataDir();
   return path.join(userDataPath, 'sources.json');
 };
 
@@ -66,7 +68,7 @@ let globalKeys = {};
 
 const getGlobalKeysPath = () => {
   try {
-    const userDataPath = app.getPath('userData');
+    const userDataPath = getUserDataDir();
     return path.join(userDataPath, 'global-keys.json');
   } catch (e) {
     return null;
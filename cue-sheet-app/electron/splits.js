@@ -0,0 +1,202 @@
+/**
+ * Writer/Publisher Splits
+ *
+ * Structured model for the composer and publisher credits on a cue. Each cue
+ * can carry `writers` and `publishers` lists of parties:
+ *
+ *   { name, pro, ipi, role, share }
+ *
+ * The legacy composer/publisher strings ("Name (PRO)(50%); Other (BMI)(50%)")
+ * are still what exports and lookups read, so they are regenerated from the
+ * lists whenever the lists change, and parsed back into lists for cues that
+ * only have the strings.
+ */
+
+// CWR role codes offered in the splits editor
+const WRITER_ROLES = ['CA', 'C', 'A', 'AR'];
+const PUBLISHER_ROLES = ['E', 'SE', 'AM'];
+
+const DEFAULT_WRITER_ROLE = 'CA';
+const DEFAULT_PUBLISHER_ROLE = 'E';
+
+// Allow for shares entered with decimals (33.33 x 3)
+const SHARE_TOLERANCE = 0.05;
+
+/**
+ * Parse one "Name (PRO)(share%)" entry
+ *
+ * Only the trailing groups are read, so names that contain parentheses
+ * ("BMG Production Music (UK) Limited (PRS)(100%)") keep them. An IPI/CAE
+ * number may follow as "[IPI 123456789]".
+ * @param {string} str - Legacy entry
+ * @param {string} role - Role to assign
+ * @returns {Object|null} Party or null for an empty entry
+ */
+function parseParty(str, role = '') {
+  let rest = (str || '').trim();
+  if (!rest) return null;
+
+  let ipi = '';
+  const ipiMatch = rest.match(/\s*\[(?:IPI|CAE)?[\s#:]*(\d{5,11})\]\s*$/i);
+  if (ipiMatch) {
+    ipi = ipiMatch[1];
+    rest = rest.slice(0, ipiMatch.index).trim();
+  }
+
+  let share = null;
+  const shareMatch = rest.match(/\s*\((\d+(?:\.\d+)?)\s*%?\)\s*$/);
+  if (shareMatch) {
+    share = parseFloat(shareMatch[1]);
+    rest = rest.slice(0, shareMatch.index).trim();
+  }
+
+  let pro = '';
+  const proMatch = rest.match(/\s*\(([A-Za-z][\w-]*)\)\s*$/);
+  if (proMatch) {
+    pro = proMatch[1].toUpperCase();
+    rest = rest.slice(0, proMatch.index).trim();
+  }
+
+  return { name: rest, pro, ipi, role, share };
+}
+
+/**
+ * Parse a legacy composer/publisher string into parties
+ *
+ * Entries are separated by ';'. Commas are only treated as separators when
+ * every comma-separated piece carries its own PRO or share, so
+ * "Smith, John (BMI)(100%)" stays one writer.
+ * @param {string} str - Legacy string
+ * @param {string} role - Role for each party
+ * @returns {Array} Parties
+ */
+function parsePartyList(str, role = '') {
+  if (!str || typeof str !== 'string') return [];
+
+  const entries = [];
+  for (const chunk of str.split(';')) {
+    const pieces = chunk.split(',').map(s => s.trim()).filter(Boolean);
+    const allCredited = pieces.length > 1 && pieces.every(p => /\)\s*(\[[^\]]*\])?\s*$/.test(p));
+    entries.push(...(allCredited ? pieces : [chunk]));
+  }
+
+  return entries.map(entry => parseParty(entry, role)).filter(Boolean);
+}
+
+// Trim a share to at most two decimals without trailing zeros
+function formatShare(share) {
+  return String(Math.round(share * 100) / 100);
+}
+
+/**
+ * Format one party in the legacy "Name (PRO)(share%)" form
+ */
+function formatParty(party) {
+  if (!party || !party.name || !party.name.trim()) return '';
+
+  let formatted = party.name.trim();
+  if (party.pro) formatted += ` (${party.pro})`;
+  if (party.share !== null && party.share !== undefined && party.share !== '') {
+    formatted += `(${formatShare(Number(party.share))}%)`;
+  }
+  return formatted;
+}
+
+/**
+ * Format parties as a legacy composer/publisher string
+ */
+function formatPartyList(parties) {
+  return (parties || []).map(formatParty).filter(Boolean).join('; ');
+}
+
+/**
+ * Check that the shares of a party list total 100%
+ * @param {Array} parties - Writers or publishers
+ * @returns {Object} { valid, total, error? } - lists without any shares are valid
+ */
+function validateShares(parties) {
+  const withShares = (parties || []).filter(p => p && p.share !== null && p.share !== undefined && p.share !== '');
+  if (withShares.length === 0) return { valid: true, total: null };
+
+  const total = Math.round(withShares.reduce((sum, p) => sum + Number(p.share || 0), 0) * 100) / 100;
+  if (Math.abs(total - 100) <= SHARE_TOLERANCE) return { valid: true, total };
+
+  return { valid: false, total, error: `total ${formatShare(total)}%, should be 100%` };
+}
+
+/**
+ * Get a cue's writers and publishers, parsing the legacy strings when the
+ * cue has no structured lists yet
+ */
+function splitsFromCue(cue) {
+  return {
+    writers: Array.isArray(cue?.writers) ? cue.writers : parsePartyList(cue?.composer, DEFAULT_WRITER_ROLE),
+    publishers: Array.isArray(cue?.publishers) ? cue.publishers : parsePartyList(cue?.publisher, DEFAULT_PUBLISHER_ROLE)
+  };
+}
+
+/**
+ * Validate both share lists of a cue
+ * @returns {Array} Issue strings ("Writer shares total 90%, should be 100%")
+ */
+function validateCueSplits(cue) {
+  const { writers, publishers } = splitsFromCue(cue);
+  const issues = [];
+  const writerCheck = validateShares(writers);
+  if (!writerCheck.valid) issues.push(`Writer shares ${writerCheck.error}`);
+  const publisherCheck = validateShares(publishers);
+  if (!publisherCheck.valid) issues.push(`Publisher shares ${publisherCheck.error}`);
+  return issues;
+}
+
+/**
+ * Build cue updates from edited split lists, keeping the legacy strings in step
+ */
+function splitsToCueFields(writers, publishers) {
+  return {
+    writers,
+    publishers,
+    composer: formatPartyList(writers),
+    publisher: formatPartyList(publishers)
+  };
+}
+
+/**
+ * Keep a cue's split lists in step with composer/publisher strings that were
+ * edited directly (table cell, paste, fill). IPI numbers and roles of parties
+ * that are still listed are carried over.
+ * @param {Object} updated - Cue after applying updates
+ * @param {Object} updates - The updates that were applied
+ * @returns {Object} The cue with writers/publishers re-parsed where needed
+ */
+function syncSplitsWithStrings(updated, updates) {
+  const reparse = (previous, str, defaultRole) => parsePartyList(str, defaultRole).map(party => {
+    const match = (previous || []).find(p => p.name?.toLowerCase() === party.name.toLowerCase());
+    return { ...party, ipi: match?.ipi || '', role: match?.role || defaultRole };
+  });
+
+  const synced = { ...updated };
+  if ('composer' in updates && !('writers' in updates) && Array.isArray(updated.writers)) {
+    synced.writers = reparse(updated.writers, updated.composer, DEFAULT_WRITER_ROLE);
+  }
+  if ('publisher' in updates && !('publishers' in updates) && Array.isArray(updated.publishers)) {
+    synced.publishers = reparse(updated.publishers, updated.publisher, DEFAULT_PUBLISHER_ROLE);
+  }
+  return synced;
+}
+
+module.exports = {
+  WRITER_ROLES,
+  PUBLISHER_ROLES,
+  DEFAULT_WRITER_ROLE,
+  DEFAULT_PUBLISHER_ROLE,
+  parseParty,
+  parsePartyList,
+  formatParty,
+  formatPartyList,
+  validateShares,
+  validateCueSplits,
+  splitsFromCue,
+  splitsToCueFields,
+  syncSplitsWithStrings
+};
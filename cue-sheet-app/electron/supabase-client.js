@@ -7,16 +7,14 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
-const { app } = require('electron');
+const { isPackaged: isPackagedApp } = require('./app-paths');
 const path = require('path');
 const fs = require('fs');
 
 // Try to load from .env file if it exists
 function loadEnvFile() {
   try {
-    // Check if app is available and isPackaged is defined
-    const isPackaged = app && typeof app.isPackaged !== 'undefined' ? app.isPackaged : false;
-    const envPath = isPackaged 
+    const envPath = isPackagedApp()
       ? path.join(process.resourcesPath, '.env')
       : path.join(__dirname, '..', '.env');
     
@@ -0,0 +1,754 @@
+/**
+ * Timeline Importers
+ *
+ * Readers for interchange formats other than .prproj:
+ *   - FCPXML (Final Cut Pro X / Resolve / Premiere "Export FCPXML")
+ *   - Premiere / Final Cut 7 XML (xmeml)
+ *   - CMX3600 EDL
+ *   - CSV/TSV clip lists (AAF exports run through AATranslator, Pro Tools session text, etc.)
+ *
+ * Every reader returns the same raw timeline shape that parseProjectXML builds
+ * from a .prproj, so import-pipeline turns it into clips the same way:
+ *   {
+ *     projectName,
+ *     sequences:  [{ id, name, timebase, zeroPointTicks, durationTicks? }],  // durationTicks when the format records the length
+ *     placements: [{ id, sequenceId, clipName, start, end, disabled }],  // Premiere ticks
+ *     audioNames: [clip names in order of first appearance],
+ *     pathsMap:   Map(file name / name without extension -> full path)
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const timeline = require('./timeline');
+
+const { TICKS_PER_SECOND } = timeline;
+
+const AUDIO_EXTENSION_PATTERN = /\.(wav|aif|aiff|mp3|m4a|flac)$/i;
+
+// Supported timeline formats by extension (.xml is sniffed for fcpxml vs xmeml)
+const TIMELINE_FORMATS = {
+  prproj: { label: 'Premiere Pro Project', extensions: ['prproj'] },
+  fcpxml: { label: 'Final Cut Pro XML', extensions: ['fcpxml', 'fcpxmld'] },
+  xmeml: { label: 'Premiere XML', extensions: ['xml'] },
+  edl: { label: 'EDL', extensions: ['edl'] },
+  csv: { label: 'CSV Clip List', extensions: ['csv', 'tsv', 'txt'] }
+};
+
+// Every extension the import wizard accepts
+const TIMELINE_EXTENSIONS = [...new Set(Object.values(TIMELINE_FORMATS).flatMap(format => format.extensions))];
+
+// Work out which reader handles a file
+function detectTimelineFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase().replace('.', '');
+  if (ext === 'prproj') return 'prproj';
+  if (ext === 'fcpxml' || ext === 'fcpxmld') return 'fcpxml';
+  if (ext === 'edl') return 'edl';
+  if (ext === 'csv' || ext === 'tsv' || ext === 'txt') return 'csv';
+  if (ext === 'xml') {
+    // Only the head of the file is needed to tell the two XML dialects apart
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(4096);
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      const head = buffer.toString('utf-8', 0, bytesRead);
+      if (/<fcpxml[\s>]/.test(head)) return 'fcpxml';
+      if (/<xmeml[\s>]/.test(head)) return 'xmeml';
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Shared helpers
+// ============================================
+
+// Parse XML into { name, attrs, children, text } nodes, keeping document order
+// (FCPXML spines are ordered and mix element types, so the default object mode loses information)
+function parseXmlTree(xmlContent) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    preserveOrder: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true
+  });
+
+  const convert = (entries) => {
+    const nodes = [];
+    for (const entry of entries || []) {
+      const name = Object.keys(entry).find(key => key !== ':@');
+      if (!name || name === '#text' || name.startsWith('?')) continue;
+      const children = entry[name] || [];
+      const textEntry = children.find(child => child['#text'] !== undefined);
+      nodes.push({
+        name,
+        attrs: entry[':@'] || {},
+        children: convert(children),
+        text: textEntry ? String(textEntry['#text']) : ''
+      });
+    }
+    return nodes;
+  };
+
+  return { name: '#document', attrs: {}, children: convert(parser.parse(xmlContent)), text: '' };
+}
+
+function childNamed(node, name) {
+  return node ? node.children.find(child => child.name === name) : undefined;
+}
+
+function childText(node, name) {
+  const child = childNamed(node, name);
+  return child ? child.text : '';
+}
+
+// Depth-first search for elements with a given name
+// stopAt: element names whose subtrees are not searched
+function findAll(node, name, stopAt = []) {
+  const found = [];
+  const walk = (current) => {
+    for (const child of current.children) {
+      if (child.name === name) found.push(child);
+      if (!stopAt.includes(child.name)) walk(child);
+    }
+  };
+  walk(node);
+  return found;
+}
+
+function secondsToTicks(seconds) {
+  return Math.round(seconds * TICKS_PER_SECOND);
+}
+
+// file://localhost/Volumes/Music/cue.wav -> /Volumes/Music/cue.wav
+function fileUrlToPath(url) {
+  if (!url) return '';
+  let result = url.replace(/^file:\/\/(localhost)?/i, '');
+  try {
+    result = decodeURIComponent(result);
+  } catch (err) {
+    // Leave malformed escapes as they are
+  }
+  // Windows drive letters come through as /C:/...
+  if (/^\/[A-Za-z]:\//.test(result)) result = result.slice(1);
+  return result;
+}
+
+function addPath(pathsMap, fullPath) {
+  if (!fullPath) return;
+  const filename = path.basename(fullPath);
+  pathsMap.set(filename, fullPath);
+  pathsMap.set(filename.replace(AUDIO_EXTENSION_PATTERN, ''), fullPath);
+}
+
+// Collects placements and keeps audioNames in order of first appearance
+function createTimelineCollector() {
+  const placements = [];
+  const audioNames = [];
+  const seenNames = new Set();
+
+  return {
+    placements,
+    audioNames,
+    add({ sequenceId, clipName, start, end, disabled = false }) {
+      if (!clipName || !(end > start)) return;
+      placements.push({
+        id: `placement-${placements.length + 1}`,
+        sequenceId,
+        clipName,
+        start,
+        end,
+        disabled
+      });
+      if (!seenNames.has(clipName)) {
+        seenNames.add(clipName);
+        audioNames.push(clipName);
+      }
+    }
+  };
+}
+
+// ============================================
+// FCPXML
+// ============================================
+
+// FCPXML times are rational seconds: "1001/30000s", "10s", "0s"
+function parseFcpTime(value) {
+  if (!value) return 0;
+  const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)(?:\/(\d+))?s?$/);
+  if (!match) return 0;
+  const numerator = parseFloat(match[1]);
+  const denominator = match[2] ? parseInt(match[2], 10) : 1;
+  return denominator ? numerator / denominator : 0;
+}
+
+// Story elements that carry media
+const FCP_CLIP_ELEMENTS = ['asset-clip', 'clip', 'audio', 'video', 'ref-clip', 'sync-clip', 'mc-clip'];
+
+// Story elements without media of their own that can still hold connected clips
+const FCP_CONTAINER_ELEMENTS = ['gap', 'title'];
+
+function parseFCPXML(filePath) {
+  // .fcpxmld bundles keep the document in Info.fcpxml
+  const documentPath = fs.statSync(filePath).isDirectory() ? path.join(filePath, 'Info.fcpxml') : filePath;
+  const root = parseXmlTree(fs.readFileSync(documentPath, 'utf-8'));
+  const fcpxml = childNamed(root, 'fcpxml');
+  if (!fcpxml) {
+    throw new Error('Not an FCPXML document (missing <fcpxml> root)');
+  }
+
+  // Resources: formats (frame rates), assets (media files) and nested sequences (compound clips)
+  const formats = new Map();
+  const assets = new Map();
+  const media = new Map();
+  for (const resource of childNamed(fcpxml, 'resources')?.children || []) {
+    if (resource.name === 'format') {
+      formats.set(resource.attrs.id, resource.attrs);
+    } else if (resource.name === 'asset') {
+      const mediaRep = childNamed(resource, 'media-rep');
+      const src = fileUrlToPath(resource.attrs.src || mediaRep?.attrs.src);
+      assets.set(resource.attrs.id, {
+        name: resource.attrs.name || (src ? path.basename(src) : ''),
+        src,
+        hasAudio: resource.attrs.hasAudio === '1',
+        hasVideo: resource.attrs.hasVideo === '1'
+      });
+    } else if (resource.name === 'media') {
+      media.set(resource.attrs.id, resource);
+    }
+  }
+
+  const pathsMap = new Map();
+  for (const asset of assets.values()) addPath(pathsMap, asset.src);
+
+  // Prefer the file name (with extension) so names line up with .prproj imports and pathsMap
+  const assetClipName = (asset, fallback) => {
+    if (asset && asset.src && AUDIO_EXTENSION_PATTERN.test(asset.src)) return path.basename(asset.src);
+    return (asset && asset.name) || fallback;
+  };
+
+  // An element is treated as music/effects audio when its media is audio-only,
+  // it is an <audio> element, or its role says so
+  const isAudioElement = (node, asset) => {
+    if (node.name === 'audio') return true;
+    const role = (node.attrs.audioRole || '').toLowerCase();
+    if (role.startsWith('music') || role.startsWith('effects')) return true;
+    if (asset && asset.hasAudio && !asset.hasVideo) return true;
+    return !!(asset && AUDIO_EXTENSION_PATTERN.test(asset.src || asset.name));
+  };
+
+  const projects = findAll(fcpxml, 'project');
+  // A bare <sequence> under <fcpxml> (no project wrapper) is still a timeline
+  const timelines = projects.length
+    ? projects.map(project => ({ name: project.attrs.name, id: project.attrs.uid || project.attrs.id, sequence: childNamed(project, 'sequence') }))
+    : findAll(fcpxml, 'sequence', ['resources']).map(sequence => ({ name: sequence.attrs.name, id: null, sequence }));
+
+  const sequences = [];
+  const collector = createTimelineCollector();
+
+  timelines.forEach((entry, index) => {
+    if (!entry.sequence) return;
+    const sequenceNode = entry.sequence;
+    const format = formats.get(sequenceNode.attrs.format) || {};
+    const frameDuration = parseFcpTime(format.frameDuration);
+    const dropFrame = (sequenceNode.attrs.tcFormat || '').toUpperCase() === 'DF';
+    const timebase = frameDuration > 0 ? timeline.timebaseFromFps(1 / frameDuration, dropFrame) : null;
+    const tcStart = parseFcpTime(sequenceNode.attrs.tcStart);
+    const sequenceId = entry.id || `fcpxml-sequence-${index + 1}`;
+
+    sequences.push({
+      id: sequenceId,
+      name: entry.name || sequenceNode.attrs.name || `Sequence ${index + 1}`,
+      timebase,
+      zeroPointTicks: secondsToTicks(tcStart),
+      durationTicks: secondsToTicks(parseFcpTime(sequenceNode.attrs.duration))
+    });
+
+    // Spine offsets are in sequence time, which starts at tcStart.
+    // A child's offset is in its parent's source time, so its position on the
+    // sequence is parentPosition + (child.offset - parent.start).
+    const walkStory = (node, parentPosition, parentStart, parentDisabled, depth) => {
+      for (const child of node.children) {
+        if (child.name === 'spine') {
+          const spineOffset = parseFcpTime(child.attrs.offset);
+          const spinePosition = child.attrs.offset ? parentPosition + (spineOffset - parentStart) : parentPosition;
+          walkStory(child, spinePosition, child.attrs.offset ? spineOffset : parentStart, parentDisabled, depth + 1);
+          continue;
+        }
+        const isContainer = FCP_CONTAINER_ELEMENTS.includes(child.name);
+        if (!isContainer && !FCP_CLIP_ELEMENTS.includes(child.name)) continue;
+
+        const offset = parseFcpTime(child.attrs.offset);
+        const start = parseFcpTime(child.attrs.start);
+        const duration = parseFcpTime(child.attrs.duration);
+        const position = parentPosition + (offset - parentStart);
+        const disabled = parentDisabled || child.attrs.enabled === '0';
+        const asset = isContainer ? null : assets.get(child.attrs.ref);
+
+        if (child.name === 'ref-clip' && media.has(child.attrs.ref)) {
+          // Compound clip: walk the nested sequence with this clip's window
+          const nested = childNamed(media.get(child.attrs.ref), 'sequence');
+          if (nested && depth < 8) walkStory(nested, position, start, disabled, depth + 1);
+          continue;
+        }
+
+        if (asset && isAudioElement(child, asset)) {
+          const begin = position - tcStart;
+          collector.add({
+            sequenceId,
+            clipName: assetClipName(asset, child.attrs.name),
+            start: secondsToTicks(begin),
+            end: secondsToTicks(begin + duration),
+            disabled
+          });
+        }
+
+        // Connected clips and the clip's own audio/video components
+        walkStory(child, position, start, disabled, depth + 1);
+      }
+    };
+
+    walkStory(sequenceNode, tcStart, tcStart, false, 0);
+  });
+
+  if (sequences.length === 0) {
+    throw new Error('No projects or sequences found in FCPXML');
+  }
+
+  const library = findAll(fcpxml, 'event')[0];
+  return {
+    projectName: (projects[0] && projects[0].attrs.name) || (library && library.attrs.name) || path.basename(filePath, path.extname(filePath)),
+    sequences,
+    placements: collector.placements,
+    audioNames: collector.audioNames,
+    pathsMap
+  };
+}
+
+// ============================================
+// Premiere / Final Cut 7 XML (xmeml)
+// ============================================
+
+function xmemlTimebase(rateNode, displayFormat) {
+  const base = parseInt(childText(rateNode, 'timebase'), 10);
+  if (!(base > 0)) return null;
+  const ntsc = childText(rateNode, 'ntsc').toUpperCase() === 'TRUE';
+  return timeline.timebaseFromFps(ntsc ? (base * 1000) / 1001 : base, (displayFormat || '').toUpperCase() === 'DF');
+}
+
+function parseXmeml(filePath) {
+  const root = parseXmlTree(fs.readFileSync(filePath, 'utf-8'));
+  const xmeml = childNamed(root, 'xmeml');
+  if (!xmeml) {
+    throw new Error('Not a Premiere XML document (missing <xmeml> root)');
+  }
+
+  // Sequences nested inside clipitems are references to other sequences, not timelines
+  const sequenceNodes = findAll(xmeml, 'sequence', ['clipitem', 'file']);
+  if (sequenceNodes.length === 0) {
+    throw new Error('No sequences found in Premiere XML');
+  }
+
+  // <file id="file-3"/> is only filled in on first use; later clipitems refer back by id
+  const files = new Map();
+  for (const fileNode of findAll(xmeml, 'file')) {
+    if (fileNode.children.length > 0 && fileNode.attrs.id) {
+      files.set(fileNode.attrs.id, {
+        name: childText(fileNode, 'name'),
+        path: fileUrlToPath(childText(fileNode, 'pathurl'))
+      });
+    }
+  }
+
+  const pathsMap = new Map();
+  for (const file of files.values()) addPath(pathsMap, file.path);
+
+  const sequences = [];
+  const collector = createTimelineCollector();
+
+  sequenceNodes.forEach((sequenceNode, index) => {
+    const timecodeNode = childNamed(sequenceNode, 'timecode');
+    const displayFormat = childText(timecodeNode, 'displayformat');
+    const timebase = xmemlTimebase(childNamed(sequenceNode, 'rate'), displayFormat) || timeline.normalizeTimebase();
+    const framesToTicks = (frames) => secondsToTicks(frames / timebase.fps);
+    const sequenceId = sequenceNode.attrs.id || `xmeml-sequence-${index + 1}`;
+
+    // Start timecode: <frame> is the frame count; fall back to parsing <string>
+    const zeroFrames = timecodeNode
+      ? (parseInt(childText(timecodeNode, 'frame'), 10) || timeline.timecodeToFrames(childText(timecodeNode, 'string'), timebase) || 0)
+      : 0;
+
+    sequences.push({
+      id: sequenceId,
+      name: childText(sequenceNode, 'name') || `Sequence ${index + 1}`,
+      timebase,
+      zeroPointTicks: framesToTicks(zeroFrames),
+      durationTicks: framesToTicks(parseInt(childText(sequenceNode, 'duration'), 10) || 0)
+    });
+
+    const audio = childNamed(childNamed(sequenceNode, 'media'), 'audio');
+    for (const track of audio?.children.filter(child => child.name === 'track') || []) {
+      const trackDisabled = childText(track, 'enabled').toUpperCase() === 'FALSE';
+
+      for (const clipitem of track.children.filter(child => child.name === 'clipitem')) {
+        let start = parseInt(childText(clipitem, 'start'), 10);
+        let end = parseInt(childText(clipitem, 'end'), 10);
+        const length = parseInt(childText(clipitem, 'out'), 10) - parseInt(childText(clipitem, 'in'), 10);
+        // -1 means the edge sits inside a transition; recover it from the source in/out
+        if (start < 0 && end >= 0 && length > 0) start = end - length;
+        if (end < 0 && start >= 0 && length > 0) end = start + length;
+        if (!(start >= 0) || !(end > start)) continue;
+
+        const fileNode = childNamed(clipitem, 'file');
+        const file = fileNode ? files.get(fileNode.attrs.id) : null;
+        const clipName = (file && file.name) || childText(clipitem, 'name');
+
+        collector.add({
+          sequenceId,
+          clipName,
+          start: framesToTicks(start),
+          end: framesToTicks(end),
+          disabled: trackDisabled || childText(clipitem, 'enabled').toUpperCase() === 'FALSE'
+        });
+      }
+    }
+  });
+
+  return {
+    projectName: childText(childNamed(xmeml, 'project'), 'name') || path.basename(filePath, path.extname(filePath)),
+    sequences,
+    placements: collector.placements,
+    audioNames: collector.audioNames,
+    pathsMap
+  };
+}
+
+// ============================================
+// CMX3600 EDL
+// ============================================
+
+const EDL_TIMECODE = /^\d{1,2}[:;.]\d{2}[:;.]\d{2}[:;.]\d{2}$/;
+
+// EDLs don't record a frame rate: drop-frame EDLs are 29.97, otherwise options.fps
+function parseEDL(filePath, options = {}) {
+  const lines = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/);
+
+  let title = '';
+  let dropFrame = false;
+  const events = [];
+  let lastEvent = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const titleMatch = line.match(/^TITLE:\s*(.*)$/i);
+    if (titleMatch) {
+      title = titleMatch[1].trim();
+      continue;
+    }
+
+    const fcmMatch = line.match(/^FCM:\s*(.*)$/i);
+    if (fcmMatch) {
+      // Only the header FCM sets the timebase; per-event FCM lines follow it
+      if (events.length === 0) dropFrame = /^DROP/i.test(fcmMatch[1].trim());
+      continue;
+    }
+
+    // Clip name comments belong to the event above them
+    const commentMatch = line.match(/^\*\s*(FROM CLIP NAME|SOURCE FILE|TO CLIP NAME)\s*:\s*(.*)$/i);
+    if (commentMatch && lastEvent) {
+      const key = commentMatch[1].toUpperCase();
+      const value = commentMatch[2].trim();
+      if (key === 'FROM CLIP NAME' && !lastEvent.clipName) lastEvent.clipName = value;
+      if (key === 'SOURCE FILE') lastEvent.sourceFile = value;
+      continue;
+    }
+
+    // 001  AX  A2  C  [dur]  srcIn srcOut recIn recOut
+    const tokens = line.split(/\s+/);
+    if (/^\d+$/.test(tokens[0]) && tokens.length >= 8) {
+      const timecodes = tokens.slice(-4);
+      if (!timecodes.every(tc => EDL_TIMECODE.test(tc))) continue;
+
+      // Dissolves list the same event twice (outgoing/incoming); keep the later record
+      lastEvent = {
+        number: tokens[0],
+        reel: tokens[1],
+        track: tokens[2].toUpperCase(),
+        recordIn: timecodes[2],
+        recordOut: timecodes[3],
+        clipName: '',
+        sourceFile: ''
+      };
+      events.push(lastEvent);
+    }
+  }
+
+  if (events.length === 0) {
+    throw new Error('No events found in EDL');
+  }
+
+  const timebase = dropFrame
+    ? timeline.timebaseFromFps(30000 / 1001, true)
+    : timeline.normalizeTimebase(options.fps);
+  const toFrames = (tc) => timeline.timecodeToFrames(tc, timebase);
+  const framesToTicks = (frames) => secondsToTicks(frames / timebase.fps);
+
+  // The program starts at the earliest record-in of any event (usually 01:00:00:00)
+  const zeroFrames = Math.min(...events.map(event => toFrames(event.recordIn)));
+  const sequenceId = 'edl-sequence-1';
+  const pathsMap = new Map();
+  const collector = createTimelineCollector();
+
+  for (const event of events) {
+    // Audio events: A, A2, AA, A1/V, AA/V and B (picture + A1); black and video-only events are skipped
+    if (!(/A/.test(event.track) || event.track === 'B') || event.reel === 'BL') continue;
+
+    if (event.sourceFile) addPath(pathsMap, event.sourceFile);
+    const clipName = event.clipName || (event.sourceFile ? path.basename(event.sourceFile) : event.reel);
+
+    collector.add({
+      sequenceId,
+      clipName,
+      start: framesToTicks(toFrames(event.recordIn) - zeroFrames),
+      end: framesToTicks(toFrames(event.recordOut) - zeroFrames)
+    });
+  }
+
+  const name = title || path.basename(filePath, path.extname(filePath));
+  return {
+    projectName: name,
+    // Picture events count towards the program length too
+    sequences: [{
+      id: sequenceId,
+      name,
+      timebase,
+      zeroPointTicks: framesToTicks(zeroFrames),
+      durationTicks: framesToTicks(Math.max(...events.map(event => toFrames(event.recordOut))) - zeroFrames)
+    }],
+    placements: collector.placements,
+    audioNames: collector.audioNames,
+    pathsMap
+  };
+}
+
+// ============================================
+// CSV / TSV clip lists
+// ============================================
+
+// Split delimited text into rows, honouring quoted fields
+// Blank rows are dropped unless options.keepEmptyRows is set
+function parseDelimited(text, delimiter, options = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === sep) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const trimmed = rows.map(cells => cells.map(cell => cell.trim()));
+  return options.keepEmptyRows ? trimmed : trimmed.filter(cells => cells.some(Boolean));
+}
+
+// Pick whichever of tab/comma/semicolon splits the first lines most consistently
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).filter(Boolean).slice(0, 10);
+  let best = ',';
+  let bestScore = 0;
+  for (const candidate of ['\t', ',', ';']) {
+    const score = sample.reduce((sum, line) => sum + line.split(candidate).length - 1, 0);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Header aliases for clip list columns (lowercased, punctuation stripped)
+const CLIP_LIST_COLUMNS = {
+  name: ['clip name', 'name', 'clip', 'source name', 'file name', 'filename', 'event clip name', 'source file'],
+  start: ['start', 'start time', 'record in', 'rec in', 'timeline in', 'tc in', 'in', 'source start'],
+  end: ['end', 'end time', 'record out', 'rec out', 'timeline out', 'tc out', 'out'],
+  duration: ['duration', 'length'],
+  sequence: ['sequence', 'sequence name', 'timeline', 'composition', 'session'],
+  path: ['path', 'file path', 'source path', 'media path', 'file location'],
+  state: ['state', 'muted', 'enabled', 'status']
+};
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function mapClipListHeader(cells) {
+  const columns = {};
+  cells.forEach((cell, index) => {
+    const header = normalizeHeader(cell);
+    for (const [key, aliases] of Object.entries(CLIP_LIST_COLUMNS)) {
+      if (columns[key] === undefined && aliases.includes(header)) {
+        columns[key] = index;
+        if (key === 'state') columns.stateHeader = header;
+        break;
+      }
+    }
+  });
+  // A usable header needs a name and a start, plus either an end or a duration
+  return columns.name !== undefined && columns.start !== undefined && (columns.end !== undefined || columns.duration !== undefined)
+    ? columns
+    : null;
+}
+
+// Clip list times may be timecode (HH:MM:SS:FF / HH:MM:SS;FF) or seconds
+// options.fps sets the timebase for timecode columns (default 23.976);
+// a ';' separator marks drop-frame
+function parseCueListCSV(filePath, options = {}) {
+  const rows = parseDelimited(fs.readFileSync(filePath, 'utf-8'), options.delimiter);
+
+  const headerIndex = rows.findIndex(cells => mapClipListHeader(cells));
+  if (headerIndex === -1) {
+    throw new Error('No clip list header found (expected columns like Name, Start, End or Duration)');
+  }
+
+  const baseTimebase = timeline.normalizeTimebase(options.fps);
+  const usesDropFrame = rows.some(cells => cells.some(cell => /^\d{1,2}:\d{2}:\d{2};\d{2}$/.test(cell)));
+  const timebase = usesDropFrame ? timeline.timebaseFromFps(baseTimebase.fps, true) : baseTimebase;
+  const toTicks = (value) => timeline.timecodeToTicks(value, timebase);
+
+  const projectName = path.basename(filePath, path.extname(filePath));
+  const sequencesByName = new Map();
+  const pathsMap = new Map();
+  const collector = createTimelineCollector();
+  let columns = null;
+  let trackSequence = null;
+
+  for (const cells of rows.slice(headerIndex)) {
+    // Session-style exports repeat the header per track ("TRACK NAME:" lines in between)
+    const header = mapClipListHeader(cells);
+    if (header) {
+      columns = header;
+      continue;
+    }
+    const sessionMatch = (cells[0] || '').match(/^SESSION NAME:\s*(.*)$/i);
+    if (sessionMatch) {
+      trackSequence = sessionMatch[1].trim() || trackSequence;
+      continue;
+    }
+    if (!columns) continue;
+
+    const clipName = cells[columns.name];
+    const start = toTicks(cells[columns.start]);
+    const duration = columns.duration !== undefined ? toTicks(cells[columns.duration]) : null;
+    const endValue = columns.end !== undefined ? toTicks(cells[columns.end]) : null;
+    const end = endValue != null ? endValue : (start != null && duration != null ? start + duration : null);
+    if (!clipName || start == null || end == null) continue;
+
+    const sequenceName = (columns.sequence !== undefined && cells[columns.sequence]) || trackSequence || projectName;
+    if (!sequencesByName.has(sequenceName)) {
+      sequencesByName.set(sequenceName, {
+        id: `csv-sequence-${sequencesByName.size + 1}`,
+        name: sequenceName,
+        timebase,
+        starts: []
+      });
+    }
+    const sequence = sequencesByName.get(sequenceName);
+    sequence.starts.push(start);
+
+    const state = columns.state !== undefined ? (cells[columns.state] || '').toLowerCase() : '';
+    const disabled = state === 'muted' || state === 'disabled' ||
+      (columns.stateHeader === 'muted' && ['true', 'yes', '1'].includes(state)) ||
+      (columns.stateHeader === 'enabled' && ['false', 'no', '0'].includes(state));
+
+    if (columns.path !== undefined) addPath(pathsMap, cells[columns.path]);
+    collector.add({ sequenceId: sequence.id, clipName, start, end, disabled });
+  }
+
+  if (collector.placements.length === 0) {
+    throw new Error('No clips found in clip list');
+  }
+
+  // Rows carry absolute timecode; like an EDL the program starts at the earliest row
+  const sequences = [...sequencesByName.values()].map(sequence => ({
+    id: sequence.id,
+    name: sequence.name,
+    timebase: sequence.timebase,
+    zeroPointTicks: Math.min(...sequence.starts)
+  }));
+  const zeroById = new Map(sequences.map(sequence => [sequence.id, sequence.zeroPointTicks]));
+  for (const placement of collector.placements) {
+    const zero = zeroById.get(placement.sequenceId) || 0;
+    placement.start -= zero;
+    placement.end -= zero;
+  }
+
+  return {
+    projectName,
+    sequences,
+    placements: collector.placements,
+    audioNames: collector.audioNames,
+    pathsMap
+  };
+}
+
+// Read any supported non-.prproj timeline into the raw shape
+function readTimeline(filePath, options = {}) {
+  const format = options.format || detectTimelineFormat(filePath);
+  switch (format) {
+    case 'fcpxml': return { format, ...parseFCPXML(filePath, options) };
+    case 'xmeml': return { format, ...parseXmeml(filePath, options) };
+    case 'edl': return { format, ...parseEDL(filePath, options) };
+    case 'csv': return { format, ...parseCueListCSV(filePath, options) };
+    default:
+      throw new Error(`Unsupported timeline format: ${path.basename(filePath)}`);
+  }
+}
+
+module.exports = {
+  readTimeline,
+  detectTimelineFormat,
+  parseFCPXML,
+  parseXmeml,
+  parseEDL,
+  parseCueListCSV,
+  parseDelimited,
+  parseFcpTime,
+  TIMELINE_FORMATS,
+  TIMELINE_EXTENSIONS
+};
@@ -0,0 +1,332 @@
+/**
+ * Timeline Module
+ *
+ * Interval math for cue placements on a sequence timeline.
+ * A span is { sequenceId, startTicks, endTicks, zeroPointTicks } in Premiere
+ * ticks; zeroPointTicks is the sequence start timecode.
+ *
+ * Placements of the same cue that overlap or abut (stacked on several tracks,
+ * cut back-to-back, stems playing together) are one on-air use, so durations
+ * are measured on the merged spans rather than by summing placements.
+ *
+ * Also converts ticks to frames/timecode for a sequence timebase
+ * ({ fps, nominalFps, dropFrame, label }), including drop-frame counting,
+ * and applies the delivery spec's rounding rule for cue lengths.
+ */
+
+const TICKS_PER_SECOND = 254016000000;
+
+// Duration reporting modes for a cue sheet (projectInfo.durationMode)
+const DURATION_MODES = {
+  TOTAL: 'total',     // One row per cue, total on-air time
+  PER_USE: 'per-use'  // One row per on-air use (merged span)
+};
+
+// Premiere's MZ.Sequence.VideoTimeDisplayFormat codes
+const DISPLAY_FORMATS = {
+  100: { fps: 24, dropFrame: false },
+  101: { fps: 25, dropFrame: false },
+  102: { fps: 30000 / 1001, dropFrame: true },
+  103: { fps: 30000 / 1001, dropFrame: false },
+  104: { fps: 30, dropFrame: false },
+  105: { fps: 50, dropFrame: false },
+  106: { fps: 60000 / 1001, dropFrame: true },
+  107: { fps: 60000 / 1001, dropFrame: false },
+  108: { fps: 60, dropFrame: false },
+  110: { fps: 24000 / 1001, dropFrame: false }
+};
+
+const DEFAULT_FPS = 24000 / 1001;
+
+// Cue length rounding rules (delivery specs differ on when a partial second counts)
+const ROUNDING_RULES = {
+  'frame-12': { label: 'Round up at :12 frames', roundsUp: (frames) => frames >= 12 },
+  'half-second': { label: 'Round up at half a second', roundsUp: (frames, tb) => frames >= Math.ceil(tb.nominalFps / 2) },
+  'any-frame': { label: 'Round up any partial second', roundsUp: (frames) => frames > 0 },
+  'truncate': { label: 'Drop partial seconds', roundsUp: () => false }
+};
+
+const DEFAULT_ROUNDING = 'frame-12';
+
+// Build a timebase from a frame rate (exact or nominal, e.g. 29.97)
+function timebaseFromFps(fps, dropFrame = false) {
+  const nominalFps = Math.round(fps);
+  // Snap 23.976/29.97/59.94 style rates to their exact NTSC value
+  const exactFps = Math.abs(fps - nominalFps) > 0.001 ? (nominalFps * 1000) / 1001 : nominalFps;
+  const canDrop = dropFrame && (nominalFps === 30 || nominalFps === 60);
+  const rateLabel = String(Math.round(exactFps * 1000) / 1000);
+  return {
+    fps: exactFps,
+    nominalFps,
+    dropFrame: canDrop,
+    label: canDrop ? `${rateLabel} DF` : rateLabel
+  };
+}
+
+// Resolve a sequence timebase from the display format code, falling back to the video frame duration
+function resolveTimebase({ displayFormat, ticksPerFrame } = {}) {
+  const known = DISPLAY_FORMATS[displayFormat];
+  if (known) return timebaseFromFps(known.fps, known.dropFrame);
+  if (ticksPerFrame > 0) return timebaseFromFps(TICKS_PER_SECOND / ticksPerFrame, false);
+  return null;
+}
+
+// Accept a timebase object or a bare fps number
+function normalizeTimebase(timebase) {
+  if (timebase && typeof timebase === 'object' && timebase.nominalFps) return timebase;
+  return timebaseFromFps(typeof timebase === 'number' && timebase > 0 ? timebase : DEFAULT_FPS);
+}
+
+function ticksToFrames(ticks, timebase) {
+  const tb = normalizeTimebase(timebase);
+  return Math.round((ticks / TICKS_PER_SECOND) * tb.fps);
+}
+
+// Split a frame count into timecode parts, applying drop-frame numbering when needed
+function framesToParts(frameCount, timebase) {
+  const tb = normalizeTimebase(timebase);
+  let frames = Math.max(0, Math.round(frameCount));
+  
+  if (tb.dropFrame) {
+    const dropped = tb.nominalFps === 60 ? 4 : 2;
+    const framesPerMinute = tb.nominalFps * 60 - dropped;
+    const framesPer10Minutes = framesPerMinute * 10 + dropped;
+    const tens = Math.floor(frames / framesPer10Minutes);
+    const remainder = frames % framesPer10Minutes;
+    frames += dropped * 9 * tens;
+    if (remainder > dropped) {
+      frames += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+    }
+  }
+  
+  const fps = tb.nominalFps;
+  return {
+    hours: Math.floor(frames / (fps * 3600)),
+    minutes: Math.floor(frames / (fps * 60)) % 60,
+    seconds: Math.floor(frames / fps) % 60,
+    frames: frames % fps
+  };
+}
+
+// Parse HH:MM:SS:FF (or HH:MM:SS;FF) into a frame count; inverse of framesToParts
+// Bare numbers are read as seconds. Returns null for anything unparseable.
+function timecodeToFrames(timecode, timebase) {
+  const tb = normalizeTimebase(timebase);
+  const text = String(timecode == null ? '' : timecode).trim();
+  if (!text) return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * tb.fps);
+  
+  const match = text.match(/^(?:(\d+)[:;.])?(\d+)[:;.](\d+)[:;.](\d+)$/);
+  if (!match) return null;
+  const [hours, minutes, seconds, frames] = match.slice(1).map(n => parseInt(n || '0', 10));
+  const fps = tb.nominalFps;
+  let total = ((hours * 60 + minutes) * 60 + seconds) * fps + frames;
+  
+  if (tb.dropFrame) {
+    const dropped = fps === 60 ? 4 : 2;
+    const totalMinutes = hours * 60 + minutes;
+    total -= dropped * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+  return total;
+}
+
+// Timecode -> ticks in the given timebase (null when unparseable)
+function timecodeToTicks(timecode, timebase) {
+  const tb = normalizeTimebase(timebase);
+  const frames = timecodeToFrames(timecode, tb);
+  return frames == null ? null : Math.round((frames / tb.fps) * TICKS_PER_SECOND);
+}
+
+// Format ticks as HH:MM:SS:FF (HH:MM:SS;FF for drop-frame)
+// offsetTicks is the sequence start timecode (MZ.ZeroPoint)
+function ticksToTimecode(ticks, timebase, offsetTicks = 0) {
+  const tb = normalizeTimebase(timebase);
+  const parts = framesToParts(ticksToFrames(ticks + offsetTicks, tb), tb);
+  const pad = (n) => n.toString().padStart(2, '0');
+  const sep = tb.dropFrame ? ';' : ':';
+  return `${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}${sep}${pad(parts.frames)}`;
+}
+
+// Cue length from ticks: whole seconds plus leftover frames, with the rounding rule applied
+function ticksToCueLength(ticks, timebase, rule = DEFAULT_ROUNDING) {
+  const tb = normalizeTimebase(timebase);
+  const parts = framesToParts(ticksToFrames(ticks, tb), tb);
+  const roundingRule = ROUNDING_RULES[rule] || ROUNDING_RULES[DEFAULT_ROUNDING];
+  
+  let totalSeconds = parts.hours * 3600 + parts.minutes * 60 + parts.seconds;
+  let frames = parts.frames;
+  const wasRounded = frames > 0 && roundingRule.roundsUp(frames, tb);
+  if (wasRounded) {
+    totalSeconds += 1;
+    frames = 0;
+  }
+  
+  return { totalSeconds, frames, wasRounded, timebase: tb };
+}
+
+// Merge overlapping and abutting spans into on-air uses
+// Spans from different sequences never merge (their timelines are unrelated)
+function mergeSpans(spans) {
+  const bySequence = new Map();
+  for (const span of spans || []) {
+    if (!(span.endTicks > span.startTicks)) continue;
+    const key = span.sequenceId || null;
+    if (!bySequence.has(key)) bySequence.set(key, []);
+    bySequence.get(key).push(span);
+  }
+
+  const merged = [];
+  for (const [sequenceId, list] of bySequence) {
+    list.sort((a, b) => a.startTicks - b.startTicks);
+
+    let current = null;
+    for (const span of list) {
+      if (current && span.startTicks <= current.endTicks) {
+        current.endTicks = Math.max(current.endTicks, span.endTicks);
+      } else {
+        current = { sequenceId, startTicks: span.startTicks, endTicks: span.endTicks, zeroPointTicks: span.zeroPointTicks || 0 };
+        merged.push(current);
+      }
+    }
+  }
+
+  merged.sort((a, b) => a.startTicks - b.startTicks);
+  return merged.map(span => ({ ...span, durationTicks: span.endTicks - span.startTicks }));
+}
+
+// Total on-air ticks for a set of spans (overlaps counted once)
+function totalTicks(spans) {
+  return mergeSpans(spans).reduce((sum, span) => sum + span.durationTicks, 0);
+}
+
+// Union of several span lists (e.g. a main cue and its stems)
+function unionSpans(...spanLists) {
+  return mergeSpans(spanLists.flat().filter(Boolean));
+}
+
+// Format seconds as M:SS using the timebase and rounding rule
+function formatSeconds(seconds, timebase, rule = DEFAULT_ROUNDING) {
+  const { totalSeconds } = ticksToCueLength(seconds * TICKS_PER_SECOND, timebase, rule);
+  const mins = Math.floor(totalSeconds / 60);
+  const secs = totalSeconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Program timecodes for one use (span) of a cue
+function spanTimecodes(span, timebase) {
+  return {
+    tcIn: ticksToTimecode(span.startTicks, timebase, span.zeroPointTicks || 0),
+    tcOut: ticksToTimecode(span.endTicks, timebase, span.zeroPointTicks || 0)
+  };
+}
+
+// Set tcIn/tcOut on a cue (first use in, last use out) and on each of its segments
+function applyTimecodes(cue) {
+  if (!cue.segments || cue.segments.length === 0) return cue;
+  const timebase = cue.timebase || cue.fps;
+  const segments = cue.segments.map(seg => ({ ...seg, ...spanTimecodes(seg, timebase) }));
+  return {
+    ...cue,
+    segments,
+    tcIn: segments[0].tcIn,
+    tcOut: segments[segments.length - 1].tcOut
+  };
+}
+
+// Rows for a cue sheet export
+// Each row is { cue, number, isSubRow, duration, tcIn, tcOut }; number is the cue
+// number printed in the first column (null for sub-rows).
+// - per-use mode: every use is its own numbered row
+// - total mode with timecodes: the cue row carries the total length, followed by
+//   one un-numbered sub-row per use when the cue is used more than once
+function buildExportRows(cues, projectInfo = {}) {
+  const rule = projectInfo.durationRounding || DEFAULT_ROUNDING;
+  const withTimecodes = !!projectInfo.showTimecodes;
+  const expanded = expandCuesForDurationMode(cues, projectInfo.durationMode, rule);
+  
+  const rows = [];
+  let number = 0;
+  for (const cue of expanded) {
+    const uses = (cue.segments || []).map(seg => ({
+      ...seg,
+      ...spanTimecodes(seg, cue.timebase || cue.fps)
+    }));
+    number++;
+    rows.push({
+      cue,
+      number,
+      isSubRow: false,
+      duration: cue.duration || '',
+      tcIn: uses.length ? uses[0].tcIn : (cue.tcIn || ''),
+      tcOut: uses.length ? uses[uses.length - 1].tcOut : (cue.tcOut || '')
+    });
+    
+    if (withTimecodes && uses.length > 1) {
+      for (const use of uses) {
+        rows.push({
+          cue,
+          number: null,
+          isSubRow: true,
+          duration: formatSeconds((use.endTicks - use.startTicks) / TICKS_PER_SECOND, cue.timebase || cue.fps, rule),
+          tcIn: use.tcIn,
+          tcOut: use.tcOut
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+// Expand cues into export rows for the cue sheet's duration mode
+// In per-use mode every merged span becomes its own row with that span's duration;
+// cues without timeline spans (manual entries, older imports) stay as a single row
+function expandCuesForDurationMode(cues, mode = DURATION_MODES.TOTAL, rule = DEFAULT_ROUNDING) {
+  if (mode !== DURATION_MODES.PER_USE) return cues;
+
+  const rows = [];
+  for (const cue of cues) {
+    const uses = cue.segments && cue.segments.length > 1 ? mergeSpans(cue.segments) : null;
+    if (!uses || uses.length < 2) {
+      rows.push(cue);
+      continue;
+    }
+
+    uses.forEach((use, index) => {
+      const seconds = use.durationTicks / TICKS_PER_SECOND;
+      rows.push({
+        ...cue,
+        duration: formatSeconds(seconds, cue.timebase || cue.fps, rule),
+        durationSeconds: seconds,
+        segments: [use],
+        useIndex: index + 1,
+        useCount: uses.length
+      });
+    });
+  }
+  return rows;
+}
+
+module.exports = {
+  mergeSpans,
+  totalTicks,
+  unionSpans,
+  formatSeconds,
+  expandCuesForDurationMode,
+  spanTimecodes,
+  applyTimecodes,
+  buildExportRows,
+  timebaseFromFps,
+  resolveTimebase,
+  normalizeTimebase,
+  ticksToFrames,
+  framesToParts,
+  ticksToTimecode,
+  timecodeToFrames,
+  timecodeToTicks,
+  ticksToCueLength,
+  DURATION_MODES,
+  DISPLAY_FORMATS,
+  ROUNDING_RULES,
+  DEFAULT_ROUNDING,
+  TICKS_PER_SECOND
+};
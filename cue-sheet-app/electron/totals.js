@@ -0,0 +1,213 @@
+/**
+ * Cue Sheet Totals
+ *
+ * Total music time, time by use (BI/BV/VI...), by library/publisher, by cue
+ * type (music/SFX), library vs commercial music, and music as a percentage
+ * of program length - the numbers networks ask for alongside a cue sheet.
+ *
+ * Cue lengths are counted in whole seconds as they appear on the sheet, so
+ * the totals agree with the exported rows. Where imported cues overlap on the
+ * timeline (their segments), the shared time is counted once. Music totals
+ * cover music cues only; sound effects appear in the cue type breakdown.
+ * Hidden cues are left out.
+ *
+ * Program length is projectInfo.programLength ("m:ss" or "h:mm:ss"). Imports
+ * fill it from the parsed sequence; it can be edited in the Project panel.
+ */
+
+const { splitsFromCue } = require('./splits');
+const { totalTicks, unionSpans, TICKS_PER_SECOND } = require('./timeline');
+
+// Blank use codes export as BI in the standard template
+const DEFAULT_USE = 'BI';
+
+const USE_LABELS = {
+  BI: 'Background Instrumental',
+  BV: 'Background Vocal',
+  VI: 'Visual Instrumental',
+  VV: 'Visual Vocal',
+  MT: 'Main Title',
+  ET: 'End Title'
+};
+
+const CUE_TYPE_LABELS = {
+  main: 'Music',
+  sfx: 'Sound Effects'
+};
+
+const SOURCE_LABELS = {
+  library: 'Library',
+  commercial: 'Commercial',
+  unidentified: 'Unidentified'
+};
+
+// Labels and sources that mark production (library) music
+const LIBRARY_PATTERN = /\b(production music|music library|library|bmgpm|apm|extreme music|killer tracks|firstcom|artlist|epidemic sound|audiojungle|premiumbeat)\b/i;
+
+function hasValue(value) {
+  const text = String(value ?? '').trim();
+  return text !== '' && text !== '-';
+}
+
+// Cue length in whole seconds: "1:05", "1:05;12" and "1:05:12" are all 65 (frames are dropped on export)
+function cueSeconds(cue) {
+  const match = String(cue.duration || '').match(/^(\d+):(\d{1,2})/);
+  if (match) return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return typeof cue.durationSeconds === 'number' ? Math.round(cue.durationSeconds) : 0;
+}
+
+// Program length as typed: "h:mm:ss", "m:ss" or plain seconds
+function parseProgramLength(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text));
+  const parts = text.split(':');
+  if (parts.length < 2 || parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+  return parts.reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+// 65 -> "1:05", 3725 -> "1:02:05"
+function formatTotal(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Best guess from the cue's library, catalog code, label and artist
+function musicSource(cue) {
+  if (hasValue(cue.library) || hasValue(cue.catalogCode)) return 'library';
+  if ([cue.label, cue.source, cue.masterContact].some(value => hasValue(value) && LIBRARY_PATTERN.test(value))) return 'library';
+  if (hasValue(cue.artist) || hasValue(cue.label)) return 'commercial';
+  return 'unidentified';
+}
+
+// Library name, else the first publisher
+function libraryOrPublisher(cue) {
+  if (hasValue(cue.library)) return cue.library.trim();
+  if (hasValue(cue.label)) return cue.label.trim();
+  const [publisher] = splitsFromCue(cue).publishers;
+  return publisher?.name || '';
+}
+
+function addTo(groups, key, label, cue) {
+  const group = groups.get(key) || { key, label, count: 0, cues: [] };
+  group.count++;
+  group.cues.push(cue);
+  groups.set(key, group);
+}
+
+// Sheet seconds for a set of cues, less the time their timeline segments overlap
+function onAirSeconds(cues) {
+  const sheetSeconds = cues.reduce((sum, cue) => sum + cueSeconds(cue), 0);
+  const placed = cues.filter(cue => Array.isArray(cue.segments) && cue.segments.length > 0);
+  if (placed.length < 2) return sheetSeconds;
+  const separateTicks = placed.reduce((sum, cue) => sum + totalTicks(cue.segments), 0);
+  const unionTicks = totalTicks(unionSpans(...placed.map(cue => cue.segments)));
+  const overlapSeconds = Math.round((separateTicks - unionTicks) / TICKS_PER_SECOND);
+  return Math.max(0, sheetSeconds - overlapSeconds);
+}
+
+function percentOf(seconds, whole) {
+  return whole > 0 ? Math.round((seconds / whole) * 1000) / 10 : null;
+}
+
+// Largest first, with each group's share of the whole (default: of all the groups together)
+function sortGroups(groups, wholeSeconds) {
+  const sorted = [...groups.values()]
+    .map(({ cues, ...group }) => ({ ...group, seconds: onAirSeconds(cues) }))
+    .sort((a, b) => b.seconds - a.seconds || a.label.localeCompare(b.label));
+  const whole = wholeSeconds ?? sorted.reduce((sum, group) => sum + group.seconds, 0);
+  return sorted.map(group => ({ ...group, percent: percentOf(group.seconds, whole) }));
+}
+
+/**
+ * Totals for a cue sheet
+ * @param {Array} cues - Cues in table order (hidden cues are skipped)
+ * @param {Object} projectInfo - Supplies programLength
+ * @param {Object} options - { defaultUse } for cues without a use code
+ * @returns {Object} { cueCount, musicSeconds, programSeconds, musicPercent, overProgram, byUse, byLibrary, byCueType, bySource }
+ *   musicPercent is capped at 100; overProgram is set when music time runs longer than the program.
+ *   Each breakdown is [{ key, label, count, seconds, percent }] with percent of music time
+ *   (byCueType: of music and SFX time together)
+ */
+function computeTotals(cues = [], projectInfo = {}, options = {}) {
+  const defaultUse = options.defaultUse || DEFAULT_USE;
+  const visible = cues.filter(cue => !cue.hidden);
+  const music = visible.filter(cue => cue.cueType !== 'sfx');
+  const byUse = new Map();
+  const byLibrary = new Map();
+  const byCueType = new Map();
+  const bySource = new Map();
+
+  for (const cue of visible) {
+    const cueType = cue.cueType === 'sfx' ? 'sfx' : 'main';
+    addTo(byCueType, cueType, CUE_TYPE_LABELS[cueType], cue);
+  }
+
+  for (const cue of music) {
+    const use = hasValue(cue.use) ? String(cue.use).trim().toUpperCase() : defaultUse;
+    addTo(byUse, use, use, cue);
+
+    const library = libraryOrPublisher(cue);
+    addTo(byLibrary, library.toLowerCase() || '(none)', library || 'No library/publisher', cue);
+
+    const source = musicSource(cue);
+    addTo(bySource, source, SOURCE_LABELS[source], cue);
+  }
+
+  const musicSeconds = onAirSeconds(music);
+  const programSeconds = parseProgramLength(projectInfo.programLength);
+  const overProgram = !!programSeconds && musicSeconds > programSeconds;
+  return {
+    cueCount: music.length,
+    musicSeconds,
+    programSeconds,
+    musicPercent: programSeconds ? Math.min(100, percentOf(musicSeconds, programSeconds)) : null,
+    overProgram,
+    byUse: sortGroups(byUse, musicSeconds),
+    byLibrary: sortGroups(byLibrary, musicSeconds),
+    byCueType: sortGroups(byCueType),
+    bySource: sortGroups(bySource, musicSeconds)
+  };
+}
+
+// First line of the totals block; cue sheet import stops reading cues at it
+const TOTALS_HEADING = 'MUSIC TOTALS';
+
+/**
+ * Totals as label/value lines for the export summary block
+ * @returns {Array} [{ label, value }] - a section heading has no value
+ */
+function totalsSummaryLines(totals) {
+  const line = (group) => ({
+    label: group.label,
+    value: `${formatTotal(group.seconds)} (${group.count} cue${group.count === 1 ? '' : 's'}${group.percent !== null ? `, ${group.percent}%` : ''})`
+  });
+  return [
+    { label: TOTALS_HEADING },
+    { label: 'Total music time', value: `${formatTotal(totals.musicSeconds)} (${totals.cueCount} cue${totals.cueCount === 1 ? '' : 's'})` },
+    { label: 'Program length', value: totals.programSeconds ? formatTotal(totals.programSeconds) : 'Not set' },
+    { label: 'Music % of program', value: totals.musicPercent === null ? '-' : `${totals.musicPercent}%${totals.overProgram ? ' (music runs longer than the program)' : ''}` },
+    { label: 'By use' },
+    ...totals.byUse.map(group => line({ ...group, label: USE_LABELS[group.key] ? `${group.key} - ${USE_LABELS[group.key]}` : group.label })),
+    { label: 'Library vs commercial' },
+    ...totals.bySource.map(line),
+    { label: 'By cue type' },
+    ...totals.byCueType.map(line),
+    { label: 'By library/publisher' },
+    ...totals.byLibrary.map(line)
+  ];
+}
+
+module.exports = {
+  computeTotals,
+  totalsSummaryLines,
+  formatTotal,
+  parseProgramLength,
+  cueSeconds,
+  musicSource,
+  USE_LABELS,
+  DEFAULT_USE,
+  TOTALS_HEADING
+};
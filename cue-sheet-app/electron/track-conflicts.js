@@ -0,0 +1,227 @@
+/**
+ * Track Conflicts - Queue of disagreements between stored tracks and fresh data
+ *
+ * smartMerge keeps a stored composer/publisher when new data arrives, so a
+ * different value from file tags, BMG, a PRO, Opus or a teammate's cloud edit
+ * would otherwise be dropped without anyone seeing it. Every such
+ * disagreement is queued here with both values and their sources until
+ * someone picks the right one.
+ *
+ * The queue lives in userData/track-conflicts.json. Resolved entries are kept
+ * (up to MAX_RESOLVED) so the same disagreement is not queued again after it
+ * has been decided.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getUserDataDir } = require('./app-paths');
+const { parsePartyList } = require('./splits');
+const { SOURCE_LABELS, sourceCategory } = require('./field-history');
+
+// tracks column -> label for the fields that are checked
+const CONFLICT_FIELDS = {
+  composer: 'Composer',
+  publisher: 'Publisher'
+};
+
+const MAX_RESOLVED = 500;
+
+let state = null;
+let onChange = null;
+
+// The comparison helpers are also used by the import pipeline outside Electron
+function getStorePath() {
+  const dir = getUserDataDir();
+  return dir ? path.join(dir, 'track-conflicts.json') : null;
+}
+
+function load() {
+  if (state) return state;
+  try {
+    const filePath = getStorePath();
+    state = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : {};
+  } catch (e) {
+    console.error('[Conflicts] Error loading queue:', e.message);
+    state = {};
+  }
+  if (!Array.isArray(state.conflicts)) state.conflicts = [];
+  return state;
+}
+
+function save() {
+  const resolved = state.conflicts.filter(c => c.status !== 'open');
+  if (resolved.length > MAX_RESOLVED) {
+    const drop = new Set(resolved.slice(0, resolved.length - MAX_RESOLVED).map(c => c.id));
+    state.conflicts = state.conflicts.filter(c => !drop.has(c.id));
+  }
+  try {
+    const filePath = getStorePath();
+    if (filePath) fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+  } catch (e) {
+    console.error('[Conflicts] Error saving queue:', e.message);
+  }
+  onChange?.(getOpenCount());
+}
+
+/**
+ * Called with the open count whenever the queue changes
+ */
+function setChangeListener(listener) {
+  onChange = listener;
+}
+
+function trackKey(trackName) {
+  return String(trackName || '').toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function hasContent(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  return text !== '' && text !== '-' && text !== 'n/a' && text !== 'null' && text !== 'undefined';
+}
+
+/**
+ * Comparable form of a composer/publisher credit: party names only, in any
+ * order, so "A (BMI)(50%); B (ASCAP)(50%)" agrees with "B; A".
+ */
+function creditKey(value) {
+  const names = parsePartyList(String(value || ''))
+    .map(party => party.name.toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return [...new Set(names)].sort().join('|');
+}
+
+function valuesAgree(a, b) {
+  return creditKey(a) === creditKey(b);
+}
+
+/**
+ * Fields where a stored track and incoming data both have a value and the
+ * values disagree. Both arguments are column-keyed (composer, publisher...).
+ * @returns {Array} [{ field, storedValue, incomingValue }]
+ */
+function findConflicts(stored, incoming) {
+  const conflicts = [];
+  for (const field of Object.keys(CONFLICT_FIELDS)) {
+    if (!hasContent(stored?.[field]) || !hasContent(incoming?.[field])) continue;
+    if (valuesAgree(stored[field], incoming[field])) continue;
+    conflicts.push({ field, storedValue: String(stored[field]), incomingValue: String(incoming[field]) });
+  }
+  return conflicts;
+}
+
+function describeSide(side = {}) {
+  const source = sourceCategory(side.dataSource);
+  return {
+    value: side.value,
+    source,
+    sourceLabel: SOURCE_LABELS[source],
+    dataSource: side.dataSource || null,
+    changedBy: side.changedBy || null
+  };
+}
+
+/**
+ * Queue a disagreement. An open entry for the same track, field and incoming
+ * value is refreshed instead of repeated; one that was already decided is
+ * ignored.
+ * @param {Object} conflict
+ * @param {string} conflict.trackName - Stored track name
+ * @param {string} conflict.field - Column from CONFLICT_FIELDS
+ * @param {Object} conflict.stored - { value, dataSource, changedBy }
+ * @param {Object} conflict.incoming - { value, dataSource, changedBy }
+ * @param {string} conflict.origin - 'save' | 'import' | 'cloud'
+ * @returns {Object|null} The queued entry, or null when it was not queued
+ */
+function addConflict({ trackName, catalogCode = null, field, stored, incoming, origin }) {
+  if (!CONFLICT_FIELDS[field] || !trackName) return null;
+  if (!hasContent(stored?.value) || !hasContent(incoming?.value) || valuesAgree(stored.value, incoming.value)) return null;
+
+  load();
+  const key = trackKey(trackName);
+  const incomingKey = creditKey(incoming.value);
+  const storedKey = creditKey(stored.value);
+  const same = state.conflicts.filter(c =>
+    c.key === key && c.field === field && creditKey(c.incoming.value) === incomingKey
+  );
+
+  const decided = same.find(c => c.status !== 'open' && [incomingKey, storedKey].includes(creditKey(c.resolvedValue)));
+  if (decided) return null;
+
+  const now = new Date().toISOString();
+  const open = same.find(c => c.status === 'open');
+  if (open) {
+    open.stored = describeSide(stored);
+    open.incoming = describeSide(incoming);
+    open.detectedAt = now;
+    save();
+    return open;
+  }
+
+  const entry = {
+    id: `conflict-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    key,
+    trackName,
+    catalogCode,
+    field,
+    fieldLabel: CONFLICT_FIELDS[field],
+    stored: describeSide(stored),
+    incoming: describeSide(incoming),
+    origin,
+    status: 'open',
+    detectedAt: now
+  };
+  state.conflicts.push(entry);
+  console.log(`[Conflicts] ${trackName} ${field}: "${stored.value}" vs "${incoming.value}" (${incoming.dataSource || origin})`);
+  save();
+  return entry;
+}
+
+/**
+ * Open conflicts, newest first
+ */
+function listConflicts() {
+  return load().conflicts
+    .filter(c => c.status === 'open')
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+}
+
+function getOpenCount() {
+  return load().conflicts.filter(c => c.status === 'open').length;
+}
+
+function getConflict(id) {
+  return load().conflicts.find(c => c.id === id) || null;
+}
+
+/**
+ * Mark a conflict, and any other open one for the same track and field,
+ * as decided with `value`
+ * @returns {Array} The entries that were closed
+ */
+function markResolved(id, value) {
+  const conflict = getConflict(id);
+  if (!conflict) return [];
+  const now = new Date().toISOString();
+  const closed = state.conflicts.filter(c =>
+    c.status === 'open' && c.key === conflict.key && c.field === conflict.field
+  );
+  for (const entry of closed) {
+    entry.status = 'resolved';
+    entry.resolvedValue = value;
+    entry.resolvedAt = now;
+  }
+  save();
+  return closed;
+}
+
+module.exports = {
+  CONFLICT_FIELDS,
+  valuesAgree,
+  findConflicts,
+  addConflict,
+  listConflicts,
+  getOpenCount,
+  getConflict,
+  markResolved,
+  setChangeListener
+};
@@ -9,12 +9,15 @@
  */
 
 const { supabase, isConfigured, getCurrentUser } = require('./supabase-client');
+const { HISTORY_FIELDS, fieldSource, buildHistoryEntries, rowToHistoryEntry } = require('./field-history');
+const { findConflicts } = require('./track-conflicts');
 
 class CloudTrackDatabase {
   constructor() {
     this.initialized = false;
     this.realtimeSubscription = null;
     this.changeCallbacks = [];
+    this.conflictCallbacks = [];
   }
 
   /**
@@ -321,6 +324,7 @@ class CloudTrackDatabase {
         } else {
           // Automatic save - smart merge (only fill empty fields)
           dataToSave = this.smartMerge(existing, incoming);
+          await this.reportConflicts(existing, incoming, track, user);
           console.log(`[CloudTrackDB] Auto-save - merging track: ${track.trackName}`);
         }
         
@@ -332,6 +336,9 @@ class CloudTrackDatabase {
           .update(dataToSave)
           .eq('id', existing.id);
         error = result.error;
+        if (!error) {
+          await this.recordHistory(existing.id, buildHistoryEntries(existing, dataToSave, track), user);
+        }
         
         console.log(`[CloudTrackDB] Updated track: ${track.trackName} (ID: ${existing.id})`);
       } else {
@@ -339,8 +346,13 @@ class CloudTrackDatabase {
         incoming.created_by = user?.id || null;
         const result = await supabase
           .from('tracks')
-          .insert(incoming);
+          .insert(incoming)
+          .select('id')
+          .single();
         error = result.error;
+        if (!error && result.data) {
+          await this.recordHistory(result.data.id, buildHistoryEntries({}, incoming, track), user);
+        }
         
         console.log(`[CloudTrackDB] Inserted new track: ${track.trackName}`);
       }
@@ -360,6 +372,178 @@ class CloudTrackDatabase {
     }
   }
 
+  /**
+   * Append field history rows for a track. History is best-effort: a
+   * failure here never fails the track save.
+   */
+  async recordHistory(trackId, entries, user = null) {
+    if (!entries.length) return;
+
+    try {
+      const rows = entries.map(entry => ({
+        ...entry,
+        track_id: trackId,
+        changed_by: user?.id || null,
+        changed_by_email: user?.email || null
+      }));
+      const { error } = await supabase.from('track_field_history').insert(rows);
+      if (error) console.error('[CloudTrackDB] Error recording field history:', error.message);
+    } catch (e) {
+      console.error('[CloudTrackDB] Error recording field history:', e);
+    }
+  }
+
+  /**
+   * Field history for a track, newest first. Pass a column name
+   * (e.g. 'composer') to limit it to one field.
+   */
+  async getFieldHistory(trackId, field = null) {
+    if (!this.isAvailable()) return [];
+
+    try {
+      let query = supabase
+        .from('track_field_history')
+        .select('*')
+        .eq('track_id', trackId);
+      if (field) {
+        query = query.eq('field', field);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (error) {
+        console.error('[CloudTrackDB] Error getting field history:', error);
+        return [];
+      }
+
+      return (data || []).map(rowToHistoryEntry);
+    } catch (e) {
+      console.error('[CloudTrackDB] Error getting field history:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Put a field back to the value recorded in a history entry. The revert
+   * itself is recorded as a user change.
+   */
+  async revertField(trackId, historyId) {
+    if (!this.isAvailable()) return { success: false, error: 'Cloud database not available' };
+
+    try {
+      const { data: entry } = await supabase
+        .from('track_field_history')
+        .select('*')
+        .eq('id', historyId)
+        .eq('track_id', trackId)
+        .single();
+      if (!entry) return { success: false, error: 'History entry not found' };
+
+      return await this.setField(trackId, entry.field, entry.value, { dataSource: 'user_revert' });
+    } catch (e) {
+      console.error('[CloudTrackDB] Error reverting field:', e);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Set one field of a track outright (reverts, resolved conflicts),
+   * recording the change in its history
+   * @param {string} field - Column from HISTORY_FIELDS, e.g. 'composer'
+   */
+  async setField(trackId, field, value, { dataSource = 'user_edit' } = {}) {
+    if (!this.isAvailable()) return { success: false, error: 'Cloud database not available' };
+    if (!HISTORY_FIELDS[field]) return { success: false, error: `Unknown field: ${field}` };
+
+    try {
+      const { data: existing } = await supabase
+        .from('tracks')
+        .select('*')
+        .eq('id', trackId)
+        .single();
+      if (!existing) return { success: false, error: 'Track not found' };
+
+      const changes = { [field]: value, data_source: dataSource, updated_at: new Date().toISOString() };
+      const { data: updated, error } = await supabase
+        .from('tracks')
+        .update(changes)
+        .eq('id', trackId)
+        .select('*')
+        .single();
+      if (error) return { success: false, error: error.message };
+
+      const user = await getCurrentUser();
+      await this.recordHistory(trackId, buildHistoryEntries(existing, updated, { dataSource }), user);
+      return { success: true, track: this.rowToTrack(updated) };
+    } catch (e) {
+      console.error('[CloudTrackDB] Error setting field:', e);
+      return { success: false, error: e.message };
+    }
+  }
+
+  /**
+   * Register a callback for values smartMerge keeps out of a stored track.
+   * Called with { trackName, catalogCode, field, stored, incoming, origin }.
+   */
+  onConflict(callback) {
+    this.conflictCallbacks.push(callback);
+  }
+
+  /**
+   * Report the fields where incoming data disagrees with a stored track.
+   * Both rows are column-keyed.
+   */
+  async reportConflicts(existing, incoming, track, user) {
+    if (this.conflictCallbacks.length === 0) return;
+
+    for (const { field, storedValue, incomingValue } of findConflicts(existing, incoming)) {
+      const [latest] = await this.getFieldHistory(existing.id, field);
+      const conflict = {
+        trackName: existing.track_name,
+        catalogCode: existing.catalog_code || null,
+        field,
+        stored: {
+          value: storedValue,
+          dataSource: latest?.dataSource || existing.data_source,
+          changedBy: latest?.changedBy || null
+        },
+        incoming: { value: incomingValue, dataSource: fieldSource(track, field), changedBy: user?.email || null },
+        origin: 'save'
+      };
+      this.conflictCallbacks.forEach(cb => cb(conflict));
+    }
+  }
+
+  /**
+   * Find a stored track by name, falling back to the normalized name
+   * (same matching as saveTrack)
+   */
+  async findTrackByName(trackName) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      const { data: exactMatch } = await supabase
+        .from('tracks')
+        .select('*')
+        .ilike('track_name', trackName)
+        .limit(1)
+        .single();
+      if (exactMatch) return this.rowToTrack(exactMatch);
+
+      const normalizedName = this.normalizeTrackName(trackName);
+      const { data: allTracks } = await supabase
+        .from('tracks')
+        .select('*');
+      const match = (allTracks || []).find(t => this.normalizeTrackName(t.track_name) === normalizedName);
+      return match ? this.rowToTrack(match) : null;
+    } catch (e) {
+      console.error('[CloudTrackDB] Error finding track by name:', e);
+      return null;
+    }
+  }
+
   /**
    * Remove duplicate tracks - intelligently merges data before consolidating
    * Rules:
@@ -394,6 +578,7 @@ class CloudTrackDatabase {
 
       const idsToDelete = [];
       const tracksToUpdate = [];
+      const historyMoves = [];
 
       for (const key of Object.keys(groups)) {
         if (groups[key].length > 1) {
@@ -406,6 +591,7 @@ class CloudTrackDatabase {
             const dupe = groups[key][i];
             merged = this.smartMerge(merged, dupe);
             idsToDelete.push(dupe.id);
+            historyMoves.push({ from: dupe.id, to: primary.id });
           }
           
           // Only update if something changed
@@ -450,6 +636,16 @@ class CloudTrackDatabase {
         }
       }
 
+      // Keep the duplicates' field history on the surviving record (history has no UPDATE policy)
+      for (const { from, to } of historyMoves) {
+        const { error: moveError } = await supabase
+          .rpc('move_track_field_history', { from_track_id: from, to_track_id: to });
+
+        if (moveError) {
+          console.error('[CloudTrackDB] Error moving field history:', moveError);
+        }
+      }
+
       // Delete duplicates in batches
       const batchSize = 100;
       for (let i = 0; i < idsToDelete.length; i += batchSize) {
@@ -683,8 +879,10 @@ class CloudTrackDatabase {
 
   /**
    * Get all tracks with optional search
+   * @param {boolean} [options.throwOnError] - Throw instead of returning [] when the query fails,
+   *   for callers that page through the table and must not mistake a failed page for the end
    */
-  async getAllTracks({ search = '', limit = 500, offset = 0 } = {}) {
+  async getAllTracks({ search = '', limit = 500, offset = 0, throwOnError = false } = {}) {
     if (!this.isAvailable()) return [];
 
     try {
@@ -708,11 +906,13 @@ class CloudTrackDatabase {
 
       if (error) {
         console.error('[CloudTrackDB] Error getting all tracks:', error);
+        if (throwOnError) throw new Error(`Could not read cloud tracks: ${error.message}`);
         return [];
       }
 
       return (data || []).map(r => this.rowToTrack(r));
     } catch (e) {
+      if (throwOnError) throw e;
       console.error('[CloudTrackDB] Error getting all tracks:', e);
       return [];
     }
@@ -834,6 +1034,7 @@ class CloudTrackDatabase {
     return {
       id: row.id,
       trackName: row.track_name,
+      trackNumber: row.track_number,
       catalogCode: row.catalog_code,
       library: row.library,
       artist: row.artist,
@@ -8,14 +8,19 @@
  * - Tracks confidence levels and data sources
  */
 
-const { app } = require('electron');
+const { getUserDataDir } = require('./app-paths');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { HISTORY_FIELDS, FIELD_KEYS, fieldSource, buildHistoryEntries, rowToHistoryEntry } = require('./field-history');
+const { findConflicts } = require('./track-conflicts');
 
 // Use better-sqlite3 for synchronous, fast SQLite operations
 let Database;
 try {
   Database = require('better-sqlite3');
+  // The native binding loads on first use; one built for the other runtime (Node vs Electron) fails here
+  new Database(':memory:').close();
 } catch (e) {
   // Fallback to JSON file storage if better-sqlite3 not available
   console.log('[TrackDB] better-sqlite3 not available, using JSON fallback');
@@ -28,6 +33,7 @@ class TrackDatabase {
     this.jsonPath = null;
     this.jsonData = null;
     this.initialized = false;
+    this.conflictCallbacks = [];
   }
 
   /**
@@ -36,7 +42,7 @@ class TrackDatabase {
   initialize() {
     if (this.initialized) return;
 
-    const userDataPath = app.getPath('userData');
+    const userDataPath = getUserDataDir();
     
     if (Database) {
       // Use SQLite
@@ -109,8 +115,25 @@ class TrackDatabase {
       )
     `);
 
+    // Per-field history: every value a field has held and where it came from
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS track_field_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        track_id INTEGER NOT NULL,
+        field TEXT NOT NULL,
+        value TEXT,
+        previous_value TEXT,
+        source TEXT,
+        data_source TEXT,
+        changed_by TEXT,
+        confidence REAL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes for fast lookups
     this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_history_track ON track_field_history(track_id, field);
       CREATE INDEX IF NOT EXISTS idx_tracks_name ON tracks(track_name);
       CREATE INDEX IF NOT EXISTS idx_tracks_catalog ON tracks(catalog_code);
       CREATE INDEX IF NOT EXISTS idx_tracks_library ON tracks(library);
@@ -135,12 +158,38 @@ class TrackDatabase {
         const data = fs.readFileSync(this.jsonPath, 'utf-8');
         this.jsonData = JSON.parse(data);
       } else {
-        this.jsonData = { tracks: [], patterns: [], aliases: [] };
+        this.jsonData = { tracks: [], patterns: [], aliases: [], history: [] };
       }
     } catch (e) {
       console.error('[TrackDB] Error loading JSON:', e);
-      this.jsonData = { tracks: [], patterns: [], aliases: [] };
+      this.jsonData = { tracks: [], patterns: [], aliases: [], history: [] };
+    }
+
+    // Older files predate field history and track ids
+    if (!this.jsonData.history) this.jsonData.history = [];
+    for (const track of this.jsonData.tracks) {
+      if (!track.id) track.id = this.nextJsonId(this.jsonData.tracks);
+    }
+  }
+
+  /**
+   * Next free id in a JSON collection (fallback mode)
+   */
+  nextJsonId(items) {
+    return items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+  }
+
+  /**
+   * Column-keyed snapshot of a JSON track, for history diffs
+   */
+  jsonToColumns(track) {
+    const columns = {};
+    for (const [column, key] of Object.entries(FIELD_KEYS)) {
+      columns[column] = track[key];
     }
+    columns.library = track.library || track.label;
+    columns.use_type = track.useType || track.use;
+    return columns;
   }
 
   /**
@@ -378,6 +427,7 @@ class TrackDatabase {
 
     const now = new Date().toISOString();
     const normalizedName = this.normalizeTrackName(track.trackName);
+    const changedBy = track.changedBy || this.localUserName();
 
     if (this.db) {
       // Find existing track by normalized name
@@ -415,6 +465,7 @@ class TrackDatabase {
       if (existing) {
         // Smart merge - preserve existing data, only fill empty fields
         const merged = this.smartMerge(existing, incoming);
+        this.reportConflicts(existing.id, existing, incoming, { ...track, changedBy });
         
         const updateStmt = this.db.prepare(`
           UPDATE tracks SET
@@ -451,6 +502,7 @@ class TrackDatabase {
           now,
           existing.id
         );
+        this.recordHistory(existing.id, buildHistoryEntries(existing, merged, track, { changedBy }), now);
         
         console.log(`[TrackDB] Updated existing track: ${track.trackName} (ID: ${existing.id})`);
       } else {
@@ -462,7 +514,7 @@ class TrackDatabase {
             confidence, data_source, verified, updated_at
           ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        insertStmt.run(
+        const result = insertStmt.run(
           incoming.track_name,
           incoming.track_number,
           incoming.catalog_code,
@@ -479,6 +531,7 @@ class TrackDatabase {
           incoming.verified,
           now
         );
+        this.recordHistory(result.lastInsertRowid, buildHistoryEntries({}, incoming, track, { changedBy }), now);
         
         console.log(`[TrackDB] Inserted new track: ${track.trackName}`);
       }
@@ -497,6 +550,12 @@ class TrackDatabase {
         // Smart merge for JSON
         const existing = this.jsonData.tracks[existingIdx];
         const merged = { ...existing };
+        this.reportConflicts(
+          existing.id,
+          { ...this.jsonToColumns(existing), track_name: existing.trackName, data_source: existing.dataSource },
+          this.jsonToColumns(track),
+          { ...track, changedBy }
+        );
         
         const fields = ['trackNumber', 'catalogCode', 'library', 'artist', 'source',
                        'composer', 'publisher', 'masterContact', 'useType', 'duration'];
@@ -511,9 +570,15 @@ class TrackDatabase {
         if (track.verified) merged.verified = true;
         
         this.jsonData.tracks[existingIdx] = merged;
+        this.recordHistory(
+          existing.id,
+          buildHistoryEntries(this.jsonToColumns(existing), this.jsonToColumns(merged), track, { changedBy }),
+          now
+        );
       } else {
-        const trackData = { ...track, createdAt: now, updatedAt: now };
+        const trackData = { ...track, id: this.nextJsonId(this.jsonData.tracks), createdAt: now, updatedAt: now };
         this.jsonData.tracks.push(trackData);
+        this.recordHistory(trackData.id, buildHistoryEntries({}, this.jsonToColumns(trackData), track, { changedBy }), now);
       }
       
       this.saveJsonData();
@@ -522,6 +587,178 @@ class TrackDatabase {
     }
   }
 
+  /**
+   * Name recorded against local changes when no signed-in user is passed
+   */
+  localUserName() {
+    try {
+      return os.userInfo().username;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Append field history rows for a track
+   */
+  recordHistory(trackId, entries, timestamp = new Date().toISOString()) {
+    if (!entries.length) return;
+
+    if (this.db) {
+      const insertStmt = this.db.prepare(`
+        INSERT INTO track_field_history (
+          track_id, field, value, previous_value, source, data_source, changed_by, confidence, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertAll = this.db.transaction(rows => {
+        for (const entry of rows) {
+          insertStmt.run(
+            trackId, entry.field, entry.value, entry.previous_value, entry.source,
+            entry.data_source, entry.changed_by, entry.confidence, timestamp
+          );
+        }
+      });
+      insertAll(entries);
+    } else {
+      let nextId = this.nextJsonId(this.jsonData.history);
+      for (const entry of entries) {
+        this.jsonData.history.push({ id: nextId++, track_id: trackId, ...entry, created_at: timestamp });
+      }
+    }
+  }
+
+  /**
+   * Field history for a track, newest first. Pass a column name
+   * (e.g. 'composer') to limit it to one field.
+   */
+  getFieldHistory(trackId, field = null) {
+    this.initialize();
+
+    if (this.db) {
+      let query = 'SELECT * FROM track_field_history WHERE track_id = ?';
+      const params = [trackId];
+      if (field) {
+        query += ' AND field = ?';
+        params.push(field);
+      }
+      query += ' ORDER BY created_at DESC, id DESC';
+      return this.db.prepare(query).all(...params).map(rowToHistoryEntry);
+    } else {
+      return this.jsonData.history
+        .filter(h => h.track_id === trackId && (!field || h.field === field))
+        .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || '') || b.id - a.id)
+        .map(rowToHistoryEntry);
+    }
+  }
+
+  /**
+   * Put a field back to the value recorded in a history entry. The revert
+   * itself is recorded as a user change.
+   */
+  revertField(trackId, historyId, { changedBy = null } = {}) {
+    this.initialize();
+
+    const entry = this.db
+      ? this.db.prepare('SELECT * FROM track_field_history WHERE id = ? AND track_id = ?').get(historyId, trackId)
+      : this.jsonData.history.find(h => h.id === historyId && h.track_id === trackId);
+    if (!entry) return { success: false, error: 'History entry not found' };
+
+    return this.setField(trackId, entry.field, entry.value, { dataSource: 'user_revert', changedBy });
+  }
+
+  /**
+   * Set one field of a track outright (reverts, resolved conflicts),
+   * recording the change in its history
+   * @param {string} field - Column from HISTORY_FIELDS, e.g. 'composer'
+   */
+  setField(trackId, field, value, { dataSource = 'user_edit', changedBy = null } = {}) {
+    this.initialize();
+    if (!HISTORY_FIELDS[field]) return { success: false, error: `Unknown field: ${field}` };
+    const now = new Date().toISOString();
+    const user = changedBy || this.localUserName();
+
+    if (this.db) {
+      const existing = this.db.prepare('SELECT * FROM tracks WHERE id = ?').get(trackId);
+      if (!existing) return { success: false, error: 'Track not found' };
+
+      // field is checked against HISTORY_FIELDS above
+      this.db.prepare(`UPDATE tracks SET ${field} = ?, data_source = ?, updated_at = ? WHERE id = ?`)
+        .run(value, dataSource, now, trackId);
+      const updated = this.db.prepare('SELECT * FROM tracks WHERE id = ?').get(trackId);
+      this.recordHistory(trackId, buildHistoryEntries(existing, updated, { dataSource }, { changedBy: user }), now);
+      return { success: true, track: this.rowToTrack(updated) };
+    } else {
+      const index = this.jsonData.tracks.findIndex(t => t.id === trackId);
+      if (index < 0) return { success: false, error: 'Track not found' };
+
+      const existing = this.jsonData.tracks[index];
+      const updated = { ...existing, [FIELD_KEYS[field]]: value, dataSource, updatedAt: now };
+      if (field === 'library') updated.label = value;
+      if (field === 'use_type') updated.use = value;
+      this.jsonData.tracks[index] = updated;
+      this.recordHistory(
+        trackId,
+        buildHistoryEntries(this.jsonToColumns(existing), this.jsonToColumns(updated), { dataSource }, { changedBy: user }),
+        now
+      );
+      this.saveJsonData();
+      return { success: true, track: updated };
+    }
+  }
+
+  /**
+   * Register a callback for values smartMerge keeps out of a stored track.
+   * Called with { trackName, catalogCode, field, stored, incoming, origin }.
+   */
+  onConflict(callback) {
+    this.conflictCallbacks.push(callback);
+  }
+
+  /**
+   * Report the fields where incoming data disagrees with a stored track.
+   * Both rows are column-keyed.
+   */
+  reportConflicts(trackId, existing, incoming, track) {
+    if (this.conflictCallbacks.length === 0) return;
+
+    for (const { field, storedValue, incomingValue } of findConflicts(existing, incoming)) {
+      const [latest] = this.getFieldHistory(trackId, field);
+      const conflict = {
+        trackName: existing.track_name,
+        catalogCode: existing.catalog_code || null,
+        field,
+        stored: {
+          value: storedValue,
+          dataSource: latest?.dataSource || existing.data_source,
+          changedBy: latest?.changedBy || null
+        },
+        incoming: { value: incomingValue, dataSource: fieldSource(track, field), changedBy: track.changedBy || null },
+        origin: 'save'
+      };
+      this.conflictCallbacks.forEach(cb => cb(conflict));
+    }
+  }
+
+  /**
+   * Find a stored track by name, falling back to the normalized name
+   * (same matching as saveTrack)
+   */
+  findTrackByName(trackName) {
+    this.initialize();
+    const normalizedName = this.normalizeTrackName(trackName);
+
+    if (this.db) {
+      let row = this.db.prepare('SELECT * FROM tracks WHERE LOWER(track_name) = LOWER(?) LIMIT 1').get(trackName);
+      if (!row) {
+        row = this.db.prepare('SELECT * FROM tracks').all()
+          .find(t => this.normalizeTrackName(t.track_name) === normalizedName);
+      }
+      return row ? this.rowToTrack(row) : null;
+    } else {
+      return this.jsonData.tracks.find(t => this.normalizeTrackName(t.trackName) === normalizedName) || null;
+    }
+  }
+
   /**
    * Learn patterns from a track
    */
@@ -891,12 +1128,14 @@ class TrackDatabase {
     if (this.db) {
       const stmt = this.db.prepare('DELETE FROM tracks WHERE id = ?');
       const result = stmt.run(trackId);
+      this.db.prepare('DELETE FROM track_field_history WHERE track_id = ?').run(trackId);
       return { success: result.changes > 0 };
     } else {
       // JSON fallback
       const index = this.jsonData.tracks.findIndex(t => t.id === trackId);
       if (index >= 0) {
         this.jsonData.tracks.splice(index, 1);
+        this.jsonData.history = this.jsonData.history.filter(h => h.track_id !== trackId);
         this.saveJsonData();
         return { success: true };
       }
@@ -950,8 +1189,9 @@ class TrackDatabase {
               }
             }
             
-            // Delete the duplicate
+            // Delete the duplicate, keeping its history on the primary
             this.db.prepare('DELETE FROM tracks WHERE id = ?').run(dupe.id);
+            this.db.prepare('UPDATE track_field_history SET track_id = ? WHERE track_id = ?').run(primary.id, dupe.id);
             removed++;
           }
           
@@ -1018,6 +1258,9 @@ class TrackDatabase {
                 merged[field] = dupe[field];
               }
             }
+            for (const entry of this.jsonData.history) {
+              if (entry.track_id === dupe.id) entry.track_id = merged.id;
+            }
             removed++;
           }
           newTracks.push(merged);
@@ -1042,10 +1285,11 @@ class TrackDatabase {
       this.db.exec('DELETE FROM tracks');
       this.db.exec('DELETE FROM patterns');
       this.db.exec('DELETE FROM aliases');
+      this.db.exec('DELETE FROM track_field_history');
       return { success: true };
     } else {
       // JSON fallback
-      this.jsonData = { tracks: [], patterns: [], aliases: [] };
+      this.jsonData = { tracks: [], patterns: [], aliases: [], history: [] };
       this.saveJsonData();
       return { success: true };
     }
@@ -1084,5 +1328,6 @@ const trackDatabase = new TrackDatabase();
 
 module.exports = {
   trackDatabase,
-  TrackDatabase
+  TrackDatabase,
+  sqliteAvailable: !!Database
 };
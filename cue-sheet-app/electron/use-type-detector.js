@@ -9,10 +9,7 @@
  * Uses pattern matching first, falls back to Opus for complex cases.
  */
 
-const sourcesManager = require('./sources-manager');
-
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const MODEL = 'claude-opus-4-20250514';
+const llm = require('./llm-service');
 
 /**
  * Patterns that strongly indicate BI (Background Instrumental)
@@ -146,10 +143,7 @@ function parseDuration(duration) {
  * Detect use type with Opus (for complex cases)
  */
 async function detectUseTypeWithOpus(trackName, context = {}) {
-  const sources = sourcesManager.getAllSources();
-  const apiKey = sources.opus?.config?.apiKey;
-  
-  if (!apiKey || !sources.opus?.enabled) {
+  if (!llm.isAvailable()) {
     return detectUseTypeFast(trackName, context);
   }
   
@@ -177,27 +171,8 @@ ${context.isFX ? 'This is a sound effect (always BI)' : ''}
 What is the Use type? Return ONLY: BI, BV, or VI`;
 
   try {
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: MODEL,
-        max_tokens: 10,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
-    });
-
-    if (!response.ok) {
-      return detectUseTypeFast(trackName, context);
-    }
-
-    const data = await response.json();
-    const useType = data.content[0].text.trim().toUpperCase();
+    const { text } = await llm.complete({ task: 'detectUseType', system: systemPrompt, prompt: userPrompt });
+    const useType = text.trim().toUpperCase();
     
     if (['BI', 'BV', 'VI'].includes(useType)) {
       return { useType, confidence: 0.9, reason: 'Opus analysis' };
@@ -223,8 +198,7 @@ async function detectUseType(trackName, context = {}) {
   }
   
   // For low confidence, try Opus if available
-  const sources = sourcesManager.getAllSources();
-  if (sources.opus?.enabled && sources.opus?.config?.apiKey) {
+  if (llm.isAvailable()) {
     return detectUseTypeWithOpus(trackName, context);
   }
   
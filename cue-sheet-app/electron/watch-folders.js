@@ -0,0 +1,499 @@
+/**
+ * Watch Folders - Auto-import new versions of Premiere projects
+ *
+ * Watches the open project's Imports folder and any turnover folders added
+ * in Settings for new or re-saved .prproj files. Folders are polled (fs.watch
+ * only brings the next scan forward, it is unreliable on network shares) and
+ * a file is imported once its size and modified time have stopped changing,
+ * so a save in progress is never read.
+ *
+ * Files run through the full import pipeline in the background, one at a time:
+ * - a re-saved file updates the timing of the cue sheet made from it,
+ *   keeping the edits and hand-added cues made since the last import
+ * - a new version of a spot (same file name apart from a `_v05alt`-style
+ *   version token) becomes a new cue sheet next to the previous version,
+ *   with the previous version's enrichment carried forward
+ * - any other project becomes a new cue sheet (of its longest sequence
+ *   when it has several)
+ * Updates and new versions are diffed against the cue sheet they came from.
+ *
+ * Projects already in a folder when it is first watched are recorded, not
+ * imported. The seen files live in userData/watch-folders.json with the settings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const projectStore = require('./project-store');
+const revisionDiff = require('./revision-diff');
+const timeline = require('./timeline');
+const totals = require('./totals');
+const trackConflicts = require('./track-conflicts');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  watchProjectImports: true,
+  pollSeconds: 15,
+  folders: [] // [{ path, recursive }]
+};
+
+// A file has to be unchanged for this long (and across two scans) before it is imported
+const SETTLE_MS = 5000;
+
+const MIN_POLL_SECONDS = 5;
+const MAX_ACTIVITY = 20;
+
+let config = null;
+let projectFolder = null;
+let onImport = null;
+let started = false;
+let pollTimer = null;
+let scanTimer = null;
+let watchers = [];
+let scanning = false;
+let rescanRequested = false;
+const pending = new Map(); // filePath -> { mtimeMs, size } at the previous scan
+let activity = [];
+
+function getConfigPath() {
+  return path.join(app.getPath('userData'), 'watch-folders.json');
+}
+
+function loadConfig() {
+  if (config) return config;
+  let saved = {};
+  try {
+    if (fs.existsSync(getConfigPath())) {
+      saved = JSON.parse(fs.readFileSync(getConfigPath(), 'utf-8'));
+    }
+  } catch (err) {
+    console.error('[WatchFolders] Error loading settings:', err.message);
+  }
+  config = { ...DEFAULT_SETTINGS, seen: {}, baselined: [], ...saved };
+  return config;
+}
+
+function saveConfig() {
+  try {
+    fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2));
+  } catch (err) {
+    console.error('[WatchFolders] Error saving settings:', err.message);
+  }
+}
+
+// Settings as shown in the UI (without the seen-file registry)
+function getSettings() {
+  const { enabled, watchProjectImports, pollSeconds, folders } = loadConfig();
+  return { enabled, watchProjectImports, pollSeconds, folders };
+}
+
+function updateSettings(updates = {}) {
+  loadConfig();
+  for (const key of ['enabled', 'watchProjectImports', 'pollSeconds']) {
+    if (updates[key] !== undefined) config[key] = updates[key];
+  }
+  config.pollSeconds = Math.max(MIN_POLL_SECONDS, Number(config.pollSeconds) || DEFAULT_SETTINGS.pollSeconds);
+  saveConfig();
+  restart();
+  return getSettings();
+}
+
+function addFolder(folderPath, { recursive = false } = {}) {
+  loadConfig();
+  const resolved = path.resolve(folderPath);
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Not a folder: ${folderPath}`);
+  }
+  if (config.folders.some(folder => folder.path === resolved)) {
+    throw new Error(`Already watching ${resolved}`);
+  }
+  config.folders.push({ path: resolved, recursive: !!recursive });
+  saveConfig();
+  restart();
+  return getSettings();
+}
+
+function updateFolder(folderPath, updates = {}) {
+  loadConfig();
+  const folder = config.folders.find(f => f.path === folderPath);
+  if (!folder) throw new Error(`Not watching ${folderPath}`);
+  if (updates.recursive !== undefined) {
+    folder.recursive = !!updates.recursive;
+    // Subfolders that weren't watched before are recorded, not imported
+    config.baselined = config.baselined.filter(p => p !== folderPath);
+  }
+  saveConfig();
+  restart();
+  return getSettings();
+}
+
+function removeFolder(folderPath) {
+  loadConfig();
+  config.folders = config.folders.filter(folder => folder.path !== folderPath);
+  config.baselined = config.baselined.filter(p => p !== folderPath);
+  saveConfig();
+  restart();
+  return getSettings();
+}
+
+// The open .acs project's folder; its Imports folder is watched while it is open
+function setProjectFolder(folder) {
+  projectFolder = folder || null;
+  if (started) restart();
+}
+
+function getProjectImportsFolder() {
+  return projectFolder ? path.join(projectFolder, 'Imports') : null;
+}
+
+// Folders to scan right now (missing folders, e.g. an unmounted share, are skipped)
+function getWatchedFolders() {
+  const { enabled, watchProjectImports, folders } = loadConfig();
+  if (!enabled) return [];
+  const watched = folders.filter(folder => fs.existsSync(folder.path));
+  const importsFolder = getProjectImportsFolder();
+  if (watchProjectImports && importsFolder && fs.existsSync(importsFolder) && !watched.some(folder => folder.path === importsFolder)) {
+    watched.unshift({ path: importsFolder, recursive: false, project: true });
+  }
+  return watched;
+}
+
+function listProjectFiles(folder) {
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        // Premiere's auto-saves are old copies of the same project
+        if (folder.recursive && !/auto-save/i.test(entry.name)) walk(fullPath);
+      } else if (entry.name.toLowerCase().endsWith('.prproj')) {
+        files.push(fullPath);
+      }
+    }
+  };
+  walk(folder.path);
+  return files;
+}
+
+function statFile(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return { mtimeMs: stat.mtimeMs, size: stat.size };
+  } catch {
+    return null;
+  }
+}
+
+function isSeen(filePath, stat) {
+  const seen = config.seen[filePath];
+  return !!seen && seen.mtimeMs === stat.mtimeMs && seen.size === stat.size;
+}
+
+function markSeen(filePath, stat) {
+  config.seen[filePath] = { mtimeMs: stat.mtimeMs, size: stat.size };
+}
+
+// "Trailer_v05alt_TV30" and "Trailer_V04_TV30" are versions of the same spot
+function versionKey(filePath) {
+  return path.basename(filePath, path.extname(filePath))
+    .toLowerCase()
+    .replace(/(^|[\s_.-])v\.?\d+[a-z]*(?=$|[\s_.-])/g, '$1')
+    .replace(/[\s_.-]+/g, ' ')
+    .trim();
+}
+
+function allCueSheets(items = projectStore.getAllProjects(), list = []) {
+  for (const item of items) {
+    if (item.type === 'cuesheet') list.push(item);
+    if (item.children) allCueSheets(item.children, list);
+  }
+  return list;
+}
+
+function lastChanged(cueSheet) {
+  return Date.parse(cueSheet.updatedAt || cueSheet.createdAt) || 0;
+}
+
+// The cue sheet made from this file, or else the latest one made from another version of it
+function findMatchingCueSheet(filePath) {
+  const cueSheets = allCueSheets().filter(sheet => sheet.filePath);
+  const sameFile = cueSheets.find(sheet => path.resolve(sheet.filePath) === filePath);
+  if (sameFile) return { cueSheet: sameFile, sameFile: true };
+
+  const key = versionKey(filePath);
+  const versions = cueSheets
+    .filter(sheet => versionKey(sheet.filePath) === key)
+    .sort((a, b) => lastChanged(b) - lastChanged(a));
+  return versions.length ? { cueSheet: versions[0], sameFile: false } : null;
+}
+
+// Cue lengths as the import wizard stores them: M:SS with the sheet's rounding rule
+function toSheetLengths(cues, rounding) {
+  return cues.map(cue => (typeof cue.durationSeconds === 'number'
+    ? { ...cue, duration: timeline.formatSeconds(cue.durationSeconds, cue.timebase || cue.fps, rounding) }
+    : cue));
+}
+
+// Run the pipeline on the file, for the same sequence as the cue sheet it updates.
+// A new project with several sequences gets its main (longest) one; the import
+// wizard is there for the cutdowns.
+async function parseProject(filePath, previous) {
+  const pipeline = require('./import-pipeline');
+  const info = previous?.projectInfo || {};
+
+  let sequence = null;
+  let note = null;
+  if (info.sequenceName) {
+    const listing = await pipeline.listSequences(filePath);
+    sequence = listing.result.find(seq => seq.name === info.sequenceName) || null;
+    if (!sequence) note = `No sequence "${info.sequenceName}" in this version; imported the whole project`;
+  } else if (!previous) {
+    const listing = await pipeline.listSequences(filePath);
+    const withAudio = listing.result.filter(seq => seq.clipCount > 0);
+    if (withAudio.length > 1) {
+      sequence = withAudio.reduce((longest, seq) => (seq.durationTicks > longest.durationTicks ? seq : longest));
+      note = `Imported sequence "${sequence.name}" (the longest of ${withAudio.length}); import the others with File > Import`;
+    }
+  }
+
+  const result = await pipeline.runFullPipeline(filePath, {
+    fps: 23.976,
+    rounding: info.durationRounding,
+    sequenceId: sequence?.id
+  });
+  result.conflicts.forEach(conflict => trackConflicts.addConflict(conflict));
+  const cues = toSheetLengths(pipeline.toCueSheetCues(result.result), info.durationRounding);
+  return { result, sequence, note, cues };
+}
+
+// Import one new or re-saved project; returns the activity entry (null when there was nothing to do)
+async function importFile(filePath, stat) {
+  const entry = {
+    id: `watch-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    at: new Date().toISOString(),
+    filePath,
+    fileName: path.basename(filePath)
+  };
+
+  try {
+    const match = findMatchingCueSheet(filePath);
+
+    // Imported through the app (e.g. copied into Imports by the import wizard) after this save
+    if (match?.sameFile && lastChanged(match.cueSheet) >= stat.mtimeMs) {
+      return null;
+    }
+
+    const previous = match?.cueSheet || null;
+    const { result, sequence, note, cues: parsedCues } = await parseProject(filePath, previous);
+    const sequenceInfo = {
+      sequenceId: sequence?.id || null,
+      sequenceName: sequence?.name || null
+    };
+    // A new cut can change the program length; keep the sheet's own value when the parse has none
+    const parsedInfo = result.programSeconds ? { programLength: totals.formatTotal(result.programSeconds) } : {};
+    entry.note = note;
+
+    if (!previous) {
+      const { cueSheet } = projectStore.importPrprojAsCueSheet(null, {
+        filePath,
+        projectName: result.projectName || path.basename(filePath, '.prproj'),
+        spotTitle: result.spotTitle,
+        ...sequenceInfo,
+        ...parsedInfo,
+        audioClips: parsedCues
+      });
+      Object.assign(entry, { action: 'created', cueSheetId: cueSheet.id, cueSheetName: cueSheet.name, cueCount: parsedCues.length });
+      return entry;
+    }
+
+    // A re-saved file is merged into its sheet, keeping edits made since the last import;
+    // a new version starts from the parse with the previous version's enrichment carried forward
+    const { cues, carried } = match.sameFile
+      ? revisionDiff.mergeReimport(previous.cues || [], parsedCues)
+      : revisionDiff.carryForwardEnrichment(previous.cues || [], parsedCues);
+    const diff = revisionDiff.diffCueSheets(previous.cues || [], cues);
+    Object.assign(entry, { previousName: previous.name, cueCount: cues.length, carried, summary: diff.summary });
+
+    if (match.sameFile) {
+      projectStore.updateCueSheet(previous.id, {
+        cues,
+        projectInfo: { ...previous.projectInfo, ...(sequence ? sequenceInfo : {}), ...parsedInfo }
+      });
+      Object.assign(entry, { action: 'updated', cueSheetId: previous.id, cueSheetName: previous.name });
+      return entry;
+    }
+
+    // A new version sits next to the previous one; a spot title left at the sheet name follows the new name
+    const name = result.projectName || path.basename(filePath, '.prproj');
+    const previousInfo = previous.projectInfo || {};
+    const cueSheet = projectStore.createCueSheet(projectStore.getParentId(previous.id), name, {
+      filePath,
+      cues,
+      projectInfo: {
+        ...previousInfo,
+        ...sequenceInfo,
+        ...parsedInfo,
+        spotTitle: !previousInfo.spotTitle || previousInfo.spotTitle === previous.name ? name : previousInfo.spotTitle
+      }
+    });
+    Object.assign(entry, { action: 'version', cueSheetId: cueSheet.id, cueSheetName: cueSheet.name });
+    return entry;
+  } catch (err) {
+    console.error('[WatchFolders] Import failed:', filePath, err.message);
+    return Object.assign(entry, { action: 'failed', error: err.message });
+  }
+}
+
+// Scan every watched folder and import the projects that have settled
+async function scan() {
+  if (scanning) {
+    rescanRequested = true;
+    return;
+  }
+  scanning = true;
+  try {
+    do {
+      rescanRequested = false;
+      for (const folder of getWatchedFolders()) {
+        const files = listProjectFiles(folder);
+
+        if (!config.baselined.includes(folder.path)) {
+          for (const filePath of files) {
+            const stat = statFile(filePath);
+            if (stat) markSeen(filePath, stat);
+          }
+          config.baselined.push(folder.path);
+          saveConfig();
+          continue;
+        }
+
+        for (const filePath of files) {
+          const stat = statFile(filePath);
+          if (!stat || isSeen(filePath, stat)) {
+            pending.delete(filePath);
+            continue;
+          }
+
+          const previousStat = pending.get(filePath);
+          pending.set(filePath, stat);
+          const settled = previousStat
+            && previousStat.mtimeMs === stat.mtimeMs
+            && previousStat.size === stat.size
+            && Date.now() - stat.mtimeMs >= SETTLE_MS;
+          if (!settled) continue;
+
+          pending.delete(filePath);
+          console.log('[WatchFolders] Importing', filePath);
+          const entry = await importFile(filePath, stat);
+          // Failures are recorded too: the file is retried when it is saved again
+          markSeen(filePath, stat);
+          saveConfig();
+          if (entry) {
+            activity = [entry, ...activity].slice(0, MAX_ACTIVITY);
+            onImport?.(entry);
+          }
+        }
+      }
+    } while (rescanRequested);
+  } finally {
+    scanning = false;
+  }
+
+  // Files still being written are looked at again soon rather than at the next poll
+  if (pending.size > 0) scheduleScan();
+}
+
+function scheduleScan(delay = SETTLE_MS + 1000) {
+  clearTimeout(scanTimer);
+  scanTimer = setTimeout(() => {
+    scan().catch(err => console.error('[WatchFolders] Scan error:', err.message));
+  }, delay);
+}
+
+function stopWatching() {
+  clearInterval(pollTimer);
+  clearTimeout(scanTimer);
+  pollTimer = null;
+  scanTimer = null;
+  watchers.forEach(watcher => watcher.close());
+  watchers = [];
+}
+
+function restart() {
+  if (!started) return;
+  stopWatching();
+  const folders = getWatchedFolders();
+  if (!folders.length) return;
+
+  for (const folder of folders) {
+    try {
+      const watcher = fs.watch(folder.path, { recursive: folder.recursive }, (eventType, fileName) => {
+        if (!fileName || String(fileName).toLowerCase().endsWith('.prproj')) scheduleScan();
+      });
+      watcher.on('error', () => {});
+      watchers.push(watcher);
+    } catch (err) {
+      console.log('[WatchFolders] Polling only for', folder.path, '-', err.message);
+    }
+  }
+
+  pollTimer = setInterval(() => {
+    scan().catch(err => console.error('[WatchFolders] Scan error:', err.message));
+  }, config.pollSeconds * 1000);
+  scheduleScan(0);
+}
+
+/**
+ * Start watching
+ * @param {Function} callback - Called with each activity entry:
+ *   { id, at, filePath, fileName, action: 'created'|'updated'|'version'|'failed',
+ *     cueSheetId, cueSheetName, previousName, cueCount, carried, summary, note, error }
+ *   summary is revisionDiff's { added, removed, retimed, changed, ... } for updates and new versions
+ */
+function start(callback) {
+  onImport = callback || null;
+  started = true;
+  restart();
+}
+
+function stop() {
+  started = false;
+  stopWatching();
+}
+
+function getStatus() {
+  return {
+    settings: getSettings(),
+    projectImportsFolder: getProjectImportsFolder(),
+    watching: getWatchedFolders().map(folder => folder.path),
+    scanning,
+    pendingCount: pending.size,
+    activity
+  };
+}
+
+function clearActivity() {
+  activity = [];
+}
+
+module.exports = {
+  start,
+  stop,
+  scan,
+  getStatus,
+  getSettings,
+  updateSettings,
+  addFolder,
+  updateFolder,
+  removeFolder,
+  setProjectFolder,
+  clearActivity,
+  versionKey
+};
@@ -0,0 +1,20 @@
+/**
+ * Vite plugin: main-process modules the renderer imports as well (through
+ * src/utils). They stay CommonJS for Electron, written so this rewrite to ES
+ * modules is exact: relative requires destructured into consts, and one
+ * module.exports of plain names.
+ */
+
+const SHARED_MAIN_MODULES = /[\\/]electron[\\/](splits|totals|timeline)\.js$/;
+
+export default function sharedMainModules() {
+  return {
+    name: 'auris-shared-main-modules',
+    transform(code, id) {
+      if (!SHARED_MAIN_MODULES.test(id)) return null;
+      return code
+        .replace(/^const (\{[^}]*\}) = require\(('\.\/[\w-]+')\);$/gm, 'import $1 from $2;')
+        .replace(/^module\.exports = \{/m, 'export {');
+    }
+  };
+}
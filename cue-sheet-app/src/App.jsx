@@ -17,6 +17,12 @@ const BrowserPanel = lazy(() => import('./components/BrowserPanel'));
 const FeedbackModal = lazy(() => import('./components/FeedbackModal'));
 const AurisChatPanel = lazy(() => import('./components/AurisChatPanel'));
 const ImportWizard = lazy(() => import('./components/ImportWizard'));
+const ImportCueSheetModal = lazy(() => import('./components/ImportCueSheetModal'));
+const RevisionCompareModal = lazy(() => import('./components/RevisionCompareModal'));
+const BatchLookupModal = lazy(() => import('./components/BatchLookupModal'));
+const PreExportDialog = lazy(() => import('./components/PreExportDialog'));
+const LicensingRequestsModal = lazy(() => import('./components/LicensingRequestsModal'));
+const TrackConflictsModal = lazy(() => import('./components/TrackConflictsModal'));
 
 // Loading spinner for lazy-loaded components
 const LazyLoadingSpinner = () => (
@@ -28,6 +34,7 @@ import { useAuth } from './contexts/AuthContext';
 import { useSmartSuggestions } from './hooks/useSmartSuggestions';
 import { useCueSheet } from './hooks/useCueSheet';
 import { useHighlights } from './hooks/useHighlights';
+import { syncSplitsWithStrings } from './utils/splits';
 import { CheckCircle, Warning, X, FolderOpen, FilePlus, FolderSimple, CircleNotch, ArrowsClockwise } from '@phosphor-icons/react';
 
 // Generate unique tab ID
@@ -49,6 +56,7 @@ function App() {
     exportToExcel,
     updateCue,
     batchUpdateCues,
+    applyDurationRounding,
     removeCue,
     removeCues,
     autoLookupAll,
@@ -93,6 +101,15 @@ function App() {
   
   // Feedback modal state
   const [showFeedbackModal, setShowFeedbackModal] = useState(false);
+  const [cueSheetImportFile, setCueSheetImportFile] = useState(null); // { filePath, preview } while mapping an imported XLSX/CSV cue sheet
+  const [showRevisionCompare, setShowRevisionCompare] = useState(false);
+  const [showLicensingRequests, setShowLicensingRequests] = useState(false);
+  const [showBatchLookup, setShowBatchLookup] = useState(false);
+  const [showTrackConflicts, setShowTrackConflicts] = useState(false);
+  const [conflictCount, setConflictCount] = useState(0); // open track conflicts
+  const [watchActivity, setWatchActivity] = useState([]); // watch-folder auto-imports, newest first
+  const [validation, setValidation] = useState(null); // export check results for the open cue sheet
+  const [preExport, setPreExport] = useState(null); // { action, format, validation } while the export check dialog is open
   
   // Import wizard state
   const [showImportWizard, setShowImportWizard] = useState(false);
@@ -727,28 +744,46 @@ function App() {
   }, []);
   
   // Handle import wizard completion
-  const handleImportWizardComplete = useCallback(async ({ cues: importedCues, projectInfo: wizardProjectInfo }) => {
-    const filePath = importWizardPath;
+  const handleImportWizardComplete = useCallback(async ({ cues: importedCues, projectInfo: wizardProjectInfo, cueSheets }) => {
+    const wizardPath = importWizardPath;
     
     setShowImportWizard(false);
     setImportWizardPath(null);
     
-    const normalizedCues = importedCues.map((cue, idx) => ({
+    // Multi-sequence imports produce one cue sheet per sequence; the first one opens in a tab
+    const sheets = cueSheets || [{ cues: importedCues, projectInfo: wizardProjectInfo }];
+    const [firstSheet] = sheets;
+    
+    const normalizeCues = (sheetCues) => sheetCues.map((cue, idx) => ({
       ...cue,
       id: cue.id || idx + 1,
       cueNumber: cue.cueNumber || idx + 1
     }));
     
+    const normalizedCues = normalizeCues(firstSheet.cues);
+    
     const normalizedProjectInfo = {
-      projectName: wizardProjectInfo?.projectName || '',
-      spotTitle: wizardProjectInfo?.spotTitle || '',
+      projectName: firstSheet.projectInfo?.projectName || '',
+      spotTitle: firstSheet.projectInfo?.spotTitle || '',
+      programLength: firstSheet.projectInfo?.programLength || '',
+      durationMode: firstSheet.projectInfo?.durationMode || 'total',
+      durationRounding: firstSheet.projectInfo?.durationRounding || 'frame-12',
     };
     
-    if (window.electronAPI && filePath) {
-      const importResult = await window.electronAPI.importPrproj(filePath, { cues: importedCues, projectInfo: wizardProjectInfo }, projectFolder);
-      if (importResult?.cueSheetId) {
-        const projectId = importResult.cueSheetId;
-        const projectName = wizardProjectInfo?.projectName || filePath.split('/').pop()?.replace('.prproj', '') || 'Untitled';
+    if (window.electronAPI && wizardPath) {
+      let firstCueSheetId = null;
+      
+      for (const sheet of sheets) {
+        const filePath = sheet.projectInfo?.filePath || wizardPath;
+        const importResult = await window.electronAPI.importPrproj(filePath, { cues: sheet.cues, projectInfo: sheet.projectInfo }, projectFolder);
+        if (importResult?.cueSheetId && !firstCueSheetId) {
+          firstCueSheetId = importResult.cueSheetId;
+        }
+      }
+      
+      if (firstCueSheetId) {
+        const projectId = firstCueSheetId;
+        const projectName = firstSheet.projectInfo?.projectName || wizardPath.split('/').pop()?.replace(/\.[^.]+$/, '') || 'Untitled';
         
         const newTab = {
           id: generateTabId(),
@@ -771,16 +806,20 @@ function App() {
         
         const projectsData = await window.electronAPI.getProjects();
         setProjects(projectsData || []);
+        
+        if (sheets.length > 1) {
+          showToast(`Imported ${sheets.length} cue sheets, one per sequence`, 'success');
+        }
       }
     } else {
       setCues(normalizedCues);
-      if (wizardProjectInfo) {
+      if (firstSheet.projectInfo) {
         setProjectInfo(prev => ({ ...prev, ...normalizedProjectInfo }));
       }
     }
     
     shouldAutoLookupRef.current = true;
-  }, [projectFolder, importWizardPath, setCues, setProjectInfo]);
+  }, [projectFolder, importWizardPath, setCues, setProjectInfo, showToast]);
   
   // Auto-lookup when file is loaded
   useEffect(() => {
@@ -806,7 +845,25 @@ function App() {
     }
   }, [handleFileDrop]);
 
-  const handleExport = useCallback(async (format = 'xlsx') => {
+  // Export checks: re-run as the cue sheet changes (and after rule sets are edited in Settings)
+  useEffect(() => {
+    if (!window.electronAPI?.validateCueSheet || showSettings) return;
+    const timeoutId = setTimeout(async () => {
+      const result = await window.electronAPI.validateCueSheet(cues.filter(c => !c.hidden), projectInfo);
+      setValidation(result.success ? result : null);
+    }, 400);
+    return () => clearTimeout(timeoutId);
+  }, [cues, projectInfo, showSettings]);
+
+  const validationIssuesByCue = useMemo(() => {
+    const byCue = {};
+    for (const issue of validation?.issues || []) {
+      (byCue[issue.cueId] = byCue[issue.cueId] || []).push(issue);
+    }
+    return byCue;
+  }, [validation]);
+
+  const exportCueSheet = useCallback(async (format = 'xlsx') => {
     if (!window.electronAPI?.exportExcel) return;
     
     // Filter out hidden tracks from export
@@ -831,12 +888,14 @@ function App() {
           onClick: () => window.electronAPI?.revealInFinder?.(result.filePath)
         }
       );
+    } else if (result.validation) {
+      setPreExport({ action: 'export', format, validation: result.validation });
     } else if (!result.canceled) {
       showToast(result.error || 'Export failed', 'warning');
     }
   }, [cues, projectInfo, projectFolder, showToast]);
 
-  const handleShare = useCallback(async (format = 'xlsx') => {
+  const shareCueSheet = useCallback(async (format = 'xlsx') => {
     if (window.electronAPI?.shareExport) {
       // Filter out hidden tracks from share
       const visibleCues = cues.filter(c => !c.hidden);
@@ -849,10 +908,34 @@ function App() {
       });
       if (result.success) {
         showToast(`${format.toUpperCase()} ready to share`, 'success');
+      } else if (result.validation) {
+        setPreExport({ action: 'share', format, validation: result.validation });
       }
     }
   }, [cues, projectInfo, projectFolder, showToast]);
 
+  // Check the cue sheet first; any errors or warnings are shown before the file is written
+  const checkBeforeExport = useCallback(async (action, format) => {
+    const run = action === 'share' ? shareCueSheet : exportCueSheet;
+    if (!window.electronAPI?.validateCueSheet) return run(format);
+    const result = await window.electronAPI.validateCueSheet(cues.filter(c => !c.hidden), projectInfo);
+    if (result.success) setValidation(result);
+    if (result.success && result.issues.length > 0) {
+      setPreExport({ action, format, validation: result });
+    } else {
+      await run(format);
+    }
+  }, [cues, projectInfo, exportCueSheet, shareCueSheet]);
+
+  const handleExport = useCallback((format = 'xlsx') => checkBeforeExport('export', format), [checkBeforeExport]);
+  const handleShare = useCallback((format = 'xlsx') => checkBeforeExport('share', format), [checkBeforeExport]);
+
+  const handleExportAnyway = useCallback(async () => {
+    const { action, format } = preExport;
+    setPreExport(null);
+    await (action === 'share' ? shareCueSheet : exportCueSheet)(format);
+  }, [preExport, exportCueSheet, shareCueSheet]);
+
   // Project tree handlers
   const handleCreateFolder = useCallback(async (parentId = null) => {
     if (window.electronAPI) {
@@ -907,12 +990,43 @@ function App() {
     }
   }, []);
 
+  // Pick an XLSX/CSV cue sheet to import; the mapping modal takes it from there
+  const handleImportCueSheet = useCallback(async () => {
+    if (!window.electronAPI?.openCueSheetImport) return;
+    const result = await window.electronAPI.openCueSheetImport();
+    if (result.success) {
+      setCueSheetImportFile({ filePath: result.filePath, preview: result.preview });
+    } else if (!result.canceled) {
+      showToast(result.error || 'Could not read cue sheet', 'warning');
+    }
+  }, [showToast]);
+
   const handleRevealInFinder = useCallback(async (filePath) => {
     if (window.electronAPI?.revealInFinder && filePath) {
       await window.electronAPI.revealInFinder(filePath);
     }
   }, []);
 
+  // Roll-up workbook for a campaign folder (the open cue sheet is saved first so it's current)
+  const handleExportRollup = useCallback(async (folderId) => {
+    if (!window.electronAPI?.exportCampaignRollup) return;
+    await saveCurrentProjectRef.current?.();
+    const result = await window.electronAPI.exportCampaignRollup(folderId, projectFolder);
+    if (result.success) {
+      showToast(
+        `Exported ${result.folderName} roll-up: ${result.sheetCount} cue sheet${result.sheetCount === 1 ? '' : 's'}, ${result.trackCount} track${result.trackCount === 1 ? '' : 's'}`,
+        'success',
+        {
+          icon: 'folder',
+          label: 'Reveal',
+          onClick: () => window.electronAPI?.revealInFinder?.(result.filePath)
+        }
+      );
+    } else if (!result.canceled) {
+      showToast(result.error || 'Roll-up export failed', 'warning');
+    }
+  }, [projectFolder, showToast]);
+
   const handleMoveItem = useCallback(async (itemId, newParentId) => {
     if (window.electronAPI) {
       await window.electronAPI.moveItem(itemId, newParentId);
@@ -966,8 +1080,8 @@ function App() {
     if (window.electronAPI?.acsOpen) {
       const result = await window.electronAPI.acsOpen();
       if (result.success) {
-        // If a .prproj file was selected, route through import
-        if (result.type === 'prproj') {
+        // A .prproj or interchange timeline (FCPXML, XML, EDL, CSV) routes through import
+        if (result.type === 'prproj' || result.type === 'timeline') {
           await handleFileDrop(result.path);
           return;
         }
@@ -1081,6 +1195,12 @@ function App() {
         case 'open-project':
           handleOpenProject();
           break;
+        case 'import-cue-sheet':
+          handleImportCueSheet();
+          break;
+        case 'compare-revisions':
+          setShowRevisionCompare(true);
+          break;
         case 'save':
           handleSaveProject();
           break;
@@ -1093,9 +1213,18 @@ function App() {
         case 'export-pdf':
           handleExport('pdf');
           break;
+        case 'export-csv':
+          handleExport('csv');
+          break;
+        case 'export-tsv':
+          handleExport('tsv');
+          break;
         case 'share':
           handleShare();
           break;
+        case 'licensing-requests':
+          setShowLicensingRequests(true);
+          break;
         case 'settings':
           setShowSettings(true);
           break;
@@ -1112,7 +1241,7 @@ function App() {
 
     window.electronAPI?.onMenuAction?.(handleMenuAction);
     return () => window.electronAPI?.removeMenuActionListener?.();
-  }, [handleNewProject, handleOpenProject, handleSaveProject, handleSaveProjectAs, handleExport, handleShare]);
+  }, [handleNewProject, handleOpenProject, handleImportCueSheet, handleSaveProject, handleSaveProjectAs, handleExport, handleShare]);
 
   // Track unsaved changes for ACS
   useEffect(() => {
@@ -1333,6 +1462,167 @@ function App() {
     }
   }, [openNewTab, switchTab]);
 
+  // Create a cue sheet from an imported XLSX/CSV cue sheet (rows optionally saved as verified tracks)
+  const handleCueSheetImported = useCallback(async ({ name, cues: importedCues, projectInfo: importedInfo, saveToDatabase }) => {
+    const newCueSheet = await window.electronAPI.createCueSheet(null, name, {
+      filePath: cueSheetImportFile?.filePath || null,
+      cues: importedCues,
+      projectInfo: {
+        project: '',
+        spotTitle: name,
+        type: '',
+        datePrepared: new Date().toLocaleDateString('en-US', {
+          month: 'numeric',
+          day: 'numeric',
+          year: '2-digit'
+        }).replace(/\//g, '.'),
+        durationMode: 'total',
+        ...importedInfo
+      }
+    });
+
+    if (saveToDatabase && window.electronAPI?.importTrackDb) {
+      await window.electronAPI.importTrackDb({
+        tracks: importedCues.map(cue => ({
+          ...cue,
+          library: cue.label,
+          useType: cue.use,
+          verified: true,
+          dataSource: 'cue_sheet_import'
+        }))
+      });
+    }
+
+    const projectsData = await window.electronAPI.getProjects();
+    setProjects(projectsData || []);
+    setCueSheetImportFile(null);
+    if (newCueSheet?.id) {
+      await handleSelectProject(newCueSheet.id);
+    }
+    showToast(`Imported ${importedCues.length} cues${saveToDatabase ? ' and saved them to the track database' : ''}`, 'success');
+  }, [cueSheetImportFile, handleSelectProject, showToast]);
+
+  // Apply enrichment carried forward from an older version of the spot
+  const handleRevisionCarryForward = useCallback(async ({ currentId, filePath, name, cues: mergedCues, carried, previous }) => {
+    if (currentId === activeProjectId) {
+      setCues(mergedCues);
+    } else if (currentId) {
+      await window.electronAPI.updateCueSheet(currentId, { cues: mergedCues });
+      setOpenTabs(prev => prev.map(t => (t.projectId === currentId ? { ...t, cues: mergedCues } : t)));
+    } else {
+      // A fresh .prproj parse becomes a new cue sheet next to the previous version
+      const newCueSheet = await window.electronAPI.createCueSheet(previous.parentId, name, {
+        filePath,
+        cues: mergedCues,
+        projectInfo: { ...previous.projectInfo, spotTitle: name }
+      });
+      const projectsData = await window.electronAPI.getProjects();
+      setProjects(projectsData || []);
+      setShowRevisionCompare(false);
+      if (newCueSheet?.id) {
+        await handleSelectProject(newCueSheet.id);
+      }
+    }
+    showToast(`Carried forward ${carried} field${carried === 1 ? '' : 's'} from ${previous.name}`, 'success');
+  }, [activeProjectId, setCues, handleSelectProject, showToast]);
+
+  // Watch-folder auto-imports: refresh the tree and reload an open cue sheet the import updated
+  const handleSelectProjectRef = useRef(handleSelectProject);
+  handleSelectProjectRef.current = handleSelectProject;
+  useEffect(() => {
+    if (!window.electronAPI?.onWatchFolderImport) return;
+    
+    window.electronAPI.getWatchFolderStatus?.().then(status => {
+      if (status?.success) setWatchActivity(status.activity || []);
+    });
+    
+    window.electronAPI.onWatchFolderImport(async (entry) => {
+      setWatchActivity(prev => [entry, ...prev.filter(e => e.id !== entry.id)].slice(0, 20));
+      if (entry.action === 'failed') {
+        showToast(`Watch folder: could not import ${entry.fileName}`, 'warning');
+        return;
+      }
+      
+      const projectsData = await window.electronAPI.getProjects();
+      setProjects(projectsData || []);
+      
+      if (entry.action === 'updated') {
+        const cueSheet = await window.electronAPI.getCueSheet(entry.cueSheetId);
+        const activeTab = openTabsRef.current.find(t => t.id === activeTabIdRef.current);
+        if (cueSheet && activeTab?.projectId === entry.cueSheetId) {
+          // Reloading drops edits that haven't auto-saved yet; keeping them means they save over the import
+          if (hasUnsavedChanges.current &&
+              !window.confirm(`${entry.cueSheetName} was updated from a watch folder, but it has unsaved edits. Reload it and discard your edits?`)) {
+            showToast(`Kept your edits to ${entry.cueSheetName}; saving them replaces the watch-folder update`, 'warning');
+            return;
+          }
+          if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
+          setCues(cueSheet.cues);
+        } else if (cueSheet) {
+          setOpenTabs(prev => prev.map(t => (t.projectId === entry.cueSheetId ? { ...t, cues: cueSheet.cues } : t)));
+        }
+      }
+      showToast(`${entry.cueSheetName} ${entry.action === 'updated' ? 'updated' : 'imported'} from a watch folder`, 'success');
+    });
+    
+    // Clicking the system notification opens the cue sheet
+    window.electronAPI.onWatchFolderOpen?.((cueSheetId) => {
+      handleSelectProjectRef.current(cueSheetId);
+    });
+    
+    return () => {
+      window.electronAPI.removeWatchFolderListeners?.();
+    };
+  }, [setCues, showToast]);
+
+  const handleClearWatchActivity = useCallback(async () => {
+    await window.electronAPI?.clearWatchFolderActivity?.();
+    setWatchActivity([]);
+  }, []);
+
+  // Track conflict queue count for the header badge
+  useEffect(() => {
+    if (!window.electronAPI?.getTrackConflicts) return;
+    
+    window.electronAPI.getTrackConflicts().then(result => {
+      if (result?.success) setConflictCount(result.count);
+    });
+    window.electronAPI.onTrackConflictsChange?.(({ count }) => setConflictCount(count));
+    
+    return () => {
+      window.electronAPI.removeTrackConflictsListener?.();
+    };
+  }, []);
+
+  // Apply a resolved conflict to every open cue sheet that uses the track
+  const handleConflictResolved = useCallback(async ({ trackName, field, value }) => {
+    const name = trackName.toLowerCase();
+    const usesTrack = (cue) => [cue.trackName, cue.matchedTrack, cue.composerMatchedTrack, cue.publisherMatchedTrack]
+      .some(candidate => candidate?.toLowerCase() === name);
+    const updates = { [field]: value, [`${field}Source`]: 'user_approved' };
+    const applyTo = (sheetCues) => sheetCues.map(cue => (
+      usesTrack(cue) && cue[field] !== value ? syncSplitsWithStrings({ ...cue, ...updates }, updates) : cue
+    ));
+    
+    let updatedSheets = 0;
+    if (cues.some(usesTrack)) {
+      updatedSheets++;
+      setCues(prev => applyTo(prev));
+    }
+    for (const tab of openTabsRef.current) {
+      if (tab.id === activeTabIdRef.current || !tab.cues?.some(usesTrack)) continue;
+      updatedSheets++;
+      const tabCues = applyTo(tab.cues);
+      await window.electronAPI.updateCueSheet(tab.projectId, { cues: tabCues });
+      setOpenTabs(prev => prev.map(t => (t.id === tab.id ? { ...t, cues: tabCues } : t)));
+    }
+    
+    showToast(
+      `${field === 'composer' ? 'Composer' : 'Publisher'} for ${trackName} saved${updatedSheets ? ` and applied to ${updatedSheets} open cue sheet${updatedSheets === 1 ? '' : 's'}` : ''}`,
+      'success'
+    );
+  }, [cues, setCues, showToast]);
+
   // Open browser for manual lookup (single track)
   const handleOpenBrowser = useCallback((cue) => {
     setBrowserTrack(cue);
@@ -1600,6 +1890,7 @@ function App() {
         hasUnsavedChanges={acsUnsavedChanges}
         onExport={handleExport}
         onShare={handleShare}
+        onLicensingRequests={() => setShowLicensingRequests(true)}
         onToggleSidebar={() => setShowSidebar(!showSidebar)}
         onOpenSettings={() => setShowSettings(true)}
         onNewProject={handleNewProject}
@@ -1614,6 +1905,8 @@ function App() {
         canRedo={historyIndex < cuesHistory.length - 1}
         onOpenLogin={() => setShowLoginModal(true)}
         onOpenFeedback={() => setShowFeedbackModal(true)}
+        onOpenConflicts={() => setShowTrackConflicts(true)}
+        conflictCount={conflictCount}
         onToggleAurisChat={() => setShowAurisChat(!showAurisChat)}
         showAurisChat={showAurisChat}
         onStartTour={() => setShowTour(true)}
@@ -1636,6 +1929,7 @@ function App() {
               onMoveItem={handleMoveItem}
               onFileDrop={handleFileDrop}
               onRevealInFinder={handleRevealInFinder}
+              onExportRollup={handleExportRollup}
               openTabProjectIds={openTabs.map(t => t.projectId)}
             />
           </div>
@@ -1732,6 +2026,9 @@ function App() {
                   scrollPosition={activeTab?.scrollPosition}
                   onScrollChange={handleScrollChange}
                   externalSelection={tourSelection}
+                  showTimecodes={!!projectInfo.showTimecodes}
+                  validationIssues={validationIssuesByCue}
+                  programLength={projectInfo.programLength}
                 />
               </div>
             </div>
@@ -1743,6 +2040,7 @@ function App() {
           <Sidebar 
             projectInfo={projectInfo}
             setProjectInfo={setProjectInfo}
+            onChangeDurationRounding={applyDurationRounding}
             cueCount={cues.length}
             completedCount={cues.filter(c => {
               const hasContent = (v) => v && v.trim() !== '' && v.trim() !== '-';
@@ -1753,6 +2051,10 @@ function App() {
             onExtractBMG={handleExtractBMG}
             onOpenBrowser={handleOpenBrowser}
             onOpenBrowserBatch={handleOpenBrowserBatch}
+            onStartBatchLookup={() => setShowBatchLookup(true)}
+            watchActivity={watchActivity}
+            onOpenCueSheet={handleSelectProject}
+            onClearWatchActivity={handleClearWatchActivity}
             // Smart fill props
             aiAssistEnabled={aiAssistEnabled}
             smartSuggestions={smartSuggestions}
@@ -1832,6 +2134,96 @@ function App() {
         document.body
       )}
 
+      {/* Import Cue Sheet (XLSX/CSV) - Lazy Loaded */}
+      {cueSheetImportFile && (
+        <Suspense fallback={<LazyLoadingSpinner />}>
+          <ImportCueSheetModal
+            importFile={cueSheetImportFile}
+            onClose={() => setCueSheetImportFile(null)}
+            onImport={handleCueSheetImported}
+          />
+        </Suspense>
+      )}
+
+      {/* Compare Revisions - Lazy Loaded */}
+      {showRevisionCompare && (
+        <Suspense fallback={<LazyLoadingSpinner />}>
+          <RevisionCompareModal
+            projects={projects}
+            activeProjectId={activeProjectId}
+            activeCues={cues}
+            onClose={() => setShowRevisionCompare(false)}
+            onCarryForward={handleRevisionCarryForward}
+          />
+        </Suspense>
+      )}
+
+      {/* Track Conflicts - Lazy Loaded */}
+      {showTrackConflicts && (
+        <Suspense fallback={<LazyLoadingSpinner />}>
+          <TrackConflictsModal
+            conflictCount={conflictCount}
+            onClose={() => setShowTrackConflicts(false)}
+            onResolved={handleConflictResolved}
+          />
+        </Suspense>
+      )}
+
+      {/* Licensing Requests - Lazy Loaded */}
+      {showLicensingRequests && (
+        <Suspense fallback={<LazyLoadingSpinner />}>
+          <LicensingRequestsModal
+            cues={cues}
+            projectInfo={projectInfo}
+            projectFolder={projectFolder}
+            onProjectInfoChange={(changes) => setProjectInfo(prev => ({ ...prev, ...changes }))}
+            onClose={() => setShowLicensingRequests(false)}
+            onGenerated={(result) => {
+              showToast(
+                `Created ${result.requests.length} licensing request${result.requests.length === 1 ? '' : 's'}${result.unassigned.length ? ` (${result.unassigned.length} cue${result.unassigned.length === 1 ? '' : 's'} without a contact left out)` : ''}`,
+                'success',
+                {
+                  icon: 'folder',
+                  label: 'Reveal',
+                  onClick: () => window.electronAPI?.revealInFinder?.(result.files[0])
+                }
+              );
+            }}
+          />
+        </Suspense>
+      )}
+
+      {/* Export Checks - Lazy Loaded */}
+      {preExport && (
+        <Suspense fallback={<LazyLoadingSpinner />}>
+          <PreExportDialog
+            action={preExport.action}
+            format={preExport.format}
+            validation={preExport.validation}
+            onClose={() => setPreExport(null)}
+            onConfirm={handleExportAnyway}
+            onOpenSettings={() => {
+              setPreExport(null);
+              setShowSettings(true);
+            }}
+          />
+        </Suspense>
+      )}
+
+      {/* Automatic Lookup - Lazy Loaded */}
+      {showBatchLookup && (
+        <Suspense fallback={<LazyLoadingSpinner />}>
+          <BatchLookupModal
+            cues={cues}
+            onClose={() => setShowBatchLookup(false)}
+            onApply={(updatedCues, count) => {
+              setCues(updatedCues);
+              showToast(`Applied ${count} looked-up value${count === 1 ? '' : 's'}`, 'success');
+            }}
+          />
+        </Suspense>
+      )}
+
       {/* Settings Modal - Lazy Loaded */}
       {showSettings && (
         <Suspense fallback={<LazyLoadingSpinner />}>
@@ -1840,6 +2232,8 @@ function App() {
             onClose={() => setShowSettings(false)}
             sources={sources}
             onUpdateSources={setSources}
+            projectInfo={projectInfo}
+            setProjectInfo={setProjectInfo}
           />
         </Suspense>
       )}
@@ -1940,6 +2334,7 @@ function App() {
           <ImportWizard
             isOpen={showImportWizard}
             projectPath={importWizardPath}
+            durationRounding={projectInfo.durationRounding}
             onClose={() => {
               setShowImportWizard(false);
               setImportWizardPath(null);
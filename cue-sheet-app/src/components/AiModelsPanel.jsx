@@ -0,0 +1,165 @@
+/**
+ * AI Models Panel - Which provider answers AI requests, the model each task
+ * runs on, and this session's requests, tokens and estimated cost
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Cpu, ArrowCounterClockwise, CircleNotch, Warning } from '@phosphor-icons/react';
+
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count || 0));
+const formatCost = (usd) => (usd ? `$${usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}` : '-');
+
+export default function AiModelsPanel() {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    if (!window.electronAPI?.getLlmStatus) return;
+    const result = await window.electronAPI.getLlmStatus();
+    if (result.success) setStatus(result);
+    else setError(result.error);
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Every call returns the full status
+  const applyResult = (result) => {
+    if (result.success) {
+      setError(null);
+      setStatus(result);
+    } else {
+      setError(result.error || 'Could not update AI settings');
+    }
+  };
+
+  const handleModelChange = async (task, model) => {
+    applyResult(await window.electronAPI.setLlmTaskConfig(task, { model }));
+  };
+
+  const handleResetTask = async (task) => {
+    applyResult(await window.electronAPI.setLlmTaskConfig(task, { model: null, maxTokens: null, timeoutMs: null }));
+  };
+
+  const handleProviderChange = async (name) => {
+    applyResult(await window.electronAPI.setLlmProvider(name));
+  };
+
+  const handleResetUsage = async () => {
+    applyResult(await window.electronAPI.resetLlmUsage());
+  };
+
+  if (!status) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <CircleNotch size={20} className="text-auris-blue animate-spin" />
+      </div>
+    );
+  }
+
+  const { usage } = status;
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-4 border-b border-auris-border bg-auris-card/30 flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-sm font-medium mb-1">AI Models</h3>
+          <p className="text-xs text-auris-text-muted">
+            Every AI feature goes through one service. Pick the model for each task; replies to identical
+            requests are reused for 30 minutes. Offline fixtures answer from canned responses, for testing without an API key.
+          </p>
+        </div>
+        <select
+          value={status.provider}
+          onChange={(e) => handleProviderChange(e.target.value)}
+          className="input text-xs w-40 flex-shrink-0"
+          title="Where AI requests are sent"
+        >
+          {status.providers.map(provider => (
+            <option key={provider.name} value={provider.name}>{provider.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {(error || !status.available) && (
+        <div className="mx-4 mt-3 px-3 py-2 rounded-lg bg-auris-orange/10 text-auris-orange text-xs flex items-center gap-2">
+          <Warning size={14} />
+          {error || 'AI features are off: add and enable your Claude API key under Sources.'}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="bg-auris-bg sticky top-0">
+            <tr className="text-left text-auris-text-muted border-b border-auris-border">
+              <th className="px-4 py-2 font-medium">Task</th>
+              <th className="px-2 py-2 font-medium w-44">Model</th>
+              <th className="px-2 py-2 font-medium w-16 text-right">Requests</th>
+              <th className="px-2 py-2 font-medium w-24 text-right">Tokens in/out</th>
+              <th className="px-4 py-2 font-medium w-20 text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-auris-border/30">
+            {status.tasks.map(task => {
+              const taskUsage = usage.byTask[task.task];
+              return (
+                <tr key={task.task} className="group">
+                  <td className="px-4 py-2">
+                    <div className="flex items-center gap-1.5">
+                      <Cpu size={12} className={task.customized ? 'text-auris-blue' : 'text-auris-text-muted'} />
+                      <span>{task.label}</span>
+                      {task.customized && (
+                        <button
+                          onClick={() => handleResetTask(task.task)}
+                          className="p-0.5 rounded text-auris-text-muted hover:text-auris-text opacity-0 group-hover:opacity-100 transition-opacity"
+                          title="Back to the default model"
+                        >
+                          <ArrowCounterClockwise size={10} />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                  <td className="px-2 py-1.5">
+                    <select
+                      value={task.model}
+                      onChange={(e) => handleModelChange(task.task, e.target.value)}
+                      className="input text-xs w-full py-1"
+                    >
+                      {status.models.map(model => (
+                        <option key={model.id} value={model.id}>{model.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-2 py-2 text-right text-auris-text-muted" title={taskUsage?.cached ? `${taskUsage.cached} from cache` : ''}>
+                    {taskUsage?.requests || 0}
+                    {taskUsage?.errors > 0 && <span className="text-auris-red"> ({taskUsage.errors} failed)</span>}
+                  </td>
+                  <td className="px-2 py-2 text-right text-auris-text-muted">
+                    {formatTokens(taskUsage?.inputTokens)} / {formatTokens(taskUsage?.outputTokens)}
+                  </td>
+                  <td className="px-4 py-2 text-right">{formatCost(taskUsage?.costUsd)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-4 py-3 border-t border-auris-border bg-auris-bg/50 flex items-center justify-between gap-4">
+        <span className="text-[10px] text-auris-text-muted">
+          Since {new Date(usage.since).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}:{' '}
+          {usage.total.requests} request{usage.total.requests === 1 ? '' : 's'} ({usage.total.cached} cached),{' '}
+          {formatTokens(usage.total.inputTokens + usage.total.outputTokens)} tokens, about {usage.total.costUsd ? formatCost(usage.total.costUsd) : '$0'}
+        </span>
+        <button
+          onClick={handleResetUsage}
+          className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1 flex-shrink-0"
+        >
+          <ArrowCounterClockwise size={12} />
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
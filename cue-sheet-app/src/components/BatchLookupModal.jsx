@@ -0,0 +1,278 @@
+/**
+ * Batch Lookup Modal - Run the queued lookup over every cue with missing data,
+ * then review the candidates each source found and apply the accepted ones
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { X, MagnifyingGlass, Pause, Play, Stop, CircleNotch, CheckCircle, Warning, Check } from '@phosphor-icons/react';
+
+const FIELD_LABELS = {
+  composer: 'Composer',
+  publisher: 'Publisher',
+  artist: 'Artist',
+  source: 'Source',
+  trackNumber: 'Track #',
+  masterContact: 'Master Contact',
+  label: 'Library',
+};
+
+const SOURCE_NAMES = {
+  learned_db: 'Database',
+  bmg: 'BMG',
+  itunes: 'iTunes',
+  bmi: 'BMI',
+  ascap: 'ASCAP',
+};
+
+// Most confident candidate per field
+function defaultSelection(results) {
+  const selected = new Set();
+  for (const result of results) {
+    const seen = new Set();
+    for (const candidate of [...result.candidates].sort((a, b) => b.confidence - a.confidence)) {
+      if (seen.has(candidate.field)) continue;
+      seen.add(candidate.field);
+      selected.add(candidate.id);
+    }
+  }
+  return selected;
+}
+
+export default function BatchLookupModal({ cues, onClose, onApply }) {
+  const [phase, setPhase] = useState('ready'); // ready | running | review
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [error, setError] = useState(null);
+
+  const missingCount = useMemo(
+    () => cues.filter(c => !c.hidden && (!c.composer?.trim() || !c.publisher?.trim())).length,
+    [cues]
+  );
+
+  useEffect(() => {
+    window.electronAPI?.onBatchLookupProgress?.(setProgress);
+    return () => window.electronAPI?.removeBatchLookupProgressListener?.();
+  }, []);
+
+  const handleStart = async () => {
+    setPhase('running');
+    setError(null);
+    const result = await window.electronAPI.startBatchLookup(cues);
+    if (!result.success) {
+      setError(result.error);
+      setPhase('ready');
+      return;
+    }
+    const withCandidates = result.results.filter(r => r.candidates.length > 0 || r.errors.length > 0);
+    setResults(withCandidates);
+    setSelected(defaultSelection(withCandidates));
+    setPhase('review');
+  };
+
+  const handlePauseResume = async () => {
+    if (progress?.isPaused) await window.electronAPI.resumeBatchLookup();
+    else await window.electronAPI.pauseBatchLookup();
+    setProgress(await window.electronAPI.getBatchLookupProgress());
+  };
+
+  const handleClose = () => {
+    if (phase === 'running') window.electronAPI.cancelBatchLookup();
+    onClose();
+  };
+
+  // One value per field: picking a candidate drops the others for that field
+  const toggleCandidate = (result, candidate) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(candidate.id)) {
+        next.delete(candidate.id);
+      } else {
+        result.candidates.filter(c => c.field === candidate.field).forEach(c => next.delete(c.id));
+        next.add(candidate.id);
+      }
+      return next;
+    });
+  };
+
+  const handleApply = async () => {
+    const result = await window.electronAPI.applyBatchLookupResults([...selected], cues);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    onApply(result.cues, selected.size);
+    onClose();
+  };
+
+  const percent = progress?.total ? Math.round((progress.current / progress.total) * 100) : 0;
+  const cueNumber = (cueId) => cues.findIndex(c => c.id === cueId) + 1;
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[99999]"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-auris-bg border border-auris-border rounded-xl w-[760px] max-w-[95vw] max-h-[90vh] flex flex-col shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-5 py-4 border-b border-auris-border flex items-start justify-between">
+          <div>
+            <h2 className="text-sm font-medium flex items-center gap-2">
+              <MagnifyingGlass size={16} className="text-auris-blue" />
+              Automatic Lookup
+            </h2>
+            <p className="text-xs text-auris-text-muted mt-0.5">
+              {phase === 'review'
+                ? `${results.filter(r => r.candidates.length > 0).length} of ${progress?.total ?? missingCount} cues have suggestions`
+                : `${missingCount} cues missing composer or publisher`}
+            </p>
+          </div>
+          <button onClick={handleClose} className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-5 space-y-3">
+          {error && (
+            <div className="px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+              <Warning size={14} />
+              {error}
+            </div>
+          )}
+
+          {phase === 'ready' && (
+            <p className="text-xs text-auris-text-muted">
+              Each cue is checked against the learned database first, then the enabled sources (BMG, iTunes, BMI, ASCAP).
+              Web sources are queued and rate limited, so long cue sheets take a while. Nothing is changed until you review and apply the results.
+            </p>
+          )}
+
+          {phase === 'running' && (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between text-xs">
+                <span className="flex items-center gap-2">
+                  {progress?.isPaused ? <Pause size={14} className="text-auris-orange" /> : <CircleNotch size={14} className="animate-spin text-auris-blue" />}
+                  {progress?.isPaused ? 'Paused' : progress?.trackName ? `Looked up ${progress.trackName}` : 'Starting…'}
+                </span>
+                <span className="text-auris-text-muted font-mono">{progress?.current ?? 0}/{progress?.total ?? missingCount}</span>
+              </div>
+              <div className="h-1.5 bg-auris-card rounded-full overflow-hidden">
+                <div className="h-full bg-auris-blue transition-all" style={{ width: `${percent}%` }} />
+              </div>
+              <div className="grid grid-cols-5 gap-2">
+                {Object.entries(progress?.sources || {}).map(([id, source]) => (
+                  <div key={id} className="px-2 py-1.5 rounded-lg bg-auris-card/50 text-[11px]">
+                    <div className="text-auris-text-muted truncate">{source.label}</div>
+                    <div className="font-mono">
+                      {source.done} done{source.pending > 0 && <span className="text-auris-text-muted"> · {source.pending} queued</span>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {phase === 'review' && results.length === 0 && (
+            <p className="text-xs text-auris-text-muted text-center py-8">No source found anything for the remaining cues</p>
+          )}
+
+          {phase === 'review' && results.map(result => (
+            <div key={result.cueId} className="border border-auris-border rounded-lg px-3 py-2">
+              <div className="flex items-center gap-2 text-xs mb-1.5">
+                <span className="text-auris-text-muted font-mono w-6 text-right">{cueNumber(result.cueId)}</span>
+                <span className="truncate font-medium">{result.trackName}</span>
+                {result.errors.length > 0 && (
+                  <span
+                    className="ml-auto flex items-center gap-1 text-[10px] text-auris-orange"
+                    title={result.errors.map(e => `${SOURCE_NAMES[e.source] || e.source}: ${e.message}`).join('\n')}
+                  >
+                    <Warning size={11} />
+                    {result.errors.length} source{result.errors.length === 1 ? '' : 's'} failed
+                  </span>
+                )}
+              </div>
+              <div className="space-y-1 ml-8">
+                {result.candidates.map(candidate => {
+                  const isSelected = selected.has(candidate.id);
+                  return (
+                    <button
+                      key={candidate.id}
+                      onClick={() => toggleCandidate(result, candidate)}
+                      className={`w-full grid grid-cols-[16px_96px_1fr_auto] gap-2 items-center text-left text-[11px] px-2 py-1 rounded transition-colors ${
+                        isSelected ? 'bg-auris-blue/10' : 'hover:bg-auris-card/50'
+                      }`}
+                    >
+                      <span className={`w-3.5 h-3.5 rounded border flex items-center justify-center ${isSelected ? 'bg-auris-blue border-auris-blue' : 'border-auris-border'}`}>
+                        {isSelected && <Check size={10} weight="bold" className="text-white" />}
+                      </span>
+                      <span className="text-auris-text-muted">{FIELD_LABELS[candidate.field] || candidate.field}</span>
+                      <span className="truncate" title={candidate.value}>{candidate.value}</span>
+                      <span className="text-[10px] text-auris-text-muted whitespace-nowrap">
+                        {candidate.sources.map(s => SOURCE_NAMES[s] || s).join(' + ')} · {Math.round(candidate.confidence * 100)}%
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="px-5 py-3 border-t border-auris-border flex items-center gap-3">
+          {phase === 'review' && (
+            <div className="flex-1 flex items-center gap-3 text-[11px] text-auris-text-muted">
+              <button onClick={() => setSelected(defaultSelection(results))} className="hover:text-auris-text">Best per field</button>
+              <button onClick={() => setSelected(new Set())} className="hover:text-auris-text">Select none</button>
+            </div>
+          )}
+          {phase !== 'review' && <div className="flex-1" />}
+
+          {phase === 'ready' && (
+            <>
+              <button onClick={handleClose} className="btn btn-secondary px-3 py-1.5 text-xs">Cancel</button>
+              <button
+                onClick={handleStart}
+                disabled={missingCount === 0}
+                className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+              >
+                <Play size={14} />
+                Start Lookup
+              </button>
+            </>
+          )}
+
+          {phase === 'running' && (
+            <>
+              <button onClick={() => window.electronAPI.cancelBatchLookup()} className="btn btn-secondary px-3 py-1.5 text-xs flex items-center gap-1.5">
+                <Stop size={14} />
+                Stop
+              </button>
+              <button onClick={handlePauseResume} className="btn btn-secondary px-3 py-1.5 text-xs flex items-center gap-1.5">
+                {progress?.isPaused ? <Play size={14} /> : <Pause size={14} />}
+                {progress?.isPaused ? 'Resume' : 'Pause'}
+              </button>
+            </>
+          )}
+
+          {phase === 'review' && (
+            <>
+              <button onClick={handleClose} className="btn btn-secondary px-3 py-1.5 text-xs">Discard</button>
+              <button
+                onClick={handleApply}
+                disabled={selected.size === 0}
+                className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+              >
+                <CheckCircle size={14} />
+                Apply {selected.size} Value{selected.size === 1 ? '' : 's'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,360 @@
+/**
+ * Contacts Panel - The library contact directory: aliases and catalog
+ * prefixes for matching, contacts by role and the Master/Contact block,
+ * with CSV import/export and team sync
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { AddressBook, Plus, Trash, FloppyDisk, ArrowsClockwise, UploadSimple, DownloadSimple, CircleNotch, Warning, CloudArrowUp } from '@phosphor-icons/react';
+
+const ORIGIN_LABELS = {
+  builtIn: 'Built-in',
+  cloud: 'Team',
+  user: 'Local',
+};
+
+const NEW_CONTACT = { role: 'licensing', name: '', email: '', phone: '', territory: '' };
+
+const NEW_LIBRARY = {
+  name: '',
+  aliases: [],
+  catalogPrefixes: [],
+  masterContact: '',
+  notes: '',
+  contacts: [{ ...NEW_CONTACT }],
+};
+
+// Lists are edited as "a; b; c"
+const listText = (value) => (Array.isArray(value) ? value.join('; ') : value || '');
+
+export default function ContactsPanel() {
+  const [libraries, setLibraries] = useState([]);
+  const [roles, setRoles] = useState({});
+  const [pending, setPending] = useState(false);
+  const [cloud, setCloud] = useState(false);
+  const [search, setSearch] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadLibraries = useCallback(async () => {
+    if (!window.electronAPI?.listContactLibraries) {
+      setIsLoading(false);
+      return [];
+    }
+    try {
+      const result = await window.electronAPI.listContactLibraries();
+      if (!result.success) {
+        setError(result.error);
+        return [];
+      }
+      setLibraries(result.libraries);
+      setRoles(result.roles);
+      setPending(result.pending);
+      setCloud(result.cloud);
+      return result.libraries;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLibraries();
+    window.electronAPI?.onContactsChange?.(loadLibraries);
+    return () => window.electronAPI?.removeContactsChangeListener?.();
+  }, [loadLibraries]);
+
+  const updateDraft = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const updateContact = (index, key, value) => setDraft(prev => ({
+    ...prev,
+    contacts: prev.contacts.map((contact, i) => (i === index ? { ...contact, [key]: value } : contact)),
+  }));
+
+  // Any sync problem is shown, but the edit itself is kept locally
+  const afterChange = (result) => {
+    if (result.syncError) setNotice(`Saved locally - sync failed: ${result.syncError}`);
+    else if (cloud && !result.synced) setNotice('Saved locally - sign in to share it with the team');
+    else setNotice(null);
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    const result = await window.electronAPI.saveContactLibrary(draft);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    afterChange(result);
+    const saved = (await loadLibraries()).find(library => library.id === result.library.id);
+    setDraft(saved ? { ...saved } : null);
+  };
+
+  const handleDelete = async () => {
+    const reverting = draft.origin === 'user' && draft.overrides;
+    const message = reverting
+      ? `Discard your changes to "${draft.name}"?`
+      : draft.origin === 'cloud'
+        ? `Delete "${draft.name}" from the team directory?`
+        : `Delete "${draft.name}"?`;
+    if (!confirm(message)) return;
+    setError(null);
+    const result = await window.electronAPI.deleteContactLibrary(draft.id);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    afterChange(result);
+    setDraft(null);
+    await loadLibraries();
+  };
+
+  const handleSync = async () => {
+    setIsSyncing(true);
+    setError(null);
+    try {
+      const result = await window.electronAPI.syncContacts();
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      setNotice(result.skipped
+        ? `${result.skipped} local edit${result.skipped === 1 ? ' was' : 's were'} older than the team's and dropped`
+        : null);
+      await loadLibraries();
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    const result = await window.electronAPI.importContacts();
+    if (result.canceled) return;
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setNotice(`Imported ${result.count} librar${result.count === 1 ? 'y' : 'ies'} - sync to share them with the team`);
+    await loadLibraries();
+  };
+
+  const handleExport = async () => {
+    const result = await window.electronAPI.exportContactsCsv();
+    if (!result.success && !result.canceled) setError(result.error);
+  };
+
+  const query = search.trim().toLowerCase();
+  const visible = query
+    ? libraries.filter(library => [library.name, ...library.aliases, ...library.contacts.map(contact => contact.email)]
+      .some(value => value?.toLowerCase().includes(query)))
+    : libraries;
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-4 border-b border-auris-border bg-auris-card/30 flex items-start justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <AddressBook size={16} className="text-auris-blue" />
+            <h3 className="text-sm font-medium">Library Contacts</h3>
+          </div>
+          <p className="text-xs text-auris-text-muted">
+            Who to contact at each music library, and the Master/Contact block written on exports.
+            Cues are matched to a library by name, alias or catalog prefix.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button onClick={handleImport} className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1" title="Import contacts from CSV or Excel">
+            <UploadSimple size={12} />
+            Import
+          </button>
+          <button onClick={handleExport} className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1" title="Export the directory as CSV">
+            <DownloadSimple size={12} />
+            Export
+          </button>
+          {cloud && (
+            <button
+              onClick={handleSync}
+              disabled={isSyncing}
+              className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1"
+              title="Share local edits and fetch the team's changes"
+            >
+              {isSyncing ? <CircleNotch size={12} className="animate-spin" /> : <ArrowsClockwise size={12} />}
+              Sync
+            </button>
+          )}
+          <button
+            onClick={() => setDraft({ ...NEW_LIBRARY, contacts: [{ ...NEW_CONTACT }] })}
+            className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1"
+          >
+            <Plus size={12} />
+            New Library
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-3 px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+          <Warning size={14} />
+          {error}
+        </div>
+      )}
+      {notice && !error && (
+        <div className="mx-4 mt-3 px-3 py-2 rounded-lg bg-auris-orange/10 text-auris-orange text-xs flex items-center gap-2">
+          <CloudArrowUp size={14} />
+          {notice}
+        </div>
+      )}
+
+      <div className="flex-1 min-h-0 grid grid-cols-[240px_1fr]">
+        {/* Library list */}
+        <div className="border-r border-auris-border flex flex-col min-h-0">
+          <div className="p-2 border-b border-auris-border">
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="input text-xs px-2 py-1.5"
+              placeholder="Search libraries..."
+            />
+          </div>
+          <div className="flex-1 overflow-auto p-2 space-y-1">
+            {isLoading ? (
+              <div className="flex items-center justify-center py-8">
+                <CircleNotch size={20} className="text-auris-blue animate-spin" />
+              </div>
+            ) : visible.map(library => (
+              <button
+                key={library.id}
+                onClick={() => setDraft({ ...library })}
+                className={`w-full text-left px-2 py-1.5 rounded-lg transition-colors ${
+                  draft?.id === library.id ? 'bg-auris-blue/10 border border-auris-blue/40' : 'border border-transparent hover:bg-auris-card/50'
+                }`}
+              >
+                <div className="flex items-center gap-1.5">
+                  <span className="text-xs truncate flex-1">{library.name}</span>
+                  <span
+                    className={`text-[9px] px-1 py-0.5 rounded ${library.pending ? 'bg-auris-orange/15 text-auris-orange' : 'bg-auris-card text-auris-text-muted'}`}
+                    title={library.pending ? 'Not synced with the team yet' : undefined}
+                  >
+                    {ORIGIN_LABELS[library.origin]}
+                  </span>
+                </div>
+                <div className="text-[10px] text-auris-text-muted truncate">
+                  {library.contacts.length} contact{library.contacts.length === 1 ? '' : 's'}
+                  {library.aliases.length > 0 && ` · ${library.aliases.join(', ')}`}
+                </div>
+              </button>
+            ))}
+          </div>
+          {pending && cloud && (
+            <div className="px-3 py-2 border-t border-auris-border text-[10px] text-auris-orange">
+              Local edits are waiting to sync
+            </div>
+          )}
+        </div>
+
+        {/* Editor */}
+        <div className="overflow-auto p-4">
+          {draft ? (
+            <div className="space-y-3">
+              <div className="grid grid-cols-3 gap-2">
+                <label>
+                  <span className="block text-[11px] text-auris-text-muted mb-1">Library</span>
+                  <input value={draft.name} onChange={(e) => updateDraft('name', e.target.value)} className="input text-xs px-2 py-1.5" placeholder="Library name" />
+                </label>
+                <label>
+                  <span className="block text-[11px] text-auris-text-muted mb-1">Aliases</span>
+                  <input
+                    value={listText(draft.aliases)}
+                    onChange={(e) => updateDraft('aliases', e.target.value)}
+                    className="input text-xs px-2 py-1.5"
+                    placeholder="BMG; BMGPM"
+                  />
+                </label>
+                <label>
+                  <span className="block text-[11px] text-auris-text-muted mb-1">Catalog prefixes</span>
+                  <input
+                    value={listText(draft.catalogPrefixes)}
+                    onChange={(e) => updateDraft('catalogPrefixes', e.target.value)}
+                    className="input text-xs px-2 py-1.5 font-mono"
+                    placeholder="IATS; BMGPM"
+                  />
+                </label>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-[11px] text-auris-text-muted">Contacts</span>
+                  <button
+                    onClick={() => updateDraft('contacts', [...draft.contacts, { ...NEW_CONTACT }])}
+                    className="text-[11px] text-auris-text-muted hover:text-auris-text flex items-center gap-1"
+                  >
+                    <Plus size={12} />
+                    Add Contact
+                  </button>
+                </div>
+                <div className="space-y-1.5">
+                  {draft.contacts.map((contact, index) => (
+                    <div key={index} className="grid grid-cols-[100px_1fr_1.3fr_110px_90px_20px] gap-1.5 items-center">
+                      <select value={contact.role} onChange={(e) => updateContact(index, 'role', e.target.value)} className="input text-xs px-2 py-1.5">
+                        {Object.entries(roles).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+                      </select>
+                      <input value={contact.name} onChange={(e) => updateContact(index, 'name', e.target.value)} className="input text-xs px-2 py-1.5" placeholder="Name" />
+                      <input value={contact.email} onChange={(e) => updateContact(index, 'email', e.target.value)} className="input text-xs px-2 py-1.5" placeholder="Email" />
+                      <input value={contact.phone} onChange={(e) => updateContact(index, 'phone', e.target.value)} className="input text-xs px-2 py-1.5" placeholder="Phone" />
+                      <input value={contact.territory} onChange={(e) => updateContact(index, 'territory', e.target.value)} className="input text-xs px-2 py-1.5" placeholder="Territory" />
+                      <button
+                        onClick={() => updateDraft('contacts', draft.contacts.filter((_, i) => i !== index))}
+                        className="text-auris-text-muted hover:text-auris-red"
+                        title="Remove contact"
+                      >
+                        <Trash size={12} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <label className="block">
+                <span className="block text-[11px] text-auris-text-muted mb-1">Master/Contact on exports</span>
+                <textarea
+                  value={draft.masterContact}
+                  onChange={(e) => updateDraft('masterContact', e.target.value)}
+                  rows={3}
+                  className="input text-xs px-2 py-1.5 w-full resize-y"
+                  placeholder={`${draft.name || 'Library'}\nContact:\n${draft.contacts.find(contact => contact.role === 'licensing')?.email || draft.contacts[0]?.email || 'licensing email'}`}
+                />
+              </label>
+
+              <label className="block">
+                <span className="block text-[11px] text-auris-text-muted mb-1">Notes</span>
+                <textarea value={draft.notes} onChange={(e) => updateDraft('notes', e.target.value)} rows={2} className="input text-xs px-2 py-1.5 w-full resize-y" />
+              </label>
+
+              <div className="flex items-center gap-2">
+                <button onClick={handleSave} disabled={!draft.name?.trim()} className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50">
+                  <FloppyDisk size={14} />
+                  Save
+                </button>
+                <div className="flex-1" />
+                {draft.origin && draft.origin !== 'builtIn' && (
+                  <button onClick={handleDelete} className="btn btn-secondary px-3 py-1.5 text-xs flex items-center gap-1.5 hover:text-auris-red">
+                    <Trash size={14} />
+                    {draft.origin === 'user' && draft.overrides ? 'Discard Changes' : 'Delete'}
+                  </button>
+                )}
+                <button onClick={() => setDraft(null)} className="btn btn-secondary px-3 py-1.5 text-xs">Close</button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-xs text-auris-text-muted">
+              Pick a library to edit its contacts, or add a new one.
+              {cloud ? ' Saved changes are shared with the team when you are signed in.' : ''}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
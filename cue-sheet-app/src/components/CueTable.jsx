@@ -1,7 +1,10 @@
 import { useState, useCallback, useRef, useEffect, memo, useMemo } from 'react';
 import { List } from 'react-window';
-import { CircleNotch, Warning, CheckCircle, XCircle, Database, Sparkle, Eye, EyeSlash, NotePencil, MagnifyingGlassMinus, MagnifyingGlassPlus, Lightning, Trash } from '@phosphor-icons/react';
+import { CircleNotch, Warning, CheckCircle, XCircle, Database, Sparkle, Eye, EyeSlash, NotePencil, MagnifyingGlassMinus, MagnifyingGlassPlus, Lightning, Trash, UsersThree, ChartBar } from '@phosphor-icons/react';
 import AutocompleteInput from './AutocompleteInput';
+import SplitsModal from './SplitsModal';
+import CueTotalsPanel from './CueTotalsPanel';
+import { computeTotals, formatTotal } from '../utils/totals';
 
 // Row height constant for virtualization
 const ROW_HEIGHT = 48;
@@ -239,13 +242,21 @@ function CueTable({
   scrollPosition,
   onScrollChange,
   // External selection for tour demo
-  externalSelection
+  externalSelection,
+  // Optional TC In / TC Out columns
+  showTimecodes = false,
+  // Export check results by cue id: [{ severity, field, message }]
+  validationIssues,
+  // Program length ("m:ss") for the music-percentage totals
+  programLength
 }) {
   const [editingCell, setEditingCell] = useState(null);
   const [editValue, setEditValue] = useState('');
   const [lookingUpCueId, setLookingUpCueId] = useState(null);
   const [hoveredRow, setHoveredRow] = useState(null);
   const [updatePrompt, setUpdatePrompt] = useState(null);
+  const [splitsCueId, setSplitsCueId] = useState(null);
+  const [showTotals, setShowTotals] = useState(false);
   
   // Cell-based selection state
   const [selection, setSelection] = useState(null); // { startRow, startCol, endRow, endCol }
@@ -286,6 +297,8 @@ function CueTable({
     index: 40,
     trackName: 200,
     duration: 90,
+    tcIn: 100,
+    tcOut: 100,
     artist: 140,
     source: 160,
     trackNumber: 70,
@@ -338,11 +351,16 @@ function CueTable({
     { key: 'index', label: '#', minWidth: 40, editable: false, selectable: false },
     { key: 'trackName', label: 'Track Name', minWidth: 100, editable: true, selectable: true, sourceKey: 'trackNameSource' },
     { key: 'duration', label: 'Cue Length', minWidth: 70, editable: true, mono: true, selectable: true, sourceKey: 'durationSource' },
+    // Program timecode of the first use in / last use out (read-only, from the sequence)
+    ...(showTimecodes ? [
+      { key: 'tcIn', label: 'TC In', minWidth: 80, editable: false, mono: true, secondary: true, selectable: true },
+      { key: 'tcOut', label: 'TC Out', minWidth: 80, editable: false, mono: true, secondary: true, selectable: true },
+    ] : []),
     { key: 'artist', label: 'Artist', minWidth: 80, editable: true, selectable: true, sourceKey: 'artistSource', optional: true },
     { key: 'source', label: 'Source', minWidth: 80, editable: true, selectable: true, sourceKey: 'sourceSource' },
     { key: 'trackNumber', label: 'Track #', minWidth: 50, editable: true, selectable: true, sourceKey: 'trackNumberSource', optional: true },
-    { key: 'composer', label: 'Composer', minWidth: 100, editable: true, hasConfidence: true, selectable: true, sourceKey: 'composerSource', required: true },
-    { key: 'publisher', label: 'Publisher', minWidth: 100, editable: true, hasConfidence: true, selectable: true, sourceKey: 'publisherSource', required: true },
+    { key: 'composer', label: 'Composer', minWidth: 100, editable: true, hasConfidence: true, selectable: true, sourceKey: 'composerSource', required: true, splits: 'writers' },
+    { key: 'publisher', label: 'Publisher', minWidth: 100, editable: true, hasConfidence: true, selectable: true, sourceKey: 'publisherSource', required: true, splits: 'publishers' },
     { key: 'label', label: 'Master/Label/Library', minWidth: 100, editable: true, selectable: true, sourceKey: 'labelSource' },
     { key: 'use', label: 'Use', minWidth: 40, editable: true, selectable: true, sourceKey: 'useSource' },
     { key: 'actions', label: '', minWidth: 50, editable: false, selectable: false },
@@ -438,6 +456,10 @@ function CueTable({
       'opus_fill': 'AI filled (Opus)',
       'auto_lookup': 'Auto lookup',
       'batch_lookup': 'Batch lookup',
+      'bmg': 'BMG lookup',
+      'itunes': 'iTunes',
+      'bmi': 'BMI repertoire',
+      'ascap': 'ASCAP repertoire',
     };
     
     const label = sourceLabels[source] || source || 'Unknown';
@@ -988,10 +1010,15 @@ function CueTable({
     const fieldSource = column.sourceKey ? cue[column.sourceKey] : null;
     const fieldConfidence = cue[`${column.key}Confidence`];
     const matchedTrack = cue[`${column.key}MatchedTrack`] || cue.matchedTrack;
-    const matchReason = cue[`${column.key}MatchReason`] || cue.matchReason;
+    const matchReason = cue[`${column.key}MatchReason`] ||
+      (cue.matchReason && cue.matchStore ? `${cue.matchReason} (${cue.matchStore} database)` : cue.matchReason);
     const patternReason = cue[`${column.key}PatternReason`];
     const needsApproval = fieldConfidence && fieldConfidence < 1 && fieldSource !== 'user' && fieldSource !== 'user_edit' && fieldSource !== 'user_approved';
-    const tooltip = value ? formatSourceTooltip(fieldSource, value, fieldConfidence, matchedTrack) : (column.editable ? 'Click to edit' : '');
+    let tooltip = value ? formatSourceTooltip(fieldSource, value, fieldConfidence, matchedTrack) : (column.editable ? 'Click to edit' : '');
+    // Timecode cells list every use of a cue that plays more than once
+    if ((column.key === 'tcIn' || column.key === 'tcOut') && cue.segments?.length > 1) {
+      tooltip = cue.segments.map((seg, i) => `Use ${i + 1}: ${seg.tcIn} - ${seg.tcOut}`).join('\n');
+    }
 
     // Handle approval of uncertain data
     const handleApprove = () => {
@@ -1022,6 +1049,10 @@ function CueTable({
       </span>
     );
 
+    // Export check issues for this cell (missing fields, shares not totalling 100%, ...)
+    const cellIssues = (validationIssues?.[cue.id] || []).filter(issue => issue.field === column.key);
+    const hasBlockingIssue = cellIssues.some(issue => issue.severity === 'error');
+
     const inFillRange = isInFillRange(rowIndex, colIndex);
     // Show fill handle on hover if cell has content and is editable
     const showFillHandle = (isHovered || isSelected) && column.editable && value && !editingCell;
@@ -1056,6 +1087,30 @@ function CueTable({
         title={tooltip}
       >
         {cellContent}
+        {/* Export check issues */}
+        {cellIssues.length > 0 && (
+          <span className="flex-shrink-0 ml-1" title={cellIssues.map(issue => issue.message).join('\n')}>
+            <Warning
+              size={12}
+              weight="fill"
+              className={hasBlockingIssue ? 'text-auris-red' : 'text-auris-orange'}
+            />
+          </span>
+        )}
+        {/* Writer/publisher splits editor button */}
+        {column.splits && isHovered && !editingCell && (
+          <button
+            onMouseDown={(e) => e.stopPropagation()}
+            onClick={(e) => {
+              e.stopPropagation();
+              setSplitsCueId(cue.id);
+            }}
+            className="p-0.5 ml-1 rounded flex-shrink-0 text-auris-text-muted/60 hover:text-auris-blue transition-colors"
+            title="Edit writer/publisher splits"
+          >
+            <UsersThree size={13} />
+          </button>
+        )}
         {/* Fill handle - small square at bottom-right corner */}
         {showFillHandle && (
           <div
@@ -1110,6 +1165,7 @@ function CueTable({
   const totalCues = visibleCues.length;
   const completeCues = visibleCues.filter(c => hasContent(c.composer) && hasContent(c.publisher)).length;
   const hiddenCount = cues.filter(c => c.hidden).length;
+  const totals = useMemo(() => computeTotals(cues, { programLength }), [cues, programLength]);
 
   // Calculate selection stats
   const bounds = getSelectionBounds();
@@ -1190,6 +1246,11 @@ function CueTable({
         </div>
       </div>
 
+      {/* Music totals */}
+      {cues.length > 0 && showTotals && (
+        <CueTotalsPanel totals={totals} onClose={() => setShowTotals(false)} />
+      )}
+
       {/* Bottom Zoom Bar */}
       {cues.length > 0 && (
         <div className="flex items-center justify-between px-4 py-2 bg-auris-bg-secondary/50 border-t border-auris-border/30 text-xs">
@@ -1198,6 +1259,15 @@ function CueTable({
             <span className="mx-1">/</span>
             <span>{totalCues}</span>
             <span className="ml-1">complete</span>
+            <button
+              onClick={() => setShowTotals(!showTotals)}
+              className={`ml-3 inline-flex items-center gap-1 hover:text-auris-text transition-colors ${showTotals ? 'text-auris-text' : ''}`}
+              title="Music totals by use, library and cue type"
+            >
+              <ChartBar size={12} />
+              <span className="font-mono">{formatTotal(totals.musicSeconds)}</span>
+              music{totals.musicPercent !== null && ` (${totals.musicPercent}%)`}
+            </button>
             {selectedCellCount > 0 && (
               <span className="ml-3 text-auris-blue font-medium">
                 {selectedRowCount} row{selectedRowCount > 1 ? 's' : ''} selected
@@ -1245,6 +1315,20 @@ function CueTable({
         </div>
       )}
 
+      {/* Writer/Publisher Splits Editor */}
+      <SplitsModal
+        cue={cues.find(c => c.id === splitsCueId)}
+        onClose={() => setSplitsCueId(null)}
+        onSave={(fields) => {
+          const cue = cues.find(c => c.id === splitsCueId);
+          onUpdateCue(splitsCueId, {
+            ...fields,
+            ...(fields.composer !== (cue?.composer || '') && { composerConfidence: 1.0, composerSource: 'user' }),
+            ...(fields.publisher !== (cue?.publisher || '') && { publisherConfidence: 1.0, publisherSource: 'user' }),
+          });
+        }}
+      />
+
       {/* Update Learned Data Prompt */}
       {updatePrompt && (
         <div 
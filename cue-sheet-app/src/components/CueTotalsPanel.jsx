@@ -0,0 +1,78 @@
+/**
+ * Cue Totals Panel - Music time by use, library vs commercial, cue type and
+ * library/publisher, and music as a percentage of program length
+ */
+
+import { formatTotal, USE_LABELS } from '../utils/totals';
+
+const SOURCE_COLORS = {
+  library: 'bg-auris-blue',
+  commercial: 'bg-auris-purple',
+  unidentified: 'bg-auris-text-muted/40',
+};
+
+function Breakdown({ title, groups, labelFor = (group) => group.label, colorFor }) {
+  return (
+    <div className="min-w-0">
+      <h4 className="text-[10px] font-semibold uppercase tracking-wider text-auris-text-muted mb-1.5">{title}</h4>
+      <div className="space-y-1">
+        {groups.map(group => (
+          <div key={group.key} className="flex items-center gap-2 text-xs">
+            {colorFor && <span className={`w-2 h-2 rounded-full flex-shrink-0 ${colorFor(group)}`} />}
+            <span className="truncate flex-1" title={labelFor(group)}>{labelFor(group)}</span>
+            <span className="font-mono text-auris-text-secondary">{formatTotal(group.seconds)}</span>
+            <span className="text-[10px] text-auris-text-muted w-10 text-right">{group.percent ?? 0}%</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function CueTotalsPanel({ totals, onClose }) {
+  const { musicSeconds, programSeconds, musicPercent, overProgram, cueCount } = totals;
+
+  return (
+    <div className="px-4 py-3 bg-auris-bg-secondary/80 border-t border-auris-border/30">
+      <div className="flex items-center gap-4 mb-3 text-xs">
+        <span>
+          <span className="text-auris-text-muted">Music </span>
+          <span className="font-mono font-semibold">{formatTotal(musicSeconds)}</span>
+          <span className="text-auris-text-muted"> in {cueCount} cue{cueCount === 1 ? '' : 's'}</span>
+        </span>
+        <span>
+          <span className="text-auris-text-muted">Program </span>
+          <span className="font-mono">{programSeconds ? formatTotal(programSeconds) : '-'}</span>
+        </span>
+        {musicPercent !== null ? (
+          <span className={`font-semibold ${overProgram ? 'text-auris-orange' : 'text-auris-green'}`}
+            title={overProgram ? 'Music time is longer than the program - check the program length' : 'Music time as a share of program length'}
+          >
+            {musicPercent}% music
+          </span>
+        ) : (
+          <span className="text-auris-text-muted">Set the program length in the Project panel for music %</span>
+        )}
+        <button onClick={onClose} className="ml-auto text-[10px] text-auris-text-muted hover:text-auris-text">
+          Hide
+        </button>
+      </div>
+      <div className="grid grid-cols-4 gap-6">
+        <Breakdown
+          title="By use"
+          groups={totals.byUse}
+          labelFor={(group) => USE_LABELS[group.key] ? `${group.key} - ${USE_LABELS[group.key]}` : group.label}
+        />
+        <Breakdown
+          title="Library vs commercial"
+          groups={totals.bySource}
+          colorFor={(group) => SOURCE_COLORS[group.key]}
+        />
+        <Breakdown title="By cue type" groups={totals.byCueType} />
+        <div className="max-h-32 overflow-auto">
+          <Breakdown title="By library/publisher" groups={totals.byLibrary} />
+        </div>
+      </div>
+    </div>
+  );
+}
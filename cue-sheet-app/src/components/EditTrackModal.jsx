@@ -1,10 +1,22 @@
 /**
- * Edit Track Modal - Edit learned track data with cloud sync
+ * Edit Track Modal - Edit learned track data with cloud sync, and review or
+ * revert each field's history
  */
 
 import { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
-import { FloppyDisk } from '@phosphor-icons/react';
+import { FloppyDisk, ClockCounterClockwise, CaretDown, CaretRight } from '@phosphor-icons/react';
+import SplitsEditor from './SplitsEditor';
+import TrackFieldHistory from './TrackFieldHistory';
+import {
+  WRITER_ROLES,
+  PUBLISHER_ROLES,
+  DEFAULT_WRITER_ROLE,
+  DEFAULT_PUBLISHER_ROLE,
+  splitsFromCue,
+  splitsToCueFields,
+  validateCueSplits,
+} from '../utils/splits';
 
 export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
   const [formData, setFormData] = useState({
@@ -12,31 +24,32 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
     artist: '',
     source: '',
     trackNumber: '',
-    composer: '',
-    publisher: '',
+    writers: [],
+    publishers: [],
     library: '',
     useType: 'BI',
     catalogCode: '',
     masterContact: ''
   });
+  const [showHistory, setShowHistory] = useState(false);
   // Optimistic updates - no loading states needed
 
   useEffect(() => {
     if (track && isOpen) {
+      const { writers, publishers } = splitsFromCue(track);
       setFormData({
         trackName: track.trackName || track.track_name || '',
         artist: track.artist || '',
         source: track.source || '',
         trackNumber: track.trackNumber || track.track_number || '',
-        composer: track.composer || '',
-        publisher: track.publisher || '',
+        writers,
+        publishers,
         library: track.library || track.label || '',
         useType: track.useType || track.use_type || track.use || 'BI',
         catalogCode: track.catalogCode || track.catalog_code || '',
         masterContact: track.masterContact || track.master_contact || ''
       });
-      setError('');
-      setSyncStatus(null);
+      setShowHistory(false);
     }
   }, [track, isOpen]);
 
@@ -47,6 +60,30 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleSplitsChange = (key, parties) => {
+    setFormData(prev => ({ ...prev, [key]: parties }));
+  };
+
+  // Rows left without a name are dropped on save
+  const writers = formData.writers.filter(p => p.name?.trim());
+  const publishers = formData.publishers.filter(p => p.name?.trim());
+  const splitIssues = validateCueSplits({ writers, publishers });
+
+  // A revert is already saved; bring the form and the parent list in line with it
+  const handleReverted = (revertedTrack, entry) => {
+    if (!revertedTrack) return;
+    if (entry.field === 'composer' || entry.field === 'publisher') {
+      const { writers, publishers } = splitsFromCue({
+        composer: revertedTrack.composer,
+        publisher: revertedTrack.publisher
+      });
+      setFormData(prev => (entry.field === 'composer' ? { ...prev, writers } : { ...prev, publishers }));
+    } else {
+      setFormData(prev => ({ ...prev, [entry.fieldKey]: revertedTrack[entry.fieldKey] || '' }));
+    }
+    onSave?.({ ...track, ...revertedTrack });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     const updatedTrack = {
@@ -55,14 +92,16 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
       artist: formData.artist,
       source: formData.source,
       trackNumber: formData.trackNumber,
-      composer: formData.composer,
-      publisher: formData.publisher,
+      // Structured splits plus the legacy composer/publisher strings
+      ...splitsToCueFields(writers, publishers),
       library: formData.library,
       label: formData.library,
       useType: formData.useType,
       use: formData.useType,
       catalogCode: formData.catalogCode,
-      masterContact: formData.masterContact
+      masterContact: formData.masterContact,
+      // Edits overwrite the stored values and are recorded as user changes
+      dataSource: 'user_edit'
     };
 
     // Optimistic update - notify parent and close immediately
@@ -109,7 +148,7 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
               </div>
             </div>
 
-            {/* Row 2: Artist & Source */}
+            {/* Row 2: Artist, Source & Track # */}
             <div className="form-row">
               <div className="form-group">
                 <label>Artist</label>
@@ -133,10 +172,6 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
                   
                 />
               </div>
-            </div>
-
-            {/* Row 3: Track # & Composer */}
-            <div className="form-row">
               <div className="form-group" style={{flex: '0 0 100px'}}>
                 <label>Track #</label>
                 <input
@@ -148,34 +183,41 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
                   
                 />
               </div>
-              <div className="form-group flex-2">
-                <label>Composer</label>
-                <input
-                  name="composer"
-                  type="text"
-                  value={formData.composer}
-                  onChange={handleChange}
-                  placeholder="Composer name(s)"
-                  
+            </div>
+
+            {/* Row 3: Writer splits */}
+            <div className="form-row">
+              <div className="form-splits">
+                <SplitsEditor
+                  label="Writers"
+                  parties={formData.writers}
+                  onChange={(parties) => handleSplitsChange('writers', parties)}
+                  roles={WRITER_ROLES}
+                  defaultRole={DEFAULT_WRITER_ROLE}
                 />
               </div>
             </div>
 
-            {/* Row 4: Publisher */}
+            {/* Row 4: Publisher splits */}
             <div className="form-row">
-              <div className="form-group">
-                <label>Publisher</label>
-                <input
-                  name="publisher"
-                  type="text"
-                  value={formData.publisher}
-                  onChange={handleChange}
-                  placeholder="Publisher name(s)"
-                  
+              <div className="form-splits">
+                <SplitsEditor
+                  label="Publishers"
+                  parties={formData.publishers}
+                  onChange={(parties) => handleSplitsChange('publishers', parties)}
+                  roles={PUBLISHER_ROLES}
+                  defaultRole={DEFAULT_PUBLISHER_ROLE}
                 />
               </div>
             </div>
 
+            {/* Share totals must be 100% on each side */}
+            {splitIssues.length > 0 && (
+              <div className="error-message">
+                {splitIssues.join('. ')}
+              </div>
+            )}
+
             {/* Row 5: Master/Label/Library & Use */}
             <div className="form-row">
               <div className="form-group flex-2">
@@ -233,6 +275,22 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
               </div>
             </div>
 
+            {/* Field history */}
+            {track.id && (
+              <div className="form-history">
+                <button type="button" className="history-toggle" onClick={() => setShowHistory(prev => !prev)}>
+                  {showHistory ? <CaretDown size={12} /> : <CaretRight size={12} />}
+                  <ClockCounterClockwise size={14} />
+                  Field History
+                </button>
+                {showHistory && (
+                  <div className="history-body">
+                    <TrackFieldHistory trackId={track.id} onReverted={handleReverted} />
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Actions */}
             <div className="form-actions">
               <div className="buttons">
@@ -323,6 +381,11 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
             flex: 2;
           }
           
+          .form-splits {
+            flex: 1;
+            min-width: 0;
+          }
+          
           .form-group label {
             display: block;
             font-size: 11px;
@@ -369,6 +432,33 @@ export default function EditTrackModal({ isOpen, onClose, track, onSave }) {
             margin-bottom: 16px;
           }
           
+          .form-history {
+            margin-top: 8px;
+          }
+          
+          .history-toggle {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            background: none;
+            border: none;
+            padding: 0;
+            color: #555;
+            font-size: 11px;
+            font-weight: 500;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+            cursor: pointer;
+          }
+          
+          .history-toggle:hover {
+            color: #aaa;
+          }
+          
+          .history-body {
+            margin-top: 12px;
+          }
+          
           .form-actions {
             display: flex;
             align-items: center;
@@ -0,0 +1,309 @@
+/**
+ * Export Templates Panel - Choose the cue sheet layout and CSV/TSV options used for exports
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { FileXls, FileText, Check, Trash, UploadSimple, CircleNotch, Warning, CaretRight, CaretDown, ArrowCounterClockwise } from '@phosphor-icons/react';
+
+const DEFAULT_TEMPLATE_ID = 'auris-standard';
+
+// Mirrors DELIMITED_DEFAULTS in electron/export-templates.js
+const DELIMITED_DEFAULTS = { delimiter: ',', quoting: 'minimal', bom: true, rows: 'sheet' };
+
+const DELIMITER_OPTIONS = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '|', label: 'Pipe' },
+];
+
+const QUOTING_OPTIONS = [
+  { value: 'minimal', label: 'Quote when needed' },
+  { value: 'all', label: 'Quote every field' },
+  { value: 'none', label: 'Never quote' },
+];
+
+const SEVERITY_OPTIONS = [
+  { value: 'error', label: 'Blocks export' },
+  { value: 'warning', label: 'Warning' },
+  { value: 'off', label: 'Off' },
+];
+
+const ROW_OPTIONS = [
+  { value: 'sheet', label: 'Full sheet (as Excel)' },
+  { value: 'table', label: 'Cue table only' },
+];
+
+export default function ExportTemplatesPanel({ projectInfo, setProjectInfo }) {
+  const [templates, setTemplates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [showRules, setShowRules] = useState(false);
+
+  const selectedId = projectInfo?.exportTemplateId || DEFAULT_TEMPLATE_ID;
+  const delimited = { ...DELIMITED_DEFAULTS, ...(projectInfo?.delimitedExport || {}) };
+
+  const loadTemplates = useCallback(async () => {
+    if (!window.electronAPI?.listExportTemplates) {
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const result = await window.electronAPI.listExportTemplates();
+      if (result.success) setTemplates(result.templates);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  // Export check rule set for the selected template
+  useEffect(() => {
+    if (!window.electronAPI?.getValidationRules) return;
+    window.electronAPI.getValidationRules(selectedId).then(result => {
+      if (result.success) setRules(result.rules);
+    });
+  }, [selectedId]);
+
+  const handleRuleChange = async (ruleId, severity) => {
+    const result = await window.electronAPI.setValidationRule(selectedId, ruleId, severity);
+    if (result.success) setRules(result.rules);
+    else setError(result.error || 'Could not update rule');
+  };
+
+  const handleResetRules = async () => {
+    const result = await window.electronAPI.resetValidationRules(selectedId);
+    if (result.success) setRules(result.rules);
+  };
+
+  const handleSelect = (templateId) => {
+    setProjectInfo?.(prev => ({ ...prev, exportTemplateId: templateId }));
+  };
+
+  const handleDelimitedChange = (key, value) => {
+    setProjectInfo?.(prev => ({ ...prev, delimitedExport: { ...(prev.delimitedExport || {}), [key]: value } }));
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    setIsImporting(true);
+    try {
+      const result = await window.electronAPI.importExportTemplate();
+      if (result.success) {
+        await loadTemplates();
+        handleSelect(result.template.id);
+      } else if (!result.canceled) {
+        setError(result.error || 'Could not import template');
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the "${template.name}" template?`)) return;
+    const result = await window.electronAPI.deleteExportTemplate(template.id);
+    if (!result.success) {
+      setError(result.error || 'Could not delete template');
+      return;
+    }
+    // Sheets using a deleted template go back to the standard layout
+    if (selectedId === template.id) handleSelect(DEFAULT_TEMPLATE_ID);
+    await loadTemplates();
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-4 border-b border-auris-border bg-auris-card/30 flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-sm font-medium mb-1">Cue Sheet Layout</h3>
+          <p className="text-xs text-auris-text-muted">
+            Used for Excel, PDF and CSV exports of the open cue sheet. The choice is saved with the cue sheet.
+          </p>
+        </div>
+        <button
+          onClick={handleImport}
+          disabled={isImporting}
+          className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1 flex-shrink-0"
+        >
+          {isImporting ? <CircleNotch size={12} className="animate-spin" /> : <UploadSimple size={12} />}
+          Import Template
+        </button>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-3 px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+          <Warning size={14} />
+          {error}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-auto p-4 space-y-2">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-8">
+            <CircleNotch size={20} className="text-auris-blue animate-spin" />
+          </div>
+        ) : templates.map(template => {
+          const isSelected = template.id === selectedId;
+          const Icon = template.sourceXlsx ? FileXls : FileText;
+          return (
+            <div
+              key={template.id}
+              onClick={() => handleSelect(template.id)}
+              className={`group p-3 rounded-lg border cursor-pointer transition-colors ${
+                isSelected
+                  ? 'border-auris-blue bg-auris-blue/10'
+                  : 'border-auris-border hover:bg-auris-card/50'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <Icon size={16} className={isSelected ? 'text-auris-blue' : 'text-auris-text-muted'} />
+                <span className="text-sm font-medium flex-1">{template.name}</span>
+                {template.builtIn && (
+                  <span className="text-[10px] text-auris-text-muted px-1.5 py-0.5 rounded bg-auris-card">Built-in</span>
+                )}
+                {isSelected && <Check size={14} className="text-auris-blue" weight="bold" />}
+                {!template.builtIn && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); handleDelete(template); }}
+                    className="p-1 rounded hover:bg-auris-red/10 text-auris-text-muted hover:text-auris-red transition-colors opacity-0 group-hover:opacity-100"
+                    title="Delete template"
+                  >
+                    <Trash size={12} />
+                  </button>
+                )}
+              </div>
+              {template.description && (
+                <p className="text-xs text-auris-text-muted mt-1 ml-6">{template.description}</p>
+              )}
+              <div className="flex flex-wrap gap-1 mt-2 ml-6">
+                {template.columns.map((column, index) => (
+                  <span key={index} className="text-[10px] px-1.5 py-0.5 rounded bg-auris-bg border border-auris-border/50 text-auris-text-secondary">
+                    {column.header || [].concat(column.field)[0]}
+                  </span>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Music totals block under the cue rows */}
+      <div className="px-4 py-3 border-t border-auris-border">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={projectInfo?.exportTotals !== false}
+            onChange={(e) => setProjectInfo?.(prev => ({ ...prev, exportTotals: e.target.checked }))}
+            className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+          />
+          <span className="text-xs">Add music totals (time by use and library, music % of program)</span>
+        </label>
+      </div>
+
+      {/* Export checks for the selected template */}
+      {rules.length > 0 && (
+        <div className="px-4 py-3 border-t border-auris-border">
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => setShowRules(!showRules)}
+              className="flex items-center gap-1 text-xs font-medium"
+            >
+              {showRules ? <CaretDown size={12} /> : <CaretRight size={12} />}
+              Export Checks
+              <span className="text-[10px] text-auris-text-muted font-normal ml-1">
+                {rules.filter(rule => rule.severity === 'error').length} blocking, {rules.filter(rule => rule.severity === 'warning').length} warnings
+              </span>
+            </button>
+            {showRules && rules.some(rule => rule.customized) && (
+              <button
+                onClick={handleResetRules}
+                className="text-[10px] text-auris-text-muted hover:text-auris-text flex items-center gap-1"
+                title="Back to this template's own rule set"
+              >
+                <ArrowCounterClockwise size={10} />
+                Reset
+              </button>
+            )}
+          </div>
+          {showRules && (
+            <div className="mt-2 space-y-1 max-h-48 overflow-auto">
+              {rules.map(rule => (
+                <div key={rule.id} className="flex items-center gap-2">
+                  <span className={`text-xs flex-1 ${rule.severity === 'off' ? 'text-auris-text-muted' : ''}`}>
+                    {rule.label}
+                    {rule.customized && <span className="text-[10px] text-auris-blue ml-1">(changed)</span>}
+                  </span>
+                  <select
+                    value={rule.severity}
+                    onChange={(e) => handleRuleChange(rule.id, e.target.value)}
+                    className="input text-xs w-32"
+                  >
+                    {SEVERITY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* CSV / TSV options */}
+      <div className="px-4 py-3 border-t border-auris-border">
+        <h3 className="text-xs font-medium mb-2">CSV / Tab-Delimited</h3>
+        <div className="grid grid-cols-3 gap-2">
+          <select
+            value={delimited.delimiter}
+            onChange={(e) => handleDelimitedChange('delimiter', e.target.value)}
+            className="input text-xs"
+            title="CSV delimiter (tab-delimited exports always use tabs)"
+          >
+            {DELIMITER_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={delimited.quoting}
+            onChange={(e) => handleDelimitedChange('quoting', e.target.value)}
+            className="input text-xs"
+            title="Quoting"
+          >
+            {QUOTING_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={delimited.rows}
+            onChange={(e) => handleDelimitedChange('rows', e.target.value)}
+            className="input text-xs"
+            title="Rows to include"
+          >
+            {ROW_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 cursor-pointer mt-2">
+          <input
+            type="checkbox"
+            checked={!!delimited.bom}
+            onChange={(e) => handleDelimitedChange('bom', e.target.checked)}
+            className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+          />
+          <span className="text-xs text-auris-text-muted">UTF-8 with BOM (needed for Excel to show accented names correctly)</span>
+        </label>
+      </div>
+
+      <div className="px-4 py-3 border-t border-auris-border bg-auris-bg/50 text-[10px] text-auris-text-muted">
+        Templates are JSON layouts, or .xlsx files with {'{project}'} placeholders and a row of {'{cue.trackName}'}-style cue cells.
+      </div>
+    </div>
+  );
+}
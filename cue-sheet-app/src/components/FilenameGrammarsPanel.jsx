@@ -0,0 +1,394 @@
+/**
+ * Filename Grammars Panel - Library filename patterns used at import, with an
+ * editor for custom grammars and a tester for sample filenames
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { TextAa, Plus, Trash, FloppyDisk, CloudArrowDown, CircleNotch, Warning, CheckCircle, XCircle } from '@phosphor-icons/react';
+
+const ORIGIN_LABELS = {
+  builtIn: 'Built-in',
+  cloud: 'Cloud',
+  user: 'Custom',
+};
+
+const FIELD_LABELS = {
+  displayName: 'Track Name',
+  baseTrackName: 'Grouping Name',
+  artist: 'Artist',
+  catalogCode: 'Catalog Code',
+  source: 'Source',
+  stemPart: 'Stem Part',
+};
+
+const NEW_GRAMMAR = {
+  id: '',
+  library: '',
+  description: '',
+  pattern: '^(?<catalog>[A-Z]+\\d+)[_\\s]+(?<title>.+)$',
+  flags: 'i',
+  fields: { displayName: '{title}', catalogCode: '{catalog}' },
+  underscoresToSpaces: true,
+  stem: false,
+  confidence: 0.9,
+  examples: [],
+};
+
+const DEFAULT_SAMPLES = [
+  'mx_BMGPM_IATS021_Punch_Drunk.wav',
+  'GTW121_16 Decisive Power Smash Main.wav',
+  'mx_Some Artist - Song Title_Bass_Stems.wav',
+].join('\n');
+
+export default function FilenameGrammarsPanel() {
+  const [grammars, setGrammars] = useState([]);
+  const [catalogMaps, setCatalogMaps] = useState({});
+  const [fields, setFields] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [samples, setSamples] = useState(DEFAULT_SAMPLES);
+  const [test, setTest] = useState({ results: [], examples: [] });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [error, setError] = useState(null);
+  const [testError, setTestError] = useState(null);
+
+  const loadGrammars = useCallback(async () => {
+    if (!window.electronAPI?.listFilenameGrammars) {
+      setIsLoading(false);
+      return [];
+    }
+    setIsLoading(true);
+    try {
+      const result = await window.electronAPI.listFilenameGrammars();
+      if (!result.success) {
+        setError(result.error);
+        return [];
+      }
+      setGrammars(result.grammars);
+      setCatalogMaps(result.catalogMaps);
+      setFields(result.fields);
+      return result.grammars;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGrammars();
+  }, [loadGrammars]);
+
+  // Re-run the samples (with the draft in place) shortly after each edit
+  useEffect(() => {
+    if (!window.electronAPI?.testFilenameGrammars) return;
+    const timer = setTimeout(async () => {
+      const result = await window.electronAPI.testFilenameGrammars(samples.split('\n'), draft?.id ? draft : null);
+      if (result.success) {
+        setTest({ results: result.results, examples: result.examples });
+        setTestError(null);
+      } else {
+        setTestError(result.error);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [samples, draft, grammars]);
+
+  const updateDraft = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const updateField = (field, value) => setDraft(prev => {
+    const next = { ...prev.fields };
+    if (value) next[field] = value;
+    else delete next[field];
+    return { ...prev, fields: next };
+  });
+
+  const handleSave = async () => {
+    setError(null);
+    const result = await window.electronAPI.saveFilenameGrammar(draft);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    const saved = (await loadGrammars()).find(grammar => grammar.id === result.grammar.id);
+    setDraft(saved ? { ...saved } : null);
+  };
+
+  const handleDelete = async () => {
+    const reverting = draft.overrides;
+    if (!confirm(reverting ? `Revert "${draft.id}" to the ${ORIGIN_LABELS[reverting].toLowerCase()} grammar?` : `Delete the "${draft.id}" grammar?`)) return;
+    const result = await window.electronAPI.deleteFilenameGrammar(draft.id);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setDraft(null);
+    await loadGrammars();
+  };
+
+  const handleSync = async () => {
+    setIsSyncing(true);
+    setError(null);
+    try {
+      const result = await window.electronAPI.syncFilenameGrammars();
+      if (result.success) await loadGrammars();
+      else setError(result.error);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Add every sample the draft parses as an example, so later edits can be checked against it
+  const handleAddExamples = () => {
+    const examples = test.results
+      .filter(({ result }) => result?.matchedPattern === draft.id)
+      .map(({ filename, result }) => ({
+        filename,
+        expect: Object.fromEntries(['displayName', 'catalogCode', 'isStem'].map(key => [key, result[key]])),
+      }));
+    const known = new Set((draft.examples || []).map(example => example.filename));
+    updateDraft('examples', [...(draft.examples || []), ...examples.filter(example => !known.has(example.filename))]);
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-4 border-b border-auris-border bg-auris-card/30 flex items-start justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <TextAa size={16} className="text-auris-blue" />
+            <h3 className="text-sm font-medium">Filename Grammars</h3>
+          </div>
+          <p className="text-xs text-auris-text-muted">
+            How library filenames are read at import: track name, catalog code, library and stems.
+            Grammars are tried top to bottom; names no grammar matches get a generic clean-up.
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button
+            onClick={handleSync}
+            disabled={isSyncing}
+            className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1"
+            title="Fetch shared grammars from the cloud"
+          >
+            {isSyncing ? <CircleNotch size={12} className="animate-spin" /> : <CloudArrowDown size={12} />}
+            Sync
+          </button>
+          <button
+            onClick={() => setDraft({ ...NEW_GRAMMAR })}
+            className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1"
+          >
+            <Plus size={12} />
+            New Grammar
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-3 px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+          <Warning size={14} />
+          {error}
+        </div>
+      )}
+
+      <div className="flex-1 min-h-0 grid grid-cols-[240px_1fr]">
+        {/* Grammar list */}
+        <div className="border-r border-auris-border overflow-auto p-2 space-y-1">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <CircleNotch size={20} className="text-auris-blue animate-spin" />
+            </div>
+          ) : grammars.map(grammar => (
+            <button
+              key={grammar.id}
+              onClick={() => setDraft({ ...grammar })}
+              className={`w-full text-left px-2 py-1.5 rounded-lg transition-colors ${
+                draft?.id === grammar.id ? 'bg-auris-blue/10 border border-auris-blue/40' : 'border border-transparent hover:bg-auris-card/50'
+              } ${grammar.enabled === false ? 'opacity-50' : ''}`}
+            >
+              <div className="flex items-center gap-1.5">
+                <span className="text-xs font-mono truncate flex-1">{grammar.id}</span>
+                <span className="text-[9px] text-auris-text-muted px-1 py-0.5 rounded bg-auris-card">{ORIGIN_LABELS[grammar.origin]}</span>
+              </div>
+              <div className="text-[10px] text-auris-text-muted truncate">{grammar.library || 'No library'}</div>
+            </button>
+          ))}
+        </div>
+
+        <div className="overflow-auto p-4 space-y-4">
+          {/* Editor */}
+          {draft ? (
+            <div className="space-y-3">
+              <div className="grid grid-cols-3 gap-2">
+                <label>
+                  <span className="block text-[11px] text-auris-text-muted mb-1">Id</span>
+                  <input
+                    value={draft.id}
+                    onChange={(e) => updateDraft('id', e.target.value)}
+                    disabled={!!draft.origin}
+                    className="input text-xs px-2 py-1.5 font-mono disabled:opacity-60"
+                    placeholder="my_library"
+                  />
+                </label>
+                <label>
+                  <span className="block text-[11px] text-auris-text-muted mb-1">Library</span>
+                  <input value={draft.library || ''} onChange={(e) => updateDraft('library', e.target.value)} className="input text-xs px-2 py-1.5" />
+                </label>
+                <label>
+                  <span className="block text-[11px] text-auris-text-muted mb-1">Catalog map</span>
+                  <select value={draft.catalogMap || ''} onChange={(e) => updateDraft('catalogMap', e.target.value || undefined)} className="input text-xs px-2 py-1.5">
+                    <option value="">None</option>
+                    {Object.keys(catalogMaps).map(name => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                </label>
+              </div>
+
+              <label className="block">
+                <span className="block text-[11px] text-auris-text-muted mb-1">Pattern (regular expression with named groups)</span>
+                <div className="flex gap-2">
+                  <input value={draft.pattern} onChange={(e) => updateDraft('pattern', e.target.value)} className="input text-xs px-2 py-1.5 font-mono flex-1" />
+                  <input
+                    value={draft.flags ?? 'i'}
+                    onChange={(e) => updateDraft('flags', e.target.value)}
+                    className="input text-xs px-2 py-1.5 font-mono w-12"
+                    title="Flags (i = ignore case)"
+                  />
+                </div>
+              </label>
+
+              <div className="grid grid-cols-3 gap-2">
+                {fields.map(field => (
+                  <label key={field}>
+                    <span className="block text-[11px] text-auris-text-muted mb-1">{FIELD_LABELS[field] || field}</span>
+                    <input
+                      value={draft.fields?.[field] || ''}
+                      onChange={(e) => updateField(field, e.target.value)}
+                      className="input text-xs px-2 py-1.5 font-mono"
+                      placeholder={field === 'displayName' ? '{title}' : ''}
+                    />
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex items-center gap-4 text-xs">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!!draft.stem}
+                    onChange={(e) => updateDraft('stem', e.target.checked)}
+                    className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+                  />
+                  <span className="text-auris-text-muted">Files are stems</span>
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!!draft.underscoresToSpaces}
+                    onChange={(e) => updateDraft('underscoresToSpaces', e.target.checked)}
+                    className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+                  />
+                  <span className="text-auris-text-muted">Underscores to spaces</span>
+                </label>
+                <label className="flex items-center gap-2">
+                  <span className="text-auris-text-muted">Confidence</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={draft.confidence ?? 0.9}
+                    onChange={(e) => updateDraft('confidence', parseFloat(e.target.value))}
+                    className="input text-xs px-2 py-1 w-20"
+                  />
+                </label>
+              </div>
+
+              {test.examples.length > 0 && (
+                <div className="space-y-1">
+                  <h4 className="text-[11px] text-auris-text-muted">Examples</h4>
+                  {test.examples.map(example => (
+                    <div key={example.filename} className="flex items-center gap-2 text-[11px]">
+                      {example.passed
+                        ? <CheckCircle size={12} className="text-auris-green flex-shrink-0" />
+                        : <XCircle size={12} className="text-auris-red flex-shrink-0" />}
+                      <span className="font-mono truncate" title={example.filename}>{example.filename}</span>
+                      {!example.passed && (
+                        <span className="text-auris-text-muted truncate">
+                          → {example.result ? `${example.result.displayName} (${example.result.matchedPattern})` : 'not parsed'}
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex items-center gap-2">
+                <button onClick={handleSave} disabled={!draft.id || !!testError} className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50">
+                  <FloppyDisk size={14} />
+                  {draft.origin && draft.origin !== 'user' ? 'Save as Custom' : 'Save'}
+                </button>
+                <button onClick={handleAddExamples} className="btn btn-secondary px-3 py-1.5 text-xs" title="Keep the samples this grammar parses as examples">
+                  Add Samples as Examples
+                </button>
+                <div className="flex-1" />
+                {draft.origin === 'user' && (
+                  <button onClick={handleDelete} className="btn btn-secondary px-3 py-1.5 text-xs flex items-center gap-1.5 hover:text-auris-red">
+                    <Trash size={14} />
+                    {draft.overrides ? 'Revert' : 'Delete'}
+                  </button>
+                )}
+                <button onClick={() => setDraft(null)} className="btn btn-secondary px-3 py-1.5 text-xs">Close</button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-xs text-auris-text-muted">
+              Pick a grammar to edit it, or add a new one. Editing a built-in or cloud grammar saves a custom copy that replaces it.
+            </p>
+          )}
+
+          {/* Sample tester */}
+          <div className="border-t border-auris-border pt-4 space-y-2">
+            <h4 className="text-xs font-medium">Test Filenames</h4>
+            <textarea
+              value={samples}
+              onChange={(e) => setSamples(e.target.value)}
+              rows={4}
+              className="input text-xs px-2 py-1.5 font-mono w-full resize-y"
+              placeholder="One filename per line"
+            />
+            {testError && (
+              <div className="px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+                <Warning size={14} />
+                {testError}
+              </div>
+            )}
+            <div className="border border-auris-border rounded-lg overflow-hidden">
+              <table className="text-[11px] w-full">
+                <thead>
+                  <tr className="border-b border-auris-border bg-auris-card/30 text-auris-text-muted text-left">
+                    <th className="p-1.5 font-normal">Grammar</th>
+                    <th className="p-1.5 font-normal">Track Name</th>
+                    <th className="p-1.5 font-normal">Catalog</th>
+                    <th className="p-1.5 font-normal">Library</th>
+                    <th className="p-1.5 font-normal">Stem</th>
+                    <th className="p-1.5 font-normal text-right">Conf.</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {test.results.map(({ filename, result }, index) => (
+                    <tr key={`${index}-${filename}`} className="border-b border-auris-border/50 last:border-0" title={filename}>
+                      <td className={`p-1.5 font-mono ${result?.matchedPattern === draft?.id ? 'text-auris-blue' : result?.matchedPattern?.startsWith('generic') ? 'text-auris-text-muted' : ''}`}>
+                        {result?.matchedPattern || '—'}
+                      </td>
+                      <td className="p-1.5 max-w-[180px] truncate">{result?.displayName || <span className="text-auris-text-muted">{filename}</span>}</td>
+                      <td className="p-1.5">{result?.catalogCode}</td>
+                      <td className="p-1.5 max-w-[120px] truncate">{result?.library}</td>
+                      <td className="p-1.5">{result?.isStem ? result.stemPart || 'Yes' : ''}</td>
+                      <td className="p-1.5 text-right font-mono">{result ? Math.round(result.confidence * 100) : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
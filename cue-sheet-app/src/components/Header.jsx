@@ -1,10 +1,10 @@
 import { useState, useRef } from 'react';
 import { createPortal } from 'react-dom';
 import { 
-  FileXls, FilePdf, Gear, CircleNotch, File, FolderOpen, 
+  FileXls, FilePdf, FileCsv, FileText, Gear, CircleNotch, File, FolderOpen, 
   FloppyDisk, Circle, Export, User, SignOut, Crown, Key, ShareNetwork,
   Info, Sparkle, Database, Brain, CheckCircle, X, ArrowUUpLeft, ArrowUUpRight,
-  Compass, ChatCircle, TreeStructure
+  Compass, ChatCircle, TreeStructure, Certificate, ArrowsLeftRight
 } from '@phosphor-icons/react';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -175,6 +175,7 @@ function Header({
   hasUnsavedChanges,
   onExport,
   onShare,
+  onLicensingRequests,
   onToggleSidebar, 
   onOpenSettings,
   onNewProject,
@@ -189,6 +190,8 @@ function Header({
   canRedo,
   onOpenLogin,
   onOpenFeedback,
+  onOpenConflicts,
+  conflictCount = 0,
   onToggleAurisChat,
   showAurisChat = false,
   onStartTour
@@ -315,6 +318,20 @@ function Header({
           </>
         )}
 
+        {/* Track conflicts button - only while the queue has open conflicts */}
+        {conflictCount > 0 && onOpenConflicts && (
+          <button
+            onClick={onOpenConflicts}
+            className="relative p-2 rounded-md hover:bg-auris-card transition-colors text-auris-orange"
+            title={`${conflictCount} track conflict${conflictCount === 1 ? '' : 's'} to review`}
+          >
+            <ArrowsLeftRight size={18} />
+            <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-auris-orange text-[10px] font-medium text-white flex items-center justify-center">
+              {conflictCount}
+            </span>
+          </button>
+        )}
+
         {/* Feedback button */}
         <button
           onClick={onOpenFeedback}
@@ -379,6 +396,35 @@ function Header({
               <FilePdf size={15} className="text-auris-red" />
               PDF
             </button>
+            <button
+              onClick={() => handleExport('csv')}
+              className="w-full px-3 py-2 text-left text-sm text-auris-text-secondary hover:bg-auris-card-hover hover:text-auris-text flex items-center gap-2.5 transition-colors"
+            >
+              <FileCsv size={15} className="text-auris-blue" />
+              CSV
+            </button>
+            <button
+              onClick={() => handleExport('tsv')}
+              className="w-full px-3 py-2 text-left text-sm text-auris-text-secondary hover:bg-auris-card-hover hover:text-auris-text flex items-center gap-2.5 transition-colors"
+            >
+              <FileText size={15} className="text-auris-text-muted" />
+              Tab-Delimited
+            </button>
+            {onLicensingRequests && (
+              <>
+                <div className="h-px bg-auris-border my-1" />
+                <button
+                  onClick={() => {
+                    setShowExportMenu(false);
+                    onLicensingRequests();
+                  }}
+                  className="w-full px-3 py-2 text-left text-sm text-auris-text-secondary hover:bg-auris-card-hover hover:text-auris-text flex items-center gap-2.5 transition-colors"
+                >
+                  <Certificate size={15} className="text-auris-purple" />
+                  Licensing Requests...
+                </button>
+              </>
+            )}
           </div>
         </>,
         document.body
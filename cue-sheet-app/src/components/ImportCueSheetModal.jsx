@@ -0,0 +1,229 @@
+/**
+ * Import Cue Sheet Modal - Confirm the column mapping of an XLSX/CSV cue sheet
+ * and create a cue sheet from it
+ */
+
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { X, FileArrowDown, CircleNotch, Warning } from '@phosphor-icons/react';
+
+const PROJECT_FIELDS = [
+  { key: 'project', label: 'Project' },
+  { key: 'spotTitle', label: 'Spot Title' },
+  { key: 'type', label: 'Type' },
+  { key: 'datePrepared', label: 'Date Prepared' },
+];
+
+export default function ImportCueSheetModal({ importFile, onClose, onImport }) {
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [projectInfo, setProjectInfo] = useState({});
+  const [name, setName] = useState('');
+  const [saveToDatabase, setSaveToDatabase] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!importFile) return;
+    setPreview(importFile.preview);
+    setMapping(importFile.preview.mapping);
+    setProjectInfo(importFile.preview.projectInfo);
+    setName(importFile.preview.projectInfo.spotTitle || importFile.preview.fileName);
+    setError(importFile.preview.headerDetected ? null : 'Could not find a Track Name heading. Pick the heading row and map the columns below.');
+  }, [importFile]);
+
+  if (!importFile || !preview) return null;
+
+  const handleHeaderRowChange = async (rowNumber) => {
+    const headerRowIndex = parseInt(rowNumber, 10) - 1;
+    if (Number.isNaN(headerRowIndex) || headerRowIndex < 0 || headerRowIndex === preview.headerRowIndex) return;
+    const result = await window.electronAPI.previewCueSheetImport(importFile.filePath, { headerRowIndex });
+    if (result.success) {
+      setPreview(result.preview);
+      setMapping(result.preview.mapping);
+      // Keep header values the user already typed
+      setProjectInfo(prev => ({ ...result.preview.projectInfo, ...prev }));
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleMappingChange = (columnIndex, field) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      // A field maps to one column only
+      for (const [index, mapped] of Object.entries(next)) {
+        if (field && mapped === field) delete next[index];
+      }
+      if (field) next[columnIndex] = field;
+      else delete next[columnIndex];
+      return next;
+    });
+  };
+
+  const hasTrackName = Object.values(mapping).includes('trackName');
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const result = await window.electronAPI.readCueSheetImport(importFile.filePath, {
+        headerRowIndex: preview.headerRowIndex,
+        mapping,
+      });
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      if (result.cues.length === 0) {
+        setError('No rows with a track name were found under the headings');
+        return;
+      }
+      await onImport({ name: name.trim() || preview.fileName, cues: result.cues, projectInfo, saveToDatabase });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Only show columns that have a heading or any data
+  const visibleColumns = preview.columns.filter(column =>
+    column.header || preview.previewRows.some(cells => cells[column.index])
+  );
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[99999]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-auris-bg border border-auris-border rounded-xl w-[860px] max-w-[95vw] max-h-[90vh] flex flex-col shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-5 py-4 border-b border-auris-border flex items-start justify-between">
+          <div>
+            <h2 className="text-sm font-medium">Import Cue Sheet</h2>
+            <p className="text-xs text-auris-text-muted mt-0.5">
+              {preview.fileName} · {preview.rowCount} rows under the headings
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-5 space-y-5">
+          {error && (
+            <div className="px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+              <Warning size={14} />
+              {error}
+            </div>
+          )}
+
+          {/* Cue sheet name and header block */}
+          <div className="grid grid-cols-5 gap-2">
+            <label className="col-span-1">
+              <span className="block text-[11px] text-auris-text-muted mb-1">Cue Sheet Name</span>
+              <input value={name} onChange={(e) => setName(e.target.value)} className="input text-xs px-2 py-1.5" />
+            </label>
+            {PROJECT_FIELDS.map(field => (
+              <label key={field.key}>
+                <span className="block text-[11px] text-auris-text-muted mb-1">{field.label}</span>
+                <input
+                  value={projectInfo[field.key] || ''}
+                  onChange={(e) => setProjectInfo(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className="input text-xs px-2 py-1.5"
+                />
+              </label>
+            ))}
+          </div>
+
+          {/* Column mapping */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-xs font-medium">Columns</h3>
+              <label className="flex items-center gap-2 text-[11px] text-auris-text-muted">
+                Headings on row
+                <input
+                  type="number"
+                  min="1"
+                  defaultValue={preview.headerRowIndex + 1}
+                  key={preview.headerRowIndex}
+                  onBlur={(e) => handleHeaderRowChange(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleHeaderRowChange(e.target.value)}
+                  className="input text-xs px-2 py-1 w-16"
+                />
+              </label>
+            </div>
+            <div className="overflow-x-auto border border-auris-border rounded-lg">
+              <table className="text-xs w-full">
+                <thead>
+                  <tr className="border-b border-auris-border bg-auris-card/30">
+                    {visibleColumns.map(column => (
+                      <th key={column.index} className="p-2 text-left font-normal align-top min-w-[140px]">
+                        <div className="text-[10px] text-auris-text-muted mb-1 truncate" title={column.header}>
+                          {column.header || `Column ${column.index + 1}`}
+                        </div>
+                        <select
+                          value={mapping[column.index] || ''}
+                          onChange={(e) => handleMappingChange(column.index, e.target.value)}
+                          className={`input text-xs px-2 py-1 ${mapping[column.index] ? 'border-auris-blue/60' : ''}`}
+                        >
+                          <option value="">Ignore</option>
+                          {preview.fields.map(field => (
+                            <option key={field.field} value={field.field}>{field.label}</option>
+                          ))}
+                        </select>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.previewRows.map((cells, rowIndex) => (
+                    <tr key={rowIndex} className="border-b border-auris-border/50 last:border-0">
+                      {visibleColumns.map(column => (
+                        <td
+                          key={column.index}
+                          className={`p-2 max-w-[200px] truncate ${mapping[column.index] ? '' : 'text-auris-text-muted/50'}`}
+                          title={cells[column.index]}
+                        >
+                          {cells[column.index]}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={saveToDatabase}
+              onChange={(e) => setSaveToDatabase(e.target.checked)}
+              className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+            />
+            <span className="text-xs text-auris-text-muted">Save every row to the track database as verified data</span>
+          </label>
+        </div>
+
+        <div className="px-5 py-3 border-t border-auris-border flex items-center justify-end gap-3">
+          <button onClick={onClose} className="btn btn-secondary px-3 py-1.5 text-xs">
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!hasTrackName || isWorking}
+            className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+            title={hasTrackName ? '' : 'Map a column to Track Name first'}
+          >
+            {isWorking ? <CircleNotch size={14} className="animate-spin" /> : <FileArrowDown size={14} />}
+            Import
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -1,10 +1,15 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
-import { X, ArrowRight, ArrowLeft, Check, CircleNotch, Eye, EyeSlash, TreeStructure, Lightning, Robot, ArrowCounterClockwise } from '@phosphor-icons/react';
+import { formatCueLength, applyTimecodes, TICKS_PER_SECOND, DEFAULT_ROUNDING } from '../utils/timecode';
+import { X, ArrowRight, ArrowLeft, Check, CircleNotch, Eye, EyeSlash, TreeStructure, Lightning, Robot, ArrowCounterClockwise, FilmStrip } from '@phosphor-icons/react';
 
 /**
  * ImportWizard - Multi-step wizard for importing Premiere Pro projects
  * 
+ * Projects with several sequences (e.g. :30/:15/:10 cutdowns) first show a
+ * sequence picker. One sequence runs through the steps below; several are
+ * imported directly as one cue sheet per sequence.
+ * 
  * Steps:
  * 1. Clip Detection - Show all clips, let user exclude non-music
  * 2. Categorization - Classify as Main/SFX/Stem
@@ -19,7 +24,7 @@ const STEPS = [
   { id: 'review', title: 'Review' },
 ];
 
-export default function ImportWizard({ isOpen, onClose, onComplete, projectPath }) {
+export default function ImportWizard({ isOpen, onClose, onComplete, projectPath, durationRounding = DEFAULT_ROUNDING }) {
   const [currentStep, setCurrentStep] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -74,6 +79,12 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
     filePath: '',
   });
   
+  // Sequence picker (only shown when the project has more than one sequence with audio)
+  const [sequences, setSequences] = useState([]);
+  const [selectedSequenceIds, setSelectedSequenceIds] = useState(new Set());
+  const [showSequencePicker, setShowSequencePicker] = useState(false);
+  const [resolvedPath, setResolvedPath] = useState(null);
+  
   // Processing stats (for hybrid approach feedback)
   const [processingStats, setProcessingStats] = useState({
     opusEnabled: false,
@@ -101,10 +112,7 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
     };
   }, [isOpen, projectPath]);
 
-  const loadProject = async () => {
-    setIsLoading(true);
-    setError(null);
-    setCurrentStep(0);
+  const resetLoadingProgress = () => {
     setLoadingProgress({
       step: 0,
       totalSteps: 8,
@@ -113,7 +121,10 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
       progress: 0,
       matches: 0,
     });
-    
+  };
+
+  // Run the pipeline for the whole project, or for one sequence when given
+  const runPipeline = async (filePath, sequence = null) => {
     // Set up progress listener (remove any existing first to prevent accumulation)
     window.electronAPI.removeWizardProgressListener();
     window.electronAPI.onWizardProgress((progressData) => {
@@ -124,50 +135,155 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
     });
     
     try {
-      // Call the pipeline to parse the project
-      const result = await window.electronAPI.parseProjectForWizard(projectPath);
-      
-      if (result.success) {
-        setProjectInfo({
-          projectName: result.projectName,
-          spotTitle: result.spotTitle,
-          filePath: projectPath,
-        });
-        
-        // Save original data for reset functionality
-        setOriginalData({
-          raw: JSON.parse(JSON.stringify(result.rawClips)),
-          categorized: JSON.parse(JSON.stringify(result.categorizedClips)),
-          grouped: JSON.parse(JSON.stringify(result.groupedClips)),
-          final: JSON.parse(JSON.stringify(result.groupedClips)),
-        });
-        
-        setPipelineData({
-          raw: result.rawClips,
-          categorized: result.categorizedClips,
-          grouped: result.groupedClips,
-          final: result.groupedClips, // Start with grouped as final
-        });
+      return await window.electronAPI.parseProjectForWizard(filePath, {
+        sequenceId: sequence?.id,
+        rounding: durationRounding,
+      });
+    } finally {
+      // Clean up progress listener
+      window.electronAPI.removeWizardProgressListener();
+    }
+  };
+
+  const loadProject = async () => {
+    setIsLoading(true);
+    setError(null);
+    setCurrentStep(0);
+    setShowSequencePicker(false);
+    resetLoadingProgress();
+    
+    try {
+      // List sequences first so cutdowns can be imported separately
+      let filePath = projectPath;
+      if (window.electronAPI.listProjectSequences) {
+        const listing = await window.electronAPI.listProjectSequences(projectPath);
+        if (!listing.success) {
+          setError(listing.error || 'Failed to read project sequences');
+          return;
+        }
+        filePath = listing.filePath || projectPath;
+        setResolvedPath(filePath);
         
-        // Store processing stats for hybrid approach feedback
-        if (result.summary) {
-          setProcessingStats({
-            opusEnabled: result.summary.opusEnabled || false,
-            opusUsed: result.summary.opusUsed || false,
-            opusClassifiedCount: result.summary.opusClassifiedCount || 0,
-            lowConfidenceCount: result.summary.lowConfidenceCount || 0,
-            avgConfidence: result.summary.avgConfidence || 0,
-            processingTimeMs: result.summary.processingTimeMs || 0,
-          });
+        const withAudio = listing.sequences.filter(seq => seq.clipCount > 0);
+        if (withAudio.length > 1) {
+          setSequences(withAudio);
+          setSelectedSequenceIds(new Set([withAudio[0].id]));
+          setProjectInfo(prev => ({ ...prev, projectName: listing.projectName }));
+          setShowSequencePicker(true);
+          return;
         }
+      }
+      
+      await loadSequence(filePath, null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Load a single sequence (or the whole project) into the wizard steps
+  const loadSequence = async (filePath, sequence) => {
+    const result = await runPipeline(filePath, sequence);
+    
+    if (result.success) {
+      setProjectInfo({
+        projectName: sequence ? sequence.name : result.projectName,
+        spotTitle: result.spotTitle,
+        filePath: result.filePath || filePath,
+        programLength: result.programLength || '',
+        ...(sequence && { sequenceId: sequence.id, sequenceName: sequence.name }),
+      });
+      
+      // Save original data for reset functionality
+      setOriginalData({
+        raw: JSON.parse(JSON.stringify(result.rawClips)),
+        categorized: JSON.parse(JSON.stringify(result.categorizedClips)),
+        grouped: JSON.parse(JSON.stringify(result.groupedClips)),
+        final: JSON.parse(JSON.stringify(result.groupedClips)),
+      });
+      
+      setPipelineData({
+        raw: result.rawClips,
+        categorized: result.categorizedClips,
+        grouped: result.groupedClips,
+        final: result.groupedClips, // Start with grouped as final
+      });
+      
+      // Store processing stats for hybrid approach feedback
+      if (result.summary) {
+        setProcessingStats({
+          opusEnabled: result.summary.opusEnabled || false,
+          opusUsed: result.summary.opusUsed || false,
+          opusClassifiedCount: result.summary.opusClassifiedCount || 0,
+          lowConfidenceCount: result.summary.lowConfidenceCount || 0,
+          avgConfidence: result.summary.avgConfidence || 0,
+          processingTimeMs: result.summary.processingTimeMs || 0,
+        });
+      }
+    } else {
+      setError(result.error || 'Failed to parse project');
+    }
+  };
+
+  // Toggle a sequence in the picker
+  const toggleSequence = useCallback((sequenceId) => {
+    setSelectedSequenceIds(prev => {
+      const next = new Set(prev);
+      if (next.has(sequenceId)) {
+        next.delete(sequenceId);
       } else {
-        setError(result.error || 'Failed to parse project');
+        next.add(sequenceId);
+      }
+      return next;
+    });
+  }, []);
+
+  // Continue from the sequence picker
+  // One sequence goes through the review steps; several are imported as-is, one cue sheet each
+  const confirmSequences = async () => {
+    const selected = sequences.filter(seq => selectedSequenceIds.has(seq.id));
+    if (selected.length === 0) return;
+    
+    const filePath = resolvedPath || projectPath;
+    setShowSequencePicker(false);
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      if (selected.length === 1) {
+        await loadSequence(filePath, selected[0]);
+        return;
+      }
+      
+      const cueSheets = [];
+      for (const sequence of selected) {
+        resetLoadingProgress();
+        const result = await runPipeline(filePath, sequence);
+        if (!result.success) {
+          setError(`${sequence.name}: ${result.error || 'Failed to parse sequence'}`);
+          return;
+        }
+        cueSheets.push({
+          cues: finalizeCues(result.groupedClips),
+          projectInfo: {
+            projectName: sequence.name,
+            spotTitle: result.spotTitle,
+            filePath: result.filePath || filePath,
+            programLength: result.programLength || '',
+            sequenceId: sequence.id,
+            sequenceName: sequence.name,
+            durationRounding,
+          },
+        });
+      }
+      
+      if (isMountedRef.current) {
+        onComplete({ cueSheets });
       }
     } catch (err) {
       setError(err.message);
     } finally {
-      // Clean up progress listener
-      window.electronAPI.removeWizardProgressListener();
       setIsLoading(false);
     }
   };
@@ -197,6 +313,11 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
         if (parent) {
           parent.stems = groupedStems;
           parent.stemDurationAbsorbed = true;
+          // Stems play alongside the parent: on-air time is the union of their segments
+          if ([parent, ...groupedStems].every(m => Array.isArray(m.segments))) {
+            parent.segments = mergeSegments([parent, ...groupedStems].flatMap(m => m.segments));
+            parent.durationSeconds = calculateCombinedSeconds(parent, groupedStems);
+          }
         } else {
           // Create synthetic parent from stems
           const first = groupedStems[0];
@@ -251,47 +372,14 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
       }
     }
     
-    // Process final cues:
-    // - Only include main tracks (not stems)
-    // - Stems are absorbed into main track durations, not shown separately
-    // - Format all durations to M:SS with 12-frame rounding
-    // - Map field names to match main cue sheet expectations
-    const finalCues = pipelineData.final
-      .filter(cue => !cue.excluded && cue.cueType !== 'stem')
-      .map(cue => {
-        // Calculate duration: use combined if stems exist, otherwise format the track's duration
-        let formattedDuration;
-        if (cue.stems && cue.stems.length > 0 && !cue.stemDurationAbsorbed) {
-          formattedDuration = calculateCombinedDuration(cue, cue.stems);
-        } else {
-          // Format this track's duration with 12-frame rounding
-          formattedDuration = formatClipDuration(cue);
-        }
-        return { 
-          ...cue, 
-          duration: formattedDuration,
-          // Map field names to match main cue sheet expectations
-          label: cue.library || cue.label || '',
-          // Ensure all enriched fields are included
-          composer: cue.composer || '',
-          composerSource: cue.composerSource || '',
-          publisher: cue.publisher || '',
-          publisherSource: cue.publisherSource || '',
-          artist: cue.artist || '',
-          artistSource: cue.artistSource || '',
-          source: cue.source || '',
-          sourceSource: cue.sourceSource || '',
-          use: cue.use || '',
-          useSource: cue.useSource || '',
-        };
-      });
+    const finalCues = finalizeCues(pipelineData.final);
     
     // Return the final cue list (stems are excluded, their durations absorbed)
     onComplete({
       cues: finalCues,
-      projectInfo,
+      projectInfo: { ...projectInfo, durationRounding },
     });
-  }, [pipelineData.final, projectInfo, modifications, projectPath, onComplete]);
+  }, [pipelineData.final, projectInfo, modifications, projectPath, onComplete, durationRounding]);
 
   // Toggle clip inclusion (Step 1)
   const toggleClipExclusion = useCallback((clipId, currentlyExcluded) => {
@@ -371,10 +459,6 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
     }
   }, [pipelineData.final]);
 
-  // Constants for tick conversion
-  const TICKS_PER_SECOND = 254016000000;
-  const DEFAULT_FPS = 23.976;
-
   // Parse duration - prefer numeric fields, fallback to string parsing
   const parseDurationToSeconds = (item) => {
     if (!item) return 0;
@@ -395,27 +479,44 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
     return 0;
   };
 
-  // Format seconds to M:SS with 12-frame rounding
-  // If frames >= 12, round up to next second; otherwise round down
+  // Format seconds to M:SS in the clip's sequence timebase with the cue sheet's rounding rule
   // Output format: "0:10" (no leading zero on minutes, matches Excel output)
-  const formatDuration = (seconds, fps = DEFAULT_FPS) => {
-    const frames = (seconds % 1) * fps;
-    // Round up if frames >= 12
-    const roundedSeconds = frames >= 12 ? Math.ceil(seconds) : Math.floor(seconds);
-    
-    const mins = Math.floor(roundedSeconds / 60);
-    const secs = roundedSeconds % 60;
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
-  };
+  const formatDuration = (seconds, timebase) => formatCueLength(seconds, timebase, durationRounding);
   
-  // Format a clip's duration using durationSeconds/durationTicks with 12-frame rounding
+  // Format a clip's duration using durationSeconds/durationTicks
   const formatClipDuration = (clip) => {
     const seconds = parseDurationToSeconds(clip);
-    return formatDuration(seconds);
+    return formatDuration(seconds, clip.timebase || clip.fps);
   };
 
-  // Calculate combined duration from main track and all stems (use longest)
-  const calculateCombinedDuration = (track, stems = []) => {
+  // Merge overlapping/abutting timeline segments (same sequence) into on-air uses
+  const mergeSegments = (segments) => {
+    const sorted = [...segments].sort((a, b) =>
+      String(a.sequenceId).localeCompare(String(b.sequenceId)) || a.startTicks - b.startTicks
+    );
+    const merged = [];
+    for (const seg of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && last.sequenceId === seg.sequenceId && seg.startTicks <= last.endTicks) {
+        last.endTicks = Math.max(last.endTicks, seg.endTicks);
+        last.durationTicks = last.endTicks - last.startTicks;
+      } else {
+        merged.push({ ...seg, durationTicks: seg.endTicks - seg.startTicks });
+      }
+    }
+    return merged;
+  };
+
+  // Calculate combined duration from main track and all stems
+  // Uses the union of timeline segments when known, otherwise the longest duration
+  const calculateCombinedSeconds = (track, stems = []) => {
+    const members = [track, ...stems];
+    if (members.every(m => Array.isArray(m.segments))) {
+      const merged = mergeSegments(members.flatMap(m => m.segments));
+      const totalTicks = merged.reduce((sum, seg) => sum + seg.durationTicks, 0);
+      return totalTicks / TICKS_PER_SECOND;
+    }
+    
     let maxSeconds = parseDurationToSeconds(track);
     
     for (const stem of stems) {
@@ -425,9 +526,48 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
       }
     }
     
-    return formatDuration(maxSeconds);
+    return maxSeconds;
   };
 
+  const calculateCombinedDuration = (track, stems = []) =>
+    formatDuration(calculateCombinedSeconds(track, stems), track.timebase || track.fps);
+
+  // Process final cues:
+  // - Only include main tracks (not stems)
+  // - Stems are absorbed into main track durations, not shown separately
+  // - Format all durations to M:SS with the rounding rule
+  // - Map field names to match main cue sheet expectations
+  // - Recompute TC In/Out from the (possibly re-grouped) segments
+  const finalizeCues = (clips) => clips
+    .filter(cue => !cue.excluded && cue.cueType !== 'stem')
+    .map(cue => {
+      // Calculate duration: use combined if stems exist, otherwise format the track's duration
+      let formattedDuration;
+      if (cue.stems && cue.stems.length > 0 && !cue.stemDurationAbsorbed) {
+        formattedDuration = calculateCombinedDuration(cue, cue.stems);
+      } else {
+        // Format this track's duration
+        formattedDuration = formatClipDuration(cue);
+      }
+      return applyTimecodes({ 
+        ...cue, 
+        duration: formattedDuration,
+        // Map field names to match main cue sheet expectations
+        label: cue.library || cue.label || '',
+        // Ensure all enriched fields are included
+        composer: cue.composer || '',
+        composerSource: cue.composerSource || '',
+        publisher: cue.publisher || '',
+        publisherSource: cue.publisherSource || '',
+        artist: cue.artist || '',
+        artistSource: cue.artistSource || '',
+        source: cue.source || '',
+        sourceSource: cue.sourceSource || '',
+        use: cue.use || '',
+        useSource: cue.useSource || '',
+      });
+    });
+
   // Merge a track into an existing group (Step 3)
   // When merged, stems are absorbed into the main track's duration
   // Stems don't appear on the final cue sheet - only the main track does
@@ -445,6 +585,7 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
         stemPart: sourceTrack.trackName,
         durationTicks: sourceTrack.durationTicks,
         duration: sourceTrack.duration,
+        segments: sourceTrack.segments,
       };
       
       // Only add source track's existing stems that aren't the track itself (prevent duplicates)
@@ -464,11 +605,16 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
             const existingStems = c.stems || [];
             const updatedStems = [...existingStems, ...allNewStems];
             const combinedDuration = calculateCombinedDuration(c, updatedStems);
+            const allSegments = [c, ...updatedStems].every(m => Array.isArray(m.segments))
+              ? mergeSegments([c, ...updatedStems].flatMap(m => m.segments))
+              : c.segments;
             
             return {
               ...c,
               stems: updatedStems,
-              duration: combinedDuration, // Update to longest duration
+              segments: allSegments,
+              duration: combinedDuration, // Update to combined on-air duration
+              durationSeconds: calculateCombinedSeconds(c, updatedStems),
               stemDurationAbsorbed: true, // Flag that stems are factored in
             };
           }
@@ -608,7 +754,13 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
 
         {/* Content */}
         <div className="flex-1 overflow-auto p-6">
-          {isLoading ? (
+          {showSequencePicker ? (
+            <StepSequenceSelect
+              sequences={sequences}
+              selectedIds={selectedSequenceIds}
+              onToggle={toggleSequence}
+            />
+          ) : isLoading ? (
             <div className="flex flex-col items-center justify-center h-64 gap-6">
               {/* Progress Card */}
               <div className="w-full max-w-md bg-auris-card border border-auris-border rounded-xl p-6">
@@ -711,6 +863,7 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
             {/* Ghost button: Reset */}
             <button
               onClick={resetCurrentStep}
+              disabled={showSequencePicker}
               className="flex items-center gap-1.5 px-3 py-2 text-sm text-auris-text-muted hover:text-auris-text transition-colors"
               title="Reset this step to original"
             >
@@ -721,15 +874,33 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
             {/* Secondary button: Back */}
             <button
               onClick={handleBack}
-              disabled={currentStep === 0 || isLoading}
+              disabled={currentStep === 0 || isLoading || showSequencePicker}
               className="flex items-center gap-2 px-4 py-2 text-sm text-auris-text border border-auris-border rounded-lg hover:bg-auris-card-hover disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
             >
               <ArrowLeft size={16} />
               Back
             </button>
             
-            {/* Primary button: Next or Import */}
-            {currentStep < STEPS.length - 1 ? (
+            {/* Primary button: Continue (sequence picker), Next or Import */}
+            {showSequencePicker ? (
+              <button
+                onClick={confirmSequences}
+                disabled={selectedSequenceIds.size === 0}
+                className="flex items-center gap-2 px-5 py-2 text-sm font-medium bg-white text-auris-bg rounded-lg hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+              >
+                {selectedSequenceIds.size > 1 ? (
+                  <>
+                    <Check size={16} weight="bold" />
+                    Import {selectedSequenceIds.size} Cue Sheets
+                  </>
+                ) : (
+                  <>
+                    Continue
+                    <ArrowRight size={16} />
+                  </>
+                )}
+              </button>
+            ) : currentStep < STEPS.length - 1 ? (
               <button
                 onClick={handleNext}
                 disabled={isLoading}
@@ -756,6 +927,51 @@ export default function ImportWizard({ isOpen, onClose, onComplete, projectPath
   );
 }
 
+// ============================================================================
+// Sequence Picker: choose which sequences (cutdowns) to import
+// ============================================================================
+
+function StepSequenceSelect({ sequences, selectedIds, onToggle }) {
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-sm font-medium text-auris-text">Choose Sequences</h3>
+        <p className="text-xs text-auris-text-muted">
+          This project has {sequences.length} sequences with audio. Pick one to review, or several to create one cue sheet per sequence.
+        </p>
+      </div>
+      
+      <div className="space-y-1">
+        {sequences.map(seq => {
+          const isSelected = selectedIds.has(seq.id);
+          return (
+            <button
+              key={seq.id}
+              onClick={() => onToggle(seq.id)}
+              className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg border text-left transition-colors ${
+                isSelected
+                  ? 'border-auris-blue bg-auris-blue-dim'
+                  : 'border-auris-border hover:bg-auris-card-hover'
+              }`}
+            >
+              <div className={`w-4 h-4 rounded border flex items-center justify-center ${
+                isSelected ? 'bg-auris-blue border-auris-blue' : 'border-auris-border'
+              }`}>
+                {isSelected && <Check size={10} weight="bold" className="text-white" />}
+              </div>
+              <FilmStrip size={16} className="text-auris-text-muted" />
+              <span className="flex-1 text-sm text-auris-text truncate">{seq.name}</span>
+              <span className="text-xs text-auris-text-muted font-mono">
+                {seq.clipCount} {seq.clipCount === 1 ? 'clip' : 'clips'}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
 // ============================================================================
 // Step 1: Clip Detection
 // ============================================================================
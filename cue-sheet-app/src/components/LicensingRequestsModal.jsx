@@ -0,0 +1,252 @@
+/**
+ * Licensing Requests Modal - One licensing/reporting request per library
+ * contact, written from an editable template and saved to the project's
+ * Exports folder as .eml drafts and/or cue sheet attachments.
+ */
+
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { X, Certificate, EnvelopeSimple, Warning, FloppyDisk, ArrowCounterClockwise, CircleNotch } from '@phosphor-icons/react';
+
+const OUTPUT_OPTIONS = [
+  { value: 'eml', label: 'Email (.eml)' },
+  { value: 'eml+xlsx', label: 'Email + Excel' },
+  { value: 'eml+pdf', label: 'Email + PDF' },
+  { value: 'xlsx', label: 'Excel only' },
+  { value: 'pdf', label: 'PDF only' },
+];
+
+export default function LicensingRequestsModal({ cues, projectInfo, projectFolder, onProjectInfoChange, onClose, onGenerated }) {
+  const [template, setTemplate] = useState(null);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [preview, setPreview] = useState({ requests: [], unassigned: [] });
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [output, setOutput] = useState('eml+xlsx');
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+  const [templateSaved, setTemplateSaved] = useState(false);
+
+  useEffect(() => {
+    window.electronAPI?.getLicensingTemplate?.().then(result => {
+      if (result?.success) {
+        setTemplate(result.template);
+        setPlaceholders(result.placeholders || []);
+      }
+    });
+  }, []);
+
+  // Re-render the requests as the template and air dates are edited
+  useEffect(() => {
+    if (!template) return;
+    const timer = setTimeout(async () => {
+      const result = await window.electronAPI?.previewLicensingRequests?.({ cues, projectInfo, template });
+      if (result?.success) {
+        setPreview({ requests: result.requests, unassigned: result.unassigned });
+        setSelectedKey(key => (result.requests.some(request => request.key === key) ? key : result.requests[0]?.key || null));
+      } else if (result?.error) {
+        setError(result.error);
+      }
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [cues, projectInfo, template]);
+
+  const selected = preview.requests.find(request => request.key === selectedKey);
+
+  const updateTemplate = (field, value) => {
+    setTemplate(prev => ({ ...prev, [field]: value }));
+    setTemplateSaved(false);
+  };
+
+  const handleSaveTemplate = async () => {
+    const result = await window.electronAPI?.saveLicensingTemplate?.(template);
+    if (result?.success) setTemplateSaved(true);
+  };
+
+  const handleResetTemplate = async () => {
+    const result = await window.electronAPI?.resetLicensingTemplate?.();
+    if (result?.success) {
+      setTemplate(result.template);
+      setTemplateSaved(false);
+    }
+  };
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    setError(null);
+    try {
+      const result = await window.electronAPI.generateLicensingRequests({ cues, projectInfo, template, output, projectFolder });
+      if (result.success) {
+        onGenerated?.(result);
+        onClose();
+      } else if (!result.canceled) {
+        setError(result.error || 'Could not write the licensing requests');
+      }
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[99999]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-auris-bg border border-auris-border rounded-xl w-[960px] max-w-[95vw] h-[80vh] flex flex-col shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-5 py-4 border-b border-auris-border flex items-start justify-between">
+          <div>
+            <div className="flex items-center gap-2">
+              <Certificate size={16} className="text-auris-blue" />
+              <h2 className="text-sm font-medium">Licensing Requests</h2>
+            </div>
+            <p className="text-xs text-auris-text-muted mt-1">
+              {preview.requests.length} contact{preview.requests.length === 1 ? '' : 's'} - one request each, saved to{' '}
+              {projectFolder ? 'the project Exports folder' : 'a folder you choose'}.
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex-1 flex min-h-0">
+          {/* Contacts */}
+          <div className="w-64 border-r border-auris-border flex flex-col min-h-0">
+            <div className="flex-1 overflow-auto py-1">
+              {preview.requests.map(request => (
+                <button
+                  key={request.key}
+                  onClick={() => setSelectedKey(request.key)}
+                  className={`w-full px-4 py-2 text-left transition-colors ${
+                    request.key === selectedKey ? 'bg-auris-card' : 'hover:bg-auris-card-hover'
+                  }`}
+                >
+                  <div className="text-xs font-medium truncate" title={request.name}>{request.name}</div>
+                  <div className={`text-[10px] truncate ${request.email ? 'text-auris-text-muted' : 'text-auris-orange'}`}>
+                    {request.email || 'No email - the To field will be blank'}
+                  </div>
+                  <div className="text-[10px] text-auris-text-muted">
+                    {request.cueCount} cue{request.cueCount === 1 ? '' : 's'} · {request.totalTime}
+                  </div>
+                </button>
+              ))}
+              {preview.requests.length === 0 && (
+                <p className="px-4 py-3 text-xs text-auris-text-muted">
+                  No cues have a library contact yet. Fill in Master/Contact or the library first.
+                </p>
+              )}
+            </div>
+            {preview.unassigned.length > 0 && (
+              <div className="px-4 py-2 border-t border-auris-border text-[10px] text-auris-orange flex gap-1.5">
+                <Warning size={12} className="flex-shrink-0 mt-0.5" />
+                <span title={preview.unassigned.map(cue => cue.trackName).join('\n')}>
+                  {preview.unassigned.length} cue{preview.unassigned.length === 1 ? '' : 's'} without a contact will be left out
+                </span>
+              </div>
+            )}
+          </div>
+
+          {/* Template and preview */}
+          <div className="flex-1 flex flex-col min-h-0 overflow-auto px-5 py-4 space-y-3">
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-auris-text-muted w-20">Air dates</span>
+              <input
+                type="text"
+                value={projectInfo.airDates || ''}
+                onChange={(e) => onProjectInfoChange({ airDates: e.target.value })}
+                className="input flex-1 text-xs"
+                placeholder="e.g. Mar 1 - Apr 30, 2026"
+              />
+            </div>
+
+            {template && (
+              <>
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-auris-text-muted w-20">Subject</span>
+                  <input
+                    type="text"
+                    value={template.subject}
+                    onChange={(e) => updateTemplate('subject', e.target.value)}
+                    className="input flex-1 text-xs font-mono"
+                  />
+                </div>
+                <textarea
+                  value={template.body}
+                  onChange={(e) => updateTemplate('body', e.target.value)}
+                  className="input w-full h-44 text-xs font-mono resize-none"
+                  spellCheck={false}
+                />
+                <div className="flex items-center gap-1 flex-wrap">
+                  {placeholders.map(placeholder => (
+                    <span
+                      key={placeholder.key}
+                      className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-auris-card text-auris-text-secondary"
+                      title={placeholder.label}
+                    >
+                      {`{${placeholder.key}}`}
+                    </span>
+                  ))}
+                  <div className="ml-auto flex items-center gap-3">
+                    <button
+                      onClick={handleResetTemplate}
+                      className="text-[11px] text-auris-text-muted hover:text-auris-text flex items-center gap-1"
+                    >
+                      <ArrowCounterClockwise size={12} />
+                      Reset
+                    </button>
+                    <button
+                      onClick={handleSaveTemplate}
+                      className="text-[11px] text-auris-text-muted hover:text-auris-text flex items-center gap-1"
+                    >
+                      <FloppyDisk size={12} />
+                      {templateSaved ? 'Saved' : 'Save as Default'}
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
+
+            {selected && (
+              <div className="rounded-lg border border-auris-border">
+                <div className="px-3 py-2 border-b border-auris-border/50 text-xs space-y-0.5">
+                  <div><span className="text-auris-text-muted">To: </span>{selected.email || '-'}</div>
+                  <div><span className="text-auris-text-muted">Subject: </span>{selected.subject}</div>
+                </div>
+                <pre className="px-3 py-2 text-xs whitespace-pre-wrap font-sans text-auris-text-secondary">{selected.body}</pre>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="px-5 py-3 border-t border-auris-border flex items-center gap-3">
+          <div className="flex-1 min-w-0">
+            {error && <p className="text-xs text-auris-red truncate" title={error}>{error}</p>}
+          </div>
+          <select
+            value={output}
+            onChange={(e) => setOutput(e.target.value)}
+            className="input w-40 text-xs"
+          >
+            {OUTPUT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button onClick={onClose} className="btn btn-secondary px-3 py-1.5 text-xs">
+            Cancel
+          </button>
+          <button
+            onClick={handleGenerate}
+            disabled={isGenerating || preview.requests.length === 0}
+            className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+          >
+            {isGenerating ? <CircleNotch size={14} className="animate-spin" /> : <EnvelopeSimple size={14} />}
+            Create {preview.requests.length || ''} Request{preview.requests.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
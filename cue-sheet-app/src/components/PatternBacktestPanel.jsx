@@ -0,0 +1,130 @@
+/**
+ * Pattern Backtest Panel - Hits, correct and wrong fills, coverage and a
+ * recommended confidence for each pattern, from running it against the
+ * verified tracks in the learned database
+ */
+
+import { useState } from 'react';
+import { Flask, Warning, X, Check, CircleNotch } from '@phosphor-icons/react';
+
+const percent = (value) => (value === null || value === undefined ? '-' : `${Math.round(value * 100)}%`);
+
+export default function PatternBacktestPanel({ report, isRunning, onApplyConfidence, onClose }) {
+  const [applyingId, setApplyingId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const handleApply = async (result) => {
+    setApplyingId(result.patternId);
+    try {
+      await onApplyConfidence(result.patternId, result.recommendedConfidence);
+    } finally {
+      setApplyingId(null);
+    }
+  };
+
+  return (
+    <div className="border-b border-auris-border bg-auris-card/20 max-h-[45%] flex flex-col min-h-0">
+      <div className="px-4 py-2.5 flex items-center gap-2 border-b border-auris-border/50">
+        <Flask size={14} className="text-auris-purple" />
+        <span className="text-xs font-medium">Backtest</span>
+        {isRunning ? (
+          <span className="flex items-center gap-1.5 text-xs text-auris-text-muted">
+            <CircleNotch size={12} className="animate-spin" />
+            Running against verified tracks...
+          </span>
+        ) : report?.summary && (
+          <span className="text-xs text-auris-text-muted">
+            {report.summary.patterns} pattern{report.summary.patterns === 1 ? '' : 's'} against {report.summary.tracks} verified track{report.summary.tracks === 1 ? '' : 's'}
+            {' '}({report.sources.local} local, {report.sources.cloud} cloud)
+            {report.summary.flagged > 0 && (
+              <span className="text-auris-orange"> - {report.summary.flagged} below {percent(report.summary.autoFillThreshold)} precision</span>
+            )}
+          </span>
+        )}
+        <button onClick={onClose} className="ml-auto p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+          <X size={14} />
+        </button>
+      </div>
+
+      {report?.error && <p className="px-4 py-3 text-xs text-auris-red">{report.error}</p>}
+
+      {report?.results?.length > 0 && (
+        <div className="flex-1 overflow-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-auris-bg sticky top-0">
+              <tr className="text-left text-auris-text-muted border-b border-auris-border">
+                <th className="px-4 py-2 font-medium">Pattern</th>
+                <th className="px-2 py-2 font-medium w-14 text-right">Hits</th>
+                <th className="px-2 py-2 font-medium w-16 text-right">Correct</th>
+                <th className="px-2 py-2 font-medium w-14 text-right">Wrong</th>
+                <th className="px-2 py-2 font-medium w-20 text-right">Precision</th>
+                <th className="px-2 py-2 font-medium w-20 text-right">Coverage</th>
+                <th className="px-4 py-2 font-medium w-40 text-right">Confidence</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-auris-border/30">
+              {report.results.map(result => (
+                <tr
+                  key={result.patternId}
+                  className={`align-top ${result.wrongSamples.length > 0 ? 'cursor-pointer hover:bg-auris-card/30' : ''}`}
+                  onClick={() => result.wrongSamples.length > 0 && setExpandedId(id => (id === result.patternId ? null : result.patternId))}
+                >
+                  <td className="px-4 py-2">
+                    <div className="flex items-start gap-1.5">
+                      {result.belowAutoFill && (
+                        <span
+                          className={`flex-shrink-0 mt-px ${result.autoFillRisk ? 'text-auris-red' : 'text-auris-orange'}`}
+                          title={result.autoFillRisk ? 'Auto-filling with precision below the auto-fill threshold' : 'Precision below the auto-fill threshold'}
+                        >
+                          <Warning size={14} />
+                        </span>
+                      )}
+                      <div className="min-w-0">
+                        <div className="font-mono text-auris-text truncate" title={result.conditionText}>{result.conditionText}</div>
+                        <div className="font-mono text-auris-text-secondary truncate" title={result.actionText}>{result.actionText}</div>
+                        {expandedId === result.patternId && (
+                          <div className="mt-1.5 space-y-0.5">
+                            {result.wrongSamples.map(sample => (
+                              <div key={sample.trackName} className="text-[10px] text-auris-text-muted truncate">
+                                {sample.trackName}: suggested <span className="text-auris-red">{sample.suggested}</span>, verified <span className="text-auris-green">{sample.actual}</span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-2 py-2 text-right text-auris-text-muted">{result.hits}</td>
+                  <td className="px-2 py-2 text-right text-auris-green">{result.correct}</td>
+                  <td className={`px-2 py-2 text-right ${result.wrong ? 'text-auris-red' : 'text-auris-text-muted'}`}>{result.wrong}</td>
+                  <td className={`px-2 py-2 text-right ${result.belowAutoFill ? 'text-auris-orange' : 'text-auris-text'}`}>{percent(result.precision)}</td>
+                  <td className="px-2 py-2 text-right text-auris-text-muted">{percent(result.coverage)}</td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    {result.recommendedConfidence === null ? (
+                      <span className="text-auris-text-muted" title="Too few verified tracks to judge">{percent(result.confidence)}</span>
+                    ) : result.adjust ? (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); handleApply(result); }}
+                        disabled={applyingId !== null}
+                        className="inline-flex items-center gap-1 text-auris-blue hover:underline disabled:opacity-50"
+                        title="Set the pattern's confidence to the recommended value"
+                      >
+                        {applyingId === result.patternId ? <CircleNotch size={10} className="animate-spin" /> : null}
+                        {percent(result.confidence)} → {percent(result.recommendedConfidence)}
+                      </button>
+                    ) : (
+                      <span className="inline-flex items-center gap-1 text-auris-text-muted">
+                        <Check size={10} />
+                        {percent(result.confidence)}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
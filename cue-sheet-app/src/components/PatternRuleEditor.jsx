@@ -0,0 +1,125 @@
+/**
+ * Pattern Rule Editor - Write or edit a learned pattern as a condition and
+ * an action, checked as you type
+ */
+
+import { useState, useEffect } from 'react';
+import { FloppyDisk, CircleNotch, CheckCircle, Warning } from '@phosphor-icons/react';
+
+const CONDITION_EXAMPLE = 'library contains "BMG" and (catalog_code between IATS001 and IATS200 or duration between 0:30 and 2:00)';
+const ACTION_EXAMPLE = 'publisher = "{library} Publishing (ASCAP)(100%)"';
+
+export default function PatternRuleEditor({ pattern, onSaved, onCancel }) {
+  const [conditionText, setConditionText] = useState(pattern?.conditionText || '');
+  const [actionText, setActionText] = useState(pattern?.actionText || '');
+  const [confidence, setConfidence] = useState(Math.round((pattern?.confidence ?? 0.5) * 100));
+  const [check, setCheck] = useState(null); // { success, error, conditionText, actionText }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Compile shortly after each edit
+  useEffect(() => {
+    if (!conditionText.trim() || !actionText.trim()) {
+      setCheck(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      setCheck(await window.electronAPI?.patternCompile?.({ conditionText, actionText }) || null);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [conditionText, actionText]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const draft = { conditionText, actionText, confidence: confidence / 100 };
+      const result = pattern?.id
+        ? await window.electronAPI.patternUpdate(pattern.id, draft)
+        : await window.electronAPI.patternCreate(draft);
+      if (result.success) {
+        onSaved?.(result.pattern);
+      } else {
+        setError(result.error || 'Could not save the pattern');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-4 border-b border-auris-border bg-auris-card/20 space-y-3">
+      <div>
+        <label className="block text-xs text-auris-text-muted mb-1">When</label>
+        <textarea
+          value={conditionText}
+          onChange={(e) => setConditionText(e.target.value)}
+          placeholder={CONDITION_EXAMPLE}
+          rows={2}
+          spellCheck={false}
+          className="input w-full text-xs font-mono resize-none"
+        />
+      </div>
+      <div className="flex items-end gap-3">
+        <div className="flex-1">
+          <label className="block text-xs text-auris-text-muted mb-1">Then</label>
+          <input
+            type="text"
+            value={actionText}
+            onChange={(e) => setActionText(e.target.value)}
+            placeholder={ACTION_EXAMPLE}
+            spellCheck={false}
+            className="input w-full text-xs font-mono"
+          />
+        </div>
+        <div className="w-24">
+          <label className="block text-xs text-auris-text-muted mb-1">Confidence</label>
+          <div className="flex items-center gap-1">
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={confidence}
+              onChange={(e) => setConfidence(Math.max(0, Math.min(100, parseInt(e.target.value, 10) || 0)))}
+              className="input w-full text-xs"
+            />
+            <span className="text-xs text-auris-text-muted">%</span>
+          </div>
+        </div>
+      </div>
+
+      <p className="text-[10px] text-auris-text-muted leading-relaxed">
+        Tests: <code>=</code>, <code>!=</code>, <code>contains</code>, <code>starts with</code>, <code>ends with</code>,{' '}
+        <code>matches /regex/i</code>, <code>between A and B</code> (duration, catalog_code, track_number),{' '}
+        <code>is empty</code>, <code>is not empty</code> - combined with <code>and</code>, <code>or</code>, <code>not</code> and parentheses.
+        Use <code>{'{field}'}</code> in the value to insert a track field.
+      </p>
+
+      <div className="flex items-center gap-3">
+        <div className="flex-1 min-w-0 text-xs">
+          {error ? (
+            <span className="flex items-center gap-1.5 text-auris-red"><Warning size={14} />{error}</span>
+          ) : check?.success ? (
+            <span className="flex items-center gap-1.5 text-auris-green truncate" title={`${check.conditionText} → ${check.actionText}`}>
+              <CheckCircle size={14} className="flex-shrink-0" />
+              <span className="truncate">{check.conditionText} → {check.actionText}</span>
+            </span>
+          ) : check?.error ? (
+            <span className="flex items-center gap-1.5 text-auris-orange"><Warning size={14} className="flex-shrink-0" />{check.error}</span>
+          ) : null}
+        </div>
+        <button onClick={onCancel} className="btn btn-secondary px-3 py-1.5 text-xs">
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving || !check?.success}
+          className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+        >
+          {isSaving ? <CircleNotch size={14} className="animate-spin" /> : <FloppyDisk size={14} />}
+          {pattern?.id ? 'Save Pattern' : 'Add Pattern'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+/**
+ * Pre-Export Dialog - Export check results shown before a cue sheet is written.
+ * Blocking errors have to be fixed first; warnings can be exported anyway.
+ */
+
+import { createPortal } from 'react-dom';
+import { X, Warning, XCircle, Export, GearSix } from '@phosphor-icons/react';
+
+const SEVERITY_STYLES = {
+  error: { label: 'Blocking', icon: XCircle, className: 'text-auris-red', badge: 'bg-auris-red/15 text-auris-red' },
+  warning: { label: 'Warnings', icon: Warning, className: 'text-auris-orange', badge: 'bg-auris-orange/15 text-auris-orange' },
+};
+
+function IssueGroup({ severity, issues }) {
+  if (issues.length === 0) return null;
+  const style = SEVERITY_STYLES[severity];
+  const Icon = style.icon;
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Icon size={14} weight="fill" className={style.className} />
+        <h3 className="text-xs font-medium">{style.label}</h3>
+        <span className={`text-[10px] px-1.5 py-0.5 rounded ${style.badge}`}>{issues.length}</span>
+      </div>
+      <div className="rounded-lg border border-auris-border divide-y divide-auris-border/50">
+        {issues.map((issue, index) => (
+          <div key={`${issue.ruleId}-${issue.cueId}-${index}`} className="px-3 py-1.5 flex items-center gap-3 text-xs">
+            <span className="font-mono text-auris-text-muted w-6 text-right flex-shrink-0">{issue.number}</span>
+            <span className="truncate w-48 flex-shrink-0" title={issue.trackName}>{issue.trackName || '(untitled)'}</span>
+            <span className="text-auris-text-secondary truncate" title={issue.message}>{issue.message}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function PreExportDialog({ action = 'export', format = 'xlsx', validation, onClose, onConfirm, onOpenSettings }) {
+  const issues = validation?.issues || [];
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+  const verb = action === 'share' ? 'Share' : 'Export';
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[99999]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-auris-bg border border-auris-border rounded-xl w-[640px] max-w-[95vw] max-h-[85vh] flex flex-col shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-5 py-4 border-b border-auris-border flex items-start justify-between">
+          <div>
+            <div className="flex items-center gap-2">
+              <Warning size={16} className={errors.length ? 'text-auris-red' : 'text-auris-orange'} />
+              <h2 className="text-sm font-medium">Check Before {verb}</h2>
+            </div>
+            <p className="text-xs text-auris-text-muted mt-1">
+              {errors.length
+                ? `${errors.length} blocking issue${errors.length === 1 ? '' : 's'} must be fixed before this cue sheet can be exported.`
+                : `${warnings.length} warning${warnings.length === 1 ? '' : 's'} - the ${format.toUpperCase()} can still be exported.`}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto px-5 py-4 space-y-4">
+          <IssueGroup severity="error" issues={errors} />
+          <IssueGroup severity="warning" issues={warnings} />
+        </div>
+
+        <div className="px-5 py-3 border-t border-auris-border flex items-center gap-3">
+          <div className="flex-1">
+            <button
+              onClick={onOpenSettings}
+              className="text-[11px] text-auris-text-muted hover:text-auris-text flex items-center gap-1"
+              title="Export checks are set per template in Settings > Export"
+            >
+              <GearSix size={12} />
+              Rule Settings
+            </button>
+          </div>
+          <button onClick={onClose} className="btn btn-secondary px-3 py-1.5 text-xs">
+            {errors.length ? 'Fix Issues' : 'Cancel'}
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={errors.length > 0}
+            className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+          >
+            <Export size={14} />
+            {verb} Anyway
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
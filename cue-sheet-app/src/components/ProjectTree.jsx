@@ -1,5 +1,5 @@
 import { useState, useCallback, useMemo } from 'react';
-import { CaretRight, Folder, FileText, FolderOpen, FolderPlus, UploadSimple, MagnifyingGlass, X, Trash, Copy, ArrowSquareOut, ArrowsOutSimple, ArrowsInSimple, PencilSimple } from '@phosphor-icons/react';
+import { CaretRight, Folder, FileText, FolderOpen, FolderPlus, UploadSimple, MagnifyingGlass, X, Trash, Copy, ArrowSquareOut, ArrowsOutSimple, ArrowsInSimple, PencilSimple, FileXls } from '@phosphor-icons/react';
 
 function ProjectTree({ 
   projects, 
@@ -14,6 +14,7 @@ function ProjectTree({
   onMoveItem,
   onFileDrop,
   onRevealInFinder,
+  onExportRollup,
   openTabProjectIds = []  // IDs of projects that are open in tabs
 }) {
   const [expandedIds, setExpandedIds] = useState(new Set());
@@ -374,7 +375,8 @@ function ProjectTree({
                 console.warn('[ProjectTree] file.path not available, falling back to file.name:', file.name);
               }
             }
-            if (filePath.endsWith('.prproj')) {
+            // Premiere projects plus FCPXML, Premiere XML, EDL and CSV clip lists
+            if (/\.(prproj|fcpxml|fcpxmld|xml|edl|csv|tsv|txt)$/i.test(filePath)) {
               onFileDrop?.(filePath);
             }
             setIsDraggingFile(false);
@@ -417,7 +419,7 @@ function ProjectTree({
                 <p className="text-auris-blue font-medium">Drop to import</p>
               ) : (
                 <>
-                  <p className="font-medium text-auris-text-secondary mb-1">Drop .prproj file</p>
+                  <p className="font-medium text-auris-text-secondary mb-1">Drop project or timeline</p>
                   <p className="text-xs text-auris-text-muted">or click folder icon above</p>
                 </>
               )}
@@ -597,6 +599,17 @@ function ProjectTree({
                 {hasExpandedFolders ? <ArrowsInSimple size={14} /> : <ArrowsOutSimple size={14} />}
                 {hasExpandedFolders ? 'Collapse All' : 'Expand All'}
               </button>
+              <button
+                onClick={() => {
+                  onExportRollup?.(contextMenu.item.id);
+                  closeContextMenu();
+                }}
+                className="w-full px-3 py-1.5 text-left text-sm hover:bg-auris-bg transition-colors flex items-center gap-2"
+                title="One workbook with every cue sheet in this folder and a summary of all tracks"
+              >
+                <FileXls size={14} />
+                Export Campaign Roll-up
+              </button>
               
               <div className="border-t border-auris-border my-1" />
               
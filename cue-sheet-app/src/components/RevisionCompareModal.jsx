@@ -0,0 +1,310 @@
+/**
+ * Revision Compare Modal - Diff two versions of a spot (V.3 vs V.4...), carry
+ * the older version's enrichment forward and export a changes report
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { X, GitDiff, ArrowRight, ArrowsClockwise, FileArrowUp, CircleNotch, Warning, DownloadSimple } from '@phosphor-icons/react';
+
+const FRESH_PARSE = '__fresh_parse__';
+
+const STATUS_STYLES = {
+  added: { label: 'Added', className: 'bg-auris-green/15 text-auris-green' },
+  removed: { label: 'Removed', className: 'bg-auris-red/15 text-auris-red' },
+  retimed: { label: 'Re-timed', className: 'bg-auris-orange/15 text-auris-orange' },
+  changed: { label: 'Changed', className: 'bg-auris-blue/15 text-auris-blue' },
+};
+
+// Cue sheets in tree order, labelled with their folder path
+function flattenCueSheets(items, trail = []) {
+  const sheets = [];
+  for (const item of items || []) {
+    if (item.type === 'cuesheet') {
+      sheets.push({ id: item.id, name: item.name, parentId: trail.length ? trail[trail.length - 1].id : null, label: [...trail.map(f => f.name), item.name].join(' / ') });
+    } else if (item.children) {
+      sheets.push(...flattenCueSheets(item.children, [...trail, item]));
+    }
+  }
+  return sheets;
+}
+
+export default function RevisionCompareModal({ projects, activeProjectId, activeCues, onClose, onCarryForward }) {
+  const sheets = useMemo(() => flattenCueSheets(projects), [projects]);
+
+  // Default: the active sheet against the cue sheet listed before it in the same folder
+  const [currentId, setCurrentId] = useState(() => activeProjectId || '');
+  const [previousId, setPreviousId] = useState(() => {
+    const index = sheets.findIndex(sheet => sheet.id === activeProjectId);
+    const earlier = sheets.slice(0, Math.max(0, index)).reverse();
+    return (earlier.find(sheet => sheet.parentId === sheets[index]?.parentId) || earlier[0] || {}).id || '';
+  });
+  const [freshParse, setFreshParse] = useState(null); // { filePath, name, cues }
+  const [comparison, setComparison] = useState(null); // { diff, previous, current }
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSide = useCallback(async (id) => {
+    if (id === FRESH_PARSE) return freshParse;
+    const stored = await window.electronAPI.getCueSheet(id);
+    if (!stored) return null;
+    // The open sheet may have edits that are not saved yet
+    const cues = id === activeProjectId ? activeCues : stored.cues || [];
+    return { id, name: stored.name, cues, projectInfo: stored.projectInfo };
+  }, [activeProjectId, activeCues, freshParse]);
+
+  // Re-compare whenever either side changes
+  useEffect(() => {
+    let cancelled = false;
+    setComparison(null);
+    if (!previousId || !currentId || previousId === currentId) return;
+    if (currentId === FRESH_PARSE && !freshParse) return;
+
+    (async () => {
+      setIsWorking(true);
+      setError(null);
+      try {
+        const [previous, current] = await Promise.all([loadSide(previousId), loadSide(currentId)]);
+        if (!previous || !current) {
+          setError('Could not load one of the cue sheets');
+          return;
+        }
+        const result = await window.electronAPI.compareRevisions(previous.cues, current.cues);
+        if (cancelled) return;
+        if (result.success) setComparison({ diff: result.diff, previous, current });
+        else setError(result.error);
+      } finally {
+        if (!cancelled) setIsWorking(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [previousId, currentId, freshParse, loadSide]);
+
+  const handlePickProject = async () => {
+    const filePath = await window.electronAPI.openPrprojDialog();
+    if (!filePath) return;
+    setIsWorking(true);
+    setError(null);
+    try {
+      // Parse the same sequence, with the same rounding, as the sheet it is compared against
+      const previous = previousId ? await loadSide(previousId) : null;
+      const info = previous?.projectInfo || {};
+      const result = await window.electronAPI.parseRevisionTimeline(filePath, {
+        sequenceId: info.sequenceId,
+        sequenceName: info.sequenceName,
+        rounding: info.durationRounding,
+      });
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      setFreshParse({
+        filePath: result.filePath,
+        name: result.name,
+        cues: result.cues,
+      });
+      setCurrentId(FRESH_PARSE);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCarryForward = async () => {
+    const { previous, current } = comparison;
+    setIsWorking(true);
+    try {
+      const result = await window.electronAPI.carryForwardRevision(previous.cues, current.cues);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      const previousSheet = sheets.find(s => s.id === previous.id);
+      await onCarryForward({
+        currentId: current.id || null,
+        filePath: current.filePath || null,
+        name: current.name,
+        cues: result.cues,
+        carried: result.carried,
+        previous: { ...previous, parentId: previousSheet?.parentId || null },
+      });
+      // Show what is left to differ after carrying forward
+      const refreshed = await window.electronAPI.compareRevisions(previous.cues, result.cues);
+      if (refreshed.success) setComparison({ diff: refreshed.diff, previous, current: { ...current, cues: result.cues } });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    const { previous, current } = comparison;
+    const result = await window.electronAPI.exportRevisionReport({
+      previousName: previous.name,
+      currentName: current.name,
+      previousCues: previous.cues,
+      currentCues: current.cues,
+      format,
+    });
+    if (!result.success && !result.canceled) setError(result.error);
+  };
+
+  const changedEntries = comparison?.diff.entries.filter(entry => entry.status !== 'unchanged') || [];
+  const summary = comparison?.diff.summary;
+
+  const sheetOptions = (excludeId) => sheets.filter(sheet => sheet.id !== excludeId).map(sheet => (
+    <option key={sheet.id} value={sheet.id}>{sheet.label}</option>
+  ));
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[99999]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-auris-bg border border-auris-border rounded-xl w-[860px] max-w-[95vw] max-h-[90vh] flex flex-col shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-5 py-4 border-b border-auris-border flex items-start justify-between">
+          <div className="flex items-center gap-2">
+            <GitDiff size={16} className="text-auris-blue" />
+            <h2 className="text-sm font-medium">Compare Revisions</h2>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        {/* Version pickers */}
+        <div className="px-5 py-4 border-b border-auris-border grid grid-cols-[1fr_auto_1fr] gap-3 items-end">
+          <label>
+            <span className="block text-[11px] text-auris-text-muted mb-1">Previous version</span>
+            <select value={previousId} onChange={(e) => setPreviousId(e.target.value)} className="input text-xs px-2 py-1.5">
+              <option value="">Select a cue sheet…</option>
+              {sheetOptions(currentId)}
+            </select>
+          </label>
+          <ArrowRight size={14} className="text-auris-text-muted mb-2" />
+          <label>
+            <span className="block text-[11px] text-auris-text-muted mb-1">Current version</span>
+            <div className="flex gap-1.5">
+              <select value={currentId} onChange={(e) => setCurrentId(e.target.value)} className="input text-xs px-2 py-1.5 flex-1">
+                <option value="">Select a cue sheet…</option>
+                {freshParse && <option value={FRESH_PARSE}>{freshParse.name} (fresh parse)</option>}
+                {sheetOptions(previousId)}
+              </select>
+              <button
+                onClick={handlePickProject}
+                className="btn btn-secondary px-2 py-1.5 text-xs flex items-center gap-1"
+                title="Compare against a fresh parse of a project or timeline (Premiere, FCPXML, EDL, CSV)"
+              >
+                <FileArrowUp size={14} />
+                .prproj
+              </button>
+            </div>
+          </label>
+        </div>
+
+        <div className="flex-1 overflow-auto p-5 space-y-3">
+          {error && (
+            <div className="px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+              <Warning size={14} />
+              {error}
+            </div>
+          )}
+
+          {isWorking && !comparison && (
+            <div className="flex items-center justify-center py-10 text-auris-text-muted">
+              <CircleNotch size={20} className="animate-spin" />
+            </div>
+          )}
+
+          {!comparison && !isWorking && !error && (
+            <p className="text-xs text-auris-text-muted text-center py-10">Pick two versions of the spot to compare</p>
+          )}
+
+          {summary && (
+            <div className="flex flex-wrap gap-2 text-[11px]">
+              {['added', 'removed', 'retimed', 'changed'].map(status => (
+                <span key={status} className={`px-2 py-0.5 rounded ${STATUS_STYLES[status].className}`}>
+                  {summary[status]} {STATUS_STYLES[status].label.toLowerCase()}
+                </span>
+              ))}
+              <span className="px-2 py-0.5 rounded bg-auris-card text-auris-text-muted">{summary.unchanged} unchanged</span>
+            </div>
+          )}
+
+          {comparison && changedEntries.length === 0 && (
+            <p className="text-xs text-auris-text-muted text-center py-6">No differences between the two versions</p>
+          )}
+
+          {changedEntries.map(entry => {
+            const style = STATUS_STYLES[entry.status];
+            const changes = [...entry.timing, ...entry.metadata];
+            return (
+              <div key={`${entry.status}-${entry.previousIndex}-${entry.currentIndex}`} className="border border-auris-border rounded-lg px-3 py-2">
+                <div className="flex items-center gap-2 text-xs">
+                  <span className={`px-1.5 py-0.5 rounded text-[10px] font-medium ${style.className}`}>{style.label}</span>
+                  <span className="text-auris-text-muted font-mono w-6 text-right">{entry.currentIndex !== null ? entry.currentIndex + 1 : '–'}</span>
+                  <span className="truncate">{entry.trackName || 'Untitled'}</span>
+                  {entry.missing.length > 0 && (
+                    <span className="ml-auto text-[10px] text-auris-text-muted" title={entry.missing.join(', ')}>
+                      {entry.missing.length} field{entry.missing.length === 1 ? '' : 's'} to carry forward
+                    </span>
+                  )}
+                </div>
+                {changes.length > 0 && (
+                  <div className="mt-1.5 ml-[72px] space-y-0.5 text-[11px]">
+                    {changes.map(change => (
+                      <div key={change.field} className="grid grid-cols-[110px_1fr_auto_1fr] gap-2 items-start">
+                        <span className="text-auris-text-muted">{change.label}</span>
+                        <span className="text-auris-red/80 line-through break-words">{change.before}</span>
+                        <ArrowRight size={10} className="text-auris-text-muted mt-0.5" />
+                        <span className="text-auris-green break-words">{change.after}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="px-5 py-3 border-t border-auris-border flex items-center gap-3">
+          <div className="flex-1 flex items-center gap-2">
+            <button
+              onClick={() => handleExport('xlsx')}
+              disabled={!comparison}
+              className="btn btn-secondary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+            >
+              <DownloadSimple size={14} />
+              Changes Report
+            </button>
+            {['pdf', 'csv'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={!comparison}
+                className="text-[11px] text-auris-text-muted hover:text-auris-text disabled:opacity-50 uppercase"
+              >
+                {format}
+              </button>
+            ))}
+          </div>
+          <button onClick={onClose} className="btn btn-secondary px-3 py-1.5 text-xs">
+            Close
+          </button>
+          <button
+            onClick={handleCarryForward}
+            disabled={!comparison || summary?.carryable === 0 || isWorking}
+            className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5 disabled:opacity-50"
+            title="Fill fields the current version is missing from the previous version"
+          >
+            {isWorking && comparison ? <CircleNotch size={14} className="animate-spin" /> : <ArrowsClockwise size={14} />}
+            Carry Forward Enrichment{summary?.carryable ? ` (${summary.carryable})` : ''}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -1,12 +1,20 @@
 import { useState, useEffect, useCallback } from 'react';
 import { createPortal } from 'react-dom';
-import { Database, Info, X, CircleNotch, Check, Table, Trash, MagnifyingGlass, Warning, ChatCircle, Pencil, Lightning, Brain } from '@phosphor-icons/react';
+import { Database, Info, X, CircleNotch, Check, Table, Trash, MagnifyingGlass, Warning, ChatCircle, Pencil, Lightning, Brain, Export, TextAa, FolderOpen, AddressBook, ClockCounterClockwise, Plus, Flask, Cpu } from '@phosphor-icons/react';
 import SourcesPanel from './SourcesPanel';
 import AdminFeedbackPanel from './AdminFeedbackPanel';
+import ExportTemplatesPanel from './ExportTemplatesPanel';
+import FilenameGrammarsPanel from './FilenameGrammarsPanel';
+import WatchFoldersPanel from './WatchFoldersPanel';
+import ContactsPanel from './ContactsPanel';
+import AiModelsPanel from './AiModelsPanel';
 import EditTrackModal from './EditTrackModal';
+import TrackFieldHistory from './TrackFieldHistory';
+import PatternRuleEditor from './PatternRuleEditor';
+import PatternBacktestPanel from './PatternBacktestPanel';
 import { useAuth } from '../contexts/AuthContext';
 
-function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
+function SettingsModal({ isOpen, onClose, sources, onUpdateSources, projectInfo, setProjectInfo }) {
   const { isAdmin } = useAuth();
   const [activeTab, setActiveTab] = useState('sources');
   const [isTesting, setIsTesting] = useState(false);
@@ -27,6 +35,7 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
   // Edit track modal state
   const [showEditTrackModal, setShowEditTrackModal] = useState(false);
   const [editingTrack, setEditingTrack] = useState(null);
+  const [historyTrack, setHistoryTrack] = useState(null);
   
   // Global API keys state (shared with SourcesPanel)
   const [globalKeyValues, setGlobalKeyValues] = useState({});
@@ -42,6 +51,8 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
   // Patterns tab state
   const [patterns, setPatterns] = useState([]);
   const [isLoadingPatterns, setIsLoadingPatterns] = useState(false);
+  const [editingPattern, setEditingPattern] = useState(null); // {} for a new pattern
+  const [backtest, setBacktest] = useState(null); // { isRunning, report }
 
   // Track mounting for safe portal usage
   useEffect(() => {
@@ -162,6 +173,7 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
   const handleDeletePattern = async (patternId) => {
     // Optimistic update
     setPatterns(prev => prev.filter(p => p.id !== patternId));
+    setEditingPattern(current => (current?.id === patternId ? null : current));
     
     // Delete from backend
     window.electronAPI?.patternDelete?.(patternId).catch(err => {
@@ -169,21 +181,33 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
     });
   };
 
-  const formatCondition = (condition) => {
-    if (!condition) return '-';
-    const parts = [];
-    if (condition.library_contains) parts.push(`Library contains "${condition.library_contains}"`);
-    if (condition.library) parts.push(`Library = "${condition.library}"`);
-    if (condition.catalog_code_prefix) parts.push(`Catalog starts with "${condition.catalog_code_prefix}"`);
-    if (condition.track_type) parts.push(`Track type = "${condition.track_type}"`);
-    return parts.join(', ') || JSON.stringify(condition);
+  // Backtest one pattern, or all of them when no id is given
+  const handleBacktest = async (patternId = null) => {
+    setBacktest({ isRunning: true, report: null });
+    const report = await window.electronAPI?.patternBacktest?.(patternId);
+    setBacktest({ isRunning: false, report: report?.success ? report : { error: report?.error || 'Backtest failed' } });
   };
 
-  const formatAction = (action) => {
-    if (!action) return '-';
-    if (action.value) return `Set ${action.field} to "${action.value}"`;
-    if (action.copy_from) return `Copy ${action.copy_from} to ${action.field}`;
-    return JSON.stringify(action);
+  const handleApplyRecommendedConfidence = async (patternId, confidence) => {
+    const result = await window.electronAPI?.patternUpdateConfidence?.(patternId, confidence);
+    if (!result?.success) return;
+    setPatterns(prev => prev.map(p => (p.id === patternId ? { ...p, confidence } : p)));
+    setBacktest(prev => ({
+      ...prev,
+      report: {
+        ...prev.report,
+        results: prev.report.results.map(r => (r.patternId === patternId ? { ...r, confidence, adjust: false } : r))
+      }
+    }));
+  };
+
+  const handlePatternSaved = (saved) => {
+    setPatterns(prev => (
+      prev.some(p => p.id === saved.id)
+        ? prev.map(p => (p.id === saved.id ? saved : p))
+        : [...prev, saved]
+    ).sort((a, b) => b.confidence - a.confidence));
+    setEditingPattern(null);
   };
 
   // Debounced search for learned tracks
@@ -198,6 +222,7 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
   const handleDeleteTrack = async (trackId) => {
     // Optimistic update - remove from UI immediately
     setLearnedTracks(prev => prev.filter(t => t.id !== trackId));
+    setHistoryTrack(current => (current?.id === trackId ? null : current));
     
     // Then delete from cloud in background
     if (window.electronAPI?.cloudTrackDelete) {
@@ -220,6 +245,10 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
     ));
   };
 
+  const handleTrackReverted = (revertedTrack) => {
+    if (revertedTrack) handleTrackSaved(revertedTrack);
+  };
+
   const handleEditTrackClose = (saved) => {
     setShowEditTrackModal(false);
     setEditingTrack(null);
@@ -232,6 +261,7 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
   const handleClearAllTracks = async () => {
     // Optimistic update - clear UI immediately
     setLearnedTracks([]);
+    setHistoryTrack(null);
     setShowClearConfirm(false);
     setClearConfirmText('');
     
@@ -361,8 +391,13 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
 
   const tabs = [
     { id: 'sources', label: 'Sources', icon: <Database size={18} weight="thin" /> },
+    { id: 'ai', label: 'AI Models', icon: <Cpu size={18} weight="thin" /> },
     { id: 'learned', label: 'Learned Data', icon: <Table size={18} weight="thin" /> },
     { id: 'patterns', label: 'Patterns', icon: <Brain size={18} weight="thin" /> },
+    { id: 'filenames', label: 'Filenames', icon: <TextAa size={18} weight="thin" /> },
+    { id: 'contacts', label: 'Contacts', icon: <AddressBook size={18} weight="thin" /> },
+    { id: 'export', label: 'Export', icon: <Export size={18} weight="thin" /> },
+    { id: 'watch', label: 'Watch Folders', icon: <FolderOpen size={18} weight="thin" /> },
     ...(isAdmin ? [{ id: 'feedback', label: 'Feedback', icon: <ChatCircle size={18} weight="thin" /> }] : []),
     { id: 'about', label: 'About', icon: <Info size={18} weight="thin" /> }
   ];
@@ -377,7 +412,7 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
         <div 
           onClick={(e) => e.stopPropagation()}
           className={`bg-auris-bg-secondary border border-auris-border rounded-xl shadow-2xl max-h-[80vh] flex overflow-hidden transition-all ${
-            activeTab === 'learned' ? 'w-[95vw] max-w-[1400px]' : activeTab === 'patterns' ? 'w-[900px]' : 'w-[700px]'
+            activeTab === 'learned' ? 'w-[95vw] max-w-[1400px]' : activeTab === 'patterns' || activeTab === 'filenames' || activeTab === 'contacts' || activeTab === 'ai' ? 'w-[900px]' : 'w-[700px]'
           }`}
         >
           {/* Sidebar */}
@@ -463,8 +498,8 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                             <th className="px-3 py-2 font-medium w-[6%]">Track #</th>
                             <th className="px-3 py-2 font-medium w-[16%]">Composer</th>
                             <th className="px-3 py-2 font-medium w-[16%]">Publisher</th>
-                            <th className="px-3 py-2 font-medium w-[12%]">Master/Label/Library</th>
-                            <th className="px-2 py-2 font-medium w-[4%]"></th>
+                            <th className="px-3 py-2 font-medium w-[10%]">Master/Label/Library</th>
+                            <th className="px-2 py-2 font-medium w-[6%]"></th>
                           </tr>
                         </thead>
                         <tbody className="divide-y divide-auris-border/50">
@@ -497,6 +532,18 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                               </td>
                               <td className="px-1 py-2">
                                 <div className="flex items-center gap-0.5">
+                                  <button
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      setHistoryTrack(current => (current?.id === track.id ? null : track));
+                                    }}
+                                    className={`p-1 rounded hover:bg-auris-blue/20 hover:text-auris-blue transition-colors ${
+                                      historyTrack?.id === track.id ? 'text-auris-blue' : 'text-auris-text-muted opacity-0 group-hover:opacity-100'
+                                    }`}
+                                    title="Field history"
+                                  >
+                                    <ClockCounterClockwise size={14} />
+                                  </button>
                                   <button
                                     onClick={(e) => {
                                       e.stopPropagation();
@@ -526,6 +573,26 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                     )}
                   </div>
 
+                  {/* Field history of the selected track */}
+                  {historyTrack && (
+                    <div className="border-t border-auris-border max-h-72 overflow-auto">
+                      <div className="px-3 py-2 flex items-center justify-between sticky top-0 bg-auris-bg">
+                        <span className="text-xs text-auris-text-secondary truncate">
+                          Field history - {historyTrack.trackName}
+                        </span>
+                        <button
+                          onClick={() => setHistoryTrack(null)}
+                          className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors"
+                        >
+                          <X size={12} />
+                        </button>
+                      </div>
+                      <div className="px-3 pb-3">
+                        <TrackFieldHistory trackId={historyTrack.id} onReverted={handleTrackReverted} />
+                      </div>
+                    </div>
+                  )}
+
                   {/* Footer */}
                   <div className="px-3 py-2 border-t border-auris-border flex items-center justify-between">
                     <span className="text-xs text-auris-text-muted">
@@ -549,6 +616,22 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                     <div className="flex items-center gap-2 mb-1">
                       <Lightning size={16} className="text-auris-blue" weight="fill" />
                       <h3 className="text-sm font-medium">Learned Patterns</h3>
+                      <button
+                        onClick={() => handleBacktest()}
+                        disabled={backtest?.isRunning || patterns.length === 0}
+                        className="ml-auto btn btn-secondary px-2.5 py-1 text-xs flex items-center gap-1 disabled:opacity-50"
+                        title="Run every pattern against the verified tracks in the learned database"
+                      >
+                        <Flask size={12} />
+                        Backtest All
+                      </button>
+                      <button
+                        onClick={() => setEditingPattern({})}
+                        className="btn btn-secondary px-2.5 py-1 text-xs flex items-center gap-1"
+                      >
+                        <Plus size={12} />
+                        New Pattern
+                      </button>
                     </div>
                     <p className="text-xs text-auris-text-muted">
                       Auris learns from your cue sheet work and auto-fills fields based on these patterns.
@@ -556,6 +639,24 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                     </p>
                   </div>
 
+                  {editingPattern && (
+                    <PatternRuleEditor
+                      key={editingPattern.id || 'new'}
+                      pattern={editingPattern}
+                      onSaved={handlePatternSaved}
+                      onCancel={() => setEditingPattern(null)}
+                    />
+                  )}
+
+                  {backtest && (
+                    <PatternBacktestPanel
+                      report={backtest.report}
+                      isRunning={backtest.isRunning}
+                      onApplyConfidence={handleApplyRecommendedConfidence}
+                      onClose={() => setBacktest(null)}
+                    />
+                  )}
+
                   {/* Patterns table */}
                   <div className="flex-1 overflow-auto">
                     {isLoadingPatterns ? (
@@ -579,17 +680,17 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                             <th className="px-4 py-2.5 font-medium">Action</th>
                             <th className="px-4 py-2.5 font-medium w-20 text-center">Confidence</th>
                             <th className="px-4 py-2.5 font-medium w-16 text-center">Used</th>
-                            <th className="px-4 py-2.5 font-medium w-10"></th>
+                            <th className="px-4 py-2.5 font-medium w-28"></th>
                           </tr>
                         </thead>
                         <tbody className="divide-y divide-auris-border/30">
                           {patterns.map(pattern => (
                             <tr key={pattern.id} className="hover:bg-auris-card/30 transition-colors group">
                               <td className="px-4 py-3">
-                                <span className="text-auris-text">{formatCondition(pattern.condition)}</span>
+                                <span className="text-auris-text font-mono">{pattern.conditionText || '-'}</span>
                               </td>
                               <td className="px-4 py-3">
-                                <span className="text-auris-text-secondary">{formatAction(pattern.action)}</span>
+                                <span className="text-auris-text-secondary font-mono">{pattern.actionText || '-'}</span>
                               </td>
                               <td className="px-4 py-3 text-center">
                                 <span className={`
@@ -607,7 +708,22 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                               <td className="px-4 py-3 text-center text-auris-text-muted">
                                 {pattern.times_applied || 0}
                               </td>
-                              <td className="px-2 py-3">
+                              <td className="px-2 py-3 whitespace-nowrap">
+                                <button
+                                  onClick={() => handleBacktest(pattern.id)}
+                                  disabled={backtest?.isRunning}
+                                  className="p-1.5 rounded hover:bg-auris-card text-auris-text-muted hover:text-auris-purple transition-colors opacity-0 group-hover:opacity-100"
+                                  title="Backtest pattern"
+                                >
+                                  <Flask size={14} />
+                                </button>
+                                <button
+                                  onClick={() => setEditingPattern(pattern)}
+                                  className="p-1.5 rounded hover:bg-auris-card text-auris-text-muted hover:text-auris-text transition-colors opacity-0 group-hover:opacity-100"
+                                  title="Edit pattern"
+                                >
+                                  <Pencil size={14} />
+                                </button>
                                 <button
                                   onClick={() => handleDeletePattern(pattern.id)}
                                   className="p-1.5 rounded hover:bg-auris-red/10 text-auris-text-muted hover:text-auris-red transition-colors opacity-0 group-hover:opacity-100"
@@ -679,6 +795,29 @@ function SettingsModal({ isOpen, onClose, sources, onUpdateSources }) {
                 />
               )}
 
+              {activeTab === 'ai' && (
+                <AiModelsPanel />
+              )}
+
+              {activeTab === 'filenames' && (
+                <FilenameGrammarsPanel />
+              )}
+
+              {activeTab === 'contacts' && (
+                <ContactsPanel />
+              )}
+
+              {activeTab === 'export' && (
+                <ExportTemplatesPanel
+                  projectInfo={projectInfo}
+                  setProjectInfo={setProjectInfo}
+                />
+              )}
+
+              {activeTab === 'watch' && (
+                <WatchFoldersPanel />
+              )}
+
               {activeTab === 'feedback' && isAdmin && (
                 <AdminFeedbackPanel />
               )}
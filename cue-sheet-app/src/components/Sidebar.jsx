@@ -1,5 +1,6 @@
 import { useState, useCallback, useMemo } from 'react';
-import { CircleNotch, CheckCircle, Sparkle, CaretDown, Funnel, Brain, X } from '@phosphor-icons/react';
+import { CircleNotch, CheckCircle, Sparkle, CaretDown, Funnel, Brain, X, MagnifyingGlass, FolderOpen, Warning } from '@phosphor-icons/react';
+import { ROUNDING_RULES, DEFAULT_ROUNDING } from '../utils/timecode';
 
 /**
  * Library definitions for filtering tracks
@@ -64,6 +65,21 @@ const LIBRARIES = {
   }
 };
 
+// Diff counts shown for watch-folder imports (same colours as Compare Revisions)
+const WATCH_CHANGE_STYLES = {
+  added: { label: 'added', className: 'bg-auris-green/15 text-auris-green' },
+  removed: { label: 'removed', className: 'bg-auris-red/15 text-auris-red' },
+  retimed: { label: 're-timed', className: 'bg-auris-orange/15 text-auris-orange' },
+  changed: { label: 'changed', className: 'bg-auris-blue/15 text-auris-blue' },
+};
+
+function describeWatchImport(entry) {
+  if (entry.action === 'failed') return entry.error;
+  if (entry.action === 'created') return `New cue sheet · ${entry.cueCount} cues`;
+  if (entry.action === 'version') return `New version of ${entry.previousName}`;
+  return `Re-saved ${entry.fileName}`;
+}
+
 /**
  * Detect which library a track belongs to based on metadata
  */
@@ -100,12 +116,18 @@ function detectLibrary(track) {
 function Sidebar({ 
   projectInfo, 
   setProjectInfo, 
+  onChangeDurationRounding,
   cueCount, 
   completedCount, 
   isLookingUp, 
   pendingTracks = [], 
   onOpenBrowser, 
   onOpenBrowserBatch,
+  onStartBatchLookup,
+  // Watch-folder imports
+  watchActivity = [],
+  onOpenCueSheet = null,
+  onClearWatchActivity = null,
   // Smart fill props
   aiAssistEnabled = false,
   smartSuggestions = null,
@@ -256,6 +278,67 @@ function Sidebar({
               placeholder="Date"
             />
           </div>
+          
+          {/* Program length for the music-percentage totals (filled from the sequence on import) */}
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-xs text-auris-text-muted">Program length</span>
+            <input
+              type="text"
+              value={projectInfo.programLength || ''}
+              onChange={(e) => handleInfoChange('programLength', e.target.value)}
+              className="input w-24 font-mono text-xs"
+              placeholder="m:ss"
+            />
+          </div>
+          
+          {/* Duration reporting: total on-air time per cue, or one row per use */}
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-auris-text-muted">Durations</span>
+            <div className="flex bg-auris-card border border-auris-border rounded-lg p-0.5">
+              {[
+                { value: 'total', label: 'Total' },
+                { value: 'per-use', label: 'Per use' },
+              ].map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleInfoChange('durationMode', option.value)}
+                  className={`px-2.5 py-1 text-xs rounded-md transition-colors ${
+                    (projectInfo.durationMode || 'total') === option.value
+                      ? 'bg-auris-bg-secondary text-auris-text'
+                      : 'text-auris-text-muted hover:text-auris-text'
+                  }`}
+                  title={option.value === 'total' ? 'One row per cue with total on-air time' : 'One row per on-air use'}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          
+          {/* TC In / TC Out columns in the table and exports */}
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!!projectInfo.showTimecodes}
+              onChange={(e) => handleInfoChange('showTimecodes', e.target.checked)}
+              className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+            />
+            <span className="text-xs text-auris-text-muted">Show TC In / TC Out</span>
+          </label>
+          
+          {/* Delivery spec rounding for partial seconds */}
+          <select
+            value={projectInfo.durationRounding || DEFAULT_ROUNDING}
+            onChange={(e) => onChangeDurationRounding
+              ? onChangeDurationRounding(e.target.value)
+              : handleInfoChange('durationRounding', e.target.value)}
+            className="input text-xs"
+            title="Cue length rounding"
+          >
+            {ROUNDING_RULES.map(rule => (
+              <option key={rule.value} value={rule.value}>{rule.label}</option>
+            ))}
+          </select>
         </div>
       </div>
 
@@ -501,6 +584,18 @@ function Sidebar({
               </button>
             )}
             
+            {/* Automatic Lookup - queued lookup of every pending track, reviewed before applying */}
+            {onStartBatchLookup && (
+              <button
+                onClick={onStartBatchLookup}
+                disabled={isLookingUp}
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 mb-3 rounded-lg text-xs font-medium bg-auris-card border border-auris-border text-auris-text-secondary hover:border-auris-blue/60 hover:text-white transition-all"
+              >
+                <MagnifyingGlass size={14} />
+                <span>Automatic Lookup ({pendingTracks.length})</span>
+              </button>
+            )}
+            
             <div className="space-y-1 max-h-48 overflow-y-auto">
               {filteredTracks.slice(0, 8).map((track, i) => {
                 const cleanName = (track.trackName || '')
@@ -566,6 +661,69 @@ function Sidebar({
         )}
       </div>
 
+      {/* Watch Folder - cue sheets created or updated from new project versions */}
+      {watchActivity.length > 0 && (
+        <div className="p-4 border-t border-auris-border">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-xs font-semibold uppercase tracking-wider text-auris-text-muted">
+              Watch Folder
+            </h2>
+            <button
+              onClick={onClearWatchActivity}
+              className="p-1 rounded hover:bg-auris-card transition-colors"
+              title="Clear"
+            >
+              <X size={12} className="text-auris-text-muted" />
+            </button>
+          </div>
+          
+          <div className="space-y-1.5">
+            {watchActivity.slice(0, 5).map(entry => (
+              <button
+                key={entry.id}
+                onClick={() => entry.cueSheetId && onOpenCueSheet?.(entry.cueSheetId)}
+                disabled={!entry.cueSheetId}
+                className="w-full text-left px-2.5 py-2 rounded-lg bg-auris-card border border-auris-border hover:border-auris-blue/40 disabled:hover:border-auris-border transition-colors"
+                title={entry.filePath}
+              >
+                <div className="flex items-center gap-2">
+                  {entry.action === 'failed' ? (
+                    <Warning size={14} className="text-auris-red flex-shrink-0" />
+                  ) : (
+                    <FolderOpen size={14} className="text-auris-blue flex-shrink-0" />
+                  )}
+                  <span className="text-xs text-auris-text truncate flex-1">{entry.cueSheetName || entry.fileName}</span>
+                  <span className="text-[10px] text-auris-text-muted flex-shrink-0">
+                    {new Date(entry.at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                  </span>
+                </div>
+                <p className="text-[10px] text-auris-text-muted mt-1 ml-[22px] truncate">{describeWatchImport(entry)}</p>
+                {entry.summary && (
+                  <div className="flex flex-wrap gap-1 mt-1.5 ml-[22px] text-[10px]">
+                    {Object.entries(WATCH_CHANGE_STYLES).filter(([key]) => entry.summary[key] > 0).map(([key, style]) => (
+                      <span key={key} className={`px-1.5 py-0.5 rounded ${style.className}`}>
+                        {entry.summary[key]} {style.label}
+                      </span>
+                    ))}
+                    {entry.carried > 0 && (
+                      <span className="px-1.5 py-0.5 rounded bg-auris-purple/15 text-auris-purple">
+                        {entry.carried} carried forward
+                      </span>
+                    )}
+                    {!Object.keys(WATCH_CHANGE_STYLES).some(key => entry.summary[key] > 0) && (
+                      <span className="px-1.5 py-0.5 rounded bg-auris-bg text-auris-text-muted">No cue changes</span>
+                    )}
+                  </div>
+                )}
+                {entry.note && (
+                  <p className="text-[10px] text-auris-orange mt-1 ml-[22px]">{entry.note}</p>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Progress Bar - Fixed at Bottom */}
       <div className="mt-auto p-4 border-t border-auris-border bg-auris-bg-secondary">
         <div className="flex items-center justify-between mb-2">
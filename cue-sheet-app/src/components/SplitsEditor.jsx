@@ -0,0 +1,136 @@
+/**
+ * Splits Editor - Edit a cue's writers or publishers with PRO, IPI, role and share
+ */
+
+import { Plus, X, Warning, CheckCircle } from '@phosphor-icons/react';
+import { validateShares } from '../utils/splits';
+
+// Mirrors VALID_PROS in electron/opus-validator.js
+const PRO_OPTIONS = ['ASCAP', 'BMI', 'SESAC', 'PRS', 'SOCAN', 'GEMA', 'SACEM', 'APRA', 'IMRO'];
+
+const ROLE_LABELS = {
+  CA: 'Composer/Author',
+  C: 'Composer',
+  A: 'Author',
+  AR: 'Arranger',
+  E: 'Original Publisher',
+  SE: 'Sub-Publisher',
+  AM: 'Administrator',
+};
+
+export default function SplitsEditor({ label, parties, onChange, roles, defaultRole }) {
+  const check = validateShares(parties);
+
+  const updateParty = (index, key, value) => {
+    onChange(parties.map((party, i) => (i === index ? { ...party, [key]: value } : party)));
+  };
+
+  const handleShareChange = (index, value) => {
+    updateParty(index, 'share', value === '' ? null : Number(value));
+  };
+
+  const addParty = () => {
+    // A new party picks up whatever share is left
+    const remaining = check.total === null ? (parties.length === 0 ? 100 : null) : Math.max(0, Math.round((100 - check.total) * 100) / 100);
+    onChange([...parties, { name: '', pro: '', ipi: '', role: defaultRole, share: remaining }]);
+  };
+
+  const removeParty = (index) => {
+    onChange(parties.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1.5">
+        <span className="text-[11px] font-medium uppercase tracking-wide text-auris-text-muted">{label}</span>
+        {check.total !== null && (
+          <span
+            className={`flex items-center gap-1 text-[11px] ${check.valid ? 'text-auris-green' : 'text-auris-red'}`}
+            title={check.valid ? 'Shares total 100%' : `Shares ${check.error}`}
+          >
+            {check.valid ? <CheckCircle size={12} weight="fill" /> : <Warning size={12} weight="fill" />}
+            {check.total}%
+          </span>
+        )}
+      </div>
+
+      {parties.length > 0 && (
+        <div className="grid grid-cols-[1fr_84px_110px_72px_64px_20px] gap-1.5 mb-1 text-[10px] text-auris-text-muted">
+          <span>Name</span>
+          <span>PRO</span>
+          <span>IPI/CAE #</span>
+          <span>Role</span>
+          <span>Share %</span>
+          <span />
+        </div>
+      )}
+
+      <div className="space-y-1.5">
+        {parties.map((party, index) => (
+          <div key={index} className="grid grid-cols-[1fr_84px_110px_72px_64px_20px] gap-1.5 items-center">
+            <input
+              type="text"
+              value={party.name}
+              onChange={(e) => updateParty(index, 'name', e.target.value)}
+              placeholder="Name"
+              className="input text-xs px-2 py-1.5"
+            />
+            <select
+              value={party.pro || ''}
+              onChange={(e) => updateParty(index, 'pro', e.target.value)}
+              className="input text-xs px-2 py-1.5"
+            >
+              <option value="">—</option>
+              {/* Keep PROs that came from imports or lookups even if not in the list */}
+              {[...PRO_OPTIONS, ...(party.pro && !PRO_OPTIONS.includes(party.pro) ? [party.pro] : [])].map(pro => (
+                <option key={pro} value={pro}>{pro}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={party.ipi || ''}
+              onChange={(e) => updateParty(index, 'ipi', e.target.value.replace(/\D/g, ''))}
+              placeholder="IPI"
+              className="input text-xs px-2 py-1.5 font-mono"
+            />
+            <select
+              value={party.role || defaultRole}
+              onChange={(e) => updateParty(index, 'role', e.target.value)}
+              className="input text-xs px-2 py-1.5"
+            >
+              {roles.map(role => (
+                <option key={role} value={role} title={ROLE_LABELS[role]}>{role}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={party.share ?? ''}
+              onChange={(e) => handleShareChange(index, e.target.value)}
+              className="input text-xs px-2 py-1.5 font-mono"
+            />
+            <button
+              type="button"
+              onClick={() => removeParty(index)}
+              className="p-0.5 rounded text-auris-text-muted hover:text-auris-red transition-colors"
+              title="Remove"
+            >
+              <X size={12} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={addParty}
+        className="mt-1.5 flex items-center gap-1 text-[11px] text-auris-text-muted hover:text-auris-blue transition-colors"
+      >
+        <Plus size={12} />
+        Add {label.toLowerCase().replace(/s$/, '')}
+      </button>
+    </div>
+  );
+}
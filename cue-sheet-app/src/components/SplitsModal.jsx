@@ -0,0 +1,98 @@
+/**
+ * Splits Modal - Edit the writer and publisher splits of a cue from the cue table
+ */
+
+import { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { X, FloppyDisk, Warning } from '@phosphor-icons/react';
+import SplitsEditor from './SplitsEditor';
+import {
+  WRITER_ROLES,
+  PUBLISHER_ROLES,
+  DEFAULT_WRITER_ROLE,
+  DEFAULT_PUBLISHER_ROLE,
+  splitsFromCue,
+  splitsToCueFields,
+  validateCueSplits,
+} from '../utils/splits';
+
+export default function SplitsModal({ cue, onClose, onSave }) {
+  const [writers, setWriters] = useState([]);
+  const [publishers, setPublishers] = useState([]);
+
+  useEffect(() => {
+    if (!cue) return;
+    const splits = splitsFromCue(cue);
+    setWriters(splits.writers);
+    setPublishers(splits.publishers);
+  }, [cue]);
+
+  if (!cue) return null;
+
+  // Rows left without a name are dropped on save
+  const named = (parties) => parties.filter(p => p.name?.trim());
+  const issues = validateCueSplits({ writers: named(writers), publishers: named(publishers) });
+
+  const handleSave = () => {
+    onSave(splitsToCueFields(named(writers), named(publishers)));
+    onClose();
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[99999]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-auris-bg border border-auris-border rounded-xl w-[640px] max-w-[90vw] max-h-[90vh] flex flex-col shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-5 py-4 border-b border-auris-border flex items-start justify-between">
+          <div>
+            <h2 className="text-sm font-medium">Writer & Publisher Splits</h2>
+            <p className="text-xs text-auris-text-muted mt-0.5">{cue.trackName || 'Untitled'}</p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-5 space-y-5">
+          <SplitsEditor
+            label="Writers"
+            parties={writers}
+            onChange={setWriters}
+            roles={WRITER_ROLES}
+            defaultRole={DEFAULT_WRITER_ROLE}
+          />
+          <SplitsEditor
+            label="Publishers"
+            parties={publishers}
+            onChange={setPublishers}
+            roles={PUBLISHER_ROLES}
+            defaultRole={DEFAULT_PUBLISHER_ROLE}
+          />
+        </div>
+
+        <div className="px-5 py-3 border-t border-auris-border flex items-center gap-3">
+          <div className="flex-1 text-xs text-auris-red">
+            {issues.map(issue => (
+              <div key={issue} className="flex items-center gap-1.5">
+                <Warning size={12} weight="fill" />
+                {issue}
+              </div>
+            ))}
+          </div>
+          <button onClick={onClose} className="btn btn-secondary px-3 py-1.5 text-xs">
+            Cancel
+          </button>
+          <button onClick={handleSave} className="btn btn-primary px-3 py-1.5 text-xs flex items-center gap-1.5">
+            <FloppyDisk size={14} />
+            Save Splits
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * Track Conflicts Modal - Disagreements between stored tracks and fresh
+ * data (file tags, BMG, PRO, teammate edits), shown side by side with their
+ * sources. Resolving one updates the track database and every open cue
+ * sheet that uses the track.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { X, ArrowsLeftRight, CheckCircle, CircleNotch } from '@phosphor-icons/react';
+
+const SOURCE_STYLES = {
+  user: 'bg-auris-blue/15 text-auris-blue',
+  bmg: 'bg-auris-green/15 text-auris-green',
+  pro: 'bg-auris-green/15 text-auris-green',
+  file: 'bg-auris-card text-auris-text-secondary',
+  opus: 'bg-auris-orange/15 text-auris-orange',
+  pattern: 'bg-auris-orange/15 text-auris-orange',
+};
+
+const ORIGIN_LABELS = {
+  save: 'Track update',
+  import: 'Project import',
+  cloud: 'Teammate edit',
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+function ConflictSide({ title, side, onChoose, disabled, isChoosing }) {
+  return (
+    <div className="flex-1 min-w-0 rounded-lg border border-auris-border p-3 flex flex-col gap-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-[10px] font-medium uppercase tracking-wide text-auris-text-muted">{title}</span>
+        <span
+          className={`text-[10px] px-1.5 py-0.5 rounded ${SOURCE_STYLES[side.source] || 'bg-auris-card text-auris-text-muted'}`}
+          title={side.dataSource || ''}
+        >
+          {side.sourceLabel}
+        </span>
+      </div>
+      <p className="text-xs text-auris-text break-words flex-1">{side.value}</p>
+      {side.changedBy && (
+        <p className="text-[10px] text-auris-text-muted truncate" title={side.changedBy}>{side.changedBy}</p>
+      )}
+      <button
+        onClick={onChoose}
+        disabled={disabled}
+        className="btn btn-secondary px-3 py-1.5 text-xs flex items-center justify-center gap-1.5 disabled:opacity-50"
+      >
+        {isChoosing ? <CircleNotch size={12} className="animate-spin" /> : <CheckCircle size={12} />}
+        Use this
+      </button>
+    </div>
+  );
+}
+
+export default function TrackConflictsModal({ conflictCount, onClose, onResolved }) {
+  const [conflicts, setConflicts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [resolving, setResolving] = useState(null); // { id, choice }
+  const [error, setError] = useState(null);
+
+  const loadConflicts = useCallback(async () => {
+    const result = await window.electronAPI?.getTrackConflicts?.();
+    if (result?.success) setConflicts(result.conflicts);
+    setIsLoading(false);
+  }, []);
+
+  // Reload whenever the queue changes (new conflicts arrive while open)
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts, conflictCount]);
+
+  const handleResolve = async (conflict, choice) => {
+    setResolving({ id: conflict.id, choice });
+    setError(null);
+    try {
+      const result = await window.electronAPI.resolveTrackConflict(conflict.id, choice);
+      if (result.success) {
+        onResolved?.(result);
+      } else {
+        setError(result.error || 'Could not resolve the conflict');
+      }
+    } finally {
+      setResolving(null);
+    }
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[99999]"
+      onClick={onClose}
+    >
+      <div
+        className="bg-auris-bg border border-auris-border rounded-xl w-[760px] max-w-[95vw] max-h-[80vh] flex flex-col shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="px-5 py-4 border-b border-auris-border flex items-start justify-between">
+          <div>
+            <div className="flex items-center gap-2">
+              <ArrowsLeftRight size={16} className="text-auris-orange" />
+              <h2 className="text-sm font-medium">Track Conflicts</h2>
+            </div>
+            <p className="text-xs text-auris-text-muted mt-1">
+              New data that disagrees with a stored track. The choice is saved to the track database and applied to open cue sheets.
+            </p>
+          </div>
+          <button onClick={onClose} className="p-1 rounded text-auris-text-muted hover:text-auris-text transition-colors">
+            <X size={16} />
+          </button>
+        </div>
+
+        {error && <p className="px-5 pt-3 text-xs text-auris-red">{error}</p>}
+
+        <div className="flex-1 overflow-auto p-5 space-y-4">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <CircleNotch size={20} className="text-auris-blue animate-spin" />
+            </div>
+          ) : conflicts.length === 0 ? (
+            <div className="flex flex-col items-center gap-2 py-8 text-xs text-auris-text-muted">
+              <CheckCircle size={24} className="text-auris-green" />
+              No open conflicts
+            </div>
+          ) : conflicts.map(conflict => (
+            <div key={conflict.id} className="card p-4">
+              <div className="flex items-baseline justify-between gap-3 mb-3">
+                <div className="min-w-0">
+                  <span className="text-sm font-medium truncate" title={conflict.trackName}>{conflict.trackName}</span>
+                  <span className="text-xs text-auris-text-muted ml-2">{conflict.fieldLabel}</span>
+                </div>
+                <span className="text-[10px] text-auris-text-muted flex-shrink-0">
+                  {ORIGIN_LABELS[conflict.origin] || conflict.origin} · {formatDate(conflict.detectedAt)}
+                </span>
+              </div>
+              <div className="flex gap-3">
+                <ConflictSide
+                  title="Stored"
+                  side={conflict.stored}
+                  onChoose={() => handleResolve(conflict, 'stored')}
+                  disabled={resolving !== null}
+                  isChoosing={resolving?.id === conflict.id && resolving.choice === 'stored'}
+                />
+                <ConflictSide
+                  title="Incoming"
+                  side={conflict.incoming}
+                  onChoose={() => handleResolve(conflict, 'incoming')}
+                  disabled={resolving !== null}
+                  isChoosing={resolving?.id === conflict.id && resolving.choice === 'incoming'}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,144 @@
+/**
+ * Track Field History - Every value a learned track's fields have held,
+ * where each came from and who set it, with revert to an earlier value.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { ArrowCounterClockwise, CircleNotch, ClockCounterClockwise } from '@phosphor-icons/react';
+
+const SOURCE_STYLES = {
+  user: 'bg-auris-blue/15 text-auris-blue',
+  bmg: 'bg-auris-green/15 text-auris-green',
+  pro: 'bg-auris-green/15 text-auris-green',
+  file: 'bg-auris-card text-auris-text-secondary',
+  opus: 'bg-auris-orange/15 text-auris-orange',
+  pattern: 'bg-auris-orange/15 text-auris-orange',
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+export default function TrackFieldHistory({ trackId, onReverted }) {
+  const [history, setHistory] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [revertingId, setRevertingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    if (!trackId || !window.electronAPI?.cloudTrackHistory) return;
+    setIsLoading(true);
+    try {
+      setHistory(await window.electronAPI.cloudTrackHistory(trackId) || []);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [trackId]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleRevert = async (entry) => {
+    setRevertingId(entry.id);
+    setError(null);
+    try {
+      const result = await window.electronAPI.cloudTrackRevertField(trackId, entry.id);
+      if (result.success) {
+        onReverted?.(result.track, entry);
+        await loadHistory();
+      } else {
+        setError(result.error || 'Could not revert the field');
+      }
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  // Newest first within each field; the first entry is the current value
+  const fields = [];
+  const byField = {};
+  for (const entry of history) {
+    if (!byField[entry.field]) {
+      byField[entry.field] = [];
+      fields.push(entry.field);
+    }
+    byField[entry.field].push(entry);
+  }
+
+  if (isLoading && history.length === 0) {
+    return (
+      <div className="flex items-center justify-center py-4">
+        <CircleNotch size={16} className="text-auris-blue animate-spin" />
+      </div>
+    );
+  }
+
+  if (history.length === 0) {
+    return (
+      <div className="flex items-center gap-2 py-3 text-xs text-auris-text-muted">
+        <ClockCounterClockwise size={14} />
+        No field history recorded for this track yet
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {error && <p className="text-xs text-auris-red">{error}</p>}
+      {fields.map(field => (
+        <div key={field}>
+          <div className="text-[10px] font-medium uppercase tracking-wide text-auris-text-muted mb-1">
+            {byField[field][0].fieldLabel}
+          </div>
+          <div className="rounded-lg border border-auris-border divide-y divide-auris-border/50">
+            {byField[field].map((entry, index) => (
+              <div key={entry.id} className="px-3 py-1.5 flex items-center gap-2 text-xs">
+                <span
+                  className={`flex-1 min-w-0 truncate ${entry.value ? 'text-auris-text' : 'text-auris-text-muted italic'}`}
+                  title={entry.value || ''}
+                >
+                  {entry.value || 'Empty'}
+                </span>
+                <span
+                  className={`text-[10px] px-1.5 py-0.5 rounded flex-shrink-0 ${SOURCE_STYLES[entry.source] || 'bg-auris-card text-auris-text-muted'}`}
+                  title={entry.dataSource}
+                >
+                  {entry.sourceLabel}
+                </span>
+                {entry.confidence != null && (
+                  <span className="text-[10px] text-auris-text-muted w-8 text-right flex-shrink-0">
+                    {Math.round(entry.confidence * 100)}%
+                  </span>
+                )}
+                <span className="text-[10px] text-auris-text-muted w-40 truncate flex-shrink-0" title={entry.changedBy || ''}>
+                  {formatDate(entry.createdAt)}{entry.changedBy ? ` · ${entry.changedBy}` : ''}
+                </span>
+                {index === 0 ? (
+                  <span className="text-[10px] text-auris-text-muted w-14 text-right flex-shrink-0">Current</span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => handleRevert(entry)}
+                    disabled={revertingId !== null}
+                    className="w-14 flex items-center justify-end gap-1 text-[10px] text-auris-text-muted hover:text-auris-blue disabled:opacity-50 flex-shrink-0"
+                  >
+                    {revertingId === entry.id ? <CircleNotch size={10} className="animate-spin" /> : <ArrowCounterClockwise size={10} />}
+                    Revert
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+/**
+ * Watch Folders Panel - Folders scanned for new Premiere project versions to auto-import
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { FolderOpen, FolderSimplePlus, Trash, ArrowsClockwise, CircleNotch, Warning } from '@phosphor-icons/react';
+
+const POLL_OPTIONS = [
+  { value: 10, label: 'Every 10 seconds' },
+  { value: 15, label: 'Every 15 seconds' },
+  { value: 30, label: 'Every 30 seconds' },
+  { value: 60, label: 'Every minute' },
+];
+
+export default function WatchFoldersPanel() {
+  const [status, setStatus] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    if (!window.electronAPI?.getWatchFolderStatus) return;
+    const result = await window.electronAPI.getWatchFolderStatus();
+    if (result.success) setStatus(result);
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Every settings call returns the saved settings; the watched list is re-read from the status
+  const applyResult = async (result) => {
+    if (result.success) {
+      setError(null);
+      await loadStatus();
+    } else if (!result.canceled) {
+      setError(result.error || 'Could not update watch folders');
+    }
+  };
+
+  const handleSettingChange = async (key, value) => {
+    applyResult(await window.electronAPI.updateWatchFolderSettings({ [key]: value }));
+  };
+
+  const handleAddFolder = async () => {
+    applyResult(await window.electronAPI.addWatchFolder({ recursive: false }));
+  };
+
+  const handleRemoveFolder = async (folderPath) => {
+    applyResult(await window.electronAPI.removeWatchFolder(folderPath));
+  };
+
+  const handleRecursiveChange = async (folderPath, recursive) => {
+    applyResult(await window.electronAPI.updateWatchFolder(folderPath, { recursive }));
+  };
+
+  const handleScanNow = async () => {
+    setIsScanning(true);
+    try {
+      await applyResult(await window.electronAPI.scanWatchFolders());
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <CircleNotch size={20} className="text-auris-blue animate-spin" />
+      </div>
+    );
+  }
+
+  const { settings, projectImportsFolder, watching } = status;
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-4 border-b border-auris-border bg-auris-card/30 flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-sm font-medium mb-1">Auto-Import Project Versions</h3>
+          <p className="text-xs text-auris-text-muted">
+            New or re-saved .prproj files are run through the import pipeline in the background. A new version
+            (e.g. <span className="font-mono">_v05alt</span>) becomes a cue sheet next to the previous version with its
+            enrichment carried forward; a re-saved file updates its cue sheet.
+          </p>
+        </div>
+        <button
+          onClick={handleAddFolder}
+          className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1 flex-shrink-0"
+        >
+          <FolderSimplePlus size={12} />
+          Add Folder
+        </button>
+      </div>
+
+      {error && (
+        <div className="mx-4 mt-3 px-3 py-2 rounded-lg bg-auris-red/10 text-auris-red text-xs flex items-center gap-2">
+          <Warning size={14} />
+          {error}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-auto p-4 space-y-4">
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => handleSettingChange('enabled', e.target.checked)}
+              className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+            />
+            <span className="text-xs">Watch folders for new project versions</span>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.watchProjectImports}
+              onChange={(e) => handleSettingChange('watchProjectImports', e.target.checked)}
+              className="w-4 h-4 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+            />
+            <span className="text-xs">Watch the open project's Imports folder</span>
+          </label>
+          <p className="text-[10px] text-auris-text-muted ml-6 font-mono truncate" title={projectImportsFolder || ''}>
+            {projectImportsFolder || 'No project folder open'}
+          </p>
+          <select
+            value={settings.pollSeconds}
+            onChange={(e) => handleSettingChange('pollSeconds', Number(e.target.value))}
+            className="input text-xs w-48"
+            title="How often folders are scanned (network shares don't always report changes)"
+          >
+            {POLL_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <h3 className="text-xs font-medium mb-2">Turnover Folders</h3>
+          {settings.folders.length === 0 ? (
+            <p className="text-xs text-auris-text-muted">No folders added. Add a shared turnover folder editors save versions into.</p>
+          ) : (
+            <div className="space-y-2">
+              {settings.folders.map(folder => {
+                const isWatched = watching.includes(folder.path);
+                return (
+                  <div key={folder.path} className="group p-3 rounded-lg border border-auris-border">
+                    <div className="flex items-center gap-2">
+                      <FolderOpen size={16} className={isWatched ? 'text-auris-blue' : 'text-auris-text-muted'} />
+                      <span className="text-xs font-mono flex-1 truncate" title={folder.path}>{folder.path}</span>
+                      {!isWatched && settings.enabled && (
+                        <span className="text-[10px] text-auris-orange px-1.5 py-0.5 rounded bg-auris-orange/10">Not found</span>
+                      )}
+                      <button
+                        onClick={() => handleRemoveFolder(folder.path)}
+                        className="p-1 rounded hover:bg-auris-red/10 text-auris-text-muted hover:text-auris-red transition-colors opacity-0 group-hover:opacity-100"
+                        title="Stop watching"
+                      >
+                        <Trash size={12} />
+                      </button>
+                    </div>
+                    <label className="flex items-center gap-2 cursor-pointer mt-2 ml-6">
+                      <input
+                        type="checkbox"
+                        checked={!!folder.recursive}
+                        onChange={(e) => handleRecursiveChange(folder.path, e.target.checked)}
+                        className="w-3.5 h-3.5 rounded border-auris-border text-auris-blue focus:ring-auris-blue focus:ring-offset-0 bg-auris-card"
+                      />
+                      <span className="text-[10px] text-auris-text-muted">Include subfolders (Premiere auto-saves are skipped)</span>
+                    </label>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="px-4 py-3 border-t border-auris-border bg-auris-bg/50 flex items-center justify-between gap-4">
+        <span className="text-[10px] text-auris-text-muted">
+          {settings.enabled
+            ? `Watching ${watching.length} folder${watching.length === 1 ? '' : 's'}. Projects already in a folder when it is added are not imported.`
+            : 'Watching is off.'}
+        </span>
+        <button
+          onClick={handleScanNow}
+          disabled={isScanning || !settings.enabled}
+          className="btn btn-secondary px-2 py-1 text-[10px] flex items-center gap-1 flex-shrink-0"
+        >
+          {isScanning ? <CircleNotch size={12} className="animate-spin" /> : <ArrowsClockwise size={12} />}
+          Scan Now
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
+import { formatCueLength, DEFAULT_ROUNDING } from '../utils/timecode';
+import { syncSplitsWithStrings } from '../utils/splits';
 
 export function useCueSheet() {
   const [cues, setCues] = useState([]);
@@ -9,6 +11,8 @@ export function useCueSheet() {
     project: '',
     spotTitle: '',
     type: '',
+    durationMode: 'total', // 'total' (one row per cue) or 'per-use' (one row per on-air use)
+    durationRounding: DEFAULT_ROUNDING, // Delivery spec rule for partial seconds (see utils/timecode)
     datePrepared: new Date().toLocaleDateString('en-US', {
       month: 'numeric',
       day: 'numeric',
@@ -71,7 +75,8 @@ export function useCueSheet() {
     setCues(prev => prev.map(cue => {
       if (cue.id !== cueId) return cue;
       
-      const updated = { ...cue, ...updates };
+      // Composer/publisher edited as text: re-parse the writer/publisher splits
+      const updated = syncSplitsWithStrings({ ...cue, ...updates }, updates);
       
       // Check if user explicitly wants to update the database (edit or approve)
       if (updates._updateDatabase && window.electronAPI?.saveTrack) {
@@ -91,7 +96,10 @@ export function useCueSheet() {
           masterContact: updated.masterContact,
           useType: updated.use,
           verified: true,
-          dataSource: isApproval ? 'user_approved' : 'user_edit'
+          dataSource: isApproval ? 'user_approved' : 'user_edit',
+          // Per-field provenance for the track's history
+          composerSource: updated.composerSource,
+          publisherSource: updated.publisherSource
         });
         // Mark as saved so we don't auto-save again
         savedTrackIds.current.add(cueId);
@@ -113,6 +121,16 @@ export function useCueSheet() {
     }));
   }, []);
 
+  // Change the cue sheet's rounding rule and re-format imported durations
+  // (user-edited durations are left alone)
+  const applyDurationRounding = useCallback((rule) => {
+    setProjectInfo(prev => ({ ...prev, durationRounding: rule }));
+    setCues(prev => prev.map(cue => {
+      if (cue.durationSource !== 'premiere_import' || typeof cue.durationSeconds !== 'number') return cue;
+      return { ...cue, duration: formatCueLength(cue.durationSeconds, cue.timebase || cue.fps, rule) };
+    }));
+  }, []);
+
   const removeCue = useCallback((cueId) => {
     setCues(prev => prev.filter(cue => cue.id !== cueId));
   }, []);
@@ -134,7 +152,7 @@ export function useCueSheet() {
       // Merge all updates for this cue
       let updated = { ...cue };
       cueUpdates.forEach(u => {
-        updated = { ...updated, ...u.updates };
+        updated = syncSplitsWithStrings({ ...updated, ...u.updates }, u.updates);
       });
       
       // Remove internal flags before storing
@@ -183,7 +201,9 @@ export function useCueSheet() {
           masterContact: track.masterContact,
           useType: track.use,
           verified: true,
-          dataSource: 'user_complete'
+          dataSource: 'user_complete',
+          composerSource: track.composerSource,
+          publisherSource: track.publisherSource
         });
         savedTrackIds.current.add(track.id);
       }
@@ -313,6 +333,7 @@ export function useCueSheet() {
     exportToExcel,
     updateCue,
     batchUpdateCues,
+    applyDurationRounding,
     removeCue,
     removeCues,
     autoLookupAll,
@@ -0,0 +1,6 @@
+/**
+ * Writer/Publisher Splits - re-exports electron/splits.js (served as ESM by
+ * scripts/shared-main-modules.mjs)
+ */
+
+export * from '../../electron/splits';
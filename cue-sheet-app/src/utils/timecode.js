@@ -0,0 +1,14 @@
+/**
+ * Timecode helpers - electron/timeline.js under the names the components use,
+ * so wizard cue lengths round exactly as the import rounds them
+ */
+
+import { formatSeconds, ROUNDING_RULES as RULES } from '../../electron/timeline';
+
+export { applyTimecodes, DEFAULT_ROUNDING, TICKS_PER_SECOND } from '../../electron/timeline';
+
+// Seconds -> M:SS in a sequence timebase, per the cue sheet's rounding rule
+export const formatCueLength = formatSeconds;
+
+// Rounding rules offered per cue sheet (projectInfo.durationRounding)
+export const ROUNDING_RULES = Object.entries(RULES).map(([value, rule]) => ({ value, label: rule.label }));
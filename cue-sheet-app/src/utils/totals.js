@@ -0,0 +1,6 @@
+/**
+ * Cue Sheet Totals - re-exports electron/totals.js, so the totals bar and the
+ * exported totals block are computed by the same code
+ */
+
+export * from '../../electron/totals';
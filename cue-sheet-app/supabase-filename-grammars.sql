@@ -0,0 +1,46 @@
+-- Auris Cue Sheets - Filename Grammars Table
+-- Shared library filename grammars, added on top of the ones bundled with the app
+-- (electron/resources/filename-grammars.json). A row with the id of a bundled
+-- grammar replaces it. Clients cache the enabled rows for offline imports.
+-- Run this in the Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS filename_grammars (
+  id TEXT PRIMARY KEY,                       -- e.g. 'gothic_storm'
+  grammar JSONB NOT NULL,                    -- { library, pattern, flags, fields, catalogMap, stem, confidence, examples }
+  catalog_maps JSONB NOT NULL DEFAULT '{}',  -- { mapName: { catalogCode: album } } used by grammar.catalogMap
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- Row Level Security
+-- Authenticated users can read. Only admins can change grammars.
+-- ============================================
+ALTER TABLE filename_grammars ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read filename grammars"
+  ON filename_grammars FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Only admins can change filename grammars"
+  ON filename_grammars FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE user_profiles.user_id = auth.uid()
+      AND user_profiles.is_admin = true
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE user_profiles.user_id = auth.uid()
+      AND user_profiles.is_admin = true
+    )
+  );
+
+COMMENT ON TABLE filename_grammars IS 'Library filename grammars shared with every client';
+COMMENT ON COLUMN filename_grammars.grammar IS 'Grammar definition; same shape as the bundled filename-grammars.json entries';
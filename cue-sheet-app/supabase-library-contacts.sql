@@ -0,0 +1,47 @@
+-- Auris Cue Sheets - Library Contacts Table
+-- The team's shared contact directory: one row per music library with its
+-- aliases, catalog prefixes, contacts (role, email, phone, territory) and the
+-- Master/Contact block used on exports. A row with the id of a built-in
+-- library replaces it. Clients cache the rows for offline use and push their
+-- local edits on sync; the newest edit wins.
+-- Run this in the Supabase SQL Editor.
+
+CREATE TABLE IF NOT EXISTS library_contacts (
+  id TEXT PRIMARY KEY,                       -- e.g. 'bmg-production-music'
+  name TEXT NOT NULL,
+  entry JSONB NOT NULL,                      -- { name, aliases, catalogPrefixes, masterContact, notes, contacts: [{ role, name, email, phone, territory }] }
+  updated_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE library_contacts;
+
+-- ============================================
+-- Row Level Security
+-- Authenticated users can read and correct the directory.
+-- ============================================
+ALTER TABLE library_contacts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read library contacts"
+  ON library_contacts FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert library contacts"
+  ON library_contacts FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+CREATE POLICY "Authenticated users can update library contacts"
+  ON library_contacts FOR UPDATE
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can delete library contacts"
+  ON library_contacts FOR DELETE
+  TO authenticated
+  USING (true);
+
+COMMENT ON TABLE library_contacts IS 'Music library contact directory shared with every client';
+COMMENT ON COLUMN library_contacts.entry IS 'Directory entry; same shape as the built-in libraries in electron/contacts.js';
@@ -25,6 +25,11 @@ CREATE TABLE IF NOT EXISTS learned_patterns (
   -- {"library": "BMG"} 
   -- {"library": "BMG", "track_type": "production"}
   -- {"catalog_code_prefix": "IATS"}
+  -- Rule language (electron/pattern-rules.js) - no schema change needed:
+  -- {"any": [{"field": "composer", "op": "matches", "pattern": "^john", "flags": "i"},
+  --          {"not": {"field": "track_type", "op": "eq", "value": "score"}}]}
+  -- {"field": "duration", "op": "between", "min": "0:30", "max": "2:00"}
+  -- {"field": "catalog_code", "op": "between", "min": "IATS001", "max": "IATS200"}
   condition JSONB NOT NULL DEFAULT '{}',
   
   -- Action to take when pattern matches (JSONB)
@@ -32,6 +37,7 @@ CREATE TABLE IF NOT EXISTS learned_patterns (
   -- {"field": "artist", "value": "N/A"}
   -- {"field": "source", "copy_from": "library"}
   -- {"field": "publisher", "value": "BMG Rights Management"}
+  -- {"field": "publisher", "template": "{library} Publishing (ASCAP)(100%)"}
   action JSONB NOT NULL,
   
   -- Confidence and usage tracking
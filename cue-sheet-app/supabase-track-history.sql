@@ -0,0 +1,67 @@
+-- Auris Cue Sheets - Track Field History Table
+-- One row per change to a learned track field: the new value, the value it
+-- replaced, where it came from (file metadata, BMG, PRO, user, Opus,
+-- pattern...), who made it and how confident that source was. Written by
+-- electron/track-database-cloud.js on every save and revert.
+-- Run this in the Supabase SQL Editor after supabase-schema.sql.
+
+CREATE TABLE IF NOT EXISTS track_field_history (
+  id BIGSERIAL PRIMARY KEY,
+  track_id BIGINT NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  field TEXT NOT NULL,                       -- tracks column, e.g. 'composer'
+  value TEXT,
+  previous_value TEXT,
+  source TEXT,                               -- file | bmg | pro | user | opus | pattern | import | database | other
+  data_source TEXT,                          -- raw source, e.g. 'bmg_extract', 'file_metadata', 'user_revert'
+  confidence REAL,
+  changed_by UUID REFERENCES auth.users(id) DEFAULT auth.uid(),
+  changed_by_email TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_track_field_history_track ON track_field_history(track_id, field);
+
+ALTER PUBLICATION supabase_realtime ADD TABLE track_field_history;
+
+-- ============================================
+-- Row Level Security
+-- History is append-only for authenticated users: no UPDATE or DELETE
+-- policies. Merging duplicate tracks goes through move_track_field_history.
+-- ============================================
+ALTER TABLE track_field_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read track history"
+  ON track_field_history FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Authenticated users can insert track history"
+  ON track_field_history FOR INSERT
+  TO authenticated
+  WITH CHECK (true);
+
+-- Databases set up with an earlier version of this script allowed any update
+DROP POLICY IF EXISTS "Authenticated users can reassign track history" ON track_field_history;
+
+-- Removing duplicate tracks moves their history onto the surviving track.
+-- Runs as the owner so the rows can be re-pointed without an UPDATE policy;
+-- only track_id changes, and only onto a track that exists.
+CREATE OR REPLACE FUNCTION move_track_field_history(from_track_id BIGINT, to_track_id BIGINT)
+RETURNS INTEGER AS $$
+DECLARE
+  moved INTEGER;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM tracks WHERE id = to_track_id) THEN
+    RAISE EXCEPTION 'Track % does not exist', to_track_id;
+  END IF;
+  UPDATE track_field_history SET track_id = to_track_id WHERE track_id = from_track_id;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+  RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION move_track_field_history(BIGINT, BIGINT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION move_track_field_history(BIGINT, BIGINT) TO authenticated;
+
+COMMENT ON TABLE track_field_history IS 'Per-field provenance for the shared tracks table';
+COMMENT ON COLUMN track_field_history.source IS 'Source category; see SOURCE_LABELS in electron/field-history.js';
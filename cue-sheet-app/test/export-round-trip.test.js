@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setUserDataDir } = require('../electron/app-paths');
+const { writeExportFile } = require('../electron/cue-sheet-export');
+const { previewCueSheet, importCueSheet } = require('../electron/cue-sheet-import');
+
+const cues = [
+  { trackName: 'Punch Drunk', duration: '0:32', composer: 'Jane Doe (ASCAP)(100%)', publisher: 'BMG Gold Songs (ASCAP)(100%)', label: 'BMG', use: 'BI', trackNumber: '7' },
+  { trackName: 'Fire Thunder Hit', duration: '0:04', composer: 'John Roe (BMI)(100%)', publisher: 'Beyond Music (BMI)(100%)', label: 'Beyond', use: 'BI' },
+  { trackName: 'Main Title', duration: '1:05', composer: 'Sam Poe (ASCAP)(100%)', publisher: 'Studio Music (ASCAP)(100%)', use: 'MT' },
+  { trackName: 'Riser', duration: '0:12', use: 'BI' }
+];
+
+const projectInfo = { project: 'Round Trip', spotTitle: 'Spot', type: 'TV', programLength: '0:30' };
+
+test('an exported cue sheet imports back with the same cues', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auris-round-trip-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  setUserDataDir(dir);
+
+  for (const format of ['xlsx', 'csv', 'tsv']) {
+    const filePath = path.join(dir, `sheet.${format}`);
+    await writeExportFile(filePath, cues, projectInfo, format);
+
+    const preview = await previewCueSheet(filePath);
+    assert.ok(preview.headerDetected, `${format}: heading row found`);
+    const imported = await importCueSheet(filePath, { headerRowIndex: preview.headerRowIndex, mapping: preview.mapping });
+    assert.deepStrictEqual(imported.map(cue => cue.trackName), cues.map(cue => cue.trackName), format);
+  }
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A fresh userData folder: no API key, and short retry/timeout settings for two tasks
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'auris-llm-'));
+fs.writeFileSync(path.join(userData, 'llm-settings.json'), JSON.stringify({
+  tasks: {
+    validate: { retryBaseMs: 1 },
+    lookupPro: { timeoutMs: 20, retries: 0 }
+  }
+}));
+require('../electron/app-paths').setUserDataDir(userData);
+
+const llm = require('../electron/llm-service');
+const useTypeDetector = require('../electron/use-type-detector');
+
+// A provider that answers from a list of replies (an Error is thrown instead)
+function scriptedProvider(name, replies) {
+  const requests = [];
+  llm.registerProvider(name, {
+    async complete(request) {
+      requests.push(request);
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      if (reply instanceof Error) throw reply;
+      return { content: [{ type: 'text', text: reply }], usage: { inputTokens: 1000, outputTokens: 2000 } };
+    }
+  });
+  process.env.AURIS_LLM_PROVIDER = name;
+  return requests;
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+test.beforeEach(() => {
+  llm.clearCache();
+  llm.resetUsage();
+});
+
+test.after(() => {
+  delete process.env.AURIS_LLM_PROVIDER;
+  fs.rmSync(userData, { recursive: true, force: true });
+});
+
+test('an identical request is answered from the cache', async () => {
+  const requests = scriptedProvider('cached', ['BI']);
+  const first = await llm.complete({ task: 'validate', prompt: 'Same question' });
+  const second = await llm.complete({ task: 'validate', prompt: 'Same question' });
+  const other = await llm.complete({ task: 'validate', prompt: 'Another question' });
+
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(second.cached, true);
+  assert.strictEqual(second.text, 'BI');
+  assert.strictEqual(second.costUsd, 0);
+  assert.strictEqual(other.cached, false);
+  assert.strictEqual(llm.getUsage().total.cached, 1);
+});
+
+test('rate limits and server errors are retried, client errors are not', async () => {
+  const retried = scriptedProvider('flaky', [httpError(429), httpError(503), 'OK']);
+  const result = await llm.complete({ task: 'validate', prompt: 'Retry me' });
+  assert.strictEqual(result.text, 'OK');
+  assert.strictEqual(retried.length, 3);
+
+  const rejected = scriptedProvider('bad-request', [httpError(400), 'OK']);
+  await assert.rejects(llm.complete({ task: 'validate', prompt: 'Do not retry me' }), /HTTP 400/);
+  assert.strictEqual(rejected.length, 1);
+
+  const exhausted = scriptedProvider('down', [httpError(500)]);
+  await assert.rejects(llm.complete({ task: 'validate', prompt: 'Give up' }), /HTTP 500/);
+  assert.strictEqual(exhausted.length, 3);
+  assert.strictEqual(llm.getUsage().byTask.validate.errors, 2);
+});
+
+test('a request that outlives the task timeout fails and is aborted', async () => {
+  let aborted = false;
+  llm.registerProvider('hung', {
+    complete: (request, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(new Error('aborted'));
+      });
+    })
+  });
+  process.env.AURIS_LLM_PROVIDER = 'hung';
+  await assert.rejects(llm.complete({ task: 'lookupPro', prompt: 'Never answered' }), /timed out after 0.02s/);
+  assert.strictEqual(aborted, true);
+});
+
+test('completeJson asks again when the reply is not the JSON asked for', async () => {
+  const requests = scriptedProvider('chatty', ['Sure! The answer is BI.', '{"useType": "BI"}']);
+  const schema = { type: 'object', required: ['useType'], properties: { useType: { type: 'string', enum: ['BI', 'BV', 'VI'] } } };
+  const reply = await llm.completeJson({ task: 'validate', prompt: 'Use type as JSON', schema });
+
+  assert.deepStrictEqual(reply, { useType: 'BI' });
+  assert.strictEqual(requests.length, 2);
+  const reask = requests[1].messages;
+  assert.strictEqual(reask.length, 3);
+  assert.strictEqual(reask[1].content, 'Sure! The answer is BI.');
+  assert.match(reask[2].content, /could not be used/);
+
+  // The rejected reply was dropped from the cache
+  const again = await llm.completeJson({ task: 'validate', prompt: 'Use type as JSON', schema });
+  assert.deepStrictEqual(again, { useType: 'BI' });
+  assert.strictEqual(requests.length, 3);
+});
+
+test('usage counts tokens and cost per task and model', async () => {
+  scriptedProvider('billed', ['BI']);
+  const model = llm.getTaskConfig('validate').model;
+  const price = llm.MODELS[model];
+  const result = await llm.complete({ task: 'validate', prompt: 'Count me' });
+
+  const expectedCost = (1000 * price.input + 2000 * price.output) / 1000000;
+  assert.strictEqual(result.costUsd, expectedCost);
+  const usage = llm.getUsage();
+  for (const bucket of [usage.total, usage.byTask.validate, usage.byModel[model]]) {
+    assert.strictEqual(bucket.requests, 1);
+    assert.strictEqual(bucket.inputTokens, 1000);
+    assert.strictEqual(bucket.outputTokens, 2000);
+    assert.strictEqual(bucket.costUsd, expectedCost);
+  }
+
+  // Fixture replies count tokens but cost nothing
+  process.env.AURIS_LLM_PROVIDER = 'fixture';
+  llm.setFixtures([{ task: 'validate', response: 'BI' }]);
+  const offline = await llm.complete({ task: 'validate', prompt: 'Count me offline' });
+  assert.strictEqual(offline.costUsd, 0);
+  assert.ok(offline.usage.inputTokens > 0);
+  assert.strictEqual(llm.getUsage().total.costUsd, expectedCost);
+});
+
+test('use type detection runs on fixtures and falls back when none match', async () => {
+  process.env.AURIS_LLM_PROVIDER = 'fixture';
+  llm.setFixtures([
+    { task: 'detectUseType', match: 'Campfire Song', response: 'BV' },
+    { task: 'detectUseType', match: 'Radio In Scene', response: 'not a use type' }
+  ]);
+
+  const song = await useTypeDetector.detectUseTypeWithOpus('Campfire Song', { duration: '2:10' });
+  assert.deepStrictEqual(song, { useType: 'BV', confidence: 0.9, reason: 'Opus analysis' });
+
+  const unusable = await useTypeDetector.detectUseTypeWithOpus('Radio In Scene', {});
+  assert.strictEqual(unusable.useType, useTypeDetector.detectUseTypeFast('Radio In Scene', {}).useType);
+  assert.notStrictEqual(unusable.reason, 'Opus analysis');
+
+  const unmatched = await useTypeDetector.detectUseTypeWithOpus('Unknown Cue', {});
+  assert.notStrictEqual(unmatched.reason, 'Opus analysis');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const patternBacktest = require('../electron/pattern-backtest');
+
+const bmgTracks = Array.from({ length: 10 }, (_, i) => ({
+  trackName: `BMG Track ${i + 1}`,
+  library: 'BMG',
+  publisher: 'BMG Publishing (ASCAP)(100%)',
+  verified: true
+}));
+
+test('a regex condition fires on every matching track', () => {
+  // Stored before flags were checked at authoring; g must not make every other test fail
+  const pattern = {
+    id: 'bmg-publisher',
+    confidence: 0.9,
+    condition: { field: 'library', op: 'matches', pattern: 'bmg', flags: 'gi' },
+    action: { field: 'publisher', template: '{library} Publishing (ASCAP)(100%)' }
+  };
+  const result = patternBacktest.backtestPattern(pattern, bmgTracks);
+  assert.strictEqual(result.hits, 10);
+  assert.strictEqual(result.correct, 10);
+  assert.strictEqual(result.coverage, 1);
+});
+
+test('local and cloud counts add up to the deduplicated tracks', async () => {
+  const local = bmgTracks.slice(0, 6);
+  const cloud = bmgTracks.slice(3);
+  const { tracks, local: fromLocal, cloud: fromCloud } = await patternBacktest.loadVerifiedTracks({
+    trackDatabase: { getAllTracks: () => local },
+    cloudTrackDatabase: { isAvailable: () => true, getAllTracks: async ({ offset }) => (offset ? [] : cloud) }
+  });
+  assert.strictEqual(tracks.length, 10);
+  assert.strictEqual(fromLocal, 3);
+  assert.strictEqual(fromCloud, 7);
+});
+
+test('a failed cloud page fails the load instead of returning part of the table', async () => {
+  const cloudTrackDatabase = {
+    isAvailable: () => true,
+    getAllTracks: async ({ throwOnError }) => {
+      if (throwOnError) throw new Error('Could not read cloud tracks: timeout');
+      return [];
+    }
+  };
+  await assert.rejects(
+    patternBacktest.loadVerifiedTracks({ trackDatabase: { getAllTracks: () => bmgTracks }, cloudTrackDatabase }),
+    /timeout/
+  );
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const patternRules = require('../electron/pattern-rules');
+
+const bmgTrack = {
+  trackName: 'Punch Drunk',
+  library: 'BMG Production Music',
+  catalogCode: 'IATS021',
+  composer: 'John Smith',
+  trackType: 'score',
+  duration: '1:05'
+};
+
+test('and binds tighter than or, and parentheses regroup', () => {
+  assert.deepStrictEqual(patternRules.parseCondition('library contains BMG or artist = X and composer is empty'), {
+    any: [
+      { field: 'library', op: 'contains', value: 'BMG' },
+      { all: [{ field: 'artist', op: 'eq', value: 'X' }, { field: 'composer', op: 'empty' }] }
+    ]
+  });
+
+  const grouped = patternRules.parseCondition('(library contains BMG or artist = X) and composer is empty');
+  assert.ok(grouped.all);
+  assert.strictEqual(patternRules.matchesCondition(bmgTrack, grouped), false);
+  assert.strictEqual(patternRules.matchesCondition(bmgTrack, patternRules.parseCondition('library contains BMG or artist = X and composer is empty')), true);
+});
+
+test('not and any groups evaluate and format back to the same text', () => {
+  const text = 'library contains "BMG" and (catalog_code between IATS001 and IATS200 or not track_type = "score")';
+  const condition = patternRules.parseCondition(text);
+  assert.strictEqual(patternRules.formatCondition(condition), text);
+  assert.strictEqual(patternRules.matchesCondition(bmgTrack, condition), true);
+  assert.strictEqual(patternRules.matchesCondition({ ...bmgTrack, catalogCode: 'IATS300' }, condition), false);
+  assert.strictEqual(patternRules.matchesCondition({ ...bmgTrack, catalogCode: 'IATS300', trackType: 'song' }, condition), true);
+});
+
+test('between compares catalog numbers within one prefix and durations in seconds', () => {
+  const catalog = patternRules.parseCondition('catalog_code between IATS001 and IATS050');
+  assert.strictEqual(patternRules.matchesCondition(bmgTrack, catalog), true);
+  assert.strictEqual(patternRules.matchesCondition({ ...bmgTrack, catalogCode: 'IATS051' }, catalog), false);
+  assert.strictEqual(patternRules.matchesCondition({ ...bmgTrack, catalogCode: 'EVS021' }, catalog), false);
+  assert.throws(() => patternRules.parseCondition('catalog_code between IATS001 and EVS050'), /one prefix/);
+  assert.throws(() => patternRules.parseCondition('catalog_code between IATS050 and IATS001'), /backwards/);
+
+  const duration = patternRules.parseCondition('duration between 0:30 and 2:00');
+  assert.strictEqual(patternRules.matchesCondition(bmgTrack, duration), true);
+  assert.strictEqual(patternRules.matchesCondition({ ...bmgTrack, duration: '0:29:12' }, duration), false);
+  assert.strictEqual(patternRules.matchesCondition({ ...bmgTrack, duration: 150 }, duration), false);
+  assert.throws(() => patternRules.parseCondition('track_name between A and B'), /between/);
+});
+
+test('older flat conditions read as an AND of the equivalent tests', () => {
+  const legacy = { library_contains: 'bmg', catalog_code_prefix: 'IATS' };
+  assert.strictEqual(patternRules.isRuleNode(legacy), false);
+  assert.strictEqual(patternRules.matchesCondition(bmgTrack, legacy), true);
+  assert.strictEqual(patternRules.matchesCondition({ ...bmgTrack, catalogCode: 'EVS021' }, legacy), false);
+  assert.strictEqual(patternRules.formatCondition(legacy), 'library contains "bmg" and catalog_code starts with "IATS"');
+  assert.strictEqual(patternRules.matchesCondition(bmgTrack, {}), false);
+});
+
+test('template actions fill fields and skip tracks missing one', () => {
+  const action = patternRules.parseAction('publisher = "{library} Publishing (ASCAP)(100%)"');
+  assert.deepStrictEqual(action, { field: 'publisher', template: '{library} Publishing (ASCAP)(100%)' });
+  assert.strictEqual(patternRules.applyAction(bmgTrack, action), 'BMG Production Music Publishing (ASCAP)(100%)');
+  assert.strictEqual(patternRules.applyAction({ ...bmgTrack, library: '' }, action), null);
+
+  assert.deepStrictEqual(patternRules.parseAction('library = "BMG"'), { field: 'label', value: 'BMG' });
+  assert.strictEqual(patternRules.applyAction(bmgTrack, { field: 'source', copy_from: 'library' }), 'BMG Production Music');
+  assert.throws(() => patternRules.parseAction('publisher = "{label_name} Publishing"'), /not a field/);
+  assert.throws(() => patternRules.parseAction('isrc = "X"'), /Patterns can set/);
+});
+
+test('unsafe regular expressions are rejected when authored and never match when stored', () => {
+  assert.throws(() => patternRules.parseCondition('composer matches /(a+)+$/'), /repeated again/);
+  assert.throws(() => patternRules.parseCondition('composer matches /(a|aa)*$/'), /alternatives is repeated/);
+  assert.throws(() => patternRules.parseCondition('composer matches /john/g'), /flag g/);
+  assert.throws(() => patternRules.parseCondition(`composer matches /${'a'.repeat(201)}/`), /longer than 200/);
+  assert.ok(patternRules.parseCondition('composer matches /^(john|jane) smith/i'));
+
+  assert.throws(() => patternRules.validatePattern({
+    condition: { field: 'composer', op: 'matches', pattern: '(a|aa)*$' },
+    action: { field: 'artist', value: 'N/A' }
+  }), /alternatives is repeated/);
+  assert.strictEqual(patternRules.matchesCondition({ composer: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaab' }, { field: 'composer', op: 'matches', pattern: '(a|aa)*$' }), false);
+});
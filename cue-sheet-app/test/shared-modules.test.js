@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The renderer imports these through the Vite plugin's rewrite to ES modules
+test('shared main-process modules rewrite to ES modules with the same exports', async () => {
+  const { default: sharedMainModules } = await import('../scripts/shared-main-modules.mjs');
+  const plugin = sharedMainModules();
+
+  for (const name of ['splits', 'totals', 'timeline']) {
+    const id = path.join(__dirname, '..', 'electron', `${name}.js`);
+    const code = plugin.transform(fs.readFileSync(id, 'utf8'), id);
+    assert.doesNotMatch(code, /\brequire\(|module\.exports/, name);
+
+    const exported = code.match(/^export \{([^}]*)\};$/m)[1].split(',').map(item => item.trim()).filter(Boolean);
+    assert.deepStrictEqual(exported.sort(), Object.keys(require(id)).sort(), name);
+  }
+});
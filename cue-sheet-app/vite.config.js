@@ -1,8 +1,9 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import sharedMainModules from './scripts/shared-main-modules.mjs';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), sharedMainModules()],
   base: './',
   build: {
     outDir: 'dist',